@@ -150,3 +150,218 @@ const boundaryPoints = [
 });
     
 }
+
+// Portfolio history charts, fed from the recorded cycles and extended live by tradingUpdate
+const HISTORY_COLOURS = {
+    portfolio: 'rgba(20, 241, 149, 1)',
+    hold: 'rgba(153, 69, 255, 1)',
+    drawdown: 'rgba(255, 99, 132, 1)',
+    price: 'rgba(255, 255, 255, 0.8)'
+};
+const MAX_HISTORY_POINTS = 5000;
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+let historyCharts = null;
+let historyPoints = [];
+let tradeMarkers = [];
+let holdBalances = null;
+let portfolioPeak = 0;
+
+function formatChartTime(time) {
+    const date = new Date(time);
+    const day = String(date.getDate()).padStart(2, '0');
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${day}/${MONTHS[date.getMonth()]} ${hours}:${minutes}`;
+}
+
+function createTimeSeriesChart(canvasId, datasets, yTitle) {
+    const ctx = document.getElementById(canvasId).getContext('2d');
+
+    return new Chart(ctx, {
+        type: 'line',
+        data: { datasets },
+        options: {
+            animation: false,
+            responsive: true,
+            maintainAspectRatio: true,
+            parsing: false,
+            normalized: true,
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    ticks: {
+                        maxTicksLimit: 6,
+                        callback: value => formatChartTime(value)
+                    }
+                },
+                y: {
+                    type: 'linear',
+                    title: {
+                        display: true,
+                        text: yTitle
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: datasets.length > 1,
+                    labels: {
+                        filter: item => !item.text.startsWith('_')
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: items => items.length > 0 ? formatChartTime(items[0].parsed.x) : ''
+                    }
+                }
+            }
+        }
+    });
+}
+
+function lineDataset(label, colour, fill = false) {
+    return {
+        label,
+        data: [],
+        borderColor: colour,
+        backgroundColor: colour.replace(', 1)', ', 0.2)'),
+        borderWidth: 2,
+        pointRadius: 0,
+        fill
+    };
+}
+
+function markerDataset(label, colour, rotation) {
+    return {
+        label,
+        data: [],
+        showLine: false,
+        borderColor: colour,
+        backgroundColor: colour,
+        pointStyle: 'triangle',
+        pointRadius: 6,
+        pointHoverRadius: 8,
+        rotation
+    };
+}
+
+function toHistoryPoint(point) {
+    if (point.portfolioValue > portfolioPeak) {
+        portfolioPeak = point.portfolioValue;
+    }
+
+    return {
+        time: point.time,
+        price: point.price,
+        portfolioValue: point.portfolioValue,
+        holdValue: holdBalances ? holdBalances.baseBalance * point.price + holdBalances.quoteBalance : point.portfolioValue,
+        drawdownPercent: portfolioPeak > 0 ? -((portfolioPeak - point.portfolioValue) / portfolioPeak) * 100 : 0,
+        realizedPnl: point.realizedPnl || 0,
+        unrealizedPnl: point.unrealizedPnl || 0
+    };
+}
+
+function renderHistoryCharts() {
+    if (!historyCharts) return;
+
+    const series = key => historyPoints.map(point => ({ x: point.time, y: point[key] }));
+    const markers = direction => tradeMarkers
+        .filter(marker => marker.direction === direction)
+        .map(marker => ({ x: marker.time, y: marker.price }));
+
+    historyCharts.equity.data.datasets[0].data = series('portfolioValue');
+    historyCharts.equity.data.datasets[1].data = series('holdValue');
+    historyCharts.drawdown.data.datasets[0].data = series('drawdownPercent');
+    historyCharts.pnl.data.datasets[0].data = series('realizedPnl');
+    historyCharts.pnl.data.datasets[1].data = series('unrealizedPnl');
+    historyCharts.price.data.datasets[0].data = series('price');
+    historyCharts.price.data.datasets[1].data = markers('buy');
+    historyCharts.price.data.datasets[2].data = markers('sell');
+
+    Object.values(historyCharts).forEach(chart => chart.update('none'));
+
+    const emptyElement = document.getElementById('historyChartsEmpty');
+    if (emptyElement) {
+        emptyElement.style.display = historyPoints.length > 0 ? 'none' : 'block';
+    }
+}
+
+export function createHistoryCharts(equity = [], fills = []) {
+    if (historyCharts) {
+        Object.values(historyCharts).forEach(chart => chart.destroy());
+    }
+
+    // Hold the balances the window starts with, as the /api/history/equity holdValue does
+    holdBalances = equity.length > 0 ?
+        { baseBalance: equity[0].baseBalance, quoteBalance: equity[0].quoteBalance } : null;
+    portfolioPeak = 0;
+    historyPoints = equity.filter(point => typeof point.portfolioValue === 'number').map(toHistoryPoint);
+    tradeMarkers = fills
+        .filter(fill => fill.status !== 'Failed' && typeof fill.price === 'number')
+        .map(fill => ({ key: `${fill.time}-${fill.direction}`, time: fill.time, price: fill.price, direction: fill.direction }));
+
+    historyCharts = {
+        equity: createTimeSeriesChart('equityChart', [
+            lineDataset('Portfolio', HISTORY_COLOURS.portfolio),
+            lineDataset('Buy & Hold', HISTORY_COLOURS.hold)
+        ], 'VALUE ($)'),
+        drawdown: createTimeSeriesChart('drawdownChart', [
+            lineDataset('Drawdown', HISTORY_COLOURS.drawdown, true)
+        ], 'DRAWDOWN (%)'),
+        pnl: createTimeSeriesChart('pnlChart', [
+            lineDataset('Realized', HISTORY_COLOURS.portfolio),
+            lineDataset('Unrealized', HISTORY_COLOURS.hold)
+        ], 'PNL ($)'),
+        price: createTimeSeriesChart('priceTradesChart', [
+            lineDataset('_price', HISTORY_COLOURS.price),
+            markerDataset('Buy', HISTORY_COLOURS.portfolio, 0),
+            markerDataset('Sell', HISTORY_COLOURS.drawdown, 180)
+        ], 'PRICE ($)')
+    };
+
+    renderHistoryCharts();
+}
+
+export function addHistoryPoint(data) {
+    const price = data?.price?.usd;
+    const portfolioValue = data?.portfolioValue?.usd;
+    if (!historyCharts || typeof price !== 'number' || typeof portfolioValue !== 'number') return;
+
+    if (!holdBalances) {
+        holdBalances = { baseBalance: data.baseTokenBalance, quoteBalance: data.quoteTokenBalance };
+    }
+
+    historyPoints.push(toHistoryPoint({
+        time: data.time || Date.now(),
+        price,
+        portfolioValue,
+        realizedPnl: data.orderbook?.totalRealizedPnl,
+        unrealizedPnl: data.orderbook?.totalUnrealizedPnl
+    }));
+    if (historyPoints.length > MAX_HISTORY_POINTS) {
+        historyPoints.shift();
+    }
+
+    renderHistoryCharts();
+}
+
+export function addTradeMarker(trade) {
+    if (!historyCharts || !trade || trade.success === false) return;
+
+    const time = new Date(trade.timestamp).getTime();
+    const price = parseFloat(trade.price);
+    if (isNaN(time) || isNaN(price)) return;
+
+    const direction = String(trade.type).toLowerCase() === 'bought' ? 'buy' : 'sell';
+    const key = `${time}-${direction}`;
+    if (tradeMarkers.some(marker => marker.key === key)) return;
+
+    tradeMarkers.push({ key, time, price, direction });
+    renderHistoryCharts();
+}
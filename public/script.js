@@ -1,4 +1,4 @@
-import { createFearGreedChart } from './chart.js';
+import { createFearGreedChart, createHistoryCharts, addHistoryPoint, addTradeMarker } from './chart.js';
 import { initializeSlider } from './slider.js';
 import { updateSliderBehavior } from './slider.js';
 
@@ -32,6 +32,7 @@ function createTooltipDefinitions(baseTokenName, quoteTokenName) {
         'Average Sell Price': `Average price received when selling ${baseTokenName}`,
         'Program Run Time (Hours/Mins/Seconds)': "Total time elapsed since trading began",
         [`Estimated APY (Compared to Holding 100% ${baseTokenName})`]: `Estimated annual return compared to holding 100% ${baseTokenName}, includes trading fees and costs`,
+        'Trade Skipped': "Why the last cycle did not open a trade - TRADE_COOLDOWN_MINUTES or MIN_SENTIMENT_CHANGE since the last trade in the same direction",
         'Win Rate': "Percentage of closed trades that resulted in profit",
         'Total Trades': "Total number of trades executed since trading began",
         'Open Positions': "Number of currently active trades that haven't been closed",
@@ -39,7 +40,15 @@ function createTooltipDefinitions(baseTokenName, quoteTokenName) {
         'Total PnL': "Total realized profit or loss from all closed trades",
         'Unrealized PnL': "Current estimated profit or loss of open positions based on current market price",
         'Total Volume': "Total value of all trades executed in USD",
-        'Avg Trade Size': "Average dollar value of individual trades"
+        'Avg Trade Size': "Average dollar value of individual trades",
+        'Sharpe Ratio': "Annualised return per unit of volatility, from the portfolio value recorded each cycle",
+        'Sortino Ratio': "Like the Sharpe ratio, but only downside volatility counts against the return",
+        'Max Drawdown': "Largest fall in portfolio value from a peak, and how long it took to recover",
+        'Alpha vs Hold': "Portfolio return minus the return of simply holding the starting balances",
+        'Profit Factor': "Gross profit of winning trades divided by gross loss of losing trades",
+        'Avg Win / Loss': "Average realized PnL of winning and losing trades",
+        'Expectancy': "Average realized PnL per closed trade",
+        'Exposure': "Share of time with at least one open trade in the orderbook"
     };
 }
 
@@ -61,6 +70,7 @@ export let isLocked = true;
 let baseTokenName
 let quoteTokenName
 let currentTimeframe = '15m'; // Default timeframe
+const HISTORY_CHART_DAYS = 7;
 
 function showLoginForm() {
     document.getElementById('loginForm').style.display = 'block';
@@ -240,6 +250,10 @@ function updateTradingData(data) {
             { label: "Program Run Time (Hours/Mins/Seconds)", value: `${data.programRunTime || 'Please Wait'}`, icon: "fa-solid fa-clock" },
             { label: `Estimated APY (Compared to Holding 100% ${baseTokenName})`, value: formatValue(data.estimatedAPY, '', typeof data.estimatedAPY === 'number' ? '%' : ''), icon: "fa-solid fa-chart-line" }
         );
+
+        if (data.skipReason) {
+            dataPoints.push({ label: "Trade Skipped", value: data.skipReason.message, icon: "fa-solid fa-hourglass-half", fullWidth: true });
+        }
     }
 
     if (data.orderbook) {
@@ -267,11 +281,23 @@ function updateTradingData(data) {
         totalPnlElement.className = `data-value ${data.orderbook.totalRealizedPnl >= 0 ? 'pnl-positive' : 'pnl-negative'}`;
         unrealizedPnlElement.className = `data-value ${data.orderbook.totalUnrealizedPnl >= 0 ? 'pnl-positive' : 'pnl-negative'}`;
 
+        document.getElementById('profitFactor').textContent = formatRatio(data.orderbook.profitFactor);
+        document.getElementById('avgWinLoss').textContent =
+            `$${(data.orderbook.averageWin || 0).toFixed(4)} / $${(data.orderbook.averageLoss || 0).toFixed(4)}`;
+        const expectancyElement = document.getElementById('expectancy');
+        expectancyElement.textContent = `$${(data.orderbook.expectancy || 0).toFixed(4)}`;
+        expectancyElement.className = `data-value ${data.orderbook.expectancy >= 0 ? 'pnl-positive' : 'pnl-negative'}`;
+        document.getElementById('exposure').textContent = `${(data.orderbook.exposurePercent || 0).toFixed(1)}%`;
+
         if (data.orderbook.trades) {
             updateOrderbookTable(data.orderbook.trades, baseTokenName);
         }
     }
 
+    if (data.analytics) {
+        updateAnalytics(data.analytics);
+    }
+
     try {
         tradingDataElement.innerHTML = dataPoints.map(point => `
             <div class="data-item ${point.fullWidth ? 'full-width' : ''}">
@@ -298,6 +324,37 @@ function updateTradingData(data) {
     }
 }
 
+function formatRatio(value) {
+    return typeof value === 'number' ? value.toFixed(2) : 'N/A';
+}
+
+function formatDuration(milliseconds) {
+    const totalMinutes = Math.floor((milliseconds || 0) / 60000);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+function updateAnalytics(analytics) {
+    document.getElementById('sharpeRatio').textContent = formatRatio(analytics.sharpeRatio);
+    document.getElementById('sortinoRatio').textContent = formatRatio(analytics.sortinoRatio);
+    document.getElementById('maxDrawdown').textContent =
+        `${(analytics.maxDrawdownPercent || 0).toFixed(2)}% (${formatDuration(analytics.maxDrawdownDurationMs)})`;
+
+    const alphaElement = document.getElementById('alphaVsHold');
+    if (typeof analytics.alphaPercent === 'number') {
+        alphaElement.textContent = `${analytics.alphaPercent >= 0 ? '+' : ''}${analytics.alphaPercent.toFixed(2)}%`;
+        alphaElement.className = `data-value ${analytics.alphaPercent >= 0 ? 'pnl-positive' : 'pnl-negative'}`;
+    } else {
+        alphaElement.textContent = 'N/A';
+        alphaElement.className = 'data-value';
+    }
+}
+
 function updateOrderbookTable(trades, baseTokenName) {
     const tbody = document.getElementById('orderbookBody');
     if (!tbody) return;
@@ -314,6 +371,17 @@ function updateOrderbookTable(trades, baseTokenName) {
         // Get the token amount field name (either baseTokenAmount or solAmount for backward compatibility)
         const amountField = trade.baseTokenAmount !== undefined ? 'baseTokenAmount' : 'solAmount';
         const valueField = trade.quoteTokenValue !== undefined ? 'quoteTokenValue' : 'value';
+        // Trades closed by stop-loss, expiry or trailing stop show why they closed
+        let closeReasonLabel = trade.closeReason && trade.closeReason !== 'profit' ?
+            ` (${trade.closeReason.replace('_', ' ').toUpperCase()})` : '';
+        if (trade.status === 'open' && typeof trade.trailingPeakProfit === 'number') {
+            closeReasonLabel = ` (TRAILING ${trade.trailingPeakProfit.toFixed(2)}%)`;
+        }
+        // Void trades never reached the chain, so they have no PNL
+        const pnl = trade.status === 'open' ? trade.upnl : trade.realizedPnl;
+        const pnlCell = trade.status === 'void' ?
+            '<td>-</td>' :
+            `<td class="${pnl >= 0 ? 'pnl-positive' : 'pnl-negative'}">$${pnl.toFixed(2)}</td>`;
         
         return `
         <tr>
@@ -325,19 +393,13 @@ function updateOrderbookTable(trades, baseTokenName) {
             </td>
             <td>
                 <span class="trade-badge ${trade.status === 'open' ? 'trade-status-open' : 'trade-status-closed'}">
-                    ${trade.status.toUpperCase()}
+                    ${trade.status.toUpperCase()}${closeReasonLabel}
                 </span>
             </td>
             <td>$${trade.price.toFixed(2)}</td>
             <td>${trade[amountField].toFixed(9)} ${baseTokenName}</td>
             <td>$${trade[valueField].toFixed(2)}</td>
-            <td class="${trade.status === 'open' ? 
-                (trade.upnl >= 0 ? 'pnl-positive' : 'pnl-negative') : 
-                (trade.realizedPnl >= 0 ? 'pnl-positive' : 'pnl-negative')}">
-                $${trade.status === 'open' ? 
-                    trade.upnl.toFixed(2) : 
-                    trade.realizedPnl.toFixed(2)}
-            </td>
+            ${pnlCell}
             <td>${trade.closePrice ? `$${trade.closePrice.toFixed(2)}` : '-'}</td>
         </tr>
     `}).join('') || `<tr><td colspan="8" class="empty-state">No ${baseTokenName} trades found</td></tr>`;
@@ -410,6 +472,9 @@ function updateTradeList(trades) {
         if (lastTradingData && lastTradingData.monitorMode) {
             placeholderItem.textContent = "This instance is in monitor mode, and will not perform live trades";
             placeholderItem.style.color = 'red';
+        } else if (lastTradingData && lastTradingData.paperTrading) {
+            placeholderItem.textContent = "This instance is paper trading against a simulated wallet - no paper trades yet";
+            placeholderItem.style.color = 'orange';
         } else {
             placeholderItem.textContent = "No trades yet - check back soon!";
         }
@@ -456,13 +521,15 @@ function addTrade(trade) {
         const amount = parseFloat(trade.amount).toFixed(9);
         const price = parseFloat(trade.price).toFixed(2);
         const unit = `${baseTokenName}`;
-        tradeContent = `${formattedDate}: ${action} ${amount} ${unit} at $${price}`;
+        const paperLabel = trade.paperTrade ? ' (paper)' : '';
+        tradeContent = `${formattedDate}: ${action} ${amount} ${unit} at $${price}${paperLabel}`;
         tradeItem.classList.add(action.toLowerCase() === 'bought' ? 'trade-buy' : 'trade-sell');
     }
 
     const tradeLink = document.createElement('a');
     tradeLink.href = trade.txUrl || '#';
     tradeLink.target = "_blank";
+    tradeLink.dataset.timestamp = trade.timestamp;
     tradeLink.textContent = tradeContent;
 
     tradeItem.appendChild(tradeLink);
@@ -482,6 +549,32 @@ function fetchRecentTrades() {
         .catch(error => console.error('Error fetching recent trades:', error));
 }
 
+function fetchHistoryCharts() {
+    const from = Date.now() - HISTORY_CHART_DAYS * 24 * 60 * 60 * 1000;
+    // Paper and live balances are different wallets, so only chart the one that is running
+    const mode = lastTradingData?.paperTrading ? 'paper' : 'live';
+    let equity = [];
+
+    authenticatedFetch(`/api/history/equity?from=${from}&mode=${mode}&interval=${currentTimeframe}&limit=5000`)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Trade history unavailable');
+            }
+            return response.json();
+        })
+        .then(data => {
+            equity = data.equity;
+            const pair = encodeURIComponent(data.pair);
+            return authenticatedFetch(`/api/history/fills?pair=${pair}&mode=${mode}&from=${from}&order=asc&limit=5000`);
+        })
+        .then(response => response.json())
+        .then(data => createHistoryCharts(equity, data.fills || []))
+        .catch(error => {
+            console.error('Error fetching history charts:', error);
+            createHistoryCharts(equity, []);
+        });
+}
+
 function fetchInitialData() {
     authenticatedFetch('/api/initial-data')
         .then(response => {
@@ -493,6 +586,7 @@ function fetchInitialData() {
         .then(data => {
             updateTradingData(data);
             updateTradeList(data.recentTrades);
+            fetchHistoryCharts();
             return authenticatedFetch('/api/params');
         })
         .then(response => response.json())
@@ -566,6 +660,7 @@ socket.on('disconnect', () => {
 
 socket.on('tradingUpdate', (data) => {
     updateTradingData(data);
+    addHistoryPoint(data);
     
     // Extract token info and update chart
     if (data.tokenInfo) {
@@ -602,11 +697,18 @@ socket.on('tradingUpdate', (data) => {
             if (isDuplicate) {
                 console.log('Duplicate trade detected (matching txUrl in list), skipping addition');
             }
+        } else if (existingTrades && mostRecentTrade.paperTrade) {
+            // Paper trades have no transaction link, so match on timestamp instead
+            isDuplicate = Array.from(existingTrades).some(trade => trade.dataset.timestamp === mostRecentTrade.timestamp);
+            if (isDuplicate) {
+                console.log('Duplicate paper trade detected (matching timestamp in list), skipping addition');
+            }
         }
 
         if (!isDuplicate) {
             console.log('Trade to add:', mostRecentTrade);
             addTrade(mostRecentTrade);
+            addTradeMarker(mostRecentTrade);
         }
     } else {
         console.log('No recent trades in the update');
@@ -704,6 +806,134 @@ function restartTrading() {
         });
 }
 
+document.getElementById('reconcileButton').addEventListener('click', checkWalletHistory);
+
+document.getElementById('reconciliationPanel').addEventListener('click', function (event) {
+    const button = event.target.closest('.reconcile-action');
+    if (!button) return;
+
+    const { action, signature } = button.dataset;
+    const message = action === 'import' ?
+        'Import this swap into the orderbook as an open trade?' :
+        'Mark this trade as void? It will no longer be closed or counted in the statistics.';
+    if (confirm(message)) {
+        resolveWalletFinding(action, signature);
+    }
+});
+
+function checkWalletHistory() {
+    showFeedback('Checking wallet transactions...', 'info');
+    authenticatedFetch('/api/reconciliation')
+        .then(response => response.json())
+        .then(data => {
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            updateReconciliationPanel(data.report);
+        })
+        .catch(error => {
+            console.error('Error checking wallet history:', error);
+            showFeedback(`Error checking wallet history: ${error.message}`, 'error');
+        });
+}
+
+function resolveWalletFinding(action, signature) {
+    authenticatedFetch(`/api/reconciliation/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ signatures: [signature] })
+    })
+        .then(response => response.json())
+        .then(data => {
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            const resolved = action === 'import' ? data.imported : data.voided;
+            showFeedback(resolved.length > 0 ?
+                `${action === 'import' ? 'Imported swap' : 'Voided trade'}. Refreshing data...` :
+                'Nothing changed - the wallet history no longer shows this', resolved.length > 0 ? 'success' : 'info');
+            updateReconciliationPanel(data.report);
+            fetchInitialData();
+        })
+        .catch(error => {
+            console.error('Error updating orderbook:', error);
+            showFeedback(`Error updating orderbook: ${error.message}`, 'error');
+        });
+}
+
+function updateReconciliationPanel(report) {
+    const panel = document.getElementById('reconciliationPanel');
+    const rows = [
+        ...report.missingSwaps.map(swap => ({
+            time: new Date(swap.time).toLocaleString(),
+            direction: swap.direction,
+            issue: 'Not in orderbook',
+            price: swap.price,
+            amount: Math.abs(swap.baseTokenChange),
+            signature: swap.signature,
+            action: 'import'
+        })),
+        ...report.orphanedTrades.map(orphan => ({
+            time: orphan.timestamp,
+            direction: orphan.direction,
+            issue: 'Transaction failed on chain',
+            price: orphan.price,
+            amount: orphan.baseTokenAmount,
+            signature: orphan.signature,
+            action: 'void'
+        })),
+        ...report.unverifiedTrades.map(trade => ({
+            time: trade.timestamp,
+            direction: trade.direction,
+            issue: 'Unverified - not found by the RPC',
+            price: trade.price,
+            amount: trade.baseTokenAmount,
+            signature: trade.signature,
+            action: 'void'
+        }))
+    ];
+    const baseTokenName = report.pair.split('/')[0];
+
+    panel.innerHTML = `
+        <table id="reconciliationTable" class="styled-table">
+            <thead>
+                <tr>
+                    <th>Time</th>
+                    <th>Type</th>
+                    <th>Issue</th>
+                    <th>Price</th>
+                    <th>Amount</th>
+                    <th>Transaction</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                <tr>
+                    <td>${row.time}</td>
+                    <td>
+                        <span class="trade-badge ${row.direction === 'buy' ? 'trade-type-buy' : 'trade-type-sell'}">
+                            ${row.direction.toUpperCase()}
+                        </span>
+                    </td>
+                    <td>${row.issue}</td>
+                    <td>$${row.price.toFixed(2)}</td>
+                    <td>${row.amount.toFixed(9)} ${baseTokenName}</td>
+                    <td><a href="https://solscan.io/tx/${row.signature}" target="_blank">${row.signature.substring(0, 12)}...</a></td>
+                    <td>
+                        <button type="button" class="toggle-button reconcile-action" data-action="${row.action}" data-signature="${row.signature}">
+                            ${row.action === 'import' ? 'Import' : 'Void'}
+                        </button>
+                    </td>
+                </tr>
+                `).join('') || `<tr><td colspan="7" class="empty-state">Orderbook matches the wallet history</td></tr>`}
+            </tbody>
+        </table>
+        ${report.complete ? '' : '<p class="empty-state">Only the most recent wallet transactions were checked</p>'}
+    `;
+    panel.style.display = 'block';
+}
+
 function showFeedback(message, type) {
     feedbackElement.textContent = message;
     feedbackElement.className = type;
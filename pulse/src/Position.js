@@ -22,6 +22,9 @@ const {
   styles,
   colours
 } = require('./utils');
+const { calculateEquityAnalytics } = require('./analytics');
+
+const NATIVE_SOL_MINT = 'So11111111111111111111111111111111111111112';
 
 /**
  * Class representing a trading position with Base Token and Quote Token balances
@@ -50,6 +53,7 @@ class Position {
     
     // Initial portfolio value
     this.initialValue = this.initialBaseBalance * this.initialPrice + this.initialQuoteBalance;
+    this.peakValue = this.initialValue;
     
     // Trade tracking
     this.trades = [];
@@ -68,6 +72,14 @@ class Position {
     this.totalVolumeBase = 0;
     this.totalVolumeQuote = 0;
     
+    // Execution costs of live swaps, in SOL
+    this.executionFees = {
+      networkFeeSol: 0,
+      priorityFeeSol: 0,
+      tipSol: 0,
+      swaps: 0
+    };
+    
     // Cache for expensive calculations
     this._cache = {
       averageEntryPrice: null,
@@ -358,6 +370,26 @@ class Position {
     }
   }
 
+  /**
+   * Calculate drawdown from the highest portfolio value seen, updating the peak
+   * @param {number} currentPrice - Current token price
+   * @returns {number} - Drawdown percentage (0 at a new peak)
+   */
+  getDrawdown(currentPrice) {
+    try {
+      const currentValue = this.getCurrentValue(currentPrice);
+      
+      // Positions restored from older savestates have no peak yet
+      this.peakValue = Math.max(this.peakValue || this.initialValue, currentValue);
+      
+      if (this.peakValue <= 0) return 0;
+      return ((this.peakValue - currentValue) / this.peakValue) * 100;
+    } catch (error) {
+      console.error(formatError(`${icons.error} Error calculating drawdown: ${error.message}`));
+      return 0;
+    }
+  }
+
   /**
    * Calculate percentage change in token price
    * @param {number} currentPrice - Current token price
@@ -419,12 +451,35 @@ class Position {
     }
   }
 
+  /**
+   * Calculate risk-adjusted analytics from the per-cycle equity series, ending at the current value
+   * @param {number} currentPrice - Current token price
+   * @param {Array<Object>} equitySeries - Recorded equity points { time, portfolioValue, price } in time order
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - Equity analytics, compared against holding the initial balances
+   */
+  getAnalytics(currentPrice, equitySeries = [], now = Date.now()) {
+    const series = equitySeries.filter(point => point.time >= this.startTime && point.time < now);
+
+    // Runs without recorded cycles still compare the start of the run with now
+    if (series.length === 0) {
+      series.push({ time: this.startTime, portfolioValue: this.initialValue, price: this.initialPrice });
+    }
+    series.push({ time: now, portfolioValue: this.getCurrentValue(currentPrice), price: currentPrice });
+
+    return calculateEquityAnalytics(series, {
+      holdBalances: { baseBalance: this.initialBaseBalance, quoteBalance: this.initialQuoteBalance }
+    });
+  }
+
   /**
    * Get comprehensive trading statistics
    * @param {number} currentPrice - Current token price
+   * @param {number} now - Current time in milliseconds (defaults to the system clock)
+   * @param {Array<Object>} equitySeries - Recorded equity points for the analytics (see getAnalytics)
    * @returns {Object} - Statistics object
    */
-  getEnhancedStatistics(currentPrice) {
+  getEnhancedStatistics(currentPrice, now = Date.now(), equitySeries = []) {
     try {
       // Validate price
       currentPrice = this._validateNumber(currentPrice, 'currentPrice', this.initialPrice);
@@ -434,7 +489,7 @@ class Position {
       const portfolioChange = currentPortfolioValue - this.initialValue;
       
       // Calculate time metrics
-      const totalRuntime = (Date.now() - this.startTime) / 1000 / 60 / 60; // in hours
+      const totalRuntime = (now - this.startTime) / 1000 / 60 / 60; // in hours
       
       // Calculate volume metrics
       const totalVolumeUsd = this.totalVolumeQuote + (this.totalVolumeBase * currentPrice);
@@ -495,6 +550,8 @@ class Position {
         tradesCount: this.trades.length,
         buysCount: this.trades.filter(t => t.type === 'buy').length,
         sellsCount: this.trades.filter(t => t.type === 'sell').length,
+        analytics: this.getAnalytics(currentPrice, equitySeries, now),
+        executionCosts: this.getExecutionCosts(currentPrice),
         lastUpdated: new Date().toISOString(),
         tokenInfo: {
           baseToken: baseTokenName, 
@@ -508,7 +565,7 @@ class Position {
       
       // Return basic stats if advanced ones fail
       return {
-        totalRuntime: ((Date.now() - this.startTime) / 1000 / 60 / 60).toFixed(2),
+        totalRuntime: ((now - this.startTime) / 1000 / 60 / 60).toFixed(2),
         totalCycles: this.totalCycles,
         portfolioValue: {
           initial: this.initialValue.toFixed(2),
@@ -525,6 +582,45 @@ class Position {
     }
   }
 
+  /**
+   * Add the execution costs of a landed swap
+   * @param {Object} fees - Execution fees in SOL { networkFeeSol, priorityFeeSol, tipSol }
+   */
+  recordExecutionFees(fees) {
+    this.executionFees.networkFeeSol += fees.networkFeeSol || 0;
+    this.executionFees.priorityFeeSol += fees.priorityFeeSol || 0;
+    this.executionFees.tipSol += fees.tipSol || 0;
+    this.executionFees.swaps += 1;
+  }
+
+  /**
+   * Get execution costs spent on swaps, in SOL and, where the pair trades SOL, in the quote token
+   * The priority fee is part of the network fee, so the total is network fees plus tips
+   * @param {number} currentPrice - Current Base Token price in Quote Token
+   * @returns {Object} - Execution cost totals
+   */
+  getExecutionCosts(currentPrice) {
+    const { networkFeeSol, priorityFeeSol, tipSol, swaps } = this.executionFees;
+    const totalSol = networkFeeSol + tipSol;
+
+    // Fees are paid in SOL, so they can only be valued in the quote token when SOL is one side of the pair
+    const solPrice = this.baseToken.ADDRESS === NATIVE_SOL_MINT ? currentPrice :
+      this.quoteToken.ADDRESS === NATIVE_SOL_MINT ? 1 : null;
+    const totalQuote = solPrice !== null ? totalSol * solPrice : null;
+    const tradedValue = this.totalQuoteSpent + this.totalQuoteReceived;
+
+    return {
+      networkFeeSol: networkFeeSol.toFixed(6),
+      priorityFeeSol: priorityFeeSol.toFixed(6),
+      tipSol: tipSol.toFixed(6),
+      totalSol: totalSol.toFixed(6),
+      totalQuote: totalQuote !== null ? totalQuote.toFixed(2) : null,
+      averagePerSwapSol: swaps > 0 ? (totalSol / swaps).toFixed(6) : '0.000000',
+      percentOfVolume: totalQuote !== null && tradedValue > 0 ? ((totalQuote / tradedValue) * 100).toFixed(4) : null,
+      swaps
+    };
+  }
+
   /**
    * Increment cycle counter
    * @returns {number} - New cycle count
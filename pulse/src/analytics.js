@@ -0,0 +1,231 @@
+/**
+ * PulseSurfer Performance Analytics
+ * Risk-adjusted performance from the per-cycle equity series and the order book's closed trades
+ *
+ * Ratios are annualised from the average spacing of the equity points with a risk-free rate of 0,
+ * over a 365-day year since the market never closes.
+ */
+
+// Core dependencies
+const { resolveTimestamp } = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+// ===========================
+// Helpers
+// ===========================
+
+/**
+ * Calculates the mean of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Mean (0 for an empty list)
+ */
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Calculates the sample standard deviation of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Standard deviation (0 for fewer than two values)
+ */
+function standardDeviation(values) {
+    if (values.length < 2) return 0;
+    const average = mean(values);
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (values.length - 1);
+    return Math.sqrt(variance);
+}
+
+/**
+ * Rounds a ratio for reporting, keeping undefined ratios as null
+ * @param {number} value - Ratio
+ * @returns {number|null} Ratio rounded to 4 decimals, or null if not finite
+ */
+function toRatio(value) {
+    return isFinite(value) ? parseFloat(value.toFixed(4)) : null;
+}
+
+// ===========================
+// Equity Analytics
+// ===========================
+
+/**
+ * Calculates the period returns of an equity series
+ * @param {Array<Object>} series - Equity points { time, portfolioValue } in time order
+ * @returns {Array<number>} Fractional return of each period
+ */
+function calculateReturns(series) {
+    const returns = [];
+    for (let index = 1; index < series.length; index++) {
+        const previous = series[index - 1].portfolioValue;
+        if (previous > 0) {
+            returns.push(series[index].portfolioValue / previous - 1);
+        }
+    }
+    return returns;
+}
+
+/**
+ * Calculates the deepest and longest drawdowns of an equity series
+ * A drawdown lasts from a peak until the portfolio is back above it, or until the last point if it never recovers
+ * @param {Array<Object>} series - Equity points { time, portfolioValue } in time order
+ * @returns {Object} { maxDrawdownPercent, maxDrawdownDurationMs, currentDrawdownPercent, currentDrawdownDurationMs }
+ */
+function calculateDrawdowns(series) {
+    let peakValue = 0;
+    let peakTime = null;
+    let maxDrawdownPercent = 0;
+    let maxDrawdownDurationMs = 0;
+    let currentDrawdownPercent = 0;
+
+    series.forEach(({ time, portfolioValue }) => {
+        if (portfolioValue >= peakValue) {
+            peakValue = portfolioValue;
+            peakTime = time;
+        }
+
+        currentDrawdownPercent = peakValue > 0 ? ((peakValue - portfolioValue) / peakValue) * 100 : 0;
+        maxDrawdownPercent = Math.max(maxDrawdownPercent, currentDrawdownPercent);
+        maxDrawdownDurationMs = Math.max(maxDrawdownDurationMs, time - peakTime);
+    });
+
+    const lastTime = series.length > 0 ? series[series.length - 1].time : null;
+    return {
+        maxDrawdownPercent,
+        maxDrawdownDurationMs,
+        currentDrawdownPercent,
+        currentDrawdownDurationMs: lastTime !== null && peakTime !== null ? lastTime - peakTime : 0
+    };
+}
+
+/**
+ * Calculates risk-adjusted performance from an equity series
+ * @param {Array<Object>} series - Equity points { time, portfolioValue, price } in time order
+ * @param {Object} options - Analytics options
+ * @param {Object} [options.holdBalances] - Balances to compare against holding { baseBalance, quoteBalance }
+ *   (default: the first point's balances)
+ * @returns {Object} Equity analytics; ratios are null until there are enough points to calculate them
+ */
+function calculateEquityAnalytics(series, { holdBalances } = {}) {
+    const points = (series || []).filter(point =>
+        typeof point.time === 'number' && typeof point.portfolioValue === 'number' && isFinite(point.portfolioValue));
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    const returns = calculateReturns(points);
+    const periodMs = points.length > 1 ? (last.time - first.time) / (points.length - 1) : 0;
+    const annualisation = periodMs > 0 ? Math.sqrt(MS_PER_YEAR / periodMs) : 0;
+
+    const averageReturn = mean(returns);
+    const volatility = standardDeviation(returns);
+    // Downside deviation counts every period, with gains as zero
+    const downsideDeviation = returns.length > 0 ?
+        Math.sqrt(mean(returns.map(value => Math.pow(Math.min(value, 0), 2)))) : 0;
+
+    const hold = holdBalances || (first ? { baseBalance: first.baseBalance, quoteBalance: first.quoteBalance } : null);
+    const canCompare = hold && typeof hold.baseBalance === 'number' && typeof hold.quoteBalance === 'number' &&
+        typeof first?.price === 'number' && typeof last?.price === 'number';
+    const holdStart = canCompare ? hold.baseBalance * first.price + hold.quoteBalance : null;
+    const holdEnd = canCompare ? hold.baseBalance * last.price + hold.quoteBalance : null;
+
+    const returnPercent = first && first.portfolioValue > 0 ? (last.portfolioValue / first.portfolioValue - 1) * 100 : null;
+    const holdReturnPercent = holdStart > 0 ? (holdEnd / holdStart - 1) * 100 : null;
+
+    return {
+        periods: returns.length,
+        periodMs,
+        returnPercent,
+        holdReturnPercent,
+        alphaPercent: returnPercent !== null && holdReturnPercent !== null ? returnPercent - holdReturnPercent : null,
+        annualisedVolatilityPercent: returns.length > 1 ? volatility * annualisation * 100 : null,
+        sharpeRatio: returns.length > 1 && volatility > 0 ? toRatio((averageReturn / volatility) * annualisation) : null,
+        sortinoRatio: returns.length > 1 && downsideDeviation > 0 ? toRatio((averageReturn / downsideDeviation) * annualisation) : null,
+        ...calculateDrawdowns(points)
+    };
+}
+
+// ===========================
+// Trade Analytics
+// ===========================
+
+/**
+ * Calculates the share of time the order book had at least one open trade
+ * @param {Array<Object>} trades - Order book trades
+ * @param {number} now - Current time in milliseconds
+ * @param {number} [startTime] - Start of the period (default: the first trade's opening time)
+ * @returns {number} Exposure percentage
+ */
+function calculateExposure(trades, now, startTime) {
+    const intervals = trades
+        .map(trade => {
+            const openedAt = resolveTimestamp(trade.openedAt ?? trade.timestamp, now);
+            const closedAt = trade.status === 'closed' ? resolveTimestamp(trade.closedAt, now) : now;
+            return [openedAt, closedAt ?? now];
+        })
+        .filter(([openedAt, closedAt]) => openedAt !== null && closedAt >= openedAt)
+        .sort((a, b) => a[0] - b[0]);
+
+    if (intervals.length === 0) return 0;
+
+    const periodStart = startTime ?? intervals[0][0];
+    const periodMs = now - periodStart;
+    if (periodMs <= 0) return 0;
+
+    // Merge overlapping trades so time with several open trades is only counted once
+    let exposedMs = 0;
+    let [spanStart, spanEnd] = intervals[0];
+    intervals.slice(1).forEach(([openedAt, closedAt]) => {
+        if (openedAt > spanEnd) {
+            exposedMs += spanEnd - spanStart;
+            [spanStart, spanEnd] = [openedAt, closedAt];
+        } else {
+            spanEnd = Math.max(spanEnd, closedAt);
+        }
+    });
+    exposedMs += spanEnd - spanStart;
+
+    return Math.min((exposedMs / periodMs) * 100, 100);
+}
+
+/**
+ * Calculates trade analytics from the order book's trades
+ * @param {Array<Object>} trades - Order book trades
+ * @param {Object} options - Analytics options
+ * @param {number} [options.now] - Current time in milliseconds
+ * @param {number} [options.startTime] - Start of the period for exposure (default: the first trade's opening time)
+ * @returns {Object} { grossProfit, grossLoss, profitFactor, averageWin, averageLoss, expectancy, exposurePercent }
+ */
+function calculateTradeAnalytics(trades, { now = Date.now(), startTime } = {}) {
+    const closedTrades = (trades || []).filter(trade => trade.status === 'closed' && typeof trade.realizedPnl === 'number');
+    const wins = closedTrades.filter(trade => trade.realizedPnl > 0).map(trade => trade.realizedPnl);
+    const losses = closedTrades.filter(trade => trade.realizedPnl < 0).map(trade => trade.realizedPnl);
+
+    const grossProfit = wins.reduce((sum, pnl) => sum + pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, pnl) => sum + pnl, 0));
+
+    return {
+        grossProfit,
+        grossLoss,
+        // No losing trades leaves the profit factor undefined rather than infinite
+        profitFactor: grossLoss > 0 ? toRatio(grossProfit / grossLoss) : null,
+        averageWin: mean(wins),
+        averageLoss: mean(losses),
+        expectancy: mean(closedTrades.map(trade => trade.realizedPnl)),
+        exposurePercent: calculateExposure(trades || [], now, startTime)
+    };
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    calculateEquityAnalytics,
+    calculateTradeAnalytics,
+    calculateDrawdowns,
+    calculateReturns
+};
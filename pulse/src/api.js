@@ -1,8 +1,7 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const fetch = require('cross-fetch');
 const { PublicKey } = require('@solana/web3.js');
-const { readSettings } = require('./pulseServer');
+const { readSettings, getEndpoint } = require('./pulseServer');
 const { 
     getBaseToken, 
     getQuoteToken, 
@@ -27,10 +26,11 @@ const {
     styles,
     colours
 } = require('./utils');
+const { getSentimentProvider } = require('./sentimentProviders');
+const { getLocalFGIConfig, getLocalFearGreedIndex, recordPriceSample } = require('./localFGI');
 
 // Constants
 const BASE_PRICE_URL = "https://api.jup.ag/price/v2?ids=";
-const BASE_SWAP_URL = "https://quote-api.jup.ag/v6";
 const REFERRAL_PROGRAM_ID = new PublicKey("REFER4ZgmyYx9c6He5XfaTMiGfdLwRnkV4RPp9t9iF3");
 const DEFAULT_FGI_VALUE = 50;
 const MAX_PRICE_RETRIES = 5;
@@ -40,10 +40,12 @@ const DEFAULT_MAX_AUTO_SLIPPAGE_BPS = 500;
 let lastFGIValue = null;
 
 /**
- * Fetches the current Fear and Greed Index for a token using the SolSurfer API
+ * Fetches the current Fear and Greed Index for a token using the configured sentiment provider
+ * @param {Object} [options] - Reading options
+ * @param {boolean} [options.peek] - Read without moving a replayed dataset on to its next row, for readings outside a trading cycle
  * @returns {Promise<number>} The current FGI value (0-100)
  */
-async function fetchFearGreedIndex() {
+async function fetchFearGreedIndex(options = {}) {
     try {
         // Get timeframe from settings
         const { readSettings } = require('./pulseServer');
@@ -52,28 +54,13 @@ async function fetchFearGreedIndex() {
         // Use the configured timeframe or default to 15m
         const timeframe = settings.FGI_TIMEFRAME || "15m";
         
-        // Convert timeframe format for API URL (15m → 15min)
-        let apiTimeframe = timeframe;
-        if (timeframe === "15m") {
-            apiTimeframe = "15min";
-        }
-        
         // Get the base token from settings
         const targetToken = getBaseToken();
         
-        // Construct the API URL with token ID and timeframe
-        const apiUrl = `https://api.surfsolana.com/${targetToken.NAME}/${apiTimeframe}/latest.json`;
-        devLog(`${icons.info} Fetching FGI from: ${apiUrl}`);
-        
-        // Make API request
-        const response = await axios.get(apiUrl);
-        
-        // Validate response
-        if (!response.data || typeof response.data.fgi !== 'number') {
-            throw new Error('Invalid API response format');
-        }
-        
-        const fgiValue = response.data.fgi;
+        // Read from the provider configured for this token
+        const provider = getSentimentProvider(targetToken);
+        devLog(`${icons.info} Fetching FGI from ${provider.name} provider`);
+        const fgiValue = await provider.fetchFearGreedIndex(targetToken, timeframe, options);
         
         // Validate the FGI value
         if (isNaN(fgiValue) || fgiValue < 0 || fgiValue > 100) {
@@ -89,6 +76,17 @@ async function fetchFearGreedIndex() {
     } catch (error) {
         console.error(formatError(`${icons.error} Error fetching Fear and Greed Index: ${error.message}`));
         
+        // Prefer the locally computed index over a stale value when enabled
+        if (getLocalFGIConfig().FALLBACK) {
+            const timeframe = readSettings()?.FGI_TIMEFRAME || "15m";
+            const localFGI = getLocalFearGreedIndex(getBaseToken(), timeframe);
+            if (localFGI !== null) {
+                console.log(formatWarning(`${icons.warning} Using locally computed FGI value: ${localFGI}`));
+                lastFGIValue = localFGI;
+                return localFGI;
+            }
+        }
+        
         // If we have a last known value, use that
         if (lastFGIValue !== null) {
             devLog(formatInfo(`${icons.info} Using last known FGI value: ${lastFGIValue}`));
@@ -101,13 +99,27 @@ async function fetchFearGreedIndex() {
     }
 }
 
+/**
+ * Checks whether the FGI has moved enough since a previous reading to justify another trade
+ * @param {number} currentFGI - Current Fear and Greed Index value
+ * @param {number|null} previousFGI - FGI value at the previous trade, or null if there was none
+ * @param {number} minChange - Minimum absolute change required (0 disables the check)
+ * @returns {boolean} True if the change is significant
+ */
+function isFGIChangeSignificant(currentFGI, previousFGI, minChange) {
+    if (!minChange || minChange <= 0) return true;
+    if (typeof previousFGI !== 'number' || typeof currentFGI !== 'number') return true;
+    return Math.abs(currentFGI - previousFGI) >= minChange;
+}
+
 /**
  * Maps a numeric FGI value to a sentiment category
  * @param {number} data - The Fear and Greed Index value
+ * @param {Object} settings - Settings to read boundaries from (defaults to settings.json)
  * @returns {string} The sentiment category
  */
-function getSentiment(data) {
-    const { SENTIMENT_BOUNDARIES } = readSettings();
+function getSentiment(data, settings = readSettings()) {
+    const { SENTIMENT_BOUNDARIES } = settings;
     
     // Input validation
     if (typeof data !== 'number' || isNaN(data)) {
@@ -138,7 +150,7 @@ function getSentiment(data) {
 }
 
 /**
- * Fetches the current price of a token from the SurfSolana API
+ * Fetches the current price of a token using the configured sentiment provider
  * @param {string} baseUrl - Base URL for the price API (for backward compatibility, not used)
  * @param {string} tokenAddress - Token address (for backward compatibility, not used)
  * @param {number} maxRetries - Maximum number of retry attempts
@@ -159,24 +171,11 @@ async function fetchPrice(baseUrl = BASE_PRICE_URL, tokenAddress, maxRetries = M
             const settings = readSettings();
             const timeframe = settings.FGI_TIMEFRAME || "15m";
             
-            // Convert timeframe format for API URL (15m → 15min)
-            let apiTimeframe = timeframe;
-            if (timeframe === "15m") {
-                apiTimeframe = "15min";
-            }
-            
-            // Construct the API URL using the same pattern as fetchFearGreedIndex
-            const apiUrl = `https://api.surfsolana.com/${baseToken.NAME}/${apiTimeframe}/latest.json`;
-            devLog(`${icons.price} Fetching price from: ${apiUrl}`);
+            // Read from the provider configured for this token
+            const provider = getSentimentProvider(baseToken);
+            devLog(`${icons.price} Fetching price from ${provider.name} provider`);
             
-            const response = await axios.get(apiUrl);
-            
-            // Validate response structure
-            if (!response.data?.price || typeof response.data.price !== 'number') {
-                throw new Error('Invalid price data structure in API response');
-            }
-            
-            const price = parseFloat(response.data.price);
+            const price = parseFloat(await provider.fetchPrice(baseToken, timeframe));
             
             // Validate price value
             if (!price || isNaN(price)) {
@@ -186,6 +185,9 @@ async function fetchPrice(baseUrl = BASE_PRICE_URL, tokenAddress, maxRetries = M
             const formattedPrice = parseFloat(price.toFixed(2));
             devLog(`${icons.price} Current ${baseToken.NAME} Price: ${formatPrice(formattedPrice)}`);
             
+            // Record the price so the local FGI has history to work from
+            recordPriceSample(baseToken, timeframe, price);
+            
             return formattedPrice;
         } catch (error) {
             lastError = error;
@@ -201,6 +203,17 @@ async function fetchPrice(baseUrl = BASE_PRICE_URL, tokenAddress, maxRetries = M
     throw new Error(`Failed to fetch price for ${baseToken.NAME} after ${maxRetries} attempts: ${lastError?.message || 'Unknown error'}`);
 }
 
+/**
+ * Calculates the platform fee charged on opening swaps
+ * @param {Object} settings - Settings containing DEVELOPER_TIP_PERCENTAGE
+ * @returns {number} Platform fee in basis points
+ */
+function getPlatformFeeBps(settings) {
+    const developerTipPercentage = settings?.DEVELOPER_TIP_PERCENTAGE || 0;
+    const totalFeePercentage = 0.01 + developerTipPercentage; // Changed from 0.05 to 0.01
+    return Math.round(totalFeePercentage * 100);
+}
+
 /**
  * Gets a quote for swapping tokens
  * @param {string} inputMint - Input token mint address
@@ -212,9 +225,7 @@ async function getQuote(inputMint, outputMint, tradeAmountLamports) {
     const settings = readSettings();
     
     // Calculate fees
-    const developerTipPercentage = settings.DEVELOPER_TIP_PERCENTAGE || 0;
-    const totalFeePercentage = 0.01 + developerTipPercentage; // Changed from 0.05 to 0.01
-    const platformFeeBps = Math.round(totalFeePercentage * 100);
+    const platformFeeBps = getPlatformFeeBps(settings);
     
     // Get token info for logging
     const isBaseTokenInput = inputMint === getBaseToken().ADDRESS;
@@ -236,7 +247,7 @@ async function getQuote(inputMint, outputMint, tradeAmountLamports) {
         autoSlippage: 'true',
     });
 
-    const quoteUrl = `${BASE_SWAP_URL}/quote?${params.toString()}`;
+    const quoteUrl = `${getEndpoint('JUPITER_API_URL')}/quote?${params.toString()}`;
 
     try {
         const response = await fetch(quoteUrl);
@@ -261,13 +272,16 @@ async function getQuote(inputMint, outputMint, tradeAmountLamports) {
  * @param {PublicKey} mint - Token mint public key
  * @param {Object} quoteResponse - Quote response from getQuote
  * @param {Object} wallet - Wallet object
+ * @param {Object} options - Swap options
+ * @param {Object} [options.prioritizationFeeLamports] - Priority fee for Jupiter to add to the transaction
  * @returns {Promise<string|null>} Swap transaction or null on error
  */
 async function getFeeAccountAndSwapTransaction(
     referralAccountPubkey,
     mint,
     quoteResponse,
-    wallet
+    wallet,
+    { prioritizationFeeLamports } = {}
 ) {
     try {
         // Find fee account address
@@ -288,9 +302,12 @@ async function getFeeAccountAndSwapTransaction(
             feeAccount: feeAccount.toString(),
             dynamicComputeUnitLimit: true
         };
+        if (prioritizationFeeLamports) {
+            requestBody.prioritizationFeeLamports = prioritizationFeeLamports;
+        }
 
         // Get swap transaction
-        const response = await fetch(`${BASE_SWAP_URL}/swap`, {
+        const response = await fetch(`${getEndpoint('JUPITER_API_URL')}/swap`, {
             method: "POST",
             headers: {
                 "Content-Type": "application/json",
@@ -313,9 +330,10 @@ async function getFeeAccountAndSwapTransaction(
 module.exports = {
     fetchFearGreedIndex,
     getSentiment,
+    isFGIChangeSignificant,
     fetchPrice,
     getQuote,
+    getPlatformFeeBps,
     getFeeAccountAndSwapTransaction,
-    BASE_PRICE_URL,
-    BASE_SWAP_URL
+    BASE_PRICE_URL
 };
\ No newline at end of file
@@ -0,0 +1,751 @@
+/**
+ * PulseSurfer Backtesting Engine
+ * Replays the PulseSurfer strategy over historical FGI/price data without any RPC or Jupiter calls
+ */
+
+// Core dependencies
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const Position = require('./Position');
+const OrderBook = require('./orderBook');
+const { writeFileAtomic } = require('./storage');
+const { HistoryStore, MODES } = require('./historyStore');
+const {
+    calculateTradeAmount,
+    calculateProfitFeeBps,
+    minimumBalanceCheck
+} = require('./trading');
+const { getSentiment, getPlatformFeeBps } = require('./api');
+const { setWallet } = require('./globalState');
+const { createGateState, evaluateTradeGate, evaluateDrawdownGate, recordTradeInGate } = require('./tradeGate');
+const {
+    USER_DIR,
+    readSettings,
+    resetTradingPeriod,
+    devLog,
+    getBaseToken,
+    getQuoteToken,
+    parseTimestamp,
+    formatTime,
+    // Import styling utilities
+    formatHeading,
+    formatSuccess,
+    formatError,
+    formatWarning,
+    formatInfo,
+    formatPrice,
+    formatPercentage,
+    formatBalance,
+    formatTokenChange,
+    horizontalLine,
+    icons,
+    styles,
+    colours
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const BACKTESTS_DIR = path.join(USER_DIR, 'backtests');
+const DEFAULT_INITIAL_VALUE = 1000; // Quote value split evenly between tokens when no balances are given
+const DEFAULT_SLIPPAGE_BPS = 0;
+
+// Accepted column names, including the headers written by logTradingData
+const COLUMN_ALIASES = {
+    timestamp: ['time/date', 'timestamp', 'time', 'date'],
+    price: ['price'],
+    fgi: ['index value', 'fgi', 'fear_greed_index', 'feargreedindex']
+};
+
+// ===========================
+// Historical Data Loading
+// ===========================
+
+/**
+ * Finds the value of a column in a CSV row using the accepted aliases
+ * @param {Object} row - Parsed CSV row
+ * @param {string[]} aliases - Accepted column names
+ * @returns {string|undefined} Column value
+ */
+function getColumnValue(row, aliases) {
+    const key = Object.keys(row).find(column => aliases.includes(column.trim().toLowerCase()));
+    return key !== undefined ? row[key] : undefined;
+}
+
+/**
+ * Loads historical timestamp/price/FGI samples from a CSV file
+ * @param {string} filePath - Path to the CSV file
+ * @param {number} startYear - Year of the first row for timestamps without a year
+ * @returns {Array<Object>} Samples ordered as in the file: { time, price, fgi }
+ */
+function loadHistoricalData(filePath, startYear = new Date().getFullYear()) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Historical data file not found: ${filePath}`);
+    }
+
+    const { data, errors } = Papa.parse(fs.readFileSync(filePath, 'utf8'), {
+        header: true,
+        skipEmptyLines: true
+    });
+
+    if (errors.length > 0) {
+        devLog(`CSV parse warnings: ${errors.map(error => error.message).join(', ')}`);
+    }
+
+    const samples = [];
+    let year = startYear;
+    let skipped = 0;
+
+    for (const row of data) {
+        let time = parseTimestamp(getColumnValue(row, COLUMN_ALIASES.timestamp), year);
+        const price = parseFloat(getColumnValue(row, COLUMN_ALIASES.price));
+        const fgi = parseFloat(getColumnValue(row, COLUMN_ALIASES.fgi));
+
+        if (time === null || isNaN(price) || price <= 0 || isNaN(fgi)) {
+            skipped++;
+            continue;
+        }
+
+        // Year-less timestamps roll over into the next year when the month wraps (DEC → JAN)
+        const previous = samples[samples.length - 1];
+        if (previous && time < previous.time - 24 * 60 * 60 * 1000) {
+            const nextYearTime = parseTimestamp(getColumnValue(row, COLUMN_ALIASES.timestamp), year + 1);
+            if (nextYearTime > previous.time) {
+                year++;
+                time = nextYearTime;
+            }
+        }
+
+        samples.push({ time, price, fgi });
+    }
+
+    if (skipped > 0) {
+        console.log(formatWarning(`${icons.warning} Skipped ${skipped} invalid rows in ${path.basename(filePath)}`));
+    }
+
+    return samples;
+}
+
+/**
+ * Merges settings overrides over the current settings
+ * @param {Object} settings - Current settings
+ * @param {Object} overrides - Settings to override
+ * @returns {Object} Merged settings
+ */
+function mergeSettings(settings, overrides = {}) {
+    const merged = { ...settings, ...overrides };
+    ['SENTIMENT_BOUNDARIES', 'SENTIMENT_MULTIPLIERS', 'RISK_MANAGEMENT', 'TRADE_MATCHING'].forEach(key => {
+        if (settings[key] && overrides[key]) {
+            merged[key] = { ...settings[key], ...overrides[key] };
+        }
+    });
+    return merged;
+}
+
+// ===========================
+// Simulated Order Book
+// ===========================
+
+/**
+ * In-memory OrderBook that uses injected settings and the simulated clock
+ * Trade logic is inherited unchanged; only persistence and timestamps differ
+ */
+class BacktestOrderBook extends OrderBook {
+    /**
+     * Create a backtest order book
+     * @param {Object} settings - Settings used for profitability checks
+     */
+    constructor(settings) {
+        super();
+        this.backtestSettings = settings;
+        this.clock = null;
+    }
+
+    /**
+     * Backtests never write to disk
+     * @returns {string} Placeholder storage path
+     */
+    getOrderBookStoragePath() {
+        return ':memory:';
+    }
+
+    /**
+     * Returns the injected backtest settings
+     * @returns {Object} Settings with MIN_PROFIT_PERCENT guaranteed
+     */
+    readSettings() {
+        const settings = this.backtestSettings || {};
+        return {
+            ...settings,
+            MIN_PROFIT_PERCENT: typeof settings.MIN_PROFIT_PERCENT === 'number' ? settings.MIN_PROFIT_PERCENT : 0.2
+        };
+    }
+
+    /**
+     * Starts every backtest with an empty order book
+     */
+    loadTrades() {
+        this.trades = [];
+    }
+
+    /**
+     * Persistence is skipped during backtests
+     * @returns {boolean} Success status
+     */
+    saveTrades() {
+        return true;
+    }
+
+    /**
+     * Sets the simulated time used to stamp trades
+     * @param {number} time - Simulated time in milliseconds
+     */
+    setClock(time) {
+        this.clock = new Date(time).toISOString();
+    }
+
+    /**
+     * Stamps new and closed trades with the simulated time
+     * @returns {string} Timestamp
+     */
+    getCurrentTimestamp() {
+        return this.clock || super.getCurrentTimestamp();
+    }
+
+    /**
+     * Adds a trade opened at the simulated time
+     * @param {number} price - Trade price
+     * @param {number} baseTokenChange - Base token amount change
+     * @param {number} quoteTokenChange - Quote token amount change
+     * @param {string} txId - Simulated transaction ID
+     * @returns {Object} Added trade object
+     */
+    addTrade(price, baseTokenChange, quoteTokenChange, txId) {
+        const trade = super.addTrade(price, baseTokenChange, quoteTokenChange, txId);
+        if (trade && this.clock) {
+            trade.openedAt = Date.parse(this.clock);
+        }
+        return trade;
+    }
+}
+
+// ===========================
+// Simulated Swap Execution
+// ===========================
+
+/**
+ * Gets the opposing trades that would be closed for a sentiment
+ * @param {BacktestOrderBook} orderBook - Order book
+ * @param {string} sentiment - Current market sentiment
+ * @param {number} currentPrice - Current token price
+ * @returns {Array<Object>} Trades to close, in matching policy order
+ */
+function findOpposingTrades(orderBook, sentiment, currentPrice) {
+    const isFearSentiment = ["FEAR", "EXTREME_FEAR"].includes(sentiment);
+    const isGreedSentiment = ["GREED", "EXTREME_GREED"].includes(sentiment);
+
+    if (!isFearSentiment && !isGreedSentiment) {
+        return [];
+    }
+
+    return orderBook.findMatchingTrades(isFearSentiment ? "sell" : "buy", currentPrice);
+}
+
+/**
+ * Simulates closing a trade with an exact-out swap, as executeTradeClose does live
+ * @param {BacktestOrderBook} orderBook - Order book the trade belongs to
+ * @param {Object} wallet - Simulated wallet
+ * @param {Object} trade - Trade being closed
+ * @param {number} currentPrice - Current token price
+ * @param {number} slippageBps - Simulated slippage in basis points
+ * @returns {Object|null} Swap result, with closedBaseAmount set for partial closes, or null if the wallet cannot cover it
+ */
+function simulateClosingSwap(orderBook, wallet, trade, currentPrice, slippageBps) {
+    const baseToken = getBaseToken();
+    const quoteToken = getQuoteToken();
+    const isClosingBuy = trade.direction === 'sell';
+    const inputBalance = isClosingBuy ? wallet.quoteBalance : wallet.baseBalance;
+
+    const closeFraction = orderBook.getCloseFraction(trade, currentPrice, inputBalance);
+    if (closeFraction === 0) {
+        return null;
+    }
+    const closingTrade = closeFraction < 1 ? {
+        ...trade,
+        baseTokenAmount: trade.baseTokenAmount * closeFraction,
+        quoteTokenValue: trade.quoteTokenValue * closeFraction
+    } : trade;
+
+    // Exact-out amount floored to token decimals, matching the live swap
+    const outputToken = isClosingBuy ? baseToken : quoteToken;
+    const exactOutUnits = Math.floor(orderBook.getCloseAmount(closingTrade, currentPrice) * Math.pow(10, outputToken.DECIMALS));
+    const outputAmount = exactOutUnits / Math.pow(10, outputToken.DECIMALS);
+
+    if (outputAmount <= 0) {
+        return null;
+    }
+
+    // 1 bps fixed fee plus the profit-based fee, paid on top of the input amount
+    const profitFeeBps = calculateProfitFeeBps(closingTrade, currentPrice, outputAmount, isClosingBuy);
+    const totalFeeBps = 1 + profitFeeBps;
+    const costMultiplier = 1 + (totalFeeBps + slippageBps) / 10000;
+    const inputAmount = isClosingBuy ?
+        outputAmount * currentPrice * costMultiplier :
+        (outputAmount / currentPrice) * costMultiplier;
+
+    if (inputAmount > inputBalance) {
+        devLog(`Closing swap skipped - insufficient ${isClosingBuy ? quoteToken.NAME : baseToken.NAME} balance`);
+        return null;
+    }
+
+    const baseTokenChange = isClosingBuy ? outputAmount : -inputAmount;
+    const quoteTokenChange = isClosingBuy ? -inputAmount : outputAmount;
+
+    return {
+        price: Math.abs(quoteTokenChange / baseTokenChange),
+        baseTokenChange,
+        quoteTokenChange,
+        appliedFeeBps: totalFeeBps,
+        closedBaseAmount: closeFraction < 1 ? closingTrade.baseTokenAmount : null
+    };
+}
+
+/**
+ * Simulates opening a trade, as executeOpeningTrade and executeSwap do live
+ * @param {Object} wallet - Simulated wallet
+ * @param {string} sentiment - Current market sentiment
+ * @param {number} currentPrice - Current token price
+ * @param {Object} settings - Backtest settings
+ * @param {number} now - Simulated time in milliseconds
+ * @param {number} slippageBps - Simulated slippage in basis points
+ * @returns {Promise<Object|null>} Swap result or null if no trade was placed
+ */
+async function simulateOpeningSwap(wallet, sentiment, currentPrice, settings, now, slippageBps) {
+    const baseToken = getBaseToken();
+    const quoteToken = getQuoteToken();
+    const isBuying = ["EXTREME_FEAR", "FEAR"].includes(sentiment);
+    const balance = isBuying ? wallet.quoteBalance : wallet.baseBalance;
+    const inputToken = isBuying ? quoteToken : baseToken;
+
+    const rawTradeAmount = calculateTradeAmount(balance, sentiment, inputToken, settings, now);
+    const tradeAmount = rawTradeAmount / Math.pow(10, inputToken.DECIMALS);
+
+    if (!await minimumBalanceCheck(balance, tradeAmount, !isBuying, currentPrice)) {
+        return null;
+    }
+
+    if (!rawTradeAmount || rawTradeAmount <= 0) {
+        devLog('Invalid trade amount calculated');
+        return null;
+    }
+
+    // Platform fee and slippage reduce the output amount
+    const outputMultiplier = 1 - (getPlatformFeeBps(settings) + slippageBps) / 10000;
+    const outputAmount = isBuying ?
+        (tradeAmount / currentPrice) * outputMultiplier :
+        tradeAmount * currentPrice * outputMultiplier;
+
+    const baseTokenChange = isBuying ? outputAmount : -tradeAmount;
+    const quoteTokenChange = isBuying ? -tradeAmount : outputAmount;
+
+    return {
+        price: Math.abs(quoteTokenChange / baseTokenChange),
+        baseTokenChange,
+        quoteTokenChange
+    };
+}
+
+/**
+ * Records a simulated swap as a fill in the history store
+ * @param {HistoryStore|null} historyStore - Store the run is recorded in
+ * @param {Object} swapResult - Simulated swap result
+ * @param {number} time - Simulated time in milliseconds
+ * @param {string} swapMode - ExactIn for opening swaps, ExactOut for closing swaps
+ */
+function recordSimulatedFill(historyStore, swapResult, time, swapMode) {
+    if (!historyStore) return;
+
+    const baseToken = getBaseToken();
+    const quoteToken = getQuoteToken();
+    const isBuy = swapResult.baseTokenChange > 0;
+
+    historyStore.recordFill({
+        time,
+        mode: MODES.BACKTEST,
+        inputToken: isBuy ? quoteToken.NAME : baseToken.NAME,
+        outputToken: isBuy ? baseToken.NAME : quoteToken.NAME,
+        inputAmount: Math.abs(isBuy ? swapResult.quoteTokenChange : swapResult.baseTokenChange),
+        outputAmount: Math.abs(isBuy ? swapResult.baseTokenChange : swapResult.quoteTokenChange),
+        status: 'Backtest',
+        swapMode,
+        feeBps: swapResult.appliedFeeBps
+    });
+}
+
+// ===========================
+// Backtest Execution
+// ===========================
+
+/**
+ * Runs a backtest over historical data
+ * @param {Object} options - Backtest options
+ * @param {string} options.dataFile - CSV file with timestamp, price and FGI columns
+ * @param {Object} [options.settingsOverrides] - Settings to apply over settings.json
+ * @param {number} [options.initialBase] - Starting base token balance
+ * @param {number} [options.initialQuote] - Starting quote token balance
+ * @param {number} [options.slippageBps] - Simulated slippage applied to every fill
+ * @param {number} [options.startYear] - Year of the first row for timestamps without a year
+ * @param {HistoryStore} [options.historyStore] - Store to record every cycle, fill, balance snapshot and trade into
+ * @returns {Promise<Object>} Backtest results including enhanced and order book statistics
+ */
+async function runBacktest(options) {
+    const {
+        dataFile,
+        settingsOverrides = {},
+        slippageBps = DEFAULT_SLIPPAGE_BPS,
+        startYear,
+        historyStore = null
+    } = options;
+
+    const samples = loadHistoricalData(dataFile, startYear);
+    if (samples.length === 0) {
+        throw new Error('No valid samples found in historical data');
+    }
+
+    const settings = mergeSettings(readSettings(), settingsOverrides);
+    const baseToken = getBaseToken();
+    const quoteToken = getQuoteToken();
+    const firstSample = samples[0];
+
+    // Default to an even split of the initial value between both tokens
+    const initialBase = typeof options.initialBase === 'number' ?
+        options.initialBase : (DEFAULT_INITIAL_VALUE / 2) / firstSample.price;
+    const initialQuote = typeof options.initialQuote === 'number' ?
+        options.initialQuote : DEFAULT_INITIAL_VALUE / 2;
+
+    // Simulated wallet, also used by STRATEGIC sizing through globalState
+    const wallet = { baseBalance: initialBase, quoteBalance: initialQuote };
+    setWallet(wallet);
+    resetTradingPeriod();
+
+    const position = new Position(initialBase, initialQuote, firstSample.price);
+    position.startTime = firstSample.time;
+    const orderBook = new BacktestOrderBook(settings);
+    // Cooldown and minimum sentiment change are tracked in memory, against simulated time
+    const gateState = createGateState();
+    const cycles = [];
+    let failedCloses = 0;
+    let skippedOpens = 0;
+    let automaticExits = 0;
+
+    console.log(formatHeading(`=== BACKTESTING ${baseToken.NAME}/${quoteToken.NAME} ===`));
+    console.log(formatInfo(`${icons.chart} Replaying ${samples.length} samples from ${new Date(firstSample.time).toISOString()} to ${new Date(samples[samples.length - 1].time).toISOString()}`));
+
+    for (const [index, sample] of samples.entries()) {
+        const { time, price: currentPrice, fgi: fearGreedIndex } = sample;
+
+        position.incrementCycle();
+        orderBook.setClock(time);
+
+        const sentiment = getSentiment(fearGreedIndex, settings);
+
+        position.updateBalances(wallet.baseBalance, wallet.quoteBalance);
+        orderBook.updateTradeUPNL(currentPrice);
+        orderBook.updateTrailingProfits(currentPrice, sentiment);
+        const decisions = [];
+
+        // Stop-loss, expiry and trailing take-profit exits run before the sentiment logic, as they do live
+        const riskExits = orderBook.findRiskExits(currentPrice, time);
+        const trailingExits = orderBook.findTrailingExits(currentPrice, sentiment)
+            .filter(exit => !riskExits.some(riskExit => riskExit.trade.id === exit.trade.id));
+
+        for (const { trade, reason } of [...riskExits, ...trailingExits]) {
+            const swapResult = simulateClosingSwap(orderBook, wallet, trade, currentPrice, slippageBps);
+            if (!swapResult) {
+                failedCloses++;
+                continue;
+            }
+
+            orderBook.closeTrade(trade.id, swapResult.price, reason, swapResult.closedBaseAmount);
+            const loggedTrade = position.logTrade(sentiment, swapResult.price, swapResult.baseTokenChange, swapResult.quoteTokenChange);
+            if (loggedTrade) {
+                loggedTrade.timestamp = new Date(time);
+            }
+
+            wallet.baseBalance += swapResult.baseTokenChange;
+            wallet.quoteBalance += swapResult.quoteTokenChange;
+            recordSimulatedFill(historyStore, swapResult, time, 'ExactOut');
+            automaticExits++;
+            decisions.push('exit');
+        }
+        position.updateBalances(wallet.baseBalance, wallet.quoteBalance);
+
+        if (sentiment !== "NEUTRAL") {
+            // Close and open operations both see the balances from the start of the cycle
+            const results = [];
+            // Successive closes within the cycle spend from the same balance
+            const closingWallet = { ...wallet };
+
+            for (const tradeToClose of findOpposingTrades(orderBook, sentiment, currentPrice)) {
+                const swapResult = simulateClosingSwap(orderBook, closingWallet, tradeToClose, currentPrice, slippageBps);
+                if (!swapResult) {
+                    failedCloses++;
+                    continue;
+                }
+                closingWallet.baseBalance += swapResult.baseTokenChange;
+                closingWallet.quoteBalance += swapResult.quoteTokenChange;
+                results.push({ type: 'close', result: { swapResult, closedTradeId: tradeToClose.id } });
+            }
+
+            const direction = ["EXTREME_FEAR", "FEAR"].includes(sentiment) ? 'buy' : 'sell';
+            const skipResult = evaluateDrawdownGate(position.getDrawdown(currentPrice), settings) ||
+                evaluateTradeGate(gateState, direction, fearGreedIndex, settings, time);
+            const openingResult = skipResult ?
+                null : await simulateOpeningSwap(wallet, sentiment, currentPrice, settings, time, slippageBps);
+
+            if (skipResult) {
+                skippedOpens++;
+                decisions.push('skip');
+            } else if (openingResult) {
+                recordTradeInGate(gateState, direction, fearGreedIndex, time);
+            }
+            results.push({ type: 'open', result: openingResult });
+
+            for (const { type, result } of results) {
+                if (!result) continue;
+
+                const swapResult = type === 'close' ? result.swapResult : result;
+
+                if (type === 'close') {
+                    orderBook.closeTrade(result.closedTradeId, swapResult.price, OrderBook.CLOSE_REASONS.PROFIT, swapResult.closedBaseAmount);
+                } else {
+                    orderBook.addTrade(
+                        swapResult.price,
+                        swapResult.baseTokenChange,
+                        swapResult.quoteTokenChange,
+                        `backtest-${index}-${type}`
+                    );
+                }
+
+                const loggedTrade = position.logTrade(sentiment, swapResult.price, swapResult.baseTokenChange, swapResult.quoteTokenChange);
+                if (loggedTrade) {
+                    loggedTrade.timestamp = new Date(time);
+                }
+
+                wallet.baseBalance += swapResult.baseTokenChange;
+                wallet.quoteBalance += swapResult.quoteTokenChange;
+                recordSimulatedFill(historyStore, swapResult, time, type === 'close' ? 'ExactOut' : 'ExactIn');
+                decisions.push(type);
+            }
+
+            position.updateBalances(wallet.baseBalance, wallet.quoteBalance);
+        }
+
+        cycles.push({
+            timestamp: new Date(time).toISOString(),
+            price: currentPrice,
+            fearGreedIndex,
+            sentiment,
+            baseBalance: wallet.baseBalance,
+            quoteBalance: wallet.quoteBalance,
+            portfolioValue: position.getCurrentValue(currentPrice)
+        });
+
+        if (historyStore) {
+            const tradeStats = orderBook.getTradeStatistics();
+            const cycleId = historyStore.recordCycle({
+                time,
+                timeframe: settings.FGI_TIMEFRAME || "15m",
+                mode: MODES.BACKTEST,
+                fearGreedIndex,
+                price: currentPrice,
+                sentiment,
+                decision: [...new Set(decisions)].join('+') || 'hold'
+            });
+            historyStore.recordBalanceSnapshot({
+                time,
+                timeframe: settings.FGI_TIMEFRAME || "15m",
+                mode: MODES.BACKTEST,
+                cycleId,
+                baseBalance: wallet.baseBalance,
+                quoteBalance: wallet.quoteBalance,
+                price: currentPrice,
+                portfolioValue: position.getCurrentValue(currentPrice),
+                realizedPnl: tradeStats.totalRealizedPnl,
+                unrealizedPnl: tradeStats.totalUnrealizedPnl
+            });
+        }
+    }
+
+    const lastSample = samples[samples.length - 1];
+    orderBook.updateTradeUPNL(lastSample.price);
+    if (historyStore) {
+        historyStore.syncTrades(orderBook.trades, { timeframe: settings.FGI_TIMEFRAME || "15m" });
+    }
+
+    return {
+        dataFile: path.resolve(dataFile),
+        settings,
+        slippageBps,
+        failedCloses,
+        skippedOpens,
+        automaticExits,
+        enhancedStats: position.getEnhancedStatistics(lastSample.price, lastSample.time, cycles.map(cycle => ({
+            time: Date.parse(cycle.timestamp),
+            price: cycle.price,
+            portfolioValue: cycle.portfolioValue
+        }))),
+        tradeStats: orderBook.getTradeStatistics(lastSample.time),
+        trades: orderBook.trades,
+        cycles
+    };
+}
+
+// ===========================
+// Reporting
+// ===========================
+
+/**
+ * Displays backtest results in the same layout as the live statistics
+ * @param {Object} results - Results from runBacktest
+ */
+function displayBacktestResults(results) {
+    const { enhancedStats: stats, tradeStats } = results;
+    const baseToken = getBaseToken();
+    const quoteToken = getQuoteToken();
+
+    console.log(horizontalLine());
+    console.log(formatHeading("=== BACKTEST STATISTICS ==="));
+    console.log(`${icons.time} Simulated Runtime: ${styles.info}${stats.totalRuntime}${colours.reset} hours | Cycles: ${styles.info}${stats.totalCycles}${colours.reset}`);
+    console.log(
+        `${icons.chart} Portfolio: ${formatPrice(stats.portfolioValue.initial)} → ${formatPrice(stats.portfolioValue.current)} ` +
+        `(${formatTokenChange(parseFloat(stats.portfolioValue.change), '$')}) (${formatPercentage(parseFloat(stats.portfolioValue.percentageChange))})`
+    );
+    console.log(
+        `${icons.price} ${baseToken.NAME} Price: ${formatPrice(stats.tokenPrice.initial)} → ${formatPrice(stats.tokenPrice.current)} ` +
+        `(${formatPercentage(parseFloat(stats.tokenPrice.percentageChange))})`
+    );
+    console.log(`${icons.profit} Net Change: ${formatTokenChange(parseFloat(stats.netChange), '$')}`);
+    console.log(`${icons.balance} Final Balances: ${formatBalance(parseFloat(stats.balances.baseToken.current), baseToken.NAME)} | ${formatBalance(parseFloat(stats.balances.quoteToken.current), quoteToken.NAME)}`);
+    console.log(`${icons.trade} Trades: ${styles.info}${stats.tradesCount}${colours.reset} (${stats.buysCount} buys / ${stats.sellsCount} sells) | Volume: ${formatPrice(stats.totalVolume.usd)}`);
+
+    const { analytics } = stats;
+    const formatRatio = ratio => ratio === null ? `${styles.detail}N/A${colours.reset}` : `${styles.info}${ratio.toFixed(2)}${colours.reset}`;
+    console.log(`${icons.stats} Sharpe: ${formatRatio(analytics.sharpeRatio)} | Sortino: ${formatRatio(analytics.sortinoRatio)} | Annual Volatility: ${styles.info}${(analytics.annualisedVolatilityPercent || 0).toFixed(2)}%${colours.reset}`);
+    console.log(`${icons.chart} Max Drawdown: ${formatPercentage(-analytics.maxDrawdownPercent)} lasting ${formatTime(analytics.maxDrawdownDurationMs)} | Alpha vs Hold: ${formatPercentage(analytics.alphaPercent || 0)}`);
+
+    console.log(formatHeading("=== ORDER BOOK STATISTICS ==="));
+    console.log(`${icons.stats} Total: ${tradeStats.totalTrades} | Open: ${tradeStats.openTrades} | Closed: ${tradeStats.closedTrades} | Win Rate: ${formatPercentage(tradeStats.winRate)}`);
+    console.log(`${icons.profit} Realized PnL: ${formatTokenChange(tradeStats.totalRealizedPnl, '$')} | Unrealized PnL: ${formatTokenChange(tradeStats.totalUnrealizedPnl, '$')}`);
+    console.log(`${icons.stats} Avg Trade Size: ${formatPrice(tradeStats.avgTradeSize)} | Avg Profit per Win: ${formatPrice(tradeStats.avgProfitPerWinningTrade)}`);
+    console.log(
+        `${icons.stats} Profit Factor: ${formatRatio(tradeStats.profitFactor)} | Avg Win: ${formatPrice(tradeStats.averageWin)} | ` +
+        `Avg Loss: ${formatPrice(tradeStats.averageLoss)} | Expectancy: ${formatTokenChange(tradeStats.expectancy, '$')} | Exposure: ${formatPercentage(tradeStats.exposurePercent)}`
+    );
+
+    if (results.skippedOpens > 0) {
+        console.log(formatInfo(`${icons.info} ${results.skippedOpens} opening trades skipped by TRADE_COOLDOWN_MINUTES / MIN_SENTIMENT_CHANGE / MAX_DRAWDOWN_PERCENT`));
+    }
+    if (results.automaticExits > 0) {
+        console.log(formatInfo(`${icons.info} ${results.automaticExits} trades closed by STOP_LOSS_PERCENT / TRADE_EXPIRY_HOURS / TRAILING_TAKE_PROFIT_PERCENT`));
+    }
+    if (results.failedCloses > 0) {
+        console.log(formatWarning(`${icons.warning} ${results.failedCloses} closing swaps could not be covered by the simulated balance`));
+    }
+}
+
+/**
+ * Saves backtest results to user/backtests
+ * @param {Object} results - Results from runBacktest
+ * @returns {string|null} Path of the saved report or null on failure
+ */
+function saveBacktestResults(results) {
+    try {
+        const baseToken = getBaseToken();
+        const quoteToken = getQuoteToken();
+        const timeframe = results.settings.FGI_TIMEFRAME || "15m";
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const reportPath = path.join(
+            BACKTESTS_DIR,
+            `${baseToken.NAME.toLowerCase()}_${quoteToken.NAME.toLowerCase()}_${timeframe}_backtest_${stamp}.json`
+        );
+
+        writeFileAtomic(reportPath, JSON.stringify(results, null, 2));
+        return reportPath;
+    } catch (error) {
+        console.error(formatError(`${icons.error} Error saving backtest results: ${error.message}`));
+        return null;
+    }
+}
+
+// ===========================
+// Command Line Interface
+// ===========================
+
+/**
+ * Parses backtest command line arguments
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Backtest options
+ */
+function parseArguments(args) {
+    const getArg = name => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const getNumberArg = name => {
+        const value = getArg(name);
+        return value !== undefined ? parseFloat(value) : undefined;
+    };
+
+    const settingsFile = getArg('settings');
+    const settingsOverrides = settingsFile ? JSON.parse(fs.readFileSync(settingsFile, 'utf8')) : {};
+    const historyFile = getArg('history');
+
+    return {
+        dataFile: getArg('data') || args.find(a => !a.startsWith('--')),
+        settingsOverrides,
+        initialBase: getNumberArg('base'),
+        initialQuote: getNumberArg('quote'),
+        slippageBps: getNumberArg('slippage') ?? DEFAULT_SLIPPAGE_BPS,
+        startYear: getNumberArg('year'),
+        historyStore: historyFile ? new HistoryStore(path.resolve(historyFile)) : null
+    };
+}
+
+if (require.main === module) {
+    (async function () {
+        try {
+            const options = parseArguments(process.argv.slice(2));
+            if (!options.dataFile) {
+                console.log(formatInfo(`${icons.info} Usage: npm run backtest -- <data.csv> [--settings=overrides.json] [--base=<amount>] [--quote=<amount>] [--slippage=<bps>] [--year=<yyyy>] [--history=<run.db>]`));
+                process.exit(1);
+            }
+
+            const results = await runBacktest(options);
+            displayBacktestResults(results);
+
+            const reportPath = saveBacktestResults(results);
+            if (reportPath) {
+                console.log(formatSuccess(`${icons.success} Backtest report saved to ${reportPath}`));
+            }
+            if (options.historyStore) {
+                options.historyStore.close();
+                console.log(formatSuccess(`${icons.success} Backtest history recorded to ${options.historyStore.dbPath}`));
+            }
+            process.exit(0);
+        } catch (error) {
+            console.error(formatError(`${icons.error} Backtest failed: ${error.message}`));
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = {
+    runBacktest,
+    loadHistoricalData,
+    displayBacktestResults,
+    saveBacktestResults,
+    BacktestOrderBook
+};
@@ -0,0 +1,368 @@
+/**
+ * PulseSurfer Fee Estimator
+ * Prices the priority fee and Jito tip of each swap from recent network conditions,
+ * and keeps execution costs within the daily and monthly fee budgets
+ *
+ * Urgency (0-1) is half sentiment strength and half trade size, and picks a percentile between
+ * MIN_FEE_PERCENTILE and MAX_FEE_PERCENTILE of the recent prioritization fees on the swap's pools and of Jito's landed tips.
+ * Fees spent are kept per day in user/savestates/feeBudget.json, shared by every pair since they come out of the same wallet.
+ */
+
+// Core dependencies
+const path = require('path');
+const fetch = require('cross-fetch');
+const { PublicKey } = require('@solana/web3.js');
+const { readJSON, writeJSON } = require('./storage');
+const { getSubmissionConfig } = require('./submission');
+const {
+    USER_DIR,
+    LAMPORTS_PER_SOL,
+    DEFAULT_TIP,
+    devLog,
+    // Import styling utilities
+    formatWarning,
+    icons
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const FEE_LEDGER_PATH = path.join(USER_DIR, 'savestates', 'feeBudget.json');
+const BASE_FEE_LAMPORTS = 5000; // Per signature
+const MIN_JITO_TIP_LAMPORTS = 1000;
+const ESTIMATED_COMPUTE_UNITS = 300000; // Typical Jupiter swap, used to turn a compute unit price into a fee
+const DEFAULT_COMPUTE_UNIT_PRICE = 100000; // Micro-lamports, used when recent fees can't be fetched
+const LEDGER_RETENTION_DAYS = 400;
+const HTTP_TIMEOUT = 10000; // 10 seconds
+
+// Landed tip percentiles published by the Jito tip floor endpoint
+const TIP_FLOOR_FIELDS = {
+    25: 'landed_tips_25th_percentile',
+    50: 'landed_tips_50th_percentile',
+    75: 'landed_tips_75th_percentile',
+    95: 'landed_tips_95th_percentile',
+    99: 'landed_tips_99th_percentile'
+};
+
+// How much each sentiment adds to urgency; closes without a sentiment sit in the middle
+const SENTIMENT_URGENCY = {
+    EXTREME_FEAR: 1,
+    EXTREME_GREED: 1,
+    FEAR: 0.5,
+    GREED: 0.5,
+    NEUTRAL: 0
+};
+const DEFAULT_SENTIMENT_URGENCY = 0.5;
+
+// Fee ledger, loaded on first use
+let feeLedger = null;
+
+// ===========================
+// Helpers
+// ===========================
+
+/**
+ * Gets the value at a percentile of a list of numbers, interpolating between neighbours
+ * @param {Array<number>} values - Values
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number|null} Value, or null for an empty list
+ */
+function percentileOf(values, percentile) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (Math.min(Math.max(percentile, 0), 100) / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Reads a percentile from known percentile points, interpolating between them
+ * @param {Object} points - Values keyed by percentile, e.g. { 25: 0.00001, 50: 0.00002 }
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number|null} Value, or null if there are no points
+ */
+function interpolatePercentile(points, percentile) {
+    const known = Object.keys(points).map(Number).filter(key => typeof points[key] === 'number').sort((a, b) => a - b);
+    if (known.length === 0) return null;
+    if (percentile <= known[0]) return points[known[0]];
+    if (percentile >= known[known.length - 1]) return points[known[known.length - 1]];
+
+    const upper = known.find(key => key >= percentile);
+    const lower = known[known.indexOf(upper) - 1];
+    return points[lower] + (points[upper] - points[lower]) * ((percentile - lower) / (upper - lower));
+}
+
+/**
+ * Gets the ledger key of a day in local time
+ * @param {number} time - Time in milliseconds
+ * @returns {string} Day key, e.g. "2025-03-09"
+ */
+function getDayKey(time) {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// ===========================
+// Fee Budget
+// ===========================
+
+/**
+ * Loads the fee ledger
+ * @returns {Object} Ledger { days: { "YYYY-MM-DD": feesSol } }
+ */
+function loadFeeLedger() {
+    if (!feeLedger) {
+        const saved = readJSON(FEE_LEDGER_PATH);
+        feeLedger = { days: { ...(saved?.days || {}) } };
+    }
+    return feeLedger;
+}
+
+/**
+ * Records fees spent on a landed swap against the budgets
+ * @param {number} feeSol - Network fee and tip in SOL
+ * @param {number} now - Time of the swap in milliseconds
+ * @returns {boolean} Success status
+ */
+function recordFeeSpend(feeSol, now = Date.now()) {
+    if (!(feeSol > 0)) return true;
+
+    const ledger = loadFeeLedger();
+    const day = getDayKey(now);
+    ledger.days[day] = (ledger.days[day] || 0) + feeSol;
+
+    // Keep a little over a year so the ledger stays small
+    const oldest = getDayKey(now - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    Object.keys(ledger.days).forEach(key => {
+        if (key < oldest) delete ledger.days[key];
+    });
+
+    return writeJSON(FEE_LEDGER_PATH, { ...ledger, lastUpdated: new Date(now).toISOString() });
+}
+
+/**
+ * Gets fees spent today and this month, and what is left of the budgets
+ * @param {Object} config - Submission configuration with DAILY_FEE_BUDGET_SOL and MONTHLY_FEE_BUDGET_SOL (0 for no budget)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { dailySpentSol, monthlySpentSol, remainingSol } (remainingSol is Infinity without budgets)
+ */
+function getFeeBudget(config = getSubmissionConfig(), now = Date.now()) {
+    const { days } = loadFeeLedger();
+    const today = getDayKey(now);
+    const month = today.slice(0, 7);
+
+    const dailySpentSol = days[today] || 0;
+    const monthlySpentSol = Object.keys(days)
+        .filter(key => key.startsWith(month))
+        .reduce((sum, key) => sum + days[key], 0);
+
+    const remaining = [
+        [config.DAILY_FEE_BUDGET_SOL, dailySpentSol],
+        [config.MONTHLY_FEE_BUDGET_SOL, monthlySpentSol]
+    ]
+        .filter(([budget]) => budget > 0)
+        .map(([budget, spent]) => Math.max(budget - spent, 0));
+
+    return {
+        dailySpentSol,
+        monthlySpentSol,
+        remainingSol: remaining.length > 0 ? Math.min(...remaining) : Infinity
+    };
+}
+
+// ===========================
+// Market Fees
+// ===========================
+
+/**
+ * Calculates how urgently a swap should land
+ * @param {Object} trade - Trade details
+ * @param {number} trade.tradeValue - Trade value in the quote token
+ * @param {string} [trade.sentiment] - Market sentiment behind the trade
+ * @param {Object} config - Submission configuration with URGENT_TRADE_VALUE
+ * @returns {number} Urgency from 0 to 1
+ */
+function calculateUrgency({ tradeValue, sentiment }, config) {
+    const sentimentUrgency = SENTIMENT_URGENCY[sentiment] ?? DEFAULT_SENTIMENT_URGENCY;
+    const sizeUrgency = config.URGENT_TRADE_VALUE > 0 ?
+        Math.min(Math.max(tradeValue || 0, 0) / config.URGENT_TRADE_VALUE, 1) : 1;
+    return (sentimentUrgency + sizeUrgency) / 2;
+}
+
+/**
+ * Fetches recent prioritization fees paid by transactions that wrote to the given accounts
+ * @param {Object} connection - RPC connection
+ * @param {Array<string>} accounts - Writable accounts the swap will lock, such as its pools
+ * @returns {Promise<Array<number>|null>} Compute unit prices in micro-lamports, or null if unavailable
+ */
+async function fetchRecentPriorityFees(connection, accounts = []) {
+    try {
+        const lockedWritableAccounts = accounts.slice(0, 128).map(account => new PublicKey(account));
+        const fees = await connection.getRecentPrioritizationFees({ lockedWritableAccounts });
+        return fees.map(fee => fee.prioritizationFee);
+    } catch (error) {
+        devLog(`Could not fetch recent prioritization fees: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Fetches Jito's landed tip percentiles
+ * @param {string} url - Tip floor endpoint
+ * @returns {Promise<Object|null>} Tips in SOL keyed by percentile, or null if unavailable
+ */
+async function fetchTipFloor(url) {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), HTTP_TIMEOUT);
+        const response = await fetch(url, { signal: controller.signal });
+        clearTimeout(timeoutId);
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data) || !data[0]) {
+            throw new Error('Invalid tip floor data structure');
+        }
+
+        const points = {};
+        Object.entries(TIP_FLOOR_FIELDS).forEach(([percentile, field]) => {
+            if (typeof data[0][field] === 'number') points[percentile] = data[0][field];
+        });
+        devLog('Current Jito tip floor:', points);
+        return Object.keys(points).length > 0 ? points : null;
+    } catch (error) {
+        devLog(`Could not fetch Jito tip floor: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Gets the pool accounts a quote routes through, which the swap will write-lock
+ * @param {Object} quote - Jupiter quote
+ * @returns {Array<string>} Pool addresses
+ */
+function getRouteAccounts(quote) {
+    return (quote?.routePlan || []).map(step => step.swapInfo?.ammKey).filter(Boolean);
+}
+
+// ===========================
+// Estimation
+// ===========================
+
+/**
+ * Estimates the priority fee and Jito tip for a swap
+ * Both are capped by MAX_PRIORITY_FEE_LAMPORTS and MAX_JITO_TIP_SOL, and scaled down to fit what is left of the budgets.
+ * Once the budgets are spent the swap goes out with no priority fee and the minimum tip, and exhausted is set
+ * so opening trades can be skipped.
+ * @param {Object} connection - RPC connection
+ * @param {Object} trade - Trade details
+ * @param {Object} trade.quote - Jupiter quote for the swap
+ * @param {number} trade.tradeValue - Trade value in the quote token
+ * @param {string} [trade.sentiment] - Market sentiment behind the trade
+ * @param {boolean} trade.usesPriorityFee - Whether the submission strategy sends through RPC
+ * @param {boolean} trade.usesJitoTip - Whether the submission strategy sends a Jito bundle
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<Object>} { urgency, percentile, computeUnitPrice, priorityFeeLamports, tipLamports, budget, exhausted }
+ */
+async function estimateSwapFees(connection, { quote, tradeValue, sentiment, usesPriorityFee, usesJitoTip }, now = Date.now()) {
+    const config = getSubmissionConfig();
+    const urgency = calculateUrgency({ tradeValue, sentiment }, config);
+    const minPercentile = config.MIN_FEE_PERCENTILE;
+    const percentile = minPercentile + urgency * (config.MAX_FEE_PERCENTILE - minPercentile);
+
+    let computeUnitPrice = 0;
+    let priorityFeeLamports = 0;
+    if (usesPriorityFee) {
+        const recentFees = await fetchRecentPriorityFees(connection, getRouteAccounts(quote));
+        computeUnitPrice = Math.ceil(recentFees && recentFees.length > 0 ? percentileOf(recentFees, percentile) : DEFAULT_COMPUTE_UNIT_PRICE);
+        priorityFeeLamports = Math.min(
+            Math.ceil(computeUnitPrice * ESTIMATED_COMPUTE_UNITS / 1_000_000),
+            config.MAX_PRIORITY_FEE_LAMPORTS
+        );
+    }
+
+    let tipLamports = 0;
+    if (usesJitoTip) {
+        const tipFloor = await fetchTipFloor(config.JITO_TIP_FLOOR_URL);
+        const tipSol = tipFloor ? interpolatePercentile(tipFloor, percentile) : DEFAULT_TIP;
+        tipLamports = Math.max(
+            Math.floor(Math.min(tipSol, config.MAX_JITO_TIP_SOL) * LAMPORTS_PER_SOL),
+            MIN_JITO_TIP_LAMPORTS
+        );
+    }
+
+    // Scale the optional fees down to what the budgets have left, keeping the base fees and minimum tip
+    const budget = getFeeBudget(config, now);
+    const requiredLamports = BASE_FEE_LAMPORTS * (usesJitoTip ? 2 : 1) + (usesJitoTip ? MIN_JITO_TIP_LAMPORTS : 0);
+    const optionalLamports = priorityFeeLamports + Math.max(tipLamports - MIN_JITO_TIP_LAMPORTS, 0);
+    const availableLamports = budget.remainingSol === Infinity ? Infinity :
+        Math.floor(budget.remainingSol * LAMPORTS_PER_SOL) - requiredLamports;
+    const exhausted = availableLamports <= 0;
+
+    if (optionalLamports > 0 && availableLamports < optionalLamports) {
+        const scale = Math.max(availableLamports, 0) / optionalLamports;
+        priorityFeeLamports = Math.floor(priorityFeeLamports * scale);
+        if (usesJitoTip) {
+            tipLamports = MIN_JITO_TIP_LAMPORTS + Math.floor((tipLamports - MIN_JITO_TIP_LAMPORTS) * scale);
+        }
+        console.log(formatWarning(`${icons.warning} Fee budget ${exhausted ? 'spent' : 'nearly spent'} - ` +
+            `${budget.remainingSol.toFixed(6)} SOL left, fees scaled to ${(scale * 100).toFixed(0)}%`));
+    }
+
+    const estimate = {
+        urgency,
+        percentile,
+        computeUnitPrice,
+        priorityFeeLamports,
+        tipLamports,
+        budget,
+        exhausted
+    };
+    devLog('Swap fee estimate:', estimate);
+    return estimate;
+}
+
+/**
+ * Works out what a landed swap cost to execute
+ * @param {Object} estimate - Estimate from estimateSwapFees
+ * @param {Object} submissionResult - Landed submission from submitSwapTransaction
+ * @param {Object|null} reconciliation - Reconciliation from reconcileSwap, if the transaction could be read
+ * @returns {Object} { networkFeeSol, priorityFeeSol, tipSol, totalSol }
+ */
+function getExecutionFees(estimate, submissionResult, reconciliation) {
+    const priorityFeeLamports = estimate?.priorityFeeLamports || 0;
+    const tipLamports = submissionResult?.tipLamports || 0;
+
+    // The swap's fee includes its priority fee; a tip transaction that landed paid its own base fee
+    const swapFeeSol = reconciliation ? reconciliation.networkFeeSol : (BASE_FEE_LAMPORTS + priorityFeeLamports) / LAMPORTS_PER_SOL;
+    const networkFeeSol = swapFeeSol + (tipLamports > 0 ? BASE_FEE_LAMPORTS / LAMPORTS_PER_SOL : 0);
+    const priorityFeeSol = Math.min(priorityFeeLamports / LAMPORTS_PER_SOL, swapFeeSol);
+    const tipSol = tipLamports / LAMPORTS_PER_SOL;
+
+    return {
+        networkFeeSol,
+        priorityFeeSol,
+        tipSol,
+        totalSol: networkFeeSol + tipSol
+    };
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    estimateSwapFees,
+    calculateUrgency,
+    getExecutionFees,
+    recordFeeSpend,
+    getFeeBudget,
+    percentileOf,
+    interpolatePercentile
+};
@@ -1,6 +1,11 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
 let wallet = null;
 let connection = null;
 
+// Tracks which additional trading pair (if any) the current async execution belongs to
+const pairContextStorage = new AsyncLocalStorage();
+
 function setWallet(w) {
     wallet = w;
 }
@@ -9,17 +14,67 @@ function setConnection(c) {
     connection = c;
 }
 
+/**
+ * Gets the wallet
+ * Inside a pair context this is a per-pair view that keeps its own base/quote balances
+ * while sharing the keypair and connection with the main wallet
+ * @returns {Object|null} Wallet
+ */
 function getWallet() {
-    return wallet;
+    const context = getPairContext();
+    if (!context || !wallet) return wallet;
+
+    if (!context.wallet || Object.getPrototypeOf(context.wallet) !== wallet) {
+        context.wallet = Object.create(wallet, {
+            connection: {
+                get: () => wallet.connection,
+                set: (newConnection) => { wallet.connection = newConnection; },
+                enumerable: true
+            }
+        });
+    }
+    return context.wallet;
 }
 
 function getConnection() {
     return connection;
 }
 
+/**
+ * Runs a function with a pair context that follows it through timers and promises
+ * @param {Object} context - Pair context { id, settings, ... }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function runInPairContext(context, fn) {
+    return pairContextStorage.run(context, fn);
+}
+
+/**
+ * Gets the pair context of the current execution
+ * @returns {Object|null} Pair context, or null for the main trading pair
+ */
+function getPairContext() {
+    return pairContextStorage.getStore() || null;
+}
+
+/**
+ * Applies a pair's settings overrides over the settings read from settings.json
+ * @param {Object|null} settings - Settings from settings.json
+ * @param {Object|null} context - Pair context (defaults to the current one)
+ * @returns {Object|null} Settings as seen by the pair
+ */
+function applyPairSettings(settings, context = getPairContext()) {
+    if (!settings || !context) return settings;
+    return { ...settings, ...context.settings };
+}
+
 module.exports = {
     setWallet,
     setConnection,
     getWallet,
-    getConnection
-};
\ No newline at end of file
+    getConnection,
+    runInPairContext,
+    getPairContext,
+    applyPairSettings
+};
@@ -0,0 +1,1063 @@
+/**
+ * PulseSurfer History Store
+ * Embedded SQLite database holding every trading cycle, order book trade, swap fill and balance snapshot
+ *
+ * The live bot records into user/history.db as it trades. The first time the database is created it
+ * imports the history already on disk: orderbooks, savestates, fgi_log.csv and the daily Pulse Logs.
+ * The backtester can record a run into its own database, and both read it back with the same query helpers.
+ */
+
+// Core dependencies
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const Papa = require('papaparse');
+const { readJSON } = require('./storage');
+const { isTransactionSignature } = require('./walletReconciliation');
+const {
+    USER_DIR,
+    devLog,
+    getBaseToken,
+    getQuoteToken,
+    readSettings,
+    resolveTimestamp,
+    // Import styling utilities
+    formatError,
+    formatInfo,
+    icons
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const HISTORY_DB_PATH = path.join(USER_DIR, 'history.db');
+const PAPER_HISTORY_DB_PATH = path.join(USER_DIR, 'history_paper.db');
+const DEFAULT_QUERY_LIMIT = 500;
+const MAX_QUERY_LIMIT = 5000;
+
+// Where a record came from
+const MODES = {
+    LIVE: 'live',
+    PAPER: 'paper',
+    BACKTEST: 'backtest',
+    IMPORT: 'import'
+};
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const MIGRATIONS = [
+    `
+    CREATE TABLE cycles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        time INTEGER NOT NULL,
+        pair TEXT NOT NULL,
+        timeframe TEXT,
+        mode TEXT NOT NULL,
+        fgi REAL,
+        price REAL,
+        sentiment TEXT,
+        decision TEXT,
+        skip_reason TEXT,
+        tx_id TEXT
+    );
+    CREATE INDEX cycles_pair_time ON cycles (pair, timeframe, time);
+
+    CREATE TABLE trades (
+        pair TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        id TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        status TEXT NOT NULL,
+        price REAL,
+        base_amount REAL,
+        quote_value REAL,
+        opened_at INTEGER,
+        closed_at INTEGER,
+        close_price REAL,
+        close_reason TEXT,
+        realized_pnl REAL,
+        parent_id TEXT,
+        tx_id TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (pair, timeframe, id)
+    );
+    CREATE INDEX trades_opened_at ON trades (pair, opened_at);
+
+    CREATE TABLE fills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        time INTEGER NOT NULL,
+        pair TEXT NOT NULL,
+        mode TEXT NOT NULL,
+        direction TEXT,
+        input_token TEXT,
+        output_token TEXT,
+        input_amount REAL,
+        output_amount REAL,
+        price REAL,
+        status TEXT,
+        tx_id TEXT,
+        swap_mode TEXT,
+        fee_bps REAL,
+        slippage_bps REAL,
+        network_fee_sol REAL,
+        tip_sol REAL
+    );
+    CREATE INDEX fills_pair_time ON fills (pair, time);
+
+    CREATE TABLE balance_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        time INTEGER NOT NULL,
+        pair TEXT NOT NULL,
+        timeframe TEXT,
+        mode TEXT NOT NULL,
+        cycle_id INTEGER REFERENCES cycles (id),
+        base_balance REAL,
+        quote_balance REAL,
+        price REAL,
+        portfolio_value REAL
+    );
+    CREATE INDEX balance_snapshots_pair_time ON balance_snapshots (pair, timeframe, time);
+
+    CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    `,
+    `
+    ALTER TABLE balance_snapshots ADD COLUMN realized_pnl REAL;
+    ALTER TABLE balance_snapshots ADD COLUMN unrealized_pnl REAL;
+    `
+];
+
+// Filterable columns per table, mapped from query helper filter names
+const FILTER_COLUMNS = {
+    cycles: { pair: 'pair', timeframe: 'timeframe', mode: 'mode', sentiment: 'sentiment', decision: 'decision' },
+    trades: { pair: 'pair', timeframe: 'timeframe', direction: 'direction', status: 'status', closeReason: 'close_reason' },
+    fills: { pair: 'pair', mode: 'mode', direction: 'direction', status: 'status' },
+    balance_snapshots: { pair: 'pair', timeframe: 'timeframe', mode: 'mode' }
+};
+const TIME_COLUMNS = {
+    cycles: 'time',
+    trades: 'opened_at',
+    fills: 'time',
+    balance_snapshots: 'time'
+};
+
+// Shared stores for the running bot, by database path
+const sharedStores = new Map();
+
+// Where getHistoryStore opens the shared stores; see configureHistoryStore
+let sharedStoreOptions = {
+    dbPath: HISTORY_DB_PATH,
+    paperDbPath: PAPER_HISTORY_DB_PATH,
+    enabled: true
+};
+
+// ===========================
+// Helpers
+// ===========================
+
+/**
+ * Gets the pair key for the current trading pair, e.g. "SOL/USDC"
+ * @returns {string} Pair key
+ */
+function getCurrentPair() {
+    return `${getBaseToken().NAME}/${getQuoteToken().NAME}`;
+}
+
+/**
+ * Gets the FGI timeframe of the current trading pair
+ * @returns {string} Timeframe
+ */
+function getCurrentTimeframe() {
+    return readSettings().FGI_TIMEFRAME || "15m";
+}
+
+/**
+ * Gets the limit and offset of a paginated query
+ * @param {Object} filters - Filters with optional limit and offset
+ * @returns {Object} { limit, offset }
+ */
+function getPagination(filters) {
+    return {
+        limit: Math.min(Math.max(1, parseInt(filters.limit) || DEFAULT_QUERY_LIMIT), MAX_QUERY_LIMIT),
+        offset: Math.max(0, parseInt(filters.offset) || 0)
+    };
+}
+
+/**
+ * Converts a number that may be missing or invalid into a value SQLite can store
+ * @param {*} value - Value
+ * @returns {number|null} Finite number or null
+ */
+function toNumber(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return isFinite(number) ? number : null;
+}
+
+// ===========================
+// Row Mapping
+// ===========================
+
+/**
+ * Maps a cycles row to a cycle object
+ * @param {Object} row - Database row
+ * @returns {Object} Cycle
+ */
+function mapCycle(row) {
+    return {
+        id: row.id,
+        time: row.time,
+        pair: row.pair,
+        timeframe: row.timeframe,
+        mode: row.mode,
+        fearGreedIndex: row.fgi,
+        price: row.price,
+        sentiment: row.sentiment,
+        decision: row.decision,
+        skipReason: row.skip_reason,
+        txId: row.tx_id,
+        baseBalance: row.base_balance ?? null,
+        quoteBalance: row.quote_balance ?? null,
+        portfolioValue: row.portfolio_value ?? null
+    };
+}
+
+/**
+ * Maps a trades row back to the order book trade it was recorded from
+ * @param {Object} row - Database row
+ * @returns {Object} Order book trade with its pair and timeframe
+ */
+function mapTrade(row) {
+    return {
+        ...JSON.parse(row.data),
+        pair: row.pair,
+        timeframe: row.timeframe,
+        openedAt: row.opened_at,
+        closedAt: row.closed_at
+    };
+}
+
+/**
+ * Maps a fills row to a fill object
+ * @param {Object} row - Database row
+ * @returns {Object} Fill
+ */
+function mapFill(row) {
+    return {
+        id: row.id,
+        time: row.time,
+        pair: row.pair,
+        mode: row.mode,
+        direction: row.direction,
+        inputToken: row.input_token,
+        outputToken: row.output_token,
+        inputAmount: row.input_amount,
+        outputAmount: row.output_amount,
+        price: row.price,
+        status: row.status,
+        txId: row.tx_id,
+        swapMode: row.swap_mode,
+        feeBps: row.fee_bps,
+        slippageBps: row.slippage_bps,
+        networkFeeSol: row.network_fee_sol,
+        tipSol: row.tip_sol
+    };
+}
+
+/**
+ * Maps a balance_snapshots row to a snapshot object
+ * @param {Object} row - Database row
+ * @returns {Object} Balance snapshot
+ */
+function mapBalanceSnapshot(row) {
+    return {
+        id: row.id,
+        time: row.time,
+        pair: row.pair,
+        timeframe: row.timeframe,
+        mode: row.mode,
+        cycleId: row.cycle_id,
+        baseBalance: row.base_balance,
+        quoteBalance: row.quote_balance,
+        price: row.price,
+        portfolioValue: row.portfolio_value,
+        realizedPnl: row.realized_pnl,
+        unrealizedPnl: row.unrealized_pnl
+    };
+}
+
+// ===========================
+// History Store
+// ===========================
+
+class HistoryStore {
+    /**
+     * Opens (and if needed creates and migrates) a history database
+     * @param {string} dbPath - Database file, or ':memory:'
+     * @param {Object} options - Store options
+     * @param {boolean} options.importLegacy - Import the existing JSON/CSV history when the database is created
+     */
+    constructor(dbPath = HISTORY_DB_PATH, { importLegacy = false } = {}) {
+        if (dbPath !== ':memory:' && !fs.existsSync(path.dirname(dbPath))) {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+
+        this.dbPath = dbPath;
+        this.db = new Database(dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.pragma('foreign_keys = ON');
+
+        const created = this.migrate();
+        this.prepareStatements();
+
+        if (created && importLegacy) {
+            this.importLegacyHistory();
+        }
+    }
+
+    /**
+     * Applies any schema migrations the database has not seen yet
+     * @returns {boolean} True if the database was newly created
+     */
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+
+        MIGRATIONS.slice(version).forEach((migration, index) => {
+            this.db.transaction(() => {
+                this.db.exec(migration);
+                this.db.pragma(`user_version = ${version + index + 1}`);
+            })();
+            devLog(`History store migrated to schema version ${version + index + 1}`);
+        });
+
+        return version === 0;
+    }
+
+    /**
+     * Prepares the insert statements used on every cycle
+     */
+    prepareStatements() {
+        this.statements = {
+            insertCycle: this.db.prepare(`
+                INSERT INTO cycles (time, pair, timeframe, mode, fgi, price, sentiment, decision, skip_reason, tx_id)
+                VALUES (@time, @pair, @timeframe, @mode, @fgi, @price, @sentiment, @decision, @skipReason, @txId)
+            `),
+            upsertTrade: this.db.prepare(`
+                INSERT INTO trades (pair, timeframe, id, direction, status, price, base_amount, quote_value, opened_at,
+                    closed_at, close_price, close_reason, realized_pnl, parent_id, tx_id, data)
+                VALUES (@pair, @timeframe, @id, @direction, @status, @price, @baseAmount, @quoteValue, @openedAt,
+                    @closedAt, @closePrice, @closeReason, @realizedPnl, @parentId, @txId, @data)
+                ON CONFLICT (pair, timeframe, id) DO UPDATE SET
+                    direction = excluded.direction, status = excluded.status, price = excluded.price,
+                    base_amount = excluded.base_amount, quote_value = excluded.quote_value, opened_at = excluded.opened_at,
+                    closed_at = excluded.closed_at, close_price = excluded.close_price, close_reason = excluded.close_reason,
+                    realized_pnl = excluded.realized_pnl, parent_id = excluded.parent_id, tx_id = excluded.tx_id,
+                    data = excluded.data
+            `),
+            insertFill: this.db.prepare(`
+                INSERT INTO fills (time, pair, mode, direction, input_token, output_token, input_amount, output_amount,
+                    price, status, tx_id, swap_mode, fee_bps, slippage_bps, network_fee_sol, tip_sol)
+                VALUES (@time, @pair, @mode, @direction, @inputToken, @outputToken, @inputAmount, @outputAmount,
+                    @price, @status, @txId, @swapMode, @feeBps, @slippageBps, @networkFeeSol, @tipSol)
+            `),
+            insertBalanceSnapshot: this.db.prepare(`
+                INSERT INTO balance_snapshots (
+                    time, pair, timeframe, mode, cycle_id, base_balance, quote_balance, price, portfolio_value, realized_pnl, unrealized_pnl
+                ) VALUES (
+                    @time, @pair, @timeframe, @mode, @cycleId, @baseBalance, @quoteBalance, @price, @portfolioValue, @realizedPnl, @unrealizedPnl
+                )
+            `)
+        };
+    }
+
+    /**
+     * Runs a function inside a single transaction
+     * @param {Function} fn - Function to run
+     * @returns {*} Result of fn
+     */
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    // ===========================
+    // Recording
+    // ===========================
+
+    /**
+     * Records a trading cycle
+     * @param {Object} cycle - Cycle data
+     * @param {number} [cycle.time] - Cycle time in milliseconds (default: now)
+     * @param {string} [cycle.pair] - Pair key (default: current pair)
+     * @param {string} [cycle.timeframe] - FGI timeframe (default: current timeframe)
+     * @param {string} cycle.mode - One of MODES
+     * @param {number} cycle.fearGreedIndex - FGI value
+     * @param {number} cycle.price - Base token price
+     * @param {string} cycle.sentiment - Market sentiment
+     * @param {string} cycle.decision - What the cycle did: hold, open, close, exit, skip or monitor (joined with '+')
+     * @param {string} [cycle.skipReason] - Skip reason from the trade gate
+     * @param {string} [cycle.txId] - Transaction ID of the cycle's last swap
+     * @returns {number|null} Cycle ID or null on failure
+     */
+    recordCycle(cycle) {
+        try {
+            const result = this.statements.insertCycle.run({
+                time: cycle.time ?? Date.now(),
+                pair: cycle.pair || getCurrentPair(),
+                timeframe: cycle.timeframe || getCurrentTimeframe(),
+                mode: cycle.mode,
+                fgi: toNumber(cycle.fearGreedIndex),
+                price: toNumber(cycle.price),
+                sentiment: cycle.sentiment || null,
+                decision: cycle.decision || null,
+                skipReason: cycle.skipReason || null,
+                txId: cycle.txId || null
+            });
+            return Number(result.lastInsertRowid);
+        } catch (error) {
+            console.error(formatError(`${icons.error} Error recording cycle: ${error.message}`));
+            return null;
+        }
+    }
+
+    /**
+     * Records a swap fill
+     * @param {Object} fill - Fill data
+     * @param {number} [fill.time] - Fill time in milliseconds (default: now)
+     * @param {string} [fill.pair] - Pair key (default: current pair)
+     * @param {string} fill.mode - One of MODES
+     * @param {string} fill.inputToken - Input token name
+     * @param {string} fill.outputToken - Output token name
+     * @param {number} fill.inputAmount - Input amount in token units
+     * @param {number} fill.outputAmount - Output amount in token units
+     * @param {string} fill.status - Success, Paper or Failed
+     * @param {string} [fill.txId] - Transaction signature
+     * @param {string} [fill.swapMode] - ExactIn or ExactOut
+     * @param {number} [fill.feeBps] - Platform fee applied
+     * @param {Object} [fill.reconciliation] - Reconciliation from reconcileSwap (slippage, network fee and tip)
+     * @returns {number|null} Fill ID or null on failure
+     */
+    recordFill(fill) {
+        try {
+            const pair = fill.pair || getCurrentPair();
+            const baseTokenName = pair.split('/')[0];
+            const inputAmount = toNumber(fill.inputAmount);
+            const outputAmount = toNumber(fill.outputAmount);
+            const isBuy = fill.outputToken === baseTokenName;
+            const baseAmount = isBuy ? outputAmount : inputAmount;
+            const quoteAmount = isBuy ? inputAmount : outputAmount;
+            const reconciliation = fill.reconciliation || {};
+
+            const result = this.statements.insertFill.run({
+                time: fill.time ?? Date.now(),
+                pair,
+                mode: fill.mode,
+                direction: isBuy ? 'buy' : 'sell',
+                inputToken: fill.inputToken,
+                outputToken: fill.outputToken,
+                inputAmount,
+                outputAmount,
+                price: baseAmount > 0 && quoteAmount > 0 ? quoteAmount / baseAmount : null,
+                status: fill.status || null,
+                txId: fill.txId || null,
+                swapMode: fill.swapMode || null,
+                feeBps: toNumber(fill.feeBps),
+                slippageBps: toNumber(reconciliation.slippageBps),
+                networkFeeSol: toNumber(reconciliation.networkFeeSol),
+                tipSol: toNumber(reconciliation.tipSol)
+            });
+            return Number(result.lastInsertRowid);
+        } catch (error) {
+            console.error(formatError(`${icons.error} Error recording fill: ${error.message}`));
+            return null;
+        }
+    }
+
+    /**
+     * Records a balance snapshot
+     * @param {Object} snapshot - Snapshot data
+     * @param {number} [snapshot.time] - Snapshot time in milliseconds (default: now)
+     * @param {string} [snapshot.pair] - Pair key (default: current pair)
+     * @param {string} [snapshot.timeframe] - FGI timeframe (default: current timeframe)
+     * @param {string} snapshot.mode - One of MODES
+     * @param {number} [snapshot.cycleId] - Cycle the snapshot was taken in
+     * @param {number} snapshot.baseBalance - Base token balance
+     * @param {number} snapshot.quoteBalance - Quote token balance
+     * @param {number} snapshot.price - Base token price
+     * @param {number} [snapshot.portfolioValue] - Portfolio value in quote token (default: from balances and price)
+     * @param {number} [snapshot.realizedPnl] - Order book realized PnL to date
+     * @param {number} [snapshot.unrealizedPnl] - Order book unrealized PnL of the open trades
+     * @returns {number|null} Snapshot ID or null on failure
+     */
+    recordBalanceSnapshot(snapshot) {
+        try {
+            const baseBalance = toNumber(snapshot.baseBalance);
+            const quoteBalance = toNumber(snapshot.quoteBalance);
+            const price = toNumber(snapshot.price);
+            const portfolioValue = toNumber(snapshot.portfolioValue) ??
+                (baseBalance !== null && quoteBalance !== null && price !== null ? baseBalance * price + quoteBalance : null);
+
+            const result = this.statements.insertBalanceSnapshot.run({
+                time: snapshot.time ?? Date.now(),
+                pair: snapshot.pair || getCurrentPair(),
+                timeframe: snapshot.timeframe || getCurrentTimeframe(),
+                mode: snapshot.mode,
+                cycleId: snapshot.cycleId ?? null,
+                baseBalance,
+                quoteBalance,
+                price,
+                portfolioValue,
+                realizedPnl: toNumber(snapshot.realizedPnl),
+                unrealizedPnl: toNumber(snapshot.unrealizedPnl)
+            });
+            return Number(result.lastInsertRowid);
+        } catch (error) {
+            console.error(formatError(`${icons.error} Error recording balance snapshot: ${error.message}`));
+            return null;
+        }
+    }
+
+    /**
+     * Mirrors order book trades into the trades table
+     * Trades are keyed by pair, timeframe and ID, so saving the same order book again updates them in place
+     * @param {Array<Object>} trades - Order book trades
+     * @param {Object} options - Trade options
+     * @param {string} [options.pair] - Pair key (default: current pair)
+     * @param {string} [options.timeframe] - FGI timeframe (default: current timeframe)
+     * @returns {boolean} Success status
+     */
+    syncTrades(trades, { pair = getCurrentPair(), timeframe = getCurrentTimeframe() } = {}) {
+        try {
+            const now = Date.now();
+            this.transaction(() => {
+                trades.forEach(trade => {
+                    // Split parts share their parent's opening swap; paper trade IDs are not signatures
+                    const openingSignature = trade.parentId || trade.id;
+                    this.statements.upsertTrade.run({
+                        pair,
+                        timeframe,
+                        id: trade.id,
+                        direction: trade.direction,
+                        status: trade.status,
+                        price: toNumber(trade.price),
+                        baseAmount: toNumber(trade.baseTokenAmount),
+                        quoteValue: toNumber(trade.quoteTokenValue),
+                        openedAt: resolveTimestamp(trade.openedAt ?? trade.timestamp, now),
+                        closedAt: resolveTimestamp(trade.closedAt, now),
+                        closePrice: toNumber(trade.closePrice),
+                        closeReason: trade.closeReason || null,
+                        realizedPnl: toNumber(trade.realizedPnl),
+                        parentId: trade.parentId || null,
+                        txId: isTransactionSignature(openingSignature) ? openingSignature : null,
+                        data: JSON.stringify(trade)
+                    });
+                });
+            });
+            return true;
+        } catch (error) {
+            console.error(formatError(`${icons.error} Error recording trades: ${error.message}`));
+            return false;
+        }
+    }
+
+    // ===========================
+    // Queries
+    // ===========================
+
+    /**
+     * Builds the WHERE clause for a filtered query
+     * @param {string} table - Table name
+     * @param {Object} filters - Filters from FILTER_COLUMNS plus from/to (ms)
+     * @returns {Object} { where, params }
+     */
+    buildWhere(table, filters = {}) {
+        const conditions = [];
+        const params = {};
+
+        Object.entries(FILTER_COLUMNS[table]).forEach(([filter, column]) => {
+            if (filters[filter] !== undefined && filters[filter] !== null && filters[filter] !== '') {
+                conditions.push(`${table}.${column} = @${filter}`);
+                params[filter] = filters[filter];
+            }
+        });
+
+        const timeColumn = `${table}.${TIME_COLUMNS[table]}`;
+        if (typeof filters.from === 'number') {
+            conditions.push(`${timeColumn} >= @from`);
+            params.from = filters.from;
+        }
+        if (typeof filters.to === 'number') {
+            conditions.push(`${timeColumn} <= @to`);
+            params.to = filters.to;
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    /**
+     * Builds and runs a filtered, paginated query
+     * @param {string} table - Table name
+     * @param {Object} filters - Filters from FILTER_COLUMNS plus from/to (ms), limit, offset and order ('asc' or 'desc')
+     * @param {string} select - Columns and joins to select from the table
+     * @returns {Array<Object>} Database rows
+     */
+    query(table, filters = {}, select = `${table}.* FROM ${table}`) {
+        const { where, params } = this.buildWhere(table, filters);
+        const order = filters.order === 'desc' ? 'DESC' : 'ASC';
+        const { limit, offset } = getPagination(filters);
+        // Rows without a time sort by insertion order
+        const orderBy = `${table}.${TIME_COLUMNS[table]} ${order}, ${table}.rowid ${order}`;
+
+        return this.db.prepare(`SELECT ${select} ${where} ORDER BY ${orderBy} LIMIT ${limit} OFFSET ${offset}`).all(params);
+    }
+
+    /**
+     * Counts the rows matching a filtered query, ignoring pagination
+     * @param {string} table - Table name
+     * @param {Object} filters - Filters from FILTER_COLUMNS plus from/to (ms)
+     * @returns {number} Row count
+     */
+    count(table, filters = {}) {
+        const { where, params } = this.buildWhere(table, filters);
+        return this.db.prepare(`SELECT COUNT(*) AS total FROM ${table} ${where}`).get(params).total;
+    }
+
+    /**
+     * Gets recorded cycles with the balances they ended with
+     * @param {Object} filters - pair, timeframe, mode, sentiment, decision, from, to, limit, offset, order
+     * @returns {Array<Object>} Cycles
+     */
+    getCycles(filters = {}) {
+        return this.query('cycles', filters, `
+            cycles.*, snapshot.base_balance, snapshot.quote_balance, snapshot.portfolio_value
+            FROM cycles LEFT JOIN balance_snapshots snapshot ON snapshot.cycle_id = cycles.id
+        `).map(mapCycle);
+    }
+
+    /**
+     * Gets recorded order book trades
+     * @param {Object} filters - pair, timeframe, direction, status, closeReason, from, to (opening time), limit, offset, order
+     * @returns {Array<Object>} Trades
+     */
+    getTrades(filters = {}) {
+        return this.query('trades', filters).map(mapTrade);
+    }
+
+    /**
+     * Gets recorded swap fills
+     * @param {Object} filters - pair, mode, direction, status, from, to, limit, offset, order
+     * @returns {Array<Object>} Fills
+     */
+    getFills(filters = {}) {
+        return this.query('fills', filters).map(mapFill);
+    }
+
+    /**
+     * Gets recorded balance snapshots
+     * @param {Object} filters - pair, timeframe, mode, from, to, limit, offset, order
+     * @returns {Array<Object>} Balance snapshots
+     */
+    getBalanceSnapshots(filters = {}) {
+        return this.query('balance_snapshots', filters).map(mapBalanceSnapshot);
+    }
+
+    /**
+     * Gets the equity curve from the balance snapshots
+     * Each point is the last snapshot in its interval, alongside what the first snapshot's balances
+     * would be worth had they been held, and the drawdown from the highest portfolio value so far
+     * @param {Object} filters - pair, timeframe, mode, from, to, limit, offset
+     * @param {number} intervalMs - Interval to sample the curve at in milliseconds (0 = every snapshot)
+     * @returns {Array<Object>} Points { time, price, baseBalance, quoteBalance, portfolioValue, realizedPnl, unrealizedPnl, holdValue, drawdownPercent }
+     */
+    getEquityCurve(filters = {}, intervalMs = 0) {
+        const { where, params } = this.buildWhere('balance_snapshots', filters);
+        const { limit, offset } = getPagination(filters);
+        const first = this.db.prepare(`
+            SELECT base_balance, quote_balance FROM balance_snapshots ${where} ORDER BY time ASC, id ASC LIMIT 1
+        `).get(params);
+
+        if (!first) return [];
+
+        // SQLite takes the other columns from the row holding MAX(time), i.e. the last snapshot in each interval
+        const sampled = `
+            SELECT MAX(time) AS time, price, base_balance, quote_balance, portfolio_value, realized_pnl, unrealized_pnl
+            FROM balance_snapshots ${where}
+            GROUP BY CAST(balance_snapshots.time / @interval AS INTEGER) ORDER BY time ASC
+        `;
+        const sampledParams = { ...params, interval: Math.floor(intervalMs) };
+        const rows = intervalMs > 0 ?
+            this.db.prepare(`${sampled} LIMIT ${limit} OFFSET ${offset}`).all(sampledParams) :
+            this.query('balance_snapshots', { ...filters, order: 'asc' });
+
+        // Later pages carry on from the peak of the points before them, as one unpaginated curve would
+        const earlier = offset > 0 ?
+            this.db.prepare(intervalMs > 0 ?
+                `SELECT MAX(portfolio_value) AS peak FROM (${sampled} LIMIT ${offset})` :
+                `SELECT MAX(portfolio_value) AS peak FROM (
+                    SELECT portfolio_value FROM balance_snapshots ${where} ORDER BY time ASC, rowid ASC LIMIT ${offset}
+                )`
+            ).get(intervalMs > 0 ? sampledParams : params) :
+            null;
+
+        let peak = earlier?.peak || 0;
+        return rows.map(row => {
+            peak = Math.max(peak, row.portfolio_value || 0);
+            return {
+                time: row.time,
+                price: row.price,
+                baseBalance: row.base_balance,
+                quoteBalance: row.quote_balance,
+                portfolioValue: row.portfolio_value,
+                realizedPnl: row.realized_pnl,
+                unrealizedPnl: row.unrealized_pnl,
+                holdValue: row.price !== null ? first.base_balance * row.price + first.quote_balance : null,
+                drawdownPercent: peak > 0 ? ((peak - row.portfolio_value) / peak) * 100 : 0
+            };
+        });
+    }
+
+    /**
+     * Gets every fill in a range, oldest first, without pagination
+     * @param {Object} filters - pair, mode, direction, status, from, to
+     * @returns {Array<Object>} Fills
+     */
+    getFillHistory(filters = {}) {
+        const { where, params } = this.buildWhere('fills', filters);
+        return this.db.prepare(`SELECT * FROM fills ${where} ORDER BY time ASC, id ASC`).all(params).map(mapFill);
+    }
+
+    /**
+     * Gets every order book trade in a range, oldest first, without pagination
+     * @param {Object} filters - pair, timeframe, direction, status, closeReason, from, to (opening time)
+     * @returns {Array<Object>} Trades
+     */
+    getTradeHistory(filters = {}) {
+        const { where, params } = this.buildWhere('trades', filters);
+        return this.db.prepare(`SELECT * FROM trades ${where} ORDER BY opened_at ASC, rowid ASC`).all(params).map(mapTrade);
+    }
+
+    /**
+     * Gets every balance snapshot in a range for analytics, without pagination
+     * @param {Object} filters - pair, timeframe, mode, from, to
+     * @returns {Array<Object>} Points { time, price, baseBalance, quoteBalance, portfolioValue } in time order
+     */
+    getEquitySeries(filters = {}) {
+        const { where, params } = this.buildWhere('balance_snapshots', filters);
+        return this.db.prepare(`
+            SELECT time, price, base_balance AS baseBalance, quote_balance AS quoteBalance, portfolio_value AS portfolioValue
+            FROM balance_snapshots ${where} ORDER BY time ASC, id ASC
+        `).all(params);
+    }
+
+    /**
+     * Gets the pairs and timeframes that have recorded cycles
+     * @returns {Array<Object>} { pair, timeframe, cycles, firstTime, lastTime }
+     */
+    getRecordedPairs() {
+        return this.db.prepare(`
+            SELECT pair, timeframe, COUNT(*) AS cycles, MIN(time) AS firstTime, MAX(time) AS lastTime
+            FROM cycles GROUP BY pair, timeframe ORDER BY pair, timeframe
+        `).all();
+    }
+
+    /**
+     * Gets a value from the meta table
+     * @param {string} key - Key
+     * @returns {*} Parsed value or null
+     */
+    getMeta(key) {
+        const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    /**
+     * Sets a value in the meta table
+     * @param {string} key - Key
+     * @param {*} value - JSON-serialisable value
+     */
+    setMeta(key, value) {
+        this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+            .run(key, JSON.stringify(value));
+    }
+
+    /**
+     * Closes the database
+     */
+    close() {
+        if (this.db.open) {
+            this.db.close();
+        }
+    }
+
+    // ===========================
+    // Legacy Import
+    // ===========================
+
+    /**
+     * Imports the history the bot kept before the store existed
+     * Runs once, when the database is created; everything after that is recorded live
+     * @returns {Object} Number of records imported from each source
+     */
+    importLegacyHistory() {
+        const counts = { trades: 0, fills: 0, cycles: 0, balanceSnapshots: 0 };
+
+        try {
+            this.transaction(() => {
+                counts.trades = this.importOrderBooks();
+                counts.balanceSnapshots = this.importSaveStates();
+                counts.cycles = this.importFGILog();
+                counts.fills = this.importPulseLogs();
+                this.setMeta('legacyImport', { time: Date.now(), ...counts });
+            });
+
+            const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+            if (total > 0) {
+                console.log(formatInfo(`${icons.info} History store created - imported ${counts.cycles} cycles, ${counts.trades} trades, ${counts.fills} fills and ${counts.balanceSnapshots} balance snapshots`));
+            }
+        } catch (error) {
+            console.error(formatError(`${icons.error} Error importing existing history: ${error.message}`));
+        }
+
+        return counts;
+    }
+
+    /**
+     * Imports every orderbook in user/orderbooks
+     * @returns {number} Trades imported
+     */
+    importOrderBooks() {
+        const orderBooksDir = path.join(USER_DIR, 'orderbooks');
+        if (!fs.existsSync(orderBooksDir)) return 0;
+
+        let count = 0;
+        fs.readdirSync(orderBooksDir).forEach(file => {
+            // Paper order books are kept out of the imported history
+            const match = file.match(/^(.+)_(.+)_(\w+)_orderBookStorage\.json$/);
+            if (!match || file.endsWith('_paper_orderBookStorage.json')) return;
+
+            const saved = readJSON(path.join(orderBooksDir, file));
+            if (!saved || !Array.isArray(saved.trades)) return;
+
+            const [, base, quote, timeframe] = match;
+            const tokenInfo = saved.trades[0]?.tokenInfo;
+            const pair = tokenInfo ? `${tokenInfo.baseToken}/${tokenInfo.quoteToken}` : `${base.toUpperCase()}/${quote.toUpperCase()}`;
+
+            if (this.syncTrades(saved.trades, { pair, timeframe })) {
+                count += saved.trades.length;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Imports the starting and latest balances from every savestate in user/savestates
+     * @returns {number} Balance snapshots imported
+     */
+    importSaveStates() {
+        const saveStatesDir = path.join(USER_DIR, 'savestates');
+        if (!fs.existsSync(saveStatesDir)) return 0;
+
+        let count = 0;
+        fs.readdirSync(saveStatesDir).forEach(file => {
+            // Paper savestates are kept out of the imported history
+            const match = file.match(/^(.+)_(.+)_(\w+)_saveState\.json$/);
+            if (!match || file.endsWith('_paper_saveState.json')) return;
+
+            const filePath = path.join(saveStatesDir, file);
+            const state = readJSON(filePath);
+            if (!state || !state.position) return;
+
+            const [, base, quote, timeframe] = match;
+            const tokenInfo = state.tokenInfo;
+            const pair = tokenInfo ? `${tokenInfo.baseToken.NAME}/${tokenInfo.quoteToken.NAME}` : `${base.toUpperCase()}/${quote.toUpperCase()}`;
+            const { position, tradingData } = state;
+
+            if (position.startTime && position.initialPrice) {
+                this.recordBalanceSnapshot({
+                    time: resolveTimestamp(position.startTime),
+                    pair,
+                    timeframe,
+                    mode: MODES.IMPORT,
+                    baseBalance: position.initialBaseBalance,
+                    quoteBalance: position.initialQuoteBalance,
+                    price: position.initialPrice
+                });
+                count++;
+            }
+
+            if (tradingData && tradingData.price) {
+                // tradingData.timestamp has no year; the file was last written at the same time
+                this.recordBalanceSnapshot({
+                    time: fs.statSync(filePath).mtimeMs,
+                    pair,
+                    timeframe,
+                    mode: MODES.IMPORT,
+                    baseBalance: position.baseBalance,
+                    quoteBalance: position.quoteBalance,
+                    price: tradingData.price,
+                    portfolioValue: tradingData.portfolioValue
+                });
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Imports the price and FGI readings in user/fgi_log.csv as cycles for the current pair
+     * @returns {number} Cycles imported
+     */
+    importFGILog() {
+        const logPath = path.join(USER_DIR, 'fgi_log.csv');
+        if (!fs.existsSync(logPath)) return 0;
+
+        // Lazy require - the backtester requires this module
+        const { loadHistoricalData } = require('./backtest');
+        const pair = getCurrentPair();
+        const timeframe = getCurrentTimeframe();
+        const samples = loadHistoricalData(logPath);
+
+        // The log has no year; anchor it so the last reading falls in the last 12 months
+        const lastTime = samples.length > 0 ? samples[samples.length - 1].time : 0;
+        const yearOffset = lastTime > Date.now() + 24 * 60 * 60 * 1000 ? 1 : 0;
+
+        samples.forEach(({ time, price, fgi }) => {
+            const shifted = new Date(time);
+            shifted.setFullYear(shifted.getFullYear() - yearOffset);
+            this.recordCycle({
+                time: shifted.getTime(),
+                pair,
+                timeframe,
+                mode: MODES.IMPORT,
+                fearGreedIndex: fgi,
+                price
+            });
+        });
+        return samples.length;
+    }
+
+    /**
+     * Imports the swaps in the daily Pulse Log CSVs written by logTradeToFile
+     * @returns {number} Fills imported
+     */
+    importPulseLogs() {
+        if (!fs.existsSync(USER_DIR)) return 0;
+
+        const quoteTokenName = getQuoteToken().NAME;
+        let count = 0;
+
+        fs.readdirSync(USER_DIR)
+            .filter(file => /^Pulse Log \d{4}-\d{2}-\d{2}\.csv$/.test(file))
+            .sort()
+            .forEach(file => {
+                const { data } = Papa.parse(fs.readFileSync(path.join(USER_DIR, file), 'utf8'), {
+                    header: true,
+                    skipEmptyLines: true
+                });
+
+                data.forEach(row => {
+                    const time = Date.parse(`${String(row['Timestamp']).replace(' ', 'T')}Z`);
+                    const inputToken = row['Input Token'];
+                    const outputToken = row['Output Token'];
+                    if (isNaN(time) || !inputToken || !outputToken) return;
+
+                    const baseToken = inputToken === quoteTokenName ? outputToken : inputToken;
+                    const quoteToken = baseToken === inputToken ? outputToken : inputToken;
+
+                    this.recordFill({
+                        time,
+                        pair: `${baseToken}/${quoteToken}`,
+                        mode: row['Jito Status'] === 'Paper' ? MODES.PAPER : MODES.IMPORT,
+                        inputToken,
+                        outputToken,
+                        inputAmount: row['Input Amount'],
+                        outputAmount: row['Output Amount'],
+                        status: row['Jito Status']
+                    });
+                    count++;
+                });
+            });
+        return count;
+    }
+}
+
+// ===========================
+// Shared Store
+// ===========================
+
+/**
+ * Gets the running mode, which decides the database the history goes to
+ * @returns {string} MODES.PAPER or MODES.LIVE
+ */
+function getRunMode() {
+    return readSettings().PAPER_TRADING === true ? MODES.PAPER : MODES.LIVE;
+}
+
+/**
+ * Gets the bot's history store for a mode, opening its database on first use
+ * Paper trading is kept in user/history_paper.db, so it never mixes with the live history in user/history.db.
+ * @param {string} [mode] - One of MODES (default: the running mode)
+ * @returns {HistoryStore|null} History store, or null if history is disabled or the database could not be opened
+ */
+function getHistoryStore(mode = getRunMode()) {
+    if (!sharedStoreOptions.enabled) return null;
+
+    const paper = mode === MODES.PAPER;
+    const dbPath = paper ? sharedStoreOptions.paperDbPath : sharedStoreOptions.dbPath;
+
+    if (!sharedStores.has(dbPath)) {
+        try {
+            // Legacy history predates paper trading records, so only the live database imports it
+            sharedStores.set(dbPath, new HistoryStore(dbPath, { importLegacy: !paper }));
+        } catch (error) {
+            console.error(formatError(`${icons.error} Could not open history store - history will not be recorded: ${error.message}`));
+            sharedStores.set(dbPath, null);
+        }
+    }
+    return sharedStores.get(dbPath);
+}
+
+/**
+ * Closes the shared history stores; the next getHistoryStore opens them again
+ */
+function closeHistoryStores() {
+    sharedStores.forEach(store => {
+        if (store) {
+            store.close();
+        }
+    });
+    sharedStores.clear();
+}
+
+/**
+ * Sets where getHistoryStore keeps the history, closing any shared store already open
+ * Lets tests and tools record to their own database, or not at all, instead of the bot's.
+ * @param {Object} options - Store options
+ * @param {string} [options.dbPath] - Database for live, imported and backtest history, or ':memory:'
+ * @param {string} [options.paperDbPath] - Database for paper trading history, or ':memory:'
+ * @param {boolean} [options.enabled] - False to record no history at all
+ */
+function configureHistoryStore(options = {}) {
+    closeHistoryStores();
+    sharedStoreOptions = { ...sharedStoreOptions, ...options };
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    HistoryStore,
+    getHistoryStore,
+    closeHistoryStores,
+    configureHistoryStore,
+    MODES,
+    HISTORY_DB_PATH,
+    PAPER_HISTORY_DB_PATH,
+    MAX_QUERY_LIMIT,
+    getPagination
+};
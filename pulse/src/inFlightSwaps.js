@@ -0,0 +1,172 @@
+/**
+ * PulseSurfer In-Flight Swaps
+ * Journal of swaps that have been signed and sent but are not yet in the order book
+ *
+ * An entry is written as soon as a swap is signed, updated with its Jito bundle ID once the bundle is sent,
+ * and removed once the order book has recorded the swap or the swap can no longer land. Whatever is left
+ * when the bot stops (killed mid-bundle, or shut down before a bundle settled) is checked against the chain
+ * on the next start, so a swap that landed still reaches the order book.
+ * The journal is kept in user/savestates/inFlightSwaps.json, shared by every pair.
+ */
+
+// Core dependencies
+const path = require('path');
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./storage');
+const {
+    USER_DIR,
+    devLog,
+    readSettings,
+    getBaseToken,
+    getQuoteToken
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const JOURNAL_PATH = path.join(USER_DIR, 'savestates', 'inFlightSwaps.json');
+
+// Where a journalled swap has got to
+const SWAP_STATUSES = {
+    PENDING: 'pending',     // Sent, waiting to land
+    LANDED: 'landed',       // Landed, waiting for the order book
+    UNKNOWN: 'unknown'      // Could not tell whether it landed
+};
+
+// Journal entries, loaded on first use
+let journal = null;
+
+// ===========================
+// Journal Persistence
+// ===========================
+
+/**
+ * Loads the journal
+ * @returns {Object} Journal { swaps: [] }
+ */
+function loadJournal() {
+    if (!journal) {
+        const saved = readJSON(JOURNAL_PATH);
+        journal = { swaps: Array.isArray(saved?.swaps) ? saved.swaps : [] };
+    }
+    return journal;
+}
+
+/**
+ * Saves the journal
+ * @returns {boolean} Success status
+ */
+function saveJournal() {
+    return writeJSON(JOURNAL_PATH, loadJournal());
+}
+
+// ===========================
+// Journal Entries
+// ===========================
+
+/**
+ * Gets the pair and timeframe of the current execution, which together pick the order book a swap belongs to
+ * @returns {Object} { pair, timeframe }
+ */
+function getPairKey() {
+    const settings = readSettings() || {};
+    return {
+        pair: `${getBaseToken().NAME}/${getQuoteToken().NAME}`,
+        timeframe: settings.FGI_TIMEFRAME || "15m"
+    };
+}
+
+/**
+ * Records a swap that is about to be sent
+ * @param {Object} details - What the swap is for
+ * @param {string} details.action - 'open' for a new trade or 'close' for closing tradeId
+ * @param {string} [details.tradeId] - Trade being closed
+ * @param {number} [details.closedBaseAmount] - Base amount of the trade being closed
+ * @param {string} [details.closeReason] - Why the trade is being closed
+ * @param {string} [details.sentiment] - Sentiment the trade was opened on
+ * @param {Object} details.swap - { inputMint, outputMint, swapMode, expectedInputAmount, expectedOutputAmount } for reconcileSwap
+ * @returns {string} Entry ID
+ */
+function recordInFlightSwap(details) {
+    const entry = {
+        id: crypto.randomUUID(),
+        status: SWAP_STATUSES.PENDING,
+        ...getPairKey(),
+        ...details,
+        signature: null,
+        lastValidBlockHeight: null,
+        bundleId: null,
+        tipLamports: 0,
+        recordedAt: new Date().toISOString()
+    };
+
+    loadJournal().swaps.push(entry);
+    saveJournal();
+    devLog(`Recorded in-flight ${entry.action} swap ${entry.id}`);
+    return entry.id;
+}
+
+/**
+ * Updates a journalled swap, e.g. with the signature of a new attempt or the bundle it went out in
+ * @param {string} id - Entry ID
+ * @param {Object} changes - Fields to update
+ * @returns {boolean} True if the entry was found
+ */
+function updateInFlightSwap(id, changes) {
+    const entry = loadJournal().swaps.find(swap => swap.id === id);
+    if (!entry) return false;
+
+    Object.assign(entry, changes);
+    saveJournal();
+    return true;
+}
+
+/**
+ * Removes a swap from the journal once the order book has it, or once it can no longer land
+ * @param {string} id - Entry ID
+ * @returns {boolean} True if the entry was found
+ */
+function clearInFlightSwap(id) {
+    const swaps = loadJournal().swaps;
+    const index = swaps.findIndex(swap => swap.id === id);
+    if (index === -1) return false;
+
+    swaps.splice(index, 1);
+    saveJournal();
+    devLog(`Cleared in-flight swap ${id}`);
+    return true;
+}
+
+/**
+ * Gets journalled swaps
+ * @param {Object} [filter] - Only return swaps matching every field, e.g. { pair, timeframe }
+ * @returns {Array<Object>} Copies of the matching entries
+ */
+function getInFlightSwaps(filter = {}) {
+    return loadJournal().swaps
+        .filter(swap => Object.entries(filter).every(([key, value]) => swap[key] === value))
+        .map(swap => ({ ...swap }));
+}
+
+/**
+ * Gets the journalled swaps for the order book of the current execution
+ * @returns {Array<Object>} Entries for the current pair and timeframe
+ */
+function getPairInFlightSwaps() {
+    return getInFlightSwaps(getPairKey());
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    recordInFlightSwap,
+    updateInFlightSwap,
+    clearInFlightSwap,
+    getInFlightSwaps,
+    getPairInFlightSwaps,
+    SWAP_STATUSES,
+    JOURNAL_PATH
+};
@@ -0,0 +1,293 @@
+/**
+ * PulseSurfer Local Fear & Greed Index
+ * Derives a 0-100 sentiment score from recorded price history
+ *
+ * Components (each scored 0-100, 50 = neutral) and default weights:
+ *   RSI        0.35 - Relative Strength Index over RSI_PERIOD samples
+ *   MOMENTUM   0.30 - Price change over MOMENTUM_PERIOD samples, 5% ≈ 88 / -5% ≈ 12
+ *   VOLATILITY 0.20 - Recent volatility against the longer baseline, calmer than usual = greed
+ *   VOLUME     0.15 - Latest volume against its average, in the direction of the last move
+ * Components without enough history (or volume data) are dropped and the remaining weights rescaled.
+ */
+
+// Core dependencies
+const path = require('path');
+const { readJSON, writeJSON } = require('./storage');
+const { readSettings } = require('./pulseServer');
+const {
+    USER_DIR,
+    devLog,
+    // Import styling utilities
+    formatError,
+    icons
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const PRICE_HISTORY_DIR = path.join(USER_DIR, 'pricehistory');
+const MAX_HISTORY_SAMPLES = 200;
+const MOMENTUM_SCALE = 0.05; // Fractional move that maps to roughly 88/12
+const TIMEFRAME_DURATIONS = {
+    "15m": 15 * 60 * 1000,
+    "1h": 60 * 60 * 1000,
+    "4h": 4 * 60 * 60 * 1000
+};
+const DEFAULT_LOCAL_FGI_CONFIG = {
+    FALLBACK: true,
+    WEIGHTS: {
+        RSI: 0.35,
+        MOMENTUM: 0.30,
+        VOLATILITY: 0.20,
+        VOLUME: 0.15
+    },
+    RSI_PERIOD: 14,
+    MOMENTUM_PERIOD: 10,
+    VOLATILITY_PERIOD: 10,
+    VOLATILITY_BASELINE_PERIOD: 50,
+    VOLUME_PERIOD: 20
+};
+
+// ===========================
+// Configuration
+// ===========================
+
+/**
+ * Gets the local FGI configuration merged over the defaults
+ * @returns {Object} Local FGI configuration
+ */
+function getLocalFGIConfig() {
+    const settings = readSettings() || {};
+    const config = settings.LOCAL_FGI || {};
+    return {
+        ...DEFAULT_LOCAL_FGI_CONFIG,
+        ...config,
+        WEIGHTS: { ...DEFAULT_LOCAL_FGI_CONFIG.WEIGHTS, ...(config.WEIGHTS || {}) }
+    };
+}
+
+// ===========================
+// Price History
+// ===========================
+
+/**
+ * Gets the path to the price history file for a token and timeframe
+ * @param {Object} token - Token configuration
+ * @param {string} timeframe - Timeframe from settings
+ * @returns {string} Path to price history file
+ */
+function getPriceHistoryPath(token, timeframe) {
+    return path.join(PRICE_HISTORY_DIR, `${token.NAME.toLowerCase()}_${timeframe}.json`);
+}
+
+/**
+ * Loads the recorded price history for a token and timeframe
+ * @param {Object} token - Token configuration
+ * @param {string} timeframe - Timeframe from settings
+ * @returns {Array<Object>} Samples { time, price, volume }
+ */
+function loadPriceHistory(token, timeframe) {
+    const samples = readJSON(getPriceHistoryPath(token, timeframe));
+    return Array.isArray(samples) ? samples : [];
+}
+
+/**
+ * Records a price sample, keeping one sample per timeframe period
+ * A sample within the same period replaces the previous one so it always holds the latest close
+ * @param {Object} token - Token configuration
+ * @param {string} timeframe - Timeframe from settings
+ * @param {number} price - Current price
+ * @param {number|null} volume - Current volume, if the source provides it
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} Success status
+ */
+function recordPriceSample(token, timeframe, price, volume = null, now = Date.now()) {
+    try {
+        if (typeof price !== 'number' || !isFinite(price) || price <= 0) {
+            return false;
+        }
+
+        const duration = TIMEFRAME_DURATIONS[timeframe] || TIMEFRAME_DURATIONS["15m"];
+        const period = Math.floor(now / duration);
+        const samples = loadPriceHistory(token, timeframe);
+        const last = samples[samples.length - 1];
+        const sample = { time: now, price, volume: typeof volume === 'number' && isFinite(volume) ? volume : null };
+
+        if (last && Math.floor(last.time / duration) === period) {
+            // Keep volume from an earlier reading in this period if this one has none
+            samples[samples.length - 1] = { ...sample, volume: sample.volume ?? last.volume };
+        } else {
+            samples.push(sample);
+        }
+
+        return writeJSON(getPriceHistoryPath(token, timeframe), samples.slice(-MAX_HISTORY_SAMPLES));
+    } catch (error) {
+        console.error(formatError(`${icons.error} Error recording price sample: ${error.message}`));
+        return false;
+    }
+}
+
+// ===========================
+// Indicator Components
+// ===========================
+
+/**
+ * Calculates the RSI over the last period samples
+ * @param {number[]} prices - Prices, oldest first
+ * @param {number} period - Number of price changes to include
+ * @returns {number|null} RSI (0-100) or null without enough history
+ */
+function calculateRSI(prices, period) {
+    if (prices.length < period + 1) return null;
+
+    const window = prices.slice(-(period + 1));
+    let gains = 0;
+    let losses = 0;
+    for (let i = 1; i < window.length; i++) {
+        const change = window[i] - window[i - 1];
+        if (change > 0) gains += change;
+        else losses -= change;
+    }
+
+    if (losses === 0) return gains === 0 ? 50 : 100;
+    return 100 - (100 / (1 + gains / losses));
+}
+
+/**
+ * Scores price momentum over the last period samples
+ * @param {number[]} prices - Prices, oldest first
+ * @param {number} period - Lookback in samples
+ * @returns {number|null} Score (0-100) or null without enough history
+ */
+function calculateMomentumScore(prices, period) {
+    if (prices.length < period + 1) return null;
+
+    const change = prices[prices.length - 1] / prices[prices.length - 1 - period] - 1;
+    return 50 + 50 * Math.tanh(change / MOMENTUM_SCALE);
+}
+
+/**
+ * Calculates realised volatility (root mean square of log returns)
+ * Trending moves count as volatility, not just noise around the trend
+ * @param {number[]} prices - Prices, oldest first
+ * @returns {number} Realised volatility per sample
+ */
+function calculateRealisedVolatility(prices) {
+    let sumOfSquares = 0;
+    for (let i = 1; i < prices.length; i++) {
+        sumOfSquares += Math.log(prices[i] / prices[i - 1]) ** 2;
+    }
+    return Math.sqrt(sumOfSquares / (prices.length - 1));
+}
+
+/**
+ * Scores recent volatility against the baseline volatility
+ * @param {number[]} prices - Prices, oldest first
+ * @param {number} period - Recent window in samples
+ * @param {number} baselinePeriod - Baseline window in samples
+ * @returns {number|null} Score (0-100) or null without enough history
+ */
+function calculateVolatilityScore(prices, period, baselinePeriod) {
+    // The baseline needs to be meaningfully longer than the recent window
+    if (prices.length < period * 2 + 1) return null;
+
+    const recent = calculateRealisedVolatility(prices.slice(-(period + 1)));
+    const baseline = calculateRealisedVolatility(prices.slice(-(baselinePeriod + 1)));
+    if (baseline === 0) return 50;
+    if (recent === 0) return 100;
+
+    return 50 - 50 * Math.tanh(Math.log(recent / baseline));
+}
+
+/**
+ * Scores the latest volume against its average, signed by the direction of the last move
+ * @param {Array<Object>} samples - Samples { price, volume }, oldest first
+ * @param {number} period - Averaging window in samples
+ * @returns {number|null} Score (0-100) or null without volume data
+ */
+function calculateVolumeScore(samples, period) {
+    const window = samples.slice(-(period + 1));
+    if (window.length < period + 1 || window.some(sample => typeof sample.volume !== 'number')) return null;
+
+    const latest = window[window.length - 1];
+    const previous = window[window.length - 2];
+    const average = window.slice(0, -1).reduce((sum, sample) => sum + sample.volume, 0) / period;
+    if (average <= 0 || latest.volume <= 0) return null;
+
+    const direction = Math.sign(latest.price - previous.price);
+    return 50 + 50 * Math.tanh(Math.log(latest.volume / average)) * direction;
+}
+
+// ===========================
+// Index Calculation
+// ===========================
+
+/**
+ * Calculates the local Fear & Greed Index from price samples
+ * @param {Array<Object>} samples - Samples { price, volume }, oldest first
+ * @param {Object} config - Local FGI configuration
+ * @returns {Object|null} { fgi, components } or null when RSI_PERIOD + 1 samples are not yet available
+ */
+function calculateLocalFGI(samples, config = DEFAULT_LOCAL_FGI_CONFIG) {
+    const prices = samples.map(sample => sample.price);
+    const components = {
+        RSI: calculateRSI(prices, config.RSI_PERIOD),
+        MOMENTUM: calculateMomentumScore(prices, config.MOMENTUM_PERIOD),
+        VOLATILITY: calculateVolatilityScore(prices, config.VOLATILITY_PERIOD, config.VOLATILITY_BASELINE_PERIOD),
+        VOLUME: calculateVolumeScore(samples, config.VOLUME_PERIOD)
+    };
+
+    if (components.RSI === null) return null;
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    Object.entries(components).forEach(([name, score]) => {
+        const weight = config.WEIGHTS[name] || 0;
+        if (score === null || weight <= 0) return;
+        weightedSum += score * weight;
+        totalWeight += weight;
+    });
+
+    if (totalWeight === 0) return null;
+
+    const fgi = Math.round(Math.min(100, Math.max(0, weightedSum / totalWeight)));
+    return { fgi, components };
+}
+
+/**
+ * Gets the local Fear & Greed Index for a token from its recorded price history
+ * @param {Object} token - Token configuration
+ * @param {string} timeframe - Timeframe from settings
+ * @returns {number|null} FGI value (0-100) or null while history is warming up
+ */
+function getLocalFearGreedIndex(token, timeframe) {
+    const config = getLocalFGIConfig();
+    const samples = loadPriceHistory(token, timeframe);
+    const result = calculateLocalFGI(samples, config);
+
+    if (!result) {
+        devLog(`Local FGI warming up (${samples.length}/${config.RSI_PERIOD + 1} samples)`);
+        return null;
+    }
+
+    const componentSummary = Object.entries(result.components)
+        .map(([name, score]) => `${name}: ${score === null ? 'n/a' : score.toFixed(1)}`)
+        .join(', ');
+    devLog(`Local FGI for ${token.NAME} (${timeframe}): ${result.fgi} [${componentSummary}]`);
+
+    return result.fgi;
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    getLocalFGIConfig,
+    loadPriceHistory,
+    recordPriceSample,
+    calculateLocalFGI,
+    getLocalFearGreedIndex,
+    DEFAULT_LOCAL_FGI_CONFIG
+};
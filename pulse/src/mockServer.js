@@ -0,0 +1,448 @@
+/**
+ * PulseSurfer Mock Server
+ * Local stand-in for the SurfSolana, Jupiter and Jito APIs, so the trading loop can run offline and in automated tests
+ *
+ * - SurfSolana: scripted FGI, price and volume steps, advanced on a timer or through /_mock/advance
+ * - Jupiter: deterministic quotes at the current scripted price, and swap transactions that move no tokens
+ * - Jito: a tip floor and bundles that end Landed, Failed, Invalid or never land (Timeout), in scripted order
+ *
+ * Point the bot at it with the endpoint variables printed on start (or from getMockEndpoints), and PRIMARY_RPC
+ * at solana-test-validator. With --rpc set, landed bundles are forwarded to that validator so their transactions exist on chain.
+ */
+
+// Core dependencies
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const fetch = require('cross-fetch');
+const {
+    PublicKey,
+    SystemProgram,
+    TransactionMessage,
+    VersionedTransaction
+} = require('@solana/web3.js');
+const {
+    // Import styling utilities
+    formatError,
+    formatInfo,
+    formatSuccess,
+    icons
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const DEFAULT_PORT = 4000;
+const DEFAULT_SLIPPAGE_BPS = 50;
+const PLACEHOLDER_BLOCKHASH = PublicKey.default.toBase58(); // Replaced when the swap is signed
+const MOCK_AMM_KEY = '58oQChx4yWmvKdwLLZzBi4ChoCc2fqCUWBkwMihLYQo2';
+
+// Bundle outcomes a scenario can script
+const BUNDLE_STATUSES = ['Landed', 'Failed', 'Invalid', 'Timeout'];
+
+const DEFAULT_SCENARIO = {
+    BASE_MINT: 'So11111111111111111111111111111111111111112',
+    QUOTE_MINT: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    DECIMALS: {
+        'So11111111111111111111111111111111111111112': 9,
+        'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 6
+    },
+    SENTIMENT: [
+        { FGI: 50, PRICE: 150, VOLUME: 1000000 }
+    ],
+    STEP_MS: 0,                 // Advance SENTIMENT on a timer, 0 to advance only through /_mock/advance
+    LOOP: false,                // Start SENTIMENT over after the last step instead of holding it
+    PRICE_IMPACT_PCT: 0.0001,   // Reported as a fraction, like Jupiter
+    ROUTE_HOPS: 1,
+    BUNDLE_STATUSES: [],        // Outcomes for successive bundles, then DEFAULT_BUNDLE_STATUS
+    DEFAULT_BUNDLE_STATUS: 'Landed',
+    TIP_FLOOR: {
+        landed_tips_25th_percentile: 0.00001,
+        landed_tips_50th_percentile: 0.00002,
+        landed_tips_75th_percentile: 0.00005,
+        landed_tips_95th_percentile: 0.0001,
+        landed_tips_99th_percentile: 0.0002,
+        ema_landed_tips_50th_percentile: 0.00002
+    }
+};
+
+// ===========================
+// Scenario State
+// ===========================
+
+/**
+ * Creates the state of a scenario
+ * @param {Object} scenario - Scenario, merged over DEFAULT_SCENARIO
+ * @returns {Object} State { scenario, step, bundles, bundleQueue, requests }
+ */
+function createMockState(scenario = {}) {
+    const merged = { ...DEFAULT_SCENARIO, ...scenario };
+    const invalid = [...merged.BUNDLE_STATUSES, merged.DEFAULT_BUNDLE_STATUS].find(status => !BUNDLE_STATUSES.includes(status));
+    if (invalid) {
+        throw new Error(`Unknown bundle status "${invalid}" - use ${BUNDLE_STATUSES.join(', ')}`);
+    }
+    if (!Array.isArray(merged.SENTIMENT) || merged.SENTIMENT.length === 0) {
+        throw new Error('Scenario needs at least one SENTIMENT step');
+    }
+
+    return {
+        scenario: merged,
+        step: 0,
+        startTime: Date.now(),
+        bundles: new Map(),
+        bundleQueue: [...merged.BUNDLE_STATUSES],
+        requests: { sentiment: 0, quote: 0, swap: 0, bundle: 0, bundleStatus: 0, tipFloor: 0 }
+    };
+}
+
+/**
+ * Gets the current sentiment step
+ * @param {Object} state - Mock state
+ * @returns {Object} Step { FGI, PRICE, VOLUME }
+ */
+function getCurrentStep(state) {
+    const { SENTIMENT, STEP_MS, LOOP } = state.scenario;
+    const timedStep = STEP_MS > 0 ? Math.floor((Date.now() - state.startTime) / STEP_MS) : 0;
+    const index = state.step + timedStep;
+    return SENTIMENT[LOOP ? index % SENTIMENT.length : Math.min(index, SENTIMENT.length - 1)];
+}
+
+// ===========================
+// Jupiter
+// ===========================
+
+/**
+ * Builds a deterministic quote at the current scripted price
+ * @param {Object} state - Mock state
+ * @param {Object} params - Quote query parameters
+ * @returns {Object} Jupiter style quote
+ */
+function buildQuote(state, params) {
+    const { BASE_MINT, QUOTE_MINT, DECIMALS, PRICE_IMPACT_PCT, ROUTE_HOPS } = state.scenario;
+    const { inputMint, outputMint } = params;
+    if (![BASE_MINT, QUOTE_MINT].includes(inputMint) || ![BASE_MINT, QUOTE_MINT].includes(outputMint) || inputMint === outputMint) {
+        throw new Error(`Unsupported pair ${inputMint} → ${outputMint}`);
+    }
+
+    const swapMode = params.swapMode === 'ExactOut' ? 'ExactOut' : 'ExactIn';
+    const amount = parseInt(params.amount);
+    const slippageBps = parseInt(params.slippageBps) || DEFAULT_SLIPPAGE_BPS;
+    const feeBps = parseInt(params.platformFeeBps) || 0;
+    const price = getCurrentStep(state).PRICE;
+
+    // Converts base units of one token to base units of the other at the scripted price
+    const convert = (units, fromMint, toMint) => {
+        const value = units / (10 ** DECIMALS[fromMint]);
+        const converted = fromMint === QUOTE_MINT ? value / price : value * price;
+        return converted * (10 ** DECIMALS[toMint]);
+    };
+
+    let inAmount;
+    let outAmount;
+    let otherAmountThreshold;
+    let feeAmount;
+    if (swapMode === 'ExactIn') {
+        const grossOut = convert(amount, inputMint, outputMint);
+        feeAmount = Math.floor(grossOut * feeBps / 10000);
+        inAmount = amount;
+        outAmount = Math.floor(grossOut) - feeAmount;
+        otherAmountThreshold = Math.floor(outAmount * (1 - slippageBps / 10000));
+    } else {
+        const grossIn = convert(amount, outputMint, inputMint);
+        feeAmount = Math.ceil(grossIn * feeBps / 10000);
+        inAmount = Math.ceil(grossIn) + feeAmount;
+        outAmount = amount;
+        otherAmountThreshold = Math.ceil(inAmount * (1 + slippageBps / 10000));
+    }
+
+    return {
+        inputMint,
+        inAmount: String(inAmount),
+        outputMint,
+        outAmount: String(outAmount),
+        otherAmountThreshold: String(otherAmountThreshold),
+        swapMode,
+        slippageBps,
+        platformFee: { amount: String(feeAmount), feeBps },
+        priceImpactPct: String(PRICE_IMPACT_PCT),
+        routePlan: Array.from({ length: ROUTE_HOPS }, (_, hop) => ({
+            swapInfo: {
+                ammKey: MOCK_AMM_KEY,
+                label: `Mock ${hop + 1}`,
+                inputMint: hop === 0 ? inputMint : outputMint,
+                outputMint
+            },
+            percent: 100
+        })),
+        contextSlot: 1,
+        timeTaken: 0
+    };
+}
+
+/**
+ * Builds a swap transaction for a quote
+ * The transaction only transfers 0 lamports from the wallet to itself, so it lands on a test validator without touching tokens
+ * @param {string} userPublicKey - Wallet address
+ * @returns {string} Base64 encoded unsigned transaction
+ */
+function buildSwapTransaction(userPublicKey) {
+    const payer = new PublicKey(userPublicKey);
+    const message = new TransactionMessage({
+        payerKey: payer,
+        recentBlockhash: PLACEHOLDER_BLOCKHASH,
+        instructions: [SystemProgram.transfer({ fromPubkey: payer, toPubkey: payer, lamports: 0 })]
+    }).compileToV0Message();
+
+    return Buffer.from(new VersionedTransaction(message).serialize()).toString('base64');
+}
+
+// ===========================
+// Jito
+// ===========================
+
+/**
+ * Accepts a bundle and gives it the next scripted outcome
+ * @param {Object} state - Mock state
+ * @param {Array<string>} transactions - Base58 encoded signed transactions
+ * @param {string|null} rpcUrl - Validator to forward landed bundles to
+ * @returns {Promise<string>} Bundle ID
+ */
+async function acceptBundle(state, transactions, rpcUrl) {
+    const status = state.bundleQueue.length > 0 ? state.bundleQueue.shift() : state.scenario.DEFAULT_BUNDLE_STATUS;
+    const bundleId = (state.bundles.size + 1).toString(16).padStart(64, '0');
+    state.bundles.set(bundleId, { status, transactions });
+
+    if (status === 'Landed' && rpcUrl) {
+        for (const transaction of transactions) {
+            const response = await fetch(rpcUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: 1,
+                    method: 'sendTransaction',
+                    params: [transaction, { encoding: 'base58', skipPreflight: true }]
+                })
+            });
+            const { error } = await response.json();
+            if (error) {
+                console.error(formatError(`${icons.error} Mock server could not forward bundle ${bundleId}: ${error.message}`));
+            }
+        }
+    }
+
+    return bundleId;
+}
+
+/**
+ * Gets the in-flight status of a bundle the way the block engine reports it
+ * @param {Object} state - Mock state
+ * @param {string} bundleId - Bundle ID
+ * @returns {Object|null} Status or null for an unknown bundle
+ */
+function getBundleStatus(state, bundleId) {
+    const bundle = state.bundles.get(bundleId);
+    if (!bundle) return null;
+
+    // A timed out bundle stays pending until the bot gives up on it
+    const status = bundle.status === 'Timeout' ? 'Pending' : bundle.status;
+    return {
+        bundle_id: bundleId,
+        status,
+        landed_slot: status === 'Landed' ? 1 : null
+    };
+}
+
+// ===========================
+// Server
+// ===========================
+
+/**
+ * Creates the mock server application
+ * @param {Object} scenario - Scenario, merged over DEFAULT_SCENARIO
+ * @param {Object} options - Options
+ * @param {string} [options.rpcUrl] - Validator to forward landed bundles to
+ * @returns {Object} { app, state } (state is replaced by /_mock/scenario and /_mock/reset)
+ */
+function createMockApp(scenario = {}, { rpcUrl = null } = {}) {
+    const app = express();
+    const mock = { state: createMockState(scenario) };
+    app.use(express.json({ limit: '1mb' }));
+
+    // SurfSolana
+    app.get('/surfsolana/:token/:timeframe/latest.json', (req, res) => {
+        mock.state.requests.sentiment++;
+        const { FGI, PRICE, VOLUME } = getCurrentStep(mock.state);
+        res.json({ fgi: FGI, price: PRICE, volume: VOLUME ?? null, token: req.params.token, timeframe: req.params.timeframe });
+    });
+
+    // Jupiter
+    app.get('/jupiter/quote', (req, res) => {
+        mock.state.requests.quote++;
+        try {
+            res.json(buildQuote(mock.state, req.query));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.post('/jupiter/swap', (req, res) => {
+        mock.state.requests.swap++;
+        try {
+            res.json({ swapTransaction: buildSwapTransaction(req.body.userPublicKey), lastValidBlockHeight: 0 });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Jito
+    app.get('/jito/api/v1/bundles/tip_floor', (req, res) => {
+        mock.state.requests.tipFloor++;
+        res.json([{ time: new Date().toISOString(), ...mock.state.scenario.TIP_FLOOR }]);
+    });
+
+    app.post('/jito/api/v1/bundles', async (req, res) => {
+        const { id = 1, method, params = [] } = req.body || {};
+        try {
+            if (method === 'sendBundle') {
+                mock.state.requests.bundle++;
+                const bundleId = await acceptBundle(mock.state, params[0] || [], rpcUrl);
+                return res.json({ jsonrpc: '2.0', id, result: bundleId });
+            }
+            if (method === 'getInflightBundleStatuses') {
+                mock.state.requests.bundleStatus++;
+                const value = (params[0] || []).map(bundleId => getBundleStatus(mock.state, bundleId));
+                return res.json({ jsonrpc: '2.0', id, result: { context: { slot: 1 }, value } });
+            }
+            res.json({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } });
+        } catch (error) {
+            res.json({ jsonrpc: '2.0', id, error: { code: -32603, message: error.message } });
+        }
+    });
+
+    // Scenario control
+    app.get('/_mock/state', (req, res) => {
+        res.json({
+            step: getCurrentStep(mock.state),
+            stepIndex: mock.state.step,
+            requests: mock.state.requests,
+            bundles: [...mock.state.bundles].map(([bundleId, { status }]) => ({ bundleId, status })),
+            pendingBundleStatuses: mock.state.bundleQueue
+        });
+    });
+
+    app.post('/_mock/advance', (req, res) => {
+        mock.state.step += parseInt(req.body?.steps) || 1;
+        res.json({ stepIndex: mock.state.step, step: getCurrentStep(mock.state) });
+    });
+
+    app.post('/_mock/scenario', (req, res) => {
+        try {
+            mock.state = createMockState({ ...mock.state.scenario, ...(req.body || {}) });
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.post('/_mock/reset', (req, res) => {
+        mock.state = createMockState(mock.state.scenario);
+        res.json({ success: true });
+    });
+
+    return { app, get state() { return mock.state; } };
+}
+
+/**
+ * Gets the endpoint variables that point the bot at a mock server
+ * @param {string} baseUrl - Mock server URL, e.g. http://127.0.0.1:4000
+ * @returns {Object} Environment variables
+ */
+function getMockEndpoints(baseUrl) {
+    return {
+        JUPITER_API_URL: `${baseUrl}/jupiter`,
+        SURFSOLANA_API_URL: `${baseUrl}/surfsolana`,
+        JITO_BLOCK_ENGINE_URL: `${baseUrl}/jito/api/v1/bundles`,
+        JITO_TIP_FLOOR_URL: `${baseUrl}/jito/api/v1/bundles/tip_floor`
+    };
+}
+
+/**
+ * Starts a mock server
+ * @param {Object} options - Options
+ * @param {number} [options.port] - Port, 0 for any free port
+ * @param {Object} [options.scenario] - Scenario, merged over DEFAULT_SCENARIO
+ * @param {string} [options.rpcUrl] - Validator to forward landed bundles to
+ * @returns {Promise<Object>} { server, url, endpoints, mock } (call server.close() to stop)
+ */
+function startMockServer({ port = DEFAULT_PORT, scenario = {}, rpcUrl = null } = {}) {
+    const mock = createMockApp(scenario, { rpcUrl });
+
+    return new Promise((resolve, reject) => {
+        const server = mock.app.listen(port, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}`;
+            resolve({ server, url, endpoints: getMockEndpoints(url), mock });
+        });
+        server.on('error', reject);
+    });
+}
+
+// ===========================
+// Command Line Interface
+// ===========================
+
+/**
+ * Parses mock server command line arguments
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Server options
+ */
+function parseArguments(args) {
+    const getArg = name => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    const scenarioFile = getArg('scenario');
+    const port = getArg('port') !== undefined ? parseInt(getArg('port')) : DEFAULT_PORT;
+    if (isNaN(port)) throw new Error(`Invalid --port "${getArg('port')}"`);
+
+    return {
+        port,
+        scenario: scenarioFile ? JSON.parse(fs.readFileSync(path.resolve(scenarioFile), 'utf8')) : {},
+        rpcUrl: getArg('rpc') || null
+    };
+}
+
+if (require.main === module) {
+    (async () => {
+        try {
+            if (process.argv.includes('--help')) {
+                console.log(formatInfo(`${icons.info} Usage: npm run mock-server -- [--port=${DEFAULT_PORT}] [--scenario=<scenario.json>] [--rpc=<validator url>]`));
+                process.exit(0);
+            }
+
+            const { url, endpoints } = await startMockServer(parseArguments(process.argv.slice(2)));
+            console.log(formatSuccess(`${icons.success} Mock server running on ${url}`));
+            console.log(formatInfo(`${icons.info} Add these to user/.env to use it:`));
+            Object.entries(endpoints).forEach(([name, value]) => console.log(`${name}=${value}`));
+        } catch (error) {
+            console.error(formatError(`${icons.error} Mock server failed to start: ${error.message}`));
+            process.exit(1);
+        }
+    })();
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    createMockApp,
+    createMockState,
+    startMockServer,
+    getMockEndpoints,
+    buildQuote,
+    DEFAULT_SCENARIO,
+    BUNDLE_STATUSES
+};
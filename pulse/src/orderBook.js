@@ -1,10 +1,13 @@
 const fs = require('fs');
 const path = require('path');
 const { 
+    USER_DIR,
     getTimestamp, 
+    resolveTimestamp,
     devLog, 
     getBaseToken, 
     getQuoteToken,
+    getSettingsPath,
     // Import styling utilities
     formatHeading,
     formatSubheading,
@@ -25,27 +28,71 @@ const {
     styles,
     colours
 } = require('./utils');
+const { getPairContext, applyPairSettings } = require('./globalState');
+const { readJSON, writeJSON, writeFileAtomic } = require('./storage');
+const { getHistoryStore, MODES } = require('./historyStore');
+const { calculateTradeAnalytics } = require('./analytics');
+
+// Risk limits applied to open trades (0 disables each one)
+const DEFAULT_RISK_CONFIG = {
+    STOP_LOSS_PERCENT: 0,
+    MAX_DRAWDOWN_PERCENT: 0,
+    TRADE_EXPIRY_HOURS: 0
+};
+
+// Reasons recorded on closed trades
+const CLOSE_REASONS = {
+    PROFIT: 'profit',
+    TRAILING_STOP: 'trailing_stop',
+    STOP_LOSS: 'stop_loss',
+    EXPIRED: 'expired'
+};
+
+// How profitable trades are picked and sized for closing
+const MATCHING_POLICIES = {
+    FIFO: 'FIFO',
+    LIFO: 'LIFO',
+    MOST_PROFITABLE: 'MOST_PROFITABLE'
+};
+const DEFAULT_MATCHING_CONFIG = {
+    POLICY: MATCHING_POLICIES.FIFO,
+    MAX_CLOSES_PER_CYCLE: 1,
+    PARTIAL_CLOSES: false,
+    MAX_CLOSE_VALUE: 0
+};
+const CLOSE_BALANCE_BUFFER = 0.98; // Headroom left for fees and slippage on partial closes
+const MIN_PARTIAL_CLOSE_FRACTION = 0.01; // Smaller partial closes are left for a later cycle
+
+// Sentiments that signal closing each trade direction
+const CLOSING_SENTIMENTS = {
+    buy: ["GREED", "EXTREME_GREED"],
+    sell: ["FEAR", "EXTREME_FEAR"]
+};
 
 /**
  * OrderBook class manages trading positions, calculates P&L, and handles trade lifecycle
  */
 class OrderBook {
     constructor() {
+        // Remember the trading pair this order book belongs to, so settings resolve the same way outside its cycle
+        this.pairContext = getPairContext();
+
         // Get token configurations
         this.baseToken = getBaseToken();
         this.quoteToken = getQuoteToken();
         
-        // Initialise paths with token-specific filename
-        this.storageFile = this.getOrderBookStoragePath();
-        this.settingsPath = path.join(__dirname, '..', '..', 'user', 'settings.json');
-        devLog('OrderBook storage file path:', this.storageFile);
-        devLog(`Trading pair: ${this.baseToken.NAME}/${this.quoteToken.NAME}`);
-        devLog(`Token decimals: ${this.baseToken.NAME}=${this.baseToken.DECIMALS}, ${this.quoteToken.NAME}=${this.quoteToken.DECIMALS}`);
-        
         // Initialise state
         this.trades = [];
         this.cachedSettings = null;
         this.lastSettingsRead = 0;
+
+        // Initialise paths with token-specific filename; the storage path depends on the settings
+        this.settingsPath = getSettingsPath();
+        this.paperTrading = this.readSettings().PAPER_TRADING === true;
+        this.storageFile = this.getOrderBookStoragePath();
+        devLog('OrderBook storage file path:', this.storageFile);
+        devLog(`Trading pair: ${this.baseToken.NAME}/${this.quoteToken.NAME}`);
+        devLog(`Token decimals: ${this.baseToken.NAME}=${this.baseToken.DECIMALS}, ${this.quoteToken.NAME}=${this.quoteToken.DECIMALS}`);
         
         // Load and validate trade data
         this.loadTrades();
@@ -59,7 +106,7 @@ class OrderBook {
     getOrderBookStoragePath() {
         const baseTokenLower = this.baseToken.NAME.toLowerCase();
         const quoteTokenLower = this.quoteToken.NAME.toLowerCase();
-        const orderBooksDir = path.join(__dirname, '..', '..', 'user', 'orderbooks');
+        const orderBooksDir = path.join(USER_DIR, 'orderbooks');
         
         // Create the directory if it doesn't exist
         if (!fs.existsSync(orderBooksDir)) {
@@ -69,8 +116,11 @@ class OrderBook {
         // Get current timeframe from settings
         const settings = this.readSettings();
         const timeframe = settings.FGI_TIMEFRAME || "15m";
+
+        // Paper trades are kept apart from the live book
+        const modeSuffix = settings.PAPER_TRADING === true ? '_paper' : '';
         
-        return path.join(orderBooksDir, `${baseTokenLower}_${quoteTokenLower}_${timeframe}_orderBookStorage.json`);
+        return path.join(orderBooksDir, `${baseTokenLower}_${quoteTokenLower}_${timeframe}${modeSuffix}_orderBookStorage.json`);
     }
 
     /**
@@ -78,12 +128,14 @@ class OrderBook {
      * @returns {boolean} Success status
      */
     updateStoragePathForTokens() {
-        // Get updated token configurations
+        // Get updated token configurations, and settings in case the timeframe or paper mode changed
         this.baseToken = getBaseToken();
         this.quoteToken = getQuoteToken();
+        this.cachedSettings = null;
         
         // Update storage file path
         const oldStoragePath = this.storageFile;
+        this.paperTrading = this.readSettings().PAPER_TRADING === true;
         this.storageFile = this.getOrderBookStoragePath();
         
         // Ensure directory exists
@@ -110,19 +162,19 @@ class OrderBook {
         
         // Return cached settings if still valid
         if (this.cachedSettings && (currentTime - this.lastSettingsRead) < SETTINGS_CACHE_TTL) {
-            return this.cachedSettings;
+            return applyPairSettings(this.cachedSettings, this.pairContext);
         }
         
         try {
-            if (!fs.existsSync(this.settingsPath)) {
+            const settings = readJSON(this.settingsPath, { checksum: false });
+            if (!settings) {
                 devLog('Settings file not found, using defaults');
                 this.cachedSettings = { MIN_PROFIT_PERCENT: 0.2 };
                 this.lastSettingsRead = currentTime;
                 return this.cachedSettings;
             }
             
-            const settingsData = fs.readFileSync(this.settingsPath, 'utf8');
-            this.cachedSettings = JSON.parse(settingsData);
+            this.cachedSettings = settings;
             this.lastSettingsRead = currentTime;
             
             // Ensure MIN_PROFIT_PERCENT exists
@@ -131,7 +183,7 @@ class OrderBook {
                 this.cachedSettings.MIN_PROFIT_PERCENT = 0.2;
             }
             
-            return this.cachedSettings;
+            return applyPairSettings(this.cachedSettings, this.pairContext);
         } catch (error) {
             console.error(formatError(`Error reading settings.json: ${error.message}`));
             this.cachedSettings = { MIN_PROFIT_PERCENT: 0.2 };
@@ -145,13 +197,18 @@ class OrderBook {
      */
     loadTrades() {
         try {
-            // Get the storage path for current tokens
-            const storageFile = this.getOrderBookStoragePath();
+            // Load from the path the book was opened with, which saves go to as well
+            const storageFile = this.storageFile;
             
-            // Check for token-specific storage file
-            if (!fs.existsSync(storageFile)) {
+            // Check for token-specific storage file; legacy files only ever held live trades
+            if (!fs.existsSync(storageFile) && this.paperTrading) {
+                devLog('No existing paper trade data found, starting fresh');
+                this.trades = [];
+                this.saveTrades();
+                return;
+            } else if (!fs.existsSync(storageFile)) {
                 // Check for legacy storage file
-                const legacyStorageFile = path.join(__dirname, '..', '..', 'user', `${this.baseToken.NAME.toLowerCase()}_${this.quoteToken.NAME.toLowerCase()}_orderBookStorage.json`);
+                const legacyStorageFile = path.join(USER_DIR, `${this.baseToken.NAME.toLowerCase()}_${this.quoteToken.NAME.toLowerCase()}_orderBookStorage.json`);
                 
                 if (fs.existsSync(legacyStorageFile)) {
                     // Legacy token-specific file exists in the old location
@@ -159,14 +216,14 @@ class OrderBook {
                     
                     try {
                         const legacyData = fs.readFileSync(legacyStorageFile, 'utf8');
-                        fs.writeFileSync(storageFile, legacyData);
+                        writeFileAtomic(storageFile, legacyData);
                         devLog(`Migrated orderbook to new location: ${storageFile}`);
                     } catch (migrationError) {
                         console.error(formatError(`Error migrating legacy orderbook: ${migrationError.message}`));
                     }
                 } else {
                     // Check for super-legacy file (no token in filename)
-                    const superLegacyFile = path.join(__dirname, '..', '..', 'user', 'orderBookStorage.json');
+                    const superLegacyFile = path.join(USER_DIR, 'orderBookStorage.json');
                     
                     if (fs.existsSync(superLegacyFile)) {
                         devLog(`Found super-legacy orderbook at ${superLegacyFile}, checking compatibility...`);
@@ -182,7 +239,7 @@ class OrderBook {
                                 legacyOrderBook.trades[0].tokenInfo.quoteToken === this.quoteToken.NAME) {
                                 
                                 devLog('Super-legacy orderbook is compatible with current tokens, migrating...');
-                                fs.writeFileSync(storageFile, legacyData);
+                                writeFileAtomic(storageFile, legacyData);
                                 devLog(`Migrated orderbook to new location: ${storageFile}`);
                             } else {
                                 devLog('Super-legacy orderbook has different tokens, starting fresh');
@@ -205,32 +262,19 @@ class OrderBook {
                 }
             }
             
-            // Continue with normal loading
-            const data = fs.readFileSync(storageFile, 'utf8');
-            
-            // Handle empty file case
-            if (!data || data.trim() === '') {
-                devLog('OrderBook storage file is empty, initialising with empty trades array');
-                this.trades = [];
-                this.saveTrades();
-                return;
-            }
+            // Continue with normal loading - a corrupt or truncated file is restored from the newest good backup
+            const savedData = readJSON(storageFile);
 
-            try {
-                const savedData = JSON.parse(data);
-                
-                // Validate the loaded data
-                if (!Array.isArray(savedData.trades)) {
-                    throw new Error('Invalid trade data format');
-                }
-                
-                this.trades = savedData.trades.map(trade => this.validateTradeObject(trade));
-                devLog(`Loaded ${this.trades.length} trades from storage: ${storageFile}`);
-            } catch (parseError) {
-                console.error(formatError(`Error parsing trades JSON: ${parseError.message}`));
+            // Validate the loaded data
+            if (!savedData || !Array.isArray(savedData.trades)) {
+                console.error(formatError(`No valid trade data in ${storageFile}, initialising with empty trades array`));
                 this.trades = [];
                 this.saveTrades(); // Save valid structure
+                return;
             }
+
+            this.trades = savedData.trades.map(trade => this.validateTradeObject(trade));
+            devLog(`Loaded ${this.trades.length} trades from storage: ${storageFile}`);
         } catch (error) {
             console.error(formatError(`Error loading trades: ${error.message}`));
             this.trades = [];
@@ -265,10 +309,19 @@ class OrderBook {
             baseTokenAmount: typeof baseTokenAmount === 'number' ? Math.abs(baseTokenAmount) : 0,
             quoteTokenValue: typeof quoteTokenValue === 'number' ? Math.abs(quoteTokenValue) : 0,
             direction: ['buy', 'sell'].includes(trade.direction) ? trade.direction : 'buy',
-            status: ['open', 'closed'].includes(trade.status) ? trade.status : 'open',
+            status: ['open', 'closed', 'void'].includes(trade.status) ? trade.status : 'open',
             upnl: typeof trade.upnl === 'number' ? trade.upnl : 0,
+            openedAt: typeof trade.openedAt === 'number' ? trade.openedAt : null,
             closedAt: trade.closedAt || null,
             closePrice: trade.closePrice || null,
+            closeReason: trade.closeReason || null,
+            trailingPeakProfit: typeof trade.trailingPeakProfit === 'number' ? trade.trailingPeakProfit : null,
+            trailingArmed: trade.trailingArmed === true,
+            parentId: trade.parentId || null,
+            openExecution: trade.openExecution || null,
+            closeExecution: trade.closeExecution || null,
+            closeTxId: trade.closeTxId || null,
+            voidedAt: trade.voidedAt || null,
             realizedPnl: trade.realizedPnl || 0,
             tokenInfo: trade.tokenInfo || {
                 baseToken: this.baseToken.NAME,
@@ -290,17 +343,22 @@ class OrderBook {
                 trades: Array.isArray(this.trades) ? this.trades : []
             };
             
-            // Get the storage file path for current tokens
-            const storageFile = this.getOrderBookStoragePath();
+            // Save to the path the book was opened with, so a mode or timeframe change never mixes books
+            const storageFile = this.storageFile;
             
-            // Ensure directory exists (path.dirname gets the directory portion of a path)
-            const dir = path.dirname(storageFile);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
+            // Write atomically with a rotating backup
+            if (!writeJSON(storageFile, dataToSave)) {
+                return false;
+            }
+
+            // Mirror the trades into the history store of the book's mode
+            const historyStore = getHistoryStore(this.paperTrading ? MODES.PAPER : MODES.LIVE);
+            if (historyStore) {
+                historyStore.syncTrades(dataToSave.trades, {
+                    pair: `${this.baseToken.NAME}/${this.quoteToken.NAME}`,
+                    timeframe: this.readSettings().FGI_TIMEFRAME || "15m"
+                });
             }
-            
-            // Write with valid JSON structure
-            fs.writeFileSync(storageFile, JSON.stringify(dataToSave, null, 2));
             devLog(`Saved ${this.trades.length} trades to storage: ${storageFile}`);
             return true;
         } catch (error) {
@@ -346,9 +404,10 @@ class OrderBook {
      * @param {number} baseTokenChange - Base token amount change
      * @param {number} quoteTokenChange - Quote token amount change
      * @param {string} txId - Transaction ID
+     * @param {Object|null} execution - Chain reconciliation of the opening swap (realized slippage and fees)
      * @returns {Object} Added trade object
      */
-    addTrade(price, baseTokenChange, quoteTokenChange, txId) {
+    addTrade(price, baseTokenChange, quoteTokenChange, txId, execution = null) {
         // Input validation
         if (!txId || typeof txId !== 'string') {
             console.error(formatError(`${icons.error} Invalid transaction ID`));
@@ -393,13 +452,15 @@ class OrderBook {
         
         const trade = this.validateTradeObject({
             id: txId,
-            timestamp: getTimestamp(),
+            timestamp: this.getCurrentTimestamp(),
             price,
             baseTokenAmount: Math.abs(baseTokenChange),
             quoteTokenValue,
             direction,
             status: 'open',
             upnl: 0,
+            openedAt: Date.now(),
+            openExecution: execution,
             tokenInfo: {
                 baseToken: this.baseToken.NAME,
                 quoteToken: this.quoteToken.NAME,
@@ -467,9 +528,8 @@ class OrderBook {
                 // For buy positions, calculate P&L based on price difference
                 trade.upnl = (currentPrice - trade.price) * trade.baseTokenAmount;
             } else {
-                // For sell positions, only show potential profit, not losses
-                const potentialProfit = (trade.price - currentPrice) * trade.baseTokenAmount;
-                trade.upnl = potentialProfit > 0 ? potentialProfit : 0;
+                // For sell positions, the price rising above entry is a loss
+                trade.upnl = (trade.price - currentPrice) * trade.baseTokenAmount;
             }
             
             // Track if any values changed
@@ -528,62 +588,309 @@ class OrderBook {
     }
 
     /**
-     * Finds the oldest trade that meets profitability criteria
+     * Gets the matching configuration merged over the defaults
+     * @returns {Object} Matching configuration
+     */
+    getMatchingConfig() {
+        const config = { ...DEFAULT_MATCHING_CONFIG, ...(this.readSettings().TRADE_MATCHING || {}) };
+        if (!Object.values(MATCHING_POLICIES).includes(config.POLICY)) {
+            console.error(formatError(`${icons.error} Unknown matching policy ${config.POLICY} - using ${MATCHING_POLICIES.FIFO}`));
+            config.POLICY = MATCHING_POLICIES.FIFO;
+        }
+        config.MAX_CLOSES_PER_CYCLE = Math.max(1, Math.floor(config.MAX_CLOSES_PER_CYCLE) || 1);
+        return config;
+    }
+
+    /**
+     * Finds the trades that meet profitability criteria, in the order the matching policy closes them
      * @param {string} direction - Trade direction ('buy' or 'sell')
      * @param {number} currentPrice - Current market price
-     * @returns {Object|null} Profitable trade or null
+     * @param {number} limit - Maximum number of trades (defaults to TRADE_MATCHING.MAX_CLOSES_PER_CYCLE)
+     * @returns {Array<Object>} Profitable trades, possibly empty
      */
-    findOldestMatchingTrade(direction, currentPrice) {
+    findMatchingTrades(direction, currentPrice, limit) {
         if (!['buy', 'sell'].includes(direction)) {
             console.error(formatError(`${icons.error} Invalid direction: ${direction}`));
-            return null;
+            return [];
         }
         
         if (typeof currentPrice !== 'number' || isNaN(currentPrice) || currentPrice <= 0) {
             console.error(formatError(`${icons.error} Invalid current price: ${currentPrice}`));
-            return null;
+            return [];
         }
         
         // Get minimum profit threshold from settings
         const minProfitPercent = this.readSettings().MIN_PROFIT_PERCENT;
+        const { POLICY, MAX_CLOSES_PER_CYCLE } = this.getMatchingConfig();
         
-        // Sort all open trades of matching direction by timestamp (oldest first)
-        const openTrades = this.trades
-            .filter(trade => trade.status === 'open' && trade.direction === direction)
-            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        // With trailing take-profit on, profitable trades are held and closed by findTrailingExits instead
+        const isTrailing = this.getTrailingPercent() > 0;
+        
+        const openTrades = this.trades.filter(trade => trade.status === 'open' && trade.direction === direction);
             
-        devLog(`Finding ${direction} trades to close, checking ${openTrades.length} trades`);
+        devLog(`Finding ${direction} trades to close (${POLICY}), checking ${openTrades.length} trades`);
         
         if (openTrades.length === 0) {
             devLog('No open trades found matching direction:', direction);
-            return null;
+            return [];
+        }
+
+        const profitableTrades = openTrades
+            .map(trade => ({ trade, profitPercent: this.calculateProfitPercentage(trade, currentPrice) }))
+            .filter(({ trade, profitPercent }) => {
+                devLog(`Checking trade from ${trade.timestamp}:
+                    Direction: ${trade.direction}
+                    Entry Price: ${formatPrice(trade.price)}
+                    Current Price: ${formatPrice(currentPrice)}
+                    Profit: ${formatPercentage(profitPercent)}
+                    Min Required: ${formatPercentage(minProfitPercent)}
+                    Token: ${trade.tokenInfo?.baseToken || this.baseToken.NAME}`);
+                if (isTrailing && (trade.trailingPeakProfit !== null || profitPercent >= minProfitPercent)) {
+                    devLog(`Trade ${trade.id} is left to the trailing take-profit`);
+                    return false;
+                }
+                return profitPercent >= minProfitPercent;
+            });
+
+        // Order by the matching policy
+        const now = Date.now();
+        profitableTrades.sort((a, b) => {
+            if (POLICY === MATCHING_POLICIES.MOST_PROFITABLE) {
+                return b.profitPercent - a.profitPercent;
+            }
+            const age = (this.getTradeOpenTime(a.trade, now) || 0) - (this.getTradeOpenTime(b.trade, now) || 0);
+            return POLICY === MATCHING_POLICIES.LIFO ? -age : age;
+        });
+
+        const matches = profitableTrades
+            .slice(0, limit || MAX_CLOSES_PER_CYCLE)
+            .map(({ trade }) => trade);
+
+        if (matches.length === 0) {
+            devLog(`No profitable trades found matching ${direction} direction`);
+        } else {
+            matches.forEach(trade => devLog(`Found profitable trade to close:
+                Trade ID: ${trade.id}
+                Amount: ${formatBalance(trade.baseTokenAmount, trade.tokenInfo?.baseToken || this.baseToken.NAME)}
+                Value: ${formatPrice(trade.quoteTokenValue)}`));
+        }
+
+        return matches;
+    }
+
+    /**
+     * Gets the fraction of a trade that can be closed within the available balance and TRADE_MATCHING.MAX_CLOSE_VALUE
+     * Without PARTIAL_CLOSES the whole trade is always attempted, as before
+     * @param {Object} trade - Trade being closed
+     * @param {number} currentPrice - Current market price
+     * @param {number|null} availableBalance - Balance of the token spent on the close (quote for sells, base for buys)
+     * @returns {number} Fraction between 0 and 1, where 0 means the trade cannot be closed this cycle
+     */
+    getCloseFraction(trade, currentPrice, availableBalance = null) {
+        const { PARTIAL_CLOSES, MAX_CLOSE_VALUE } = this.getMatchingConfig();
+        if (!PARTIAL_CLOSES) return 1;
+
+        const closeValue = trade.baseTokenAmount * currentPrice;
+        // Closing a sell spends quote to buy back the base, closing a buy spends base to return its quote
+        const requiredInput = trade.direction === 'sell' ?
+            closeValue :
+            this.getCloseAmount(trade, currentPrice) / currentPrice;
+
+        let fraction = 1;
+        if (typeof availableBalance === 'number' && requiredInput > 0) {
+            fraction = Math.min(fraction, (availableBalance * CLOSE_BALANCE_BUFFER) / requiredInput);
+        }
+        if (MAX_CLOSE_VALUE > 0 && closeValue > 0) {
+            fraction = Math.min(fraction, MAX_CLOSE_VALUE / closeValue);
+        }
+
+        if (fraction >= 1) return 1;
+        if (fraction < MIN_PARTIAL_CLOSE_FRACTION) {
+            devLog(`Trade ${trade.id} can only be closed by ${formatPercentage(fraction * 100)} - waiting for more balance`);
+            return 0;
+        }
+        return fraction;
+    }
+
+    /**
+     * Gets the trailing take-profit retrace from settings
+     * @returns {number} Percentage points of profit a trade may give back from its peak (0 = disabled)
+     */
+    getTrailingPercent() {
+        const trailingPercent = this.readSettings().TRAILING_TAKE_PROFIT_PERCENT;
+        return typeof trailingPercent === 'number' && trailingPercent > 0 ? trailingPercent : 0;
+    }
+
+    /**
+     * Updates the high-water profit of open trades that have passed MIN_PROFIT_PERCENT
+     * A trade is armed once its closing sentiment is seen while it is trailing. A trade that falls back below
+     * MIN_PROFIT_PERCENT without retracing far enough to exit stops trailing and is matched normally again.
+     * @param {number} currentPrice - Current market price
+     * @param {string} sentiment - Current market sentiment
+     */
+    updateTrailingProfits(currentPrice, sentiment) {
+        if (this.getTrailingPercent() === 0) return;
+
+        if (typeof currentPrice !== 'number' || isNaN(currentPrice) || currentPrice <= 0) {
+            console.error(formatError(`${icons.error} Invalid current price for trailing update: ${currentPrice}`));
+            return;
         }
 
-        // Check each trade in chronological order for profitability
-        for (const trade of openTrades) {
-            // Calculate profit percentage
+        const trailingPercent = this.getTrailingPercent();
+        const minProfitPercent = this.readSettings().MIN_PROFIT_PERCENT;
+        let updated = false;
+
+        this.trades.forEach(trade => {
+            if (trade.status !== 'open') return;
+
             const profitPercent = this.calculateProfitPercentage(trade, currentPrice);
+            if (trade.trailingPeakProfit !== null && profitPercent < minProfitPercent &&
+                trade.trailingPeakProfit - profitPercent < trailingPercent) {
+                devLog(`Trade ${trade.id} fell below ${formatPercentage(minProfitPercent)} - trailing take-profit stopped`);
+                trade.trailingPeakProfit = null;
+                trade.trailingArmed = false;
+                updated = true;
+                return;
+            }
 
-            devLog(`Checking trade from ${trade.timestamp}:
-                Direction: ${trade.direction}
-                Entry Price: ${formatPrice(trade.price)}
-                Current Price: ${formatPrice(currentPrice)}
-                Profit: ${formatPercentage(profitPercent)}
-                Min Required: ${formatPercentage(minProfitPercent)}
-                Token: ${trade.tokenInfo?.baseToken || this.baseToken.NAME}`);
-
-            if (profitPercent >= minProfitPercent) {
-                devLog(`Found profitable trade to close:
-                    Trade ID: ${trade.id}
-                    Profit: ${formatPercentage(profitPercent)}
-                    Amount: ${formatBalance(trade.baseTokenAmount, trade.tokenInfo?.baseToken || this.baseToken.NAME)}
-                    Value: ${formatPrice(trade.quoteTokenValue)}`);
-                return trade;
+            if (profitPercent >= minProfitPercent && (trade.trailingPeakProfit === null || profitPercent > trade.trailingPeakProfit)) {
+                if (trade.trailingPeakProfit === null) {
+                    devLog(`Trade ${trade.id} passed ${formatPercentage(minProfitPercent)} - trailing take-profit started`);
+                }
+                trade.trailingPeakProfit = profitPercent;
+                updated = true;
+            }
+
+            if (trade.trailingPeakProfit !== null && !trade.trailingArmed && CLOSING_SENTIMENTS[trade.direction].includes(sentiment)) {
+                trade.trailingArmed = true;
+                updated = true;
             }
+        });
+
+        if (updated) {
+            this.saveTrades();
         }
-        
-        devLog(`No profitable trades found matching ${direction} direction`);
-        return null;
+    }
+
+    /**
+     * Finds trailing trades that should close, oldest first
+     * A trade closes when its profit retraces TRAILING_TAKE_PROFIT_PERCENT from the peak, even into a loss,
+     * or when sentiment flips back to the side it was opened on after its closing sentiment armed it
+     * @param {number} currentPrice - Current market price
+     * @param {string} sentiment - Current market sentiment
+     * @returns {Array<Object>} Exits { trade, reason, profitPercent }
+     */
+    findTrailingExits(currentPrice, sentiment) {
+        const trailingPercent = this.getTrailingPercent();
+        if (trailingPercent === 0) return [];
+
+        if (typeof currentPrice !== 'number' || isNaN(currentPrice) || currentPrice <= 0) {
+            console.error(formatError(`${icons.error} Invalid current price: ${currentPrice}`));
+            return [];
+        }
+
+        const exits = [];
+        this.trades
+            .filter(trade => trade.status === 'open' && trade.trailingPeakProfit !== null)
+            .sort((a, b) => (this.getTradeOpenTime(a) || 0) - (this.getTradeOpenTime(b) || 0))
+            .forEach(trade => {
+                const profitPercent = this.calculateProfitPercentage(trade, currentPrice);
+                const openingSentiments = CLOSING_SENTIMENTS[trade.direction === 'buy' ? 'sell' : 'buy'];
+
+                if (trade.trailingPeakProfit - profitPercent >= trailingPercent) {
+                    devLog(`Trade ${trade.id} retraced from ${formatPercentage(trade.trailingPeakProfit)} to ${formatPercentage(profitPercent)}`);
+                    exits.push({ trade, reason: CLOSE_REASONS.TRAILING_STOP, profitPercent });
+                } else if (trade.trailingArmed && openingSentiments.includes(sentiment)) {
+                    devLog(`Trade ${trade.id} sentiment flipped to ${sentiment} at ${formatPercentage(profitPercent)}`);
+                    exits.push({ trade, reason: CLOSE_REASONS.PROFIT, profitPercent });
+                }
+            });
+
+        return exits;
+    }
+
+    /**
+     * Gets the risk limits merged over the defaults
+     * @returns {Object} Risk configuration
+     */
+    getRiskConfig() {
+        return { ...DEFAULT_RISK_CONFIG, ...(this.readSettings().RISK_MANAGEMENT || {}) };
+    }
+
+    /**
+     * Gets when a trade was opened
+     * Trades saved before openedAt was recorded only have a display timestamp, which has no year
+     * @param {Object} trade - Trade object
+     * @param {number} now - Current time in milliseconds, to place a timestamp without a year
+     * @returns {number|null} Open time in milliseconds, or null if it is unknown
+     */
+    getTradeOpenTime(trade, now = Date.now()) {
+        if (typeof trade.openedAt === 'number') return trade.openedAt;
+        const openedAt = resolveTimestamp(trade.timestamp, now);
+        return openedAt === null || isNaN(openedAt) ? null : openedAt;
+    }
+
+    /**
+     * Gets how long a trade has been open
+     * @param {Object} trade - Trade object
+     * @param {number} now - Current time in milliseconds
+     * @returns {number|null} Age in milliseconds, or null if the open time is unknown
+     */
+    getTradeAge(trade, now = Date.now()) {
+        const openedAt = this.getTradeOpenTime(trade, now);
+        return openedAt === null ? null : now - openedAt;
+    }
+
+    /**
+     * Gets the exact-out amount of a swap that closes a trade
+     * Sells are covered by buying back the base amount. Buys return their quote value, or everything the
+     * base amount is worth when that is less, so a losing buy never sells more than it bought.
+     * @param {Object} trade - Trade being closed
+     * @param {number} currentPrice - Current market price
+     * @returns {number} Output amount (base token when closing a sell, quote token when closing a buy)
+     */
+    getCloseAmount(trade, currentPrice) {
+        if (trade.direction === 'sell') {
+            return trade.baseTokenAmount;
+        }
+        return Math.min(trade.quoteTokenValue, trade.baseTokenAmount * currentPrice);
+    }
+
+    /**
+     * Finds open trades that have hit the stop-loss or expired, oldest first
+     * @param {number} currentPrice - Current market price
+     * @param {number} now - Current time in milliseconds
+     * @returns {Array<Object>} Exits { trade, reason, profitPercent }
+     */
+    findRiskExits(currentPrice, now = Date.now()) {
+        if (typeof currentPrice !== 'number' || isNaN(currentPrice) || currentPrice <= 0) {
+            console.error(formatError(`${icons.error} Invalid current price: ${currentPrice}`));
+            return [];
+        }
+
+        const { STOP_LOSS_PERCENT, TRADE_EXPIRY_HOURS } = this.getRiskConfig();
+        if (!(STOP_LOSS_PERCENT > 0) && !(TRADE_EXPIRY_HOURS > 0)) {
+            return [];
+        }
+
+        const exits = [];
+        this.trades
+            .filter(trade => trade.status === 'open')
+            .sort((a, b) => (this.getTradeAge(b, now) || 0) - (this.getTradeAge(a, now) || 0))
+            .forEach(trade => {
+                const profitPercent = this.calculateProfitPercentage(trade, currentPrice);
+                const age = this.getTradeAge(trade, now);
+
+                if (STOP_LOSS_PERCENT > 0 && profitPercent <= -STOP_LOSS_PERCENT) {
+                    devLog(`Trade ${trade.id} hit stop-loss: ${formatPercentage(profitPercent)} (limit -${STOP_LOSS_PERCENT}%)`);
+                    exits.push({ trade, reason: CLOSE_REASONS.STOP_LOSS, profitPercent });
+                } else if (TRADE_EXPIRY_HOURS > 0 && age !== null && age >= TRADE_EXPIRY_HOURS * 60 * 60 * 1000) {
+                    devLog(`Trade ${trade.id} expired after ${(age / 3600000).toFixed(1)} hours`);
+                    exits.push({ trade, reason: CLOSE_REASONS.EXPIRED, profitPercent });
+                }
+            });
+
+        return exits;
     }
 
     /**
@@ -637,9 +944,13 @@ class OrderBook {
      * Closes a trade at specified price
      * @param {string} tradeId - Trade ID
      * @param {number} closePrice - Closing price
+     * @param {string} reason - Why the trade was closed (profit, trailing_stop, stop_loss or expired)
+     * @param {number|null} baseAmount - Base amount closed, when only part of the trade is closed
+     * @param {Object|null} execution - Chain reconciliation of the closing swap (realized slippage and fees)
+     * @param {string|null} txId - Transaction ID of the closing swap
      * @returns {boolean} Success status
      */
-    closeTrade(tradeId, closePrice) {
+    closeTrade(tradeId, closePrice, reason = CLOSE_REASONS.PROFIT, baseAmount = null, execution = null, txId = null) {
         if (!tradeId) {
             console.error(formatError(`${icons.error} Invalid trade ID`));
             return false;
@@ -662,6 +973,11 @@ class OrderBook {
             return false;
         }
     
+        // Amounts within rounding of the whole trade close it fully
+        if (typeof baseAmount === 'number' && baseAmount > 0 && baseAmount < trade.baseTokenAmount * 0.9999) {
+            return this.closePartialTrade(trade, closePrice, reason, baseAmount, execution, txId);
+        }
+    
         // Calculate realized PnL
         const realizedPnl = trade.direction === 'buy' ? 
             (closePrice - trade.price) * trade.baseTokenAmount :
@@ -673,8 +989,11 @@ class OrderBook {
                 return {
                     ...t,
                     status: 'closed',
-                    closedAt: getTimestamp(),
+                    closedAt: this.getCurrentTimestamp(),
                     closePrice: closePrice,
+                    closeReason: reason,
+                    closeExecution: execution,
+                    closeTxId: txId,
                     realizedPnl: realizedPnl,
                     upnl: 0
                 };
@@ -682,35 +1001,130 @@ class OrderBook {
             return t;
         });
     
-        devLog(`Closed trade ${tradeId} at ${formatPrice(closePrice)} with P&L: ${formatTokenChange(realizedPnl, '$')}`);
+        devLog(`Closed trade ${tradeId} (${reason}) at ${formatPrice(closePrice)} with P&L: ${formatTokenChange(realizedPnl, '$')}`);
+        this.saveTrades();
+        return true;
+    }
+
+    /**
+     * Closes part of a trade by splitting it
+     * The closed part becomes its own closed record (ID suffixed -1, -2, ...) with the realized PnL for its share,
+     * while the original record stays open with the remaining amounts
+     * @param {Object} trade - Open trade
+     * @param {number} closePrice - Closing price
+     * @param {string} reason - Why the part was closed
+     * @param {number} baseAmount - Base amount closed
+     * @param {Object|null} execution - Chain reconciliation of the closing swap
+     * @param {string|null} txId - Transaction ID of the closing swap
+     * @returns {boolean} Success status
+     */
+    closePartialTrade(trade, closePrice, reason, baseAmount, execution = null, txId = null) {
+        const ratio = baseAmount / trade.baseTokenAmount;
+        const realizedPnl = trade.direction === 'buy' ? 
+            (closePrice - trade.price) * baseAmount :
+            (trade.price - closePrice) * baseAmount;
+        const partNumber = this.trades.filter(t => t.parentId === trade.id).length + 1;
+
+        const closedPart = {
+            ...trade,
+            id: `${trade.id}-${partNumber}`,
+            parentId: trade.id,
+            baseTokenAmount: baseAmount,
+            quoteTokenValue: trade.quoteTokenValue * ratio,
+            status: 'closed',
+            closedAt: this.getCurrentTimestamp(),
+            closePrice: closePrice,
+            closeReason: reason,
+            closeExecution: execution,
+            closeTxId: txId,
+            realizedPnl: realizedPnl,
+            upnl: 0
+        };
+
+        trade.baseTokenAmount -= baseAmount;
+        trade.quoteTokenValue -= closedPart.quoteTokenValue;
+        trade.upnl *= (1 - ratio);
+        this.trades.push(closedPart);
+
+        devLog(`Partially closed trade ${trade.id} (${reason}): ${formatPercentage(ratio * 100)} at ${formatPrice(closePrice)} with P&L: ${formatTokenChange(realizedPnl, '$')}`);
         this.saveTrades();
         return true;
     }
 
+    /**
+     * Voids a trade whose opening swap never reached the chain
+     * Void trades stay in the order book for the record but are no longer open or closed, so they are left out
+     * of matching, exits and statistics
+     * @param {string} tradeId - Trade ID
+     * @returns {boolean} Success status
+     */
+    voidTrade(tradeId) {
+        const trade = this.trades.find(t => t.id === tradeId);
+
+        if (!trade) {
+            console.error(formatError(`${icons.error} Trade ${tradeId} not found`));
+            return false;
+        }
+
+        if (trade.status === 'void') {
+            return false;
+        }
+
+        trade.status = 'void';
+        trade.voidedAt = this.getCurrentTimestamp();
+        trade.upnl = 0;
+
+        devLog(`Voided trade ${tradeId}`);
+        this.saveTrades();
+        return true;
+    }
+
+    /**
+     * Gets the timestamp recorded on new and closed trades
+     * @returns {string} Timestamp
+     */
+    getCurrentTimestamp() {
+        return getTimestamp();
+    }
+
     /**
      * Calculates performance statistics for all trades
+     * @param {number} now - Current time in milliseconds, for exposure
      * @returns {Object} Trade statistics
      */
-    getTradeStatistics() {
+    getTradeStatistics(now = Date.now()) {
+        // Void trades never reached the chain, so they are left out
+        const trades = this.trades.filter(trade => trade.status !== 'void');
+
         // Use array methods for clean calculations
-        const openTrades = this.trades.filter(trade => trade.status === 'open');
-        const closedTrades = this.trades.filter(trade => trade.status === 'closed');
+        const openTrades = trades.filter(trade => trade.status === 'open');
+        const closedTrades = trades.filter(trade => trade.status === 'closed');
         const winningTrades = closedTrades.filter(trade => trade.realizedPnl > 0);
         
         // Calculate volume and P&L
-        const totalVolume = this.trades.reduce((acc, trade) => acc + trade.quoteTokenValue, 0);
+        const totalVolume = trades.reduce((acc, trade) => acc + trade.quoteTokenValue, 0);
         const totalRealizedPnl = closedTrades.reduce((acc, trade) => acc + (trade.realizedPnl || 0), 0);
         const totalUnrealizedPnl = openTrades.reduce((acc, trade) => acc + (trade.upnl || 0), 0);
         
         // Calculate additional metrics
-        const avgTradeSize = this.trades.length > 0 ? totalVolume / this.trades.length : 0;
+        const avgTradeSize = trades.length > 0 ? totalVolume / trades.length : 0;
         const winRate = closedTrades.length > 0 ? (winningTrades.length / closedTrades.length * 100) : 0;
         const avgProfitPerWinningTrade = winningTrades.length > 0 ? 
             winningTrades.reduce((acc, trade) => acc + trade.realizedPnl, 0) / winningTrades.length : 0;
         
+        // Realized slippage across every reconciled swap (opening and closing); split trades share their opening swap
+        const executions = Array.from(new Map(trades
+            .flatMap(trade => [trade.openExecution, trade.closeExecution])
+            .filter(execution => execution && typeof execution.slippageBps === 'number')
+            .map(execution => [execution.signature, execution])).values());
+        const avgSlippageBps = executions.length > 0 ?
+            executions.reduce((acc, execution) => acc + execution.slippageBps, 0) / executions.length : 0;
+        
+        const { profitFactor, averageWin, averageLoss, expectancy, exposurePercent } = calculateTradeAnalytics(trades, { now });
+        
         // Return complete statistics with token information
         return {
-            totalTrades: this.trades.length,
+            totalTrades: trades.length,
             openTrades: openTrades.length,
             closedTrades: closedTrades.length,
             winningTrades: winningTrades.length,
@@ -720,6 +1134,13 @@ class OrderBook {
             totalUnrealizedPnl: totalUnrealizedPnl,
             avgTradeSize: avgTradeSize,
             avgProfitPerWinningTrade: avgProfitPerWinningTrade,
+            avgSlippageBps: avgSlippageBps,
+            reconciledSwaps: executions.length,
+            profitFactor: profitFactor,
+            averageWin: averageWin,
+            averageLoss: averageLoss,
+            expectancy: expectancy,
+            exposurePercent: exposurePercent,
             lastUpdated: getTimestamp(),
             tokenInfo: {
                 baseToken: this.baseToken.NAME,
@@ -731,4 +1152,8 @@ class OrderBook {
     }
 }
 
+OrderBook.DEFAULT_RISK_CONFIG = DEFAULT_RISK_CONFIG;
+OrderBook.CLOSE_REASONS = CLOSE_REASONS;
+OrderBook.MATCHING_POLICIES = MATCHING_POLICIES;
+
 module.exports = OrderBook;
\ No newline at end of file
@@ -0,0 +1,295 @@
+/**
+ * PulseSurfer Pair Manager
+ * Builds the contexts for additional trading pairs and allocates the shared quote balance between pairs
+ */
+
+// Core dependencies
+const path = require('path');
+const { readJSON, writeJSON } = require('./storage');
+const { readSettings } = require('./pulseServer');
+const { getTokenById } = require('./tokenController');
+const { getPairContext } = require('./globalState');
+const {
+    USER_DIR,
+    devLog,
+    getBaseToken,
+    getQuoteToken,
+    // Import styling utilities
+    formatError,
+    formatWarning,
+    formatInfo,
+    formatBalance,
+    icons
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const SAVESTATES_DIR = path.join(USER_DIR, 'savestates');
+const ALLOCATIONS_PATH = path.join(SAVESTATES_DIR, 'quoteAllocations.json');
+const MAIN_PAIR_ID = 'main';
+const ALLOCATION_DRIFT_TOLERANCE = 0.001; // Share of the wallet's quote balance the budgets may exceed it by before they are scaled down
+
+// Cached additional pair contexts and allocation ledger { [pairId]: quote budget }
+let additionalPairs = null;
+let allocationLedger = null;
+
+// Live swaps of any pair that may have moved the wallet's quote balance before their change is in the ledger
+let swapsInFlight = 0;
+
+// ===========================
+// Pair Configuration
+// ===========================
+
+/**
+ * Builds the contexts for the additional pairs configured in settings.PAIRS
+ * Each entry names a BASE_TOKEN from tokens.json, an ALLOCATION percentage of the quote balance,
+ * and any settings it overrides for that pair (FGI_TIMEFRAME, SENTIMENT_MULTIPLIERS, ...)
+ * Contexts are built once so every caller shares the same pair state
+ * @returns {Array<Object>} Pair contexts
+ */
+function getAdditionalPairs() {
+    if (additionalPairs) return additionalPairs;
+
+    const settings = readSettings() || {};
+    if (!Array.isArray(settings.PAIRS) || settings.PAIRS.length === 0) {
+        return [];
+    }
+
+    const mainBaseToken = getBaseToken();
+    const quoteToken = getQuoteToken();
+    const seen = new Set([mainBaseToken.NAME]);
+    const pairs = [];
+
+    settings.PAIRS.forEach(({ BASE_TOKEN, ALLOCATION, ...overrides }) => {
+        const token = getTokenById(BASE_TOKEN);
+        if (!token) {
+            console.error(formatError(`${icons.error} Skipping pair ${BASE_TOKEN}: token not found in tokens.json`));
+            return;
+        }
+        if (seen.has(token.id)) {
+            console.error(formatError(`${icons.error} Skipping pair ${BASE_TOKEN}: token is already being traded`));
+            return;
+        }
+        seen.add(token.id);
+
+        pairs.push({
+            id: `${token.id}_${quoteToken.NAME}`,
+            allocation: typeof ALLOCATION === 'number' ? ALLOCATION : 0,
+            settings: {
+                ...overrides,
+                TRADING_PAIR: {
+                    BASE_TOKEN: {
+                        NAME: token.id,
+                        ADDRESS: token.ADDRESS,
+                        DECIMALS: token.DECIMALS,
+                        FULL_NAME: token.FULL_NAME || token.id
+                    },
+                    QUOTE_TOKEN: quoteToken
+                }
+            },
+            tradingPeriodState: {
+                startTime: null,
+                baseTradeSizes: {
+                    BASE: null,
+                    QUOTE: null
+                }
+            },
+            orderBook: null,
+            state: null,
+            wallet: null
+        });
+    });
+
+    additionalPairs = pairs;
+    return additionalPairs;
+}
+
+/**
+ * Checks whether more than one pair is being traded
+ * @returns {boolean} Multi-pair status
+ */
+function isMultiPairMode() {
+    const settings = readSettings() || {};
+    return Array.isArray(settings.PAIRS) && settings.PAIRS.length > 0;
+}
+
+/**
+ * Gets the quote allocation percentage for every pair
+ * The main pair receives whatever the additional pairs leave unallocated
+ * @returns {Object} Allocation percentages keyed by pair ID
+ */
+function getAllocationPercentages() {
+    const pairs = getAdditionalPairs();
+    let additionalTotal = pairs.reduce((sum, pair) => sum + Math.max(0, pair.allocation), 0);
+    const scale = additionalTotal > 100 ? 100 / additionalTotal : 1;
+
+    if (scale < 1) {
+        console.log(formatWarning(`${icons.warning} Pair allocations add up to ${additionalTotal}% - scaling them down to 100%`));
+        additionalTotal = 100;
+    }
+
+    const percentages = { [MAIN_PAIR_ID]: 100 - additionalTotal };
+    pairs.forEach(pair => {
+        percentages[pair.id] = Math.max(0, pair.allocation) * scale;
+    });
+
+    return percentages;
+}
+
+// ===========================
+// Quote Allocation
+// ===========================
+
+/**
+ * Loads the allocation ledger from disk
+ * @returns {Object|null} Ledger or null if none exists
+ */
+function loadAllocationLedger() {
+    if (allocationLedger) return allocationLedger;
+
+    const saved = readJSON(ALLOCATIONS_PATH);
+    allocationLedger = saved?.allocations || null;
+
+    return allocationLedger;
+}
+
+/**
+ * Saves the allocation ledger to disk
+ * @returns {boolean} Success status
+ */
+function saveAllocationLedger() {
+    return writeJSON(ALLOCATIONS_PATH, {
+        allocations: allocationLedger,
+        lastUpdated: new Date().toISOString()
+    });
+}
+
+/**
+ * Ensures every pair has a quote budget
+ * A new ledger splits the wallet's quote balance by allocation percentage; pairs added later
+ * receive their share from whatever is not already allocated
+ * @param {number} walletQuoteBalance - Quote balance held by the wallet
+ */
+function ensureAllocations(walletQuoteBalance) {
+    const percentages = getAllocationPercentages();
+    const ledger = loadAllocationLedger();
+
+    if (!ledger) {
+        allocationLedger = {};
+        Object.entries(percentages).forEach(([pairId, percentage]) => {
+            allocationLedger[pairId] = walletQuoteBalance * (percentage / 100);
+        });
+        saveAllocationLedger();
+        console.log(formatInfo(`${icons.wallet} Quote balance allocated across ${Object.keys(allocationLedger).length} pairs`));
+        return;
+    }
+
+    const missing = Object.keys(percentages).filter(pairId => !(pairId in ledger));
+    if (missing.length === 0) return;
+
+    let unallocated = Math.max(0, walletQuoteBalance - Object.values(ledger).reduce((sum, budget) => sum + budget, 0));
+    missing.forEach(pairId => {
+        const budget = Math.min(walletQuoteBalance * (percentages[pairId] / 100), unallocated);
+        ledger[pairId] = budget;
+        unallocated -= budget;
+        console.log(formatInfo(`${icons.wallet} Allocated ${formatBalance(budget, getQuoteToken().NAME)} to ${pairId}`));
+    });
+    saveAllocationLedger();
+}
+
+/**
+ * Scales the budgets to the wallet's quote balance when they drift away from it
+ * Fees, deposits, withdrawals and swaps made outside the bot move quote without passing through
+ * recordQuoteChange, so the difference is shared across the pairs in proportion to their budgets.
+ * While a live swap is in flight the wallet may already show a change the ledger does not have yet,
+ * so the budgets are left alone until every swap has been recorded.
+ * @param {number} walletQuoteBalance - Quote balance held by the wallet
+ */
+function syncAllocations(walletQuoteBalance) {
+    if (swapsInFlight > 0) {
+        devLog(`${swapsInFlight} swap(s) in flight - quote allocations not synced with the wallet`);
+        return;
+    }
+
+    const walletBalance = Math.max(0, walletQuoteBalance);
+    const total = Object.values(allocationLedger).reduce((sum, budget) => sum + budget, 0);
+    if (Math.abs(total - walletBalance) <= walletBalance * ALLOCATION_DRIFT_TOLERANCE) return;
+
+    if (total > 0) {
+        const scale = walletBalance / total;
+        Object.keys(allocationLedger).forEach(pairId => {
+            allocationLedger[pairId] *= scale;
+        });
+    } else {
+        // Every budget was spent to nothing, so the balance is split by percentage again
+        Object.entries(getAllocationPercentages()).forEach(([pairId, percentage]) => {
+            allocationLedger[pairId] = walletBalance * (percentage / 100);
+        });
+    }
+    saveAllocationLedger();
+    console.log(formatWarning(`${icons.warning} Pair budgets add up to ${formatBalance(total, getQuoteToken().NAME)} but the wallet holds ${formatBalance(walletBalance, getQuoteToken().NAME)} - scaling them ${total > walletBalance ? 'down' : 'up'}`));
+}
+
+/**
+ * Holds the budgets still while a live swap is sent, until releaseQuoteLedger
+ * Call recordQuoteChange for the swap before releasing it
+ */
+function holdQuoteLedger() {
+    swapsInFlight++;
+}
+
+/**
+ * Releases a hold taken by holdQuoteLedger, once the swap's quote change is recorded or it is known not to have landed
+ */
+function releaseQuoteLedger() {
+    swapsInFlight = Math.max(0, swapsInFlight - 1);
+}
+
+/**
+ * Gets the quote balance the current pair may trade with
+ * @param {number} walletQuoteBalance - Quote balance held by the wallet
+ * @returns {number} Quote balance available to the current pair
+ */
+function getAllocatedQuoteBalance(walletQuoteBalance) {
+    if (!isMultiPairMode()) {
+        return walletQuoteBalance;
+    }
+
+    ensureAllocations(walletQuoteBalance);
+    syncAllocations(walletQuoteBalance);
+    const pairId = getPairContext()?.id || MAIN_PAIR_ID;
+    const budget = allocationLedger[pairId] || 0;
+
+    devLog(`Quote allocation for ${pairId}: ${budget} (wallet holds ${walletQuoteBalance})`);
+    return Math.max(0, Math.min(budget, walletQuoteBalance));
+}
+
+/**
+ * Records a change in the current pair's quote budget after a swap
+ * @param {number} quoteTokenChange - Quote change from the swap (negative when buying)
+ */
+function recordQuoteChange(quoteTokenChange) {
+    if (!isMultiPairMode() || !loadAllocationLedger()) {
+        return;
+    }
+
+    const pairId = getPairContext()?.id || MAIN_PAIR_ID;
+    allocationLedger[pairId] = Math.max(0, (allocationLedger[pairId] || 0) + quoteTokenChange);
+    saveAllocationLedger();
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    getAdditionalPairs,
+    isMultiPairMode,
+    getAllocatedQuoteBalance,
+    recordQuoteChange,
+    holdQuoteLedger,
+    releaseQuoteLedger,
+    MAIN_PAIR_ID
+};
@@ -0,0 +1,278 @@
+/**
+ * PulseSurfer Paper Trading Module
+ * Simulates swaps against a Jupiter quote or the current price using a persisted simulated wallet
+ */
+
+// Core dependencies
+const path = require('path');
+const fetch = require('cross-fetch');
+const { readJSON, writeJSON } = require('./storage');
+const { fetchPrice, BASE_PRICE_URL } = require('./api');
+const { readSettings, getEndpoint } = require('./pulseServer');
+const {
+    USER_DIR,
+    devLog,
+    getBaseToken,
+    getQuoteToken,
+    // Import styling utilities
+    formatError,
+    formatWarning,
+    formatInfo,
+    formatBalance,
+    icons
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const SAVESTATES_DIR = path.join(USER_DIR, 'savestates');
+const QUOTE_TIMEOUT = 10000; // 10 seconds
+const DEFAULT_PAPER_TRADING_CONFIG = {
+    INITIAL_BASE_BALANCE: 0,
+    INITIAL_QUOTE_BALANCE: 1000,
+    SLIPPAGE_BPS: 10,
+    FEE_BPS: 25
+};
+
+// Simulated wallet state, keyed by wallet file so each trading pair keeps its own
+const paperWallets = {};
+
+// ===========================
+// Configuration
+// ===========================
+
+/**
+ * Gets the paper trading configuration merged over the defaults
+ * @returns {Object} Paper trading configuration
+ */
+function getPaperTradingConfig() {
+    const settings = readSettings() || {};
+    return { ...DEFAULT_PAPER_TRADING_CONFIG, ...(settings.PAPER_TRADING_CONFIG || {}) };
+}
+
+// ===========================
+// Simulated Wallet
+// ===========================
+
+/**
+ * Gets the path to the paper wallet file based on current token pair
+ * @returns {string} Path to paper wallet file
+ */
+function getPaperWalletPath() {
+    const baseToken = getBaseToken();
+    const quoteToken = getQuoteToken();
+    const settings = readSettings() || {};
+    const timeframe = settings.FGI_TIMEFRAME || "15m";
+
+    return path.join(SAVESTATES_DIR, `${baseToken.NAME.toLowerCase()}_${quoteToken.NAME.toLowerCase()}_${timeframe}_paperWallet.json`);
+}
+
+/**
+ * Saves the paper wallet to disk
+ * @returns {boolean} Success status
+ */
+function savePaperWallet() {
+    const walletPath = getPaperWalletPath();
+    return writeJSON(walletPath, {
+        ...paperWallets[walletPath],
+        lastUpdated: new Date().toISOString()
+    });
+}
+
+/**
+ * Resets the paper wallet to the configured initial balances
+ * @returns {Object} Paper wallet balances
+ */
+function resetPaperWallet() {
+    const config = getPaperTradingConfig();
+    const paperWallet = {
+        baseBalance: config.INITIAL_BASE_BALANCE,
+        quoteBalance: config.INITIAL_QUOTE_BALANCE
+    };
+    paperWallets[getPaperWalletPath()] = paperWallet;
+    savePaperWallet();
+
+    const baseToken = getBaseToken();
+    const quoteToken = getQuoteToken();
+    console.log(formatInfo(`${icons.wallet} Paper wallet reset to ${formatBalance(paperWallet.baseBalance, baseToken.NAME)} | ${formatBalance(paperWallet.quoteBalance, quoteToken.NAME)}`));
+
+    return { ...paperWallet };
+}
+
+/**
+ * Loads the paper wallet, creating it from the configured balances if needed
+ * @returns {Object} Paper wallet state
+ */
+function loadPaperWallet() {
+    const walletPath = getPaperWalletPath();
+    if (paperWallets[walletPath]) {
+        return paperWallets[walletPath];
+    }
+
+    const saved = readJSON(walletPath);
+    if (saved && typeof saved.baseBalance === 'number' && typeof saved.quoteBalance === 'number') {
+        paperWallets[walletPath] = { baseBalance: saved.baseBalance, quoteBalance: saved.quoteBalance };
+        devLog(`Loaded paper wallet from ${walletPath}`);
+        return paperWallets[walletPath];
+    }
+
+    resetPaperWallet();
+    return paperWallets[walletPath];
+}
+
+/**
+ * Gets the current paper wallet balances
+ * @returns {Object} Balances { baseBalance, quoteBalance }
+ */
+function getPaperBalances() {
+    const { baseBalance, quoteBalance } = loadPaperWallet();
+    return { baseBalance, quoteBalance };
+}
+
+// ===========================
+// Simulated Swap Execution
+// ===========================
+
+/**
+ * Fetches a Jupiter quote for a simulated swap
+ * @param {string} inputMint - Input token mint
+ * @param {string} outputMint - Output token mint
+ * @param {number} amount - Amount in base units (input for ExactIn, output for ExactOut)
+ * @param {string} swapMode - 'ExactIn' or 'ExactOut'
+ * @param {number} platformFeeBps - Platform fee the live swap would request
+ * @returns {Promise<Object|null>} Quote response or null if unavailable
+ */
+async function fetchPaperQuote(inputMint, outputMint, amount, swapMode, platformFeeBps) {
+    try {
+        const params = new URLSearchParams({
+            inputMint,
+            outputMint,
+            amount: Math.floor(amount).toString(),
+            slippageBps: '50',
+            platformFeeBps: platformFeeBps.toString(),
+            swapMode
+        });
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), QUOTE_TIMEOUT);
+        const response = await fetch(`${getEndpoint('JUPITER_API_URL')}/quote?${params.toString()}`, { signal: controller.signal });
+        clearTimeout(timeoutId);
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const quote = await response.json();
+        if (!quote || !quote.inAmount || !quote.outAmount) {
+            throw new Error('Quote response missing amounts');
+        }
+
+        return quote;
+    } catch (error) {
+        devLog(`Paper quote unavailable: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Simulates a swap and applies it to the paper wallet
+ * Fills against a Jupiter quote when available, otherwise against the current price, then applies FEE_BPS and SLIPPAGE_BPS
+ * @param {string} inputMint - Input token mint
+ * @param {string} outputMint - Output token mint
+ * @param {number} amount - Amount in base units (input for ExactIn, output for ExactOut)
+ * @param {string} swapMode - 'ExactIn' or 'ExactOut'
+ * @param {number} platformFeeBps - Platform fee the live swap would request
+ * @returns {Promise<Object|null>} Fill { txId, inAmount, outAmount, fillSource } in base units, or null on failure
+ */
+async function simulateSwap(inputMint, outputMint, amount, swapMode, platformFeeBps) {
+    try {
+        const baseToken = getBaseToken();
+        const quoteToken = getQuoteToken();
+        const { SLIPPAGE_BPS, FEE_BPS } = getPaperTradingConfig();
+        const isInputBase = inputMint === baseToken.ADDRESS;
+        const inputToken = isInputBase ? baseToken : quoteToken;
+        const outputToken = isInputBase ? quoteToken : baseToken;
+        const isExactIn = swapMode === 'ExactIn';
+
+        let inAmount;
+        let outAmount;
+        let fillSource;
+
+        const quote = await fetchPaperQuote(inputMint, outputMint, amount, swapMode, platformFeeBps);
+        if (quote) {
+            // Quotes already include route and platform fees
+            inAmount = Number(quote.inAmount);
+            outAmount = Number(quote.outAmount);
+            fillSource = 'quote';
+        } else {
+            const price = await fetchPrice(BASE_PRICE_URL, baseToken.ADDRESS);
+            const feeRate = platformFeeBps / 10000;
+
+            if (isExactIn) {
+                inAmount = Math.floor(amount);
+                const inDecimal = inAmount / (10 ** inputToken.DECIMALS);
+                const outDecimal = (isInputBase ? inDecimal * price : inDecimal / price) * (1 - feeRate);
+                outAmount = Math.floor(outDecimal * (10 ** outputToken.DECIMALS));
+            } else {
+                outAmount = Math.floor(amount);
+                const outDecimal = outAmount / (10 ** outputToken.DECIMALS);
+                const inDecimal = (isInputBase ? outDecimal / price : outDecimal * price) * (1 + feeRate);
+                inAmount = Math.ceil(inDecimal * (10 ** inputToken.DECIMALS));
+            }
+            fillSource = 'price';
+        }
+
+        // The simulated fee and slippage always work against the trader, whichever way the fill was priced
+        const costRate = (FEE_BPS + SLIPPAGE_BPS) / 10000;
+        if (isExactIn) {
+            outAmount = Math.floor(outAmount * (1 - costRate));
+        } else {
+            inAmount = Math.ceil(inAmount * (1 + costRate));
+        }
+
+        const wallet = loadPaperWallet();
+        const inDecimal = inAmount / (10 ** inputToken.DECIMALS);
+        const outDecimal = outAmount / (10 ** outputToken.DECIMALS);
+        const inputBalance = isInputBase ? wallet.baseBalance : wallet.quoteBalance;
+
+        if (inDecimal > inputBalance) {
+            console.log(formatWarning(`${icons.warning} Paper swap rejected - needs ${formatBalance(inDecimal, inputToken.NAME)} but wallet holds ${formatBalance(inputBalance, inputToken.NAME)}`));
+            return null;
+        }
+
+        if (isInputBase) {
+            wallet.baseBalance -= inDecimal;
+            wallet.quoteBalance += outDecimal;
+        } else {
+            wallet.quoteBalance -= inDecimal;
+            wallet.baseBalance += outDecimal;
+        }
+        savePaperWallet();
+
+        console.log(formatInfo(`${icons.trade} Paper fill (${fillSource}): ${formatBalance(inDecimal, inputToken.NAME)} → ${formatBalance(outDecimal, outputToken.NAME)}`));
+
+        return {
+            txId: `paper-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+            inAmount,
+            outAmount,
+            fillSource
+        };
+    } catch (error) {
+        console.error(formatError(`${icons.error} Error simulating paper swap: ${error.message}`));
+        return null;
+    }
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    getPaperTradingConfig,
+    getPaperBalances,
+    loadPaperWallet,
+    resetPaperWallet,
+    simulateSwap,
+    DEFAULT_PAPER_TRADING_CONFIG
+};
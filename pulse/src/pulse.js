@@ -12,8 +12,8 @@ const {
     updatePortfolioBalances,
     updatePositionFromSwap, 
     logPositionUpdate, 
-    cancelPendingBundle, 
     calculateTradeAmount,
+    minimumBalanceCheck,
     BASE_TOKEN,
     QUOTE_TOKEN
 } = require('./trading');
@@ -23,6 +23,21 @@ const {
     fetchPrice, 
     BASE_PRICE_URL 
 } = require('./api');
+const { resetPaperWallet } = require('./paperTrading');
+const { getAdditionalPairs, MAIN_PAIR_ID } = require('./pairManager');
+const { isSkipResult, checkDrawdownGate } = require('./tradeGate');
+const { cancelPendingSubmission, resolveInFlightSwap, OUTCOMES } = require('./submission');
+const { reconcileSwap } = require('./reconciliation');
+const { scanWalletHistory } = require('./walletReconciliation');
+const { getPairInFlightSwaps, clearInFlightSwap } = require('./inFlightSwaps');
+const { 
+    isShuttingDown, 
+    beginOperation, 
+    onShutdown, 
+    installSignalHandlers, 
+    SHUTDOWN_PHASES 
+} = require('./shutdown');
+const { getHistoryStore, closeHistoryStores, MODES } = require('./historyStore');
 const { 
     getTimestamp, 
     formatTime, 
@@ -33,6 +48,7 @@ const {
     devLog,
     getBaseToken,
     getQuoteToken,
+    isAutoConfirm,
     // Import styling utilities
     formatHeading,
     formatSubheading,
@@ -62,35 +78,88 @@ const {
     emitTradingData, 
     readSettings, 
     getMonitorMode, 
+    getPaperTradingMode,
     clearRecentTrades, 
     saveState, 
     loadState, 
-    orderBook 
+    orderBook: mainOrderBook 
 } = require('./pulseServer');
 const { 
     setWallet, 
     setConnection, 
     getWallet, 
-    getConnection 
+    getConnection,
+    runInPairContext,
+    getPairContext
 } = require('./globalState');
 const cliProgress = require('cli-progress');
+const readline = require('readline');
 
 // Global state management
-let isCurrentExecutionCancelled = false;
-let globalTimeoutId = null;
-let position = null;
 let MONITOR_MODE = false;
-let currentPrice = 0;
 let SENTIMENT_BOUNDARIES = null;
 let SENTIMENT_MULTIPLIERS = null;
-let wallet = null;
 let connection = null;
-let progressInterval = null;
 
 // Configuration
-const MIN_USD_VALUE = 1; // Minimum USD value to keep in the wallet
 const MAX_TRADE_ATTEMPTS = 10;
 const RETRY_DELAY = 5000; // 5 seconds
+const EXIT_LABELS = {
+    [OrderBook.CLOSE_REASONS.PROFIT]: 'TAKE-PROFIT',
+    [OrderBook.CLOSE_REASONS.TRAILING_STOP]: 'TRAILING-STOP',
+    [OrderBook.CLOSE_REASONS.STOP_LOSS]: 'STOP-LOSS',
+    [OrderBook.CLOSE_REASONS.EXPIRED]: 'EXPIRY'
+};
+
+/**
+ * Creates the trading state for one pair
+ * @param {OrderBook} pairOrderBook - Order book for the pair
+ * @returns {Object} Pair trading state
+ */
+function createPairState(pairOrderBook) {
+    return {
+        position: null,
+        orderBook: pairOrderBook,
+        wallet: null,
+        currentPrice: 0,
+        globalTimeoutId: null,
+        progressInterval: null,
+        isCurrentExecutionCancelled: false,
+        lastTradingData: null
+    };
+}
+
+// Trading state for the main pair; additional pairs keep theirs on their pair context
+const mainPairState = createPairState(mainOrderBook);
+
+/**
+ * Gets the trading state for the pair of the current execution
+ * @returns {Object} Pair trading state
+ */
+function getPairState() {
+    return getPairContext()?.state || mainPairState;
+}
+
+/**
+ * Runs a function for every pair that has started trading, in that pair's context
+ * @param {Function} fn - Called with the pair trading state
+ */
+function forEachStartedPair(fn) {
+    if (mainPairState.position) {
+        fn(mainPairState);
+    }
+    getAdditionalPairs()
+        .filter(pair => pair.state && pair.state.position)
+        .forEach(pair => runInPairContext(pair, () => fn(pair.state)));
+}
+
+/**
+ * Gets a display label for the pair of the current execution
+ * @returns {string} Pair label, e.g. SOL/USDC
+ */
+function getPairLabel() {
+    return `${getBaseToken().NAME}/${getQuoteToken().NAME}`;
+}
 
 /**
  * Progress bar for visualising wait time between trading cycles
@@ -106,8 +175,11 @@ const progressBar = new cliProgress.SingleBar({
 
 /**
  * Safely cleans up the progress bar
+ * The progress bar belongs to the main pair, so additional pairs leave it alone
  */
 function cleanupProgressBar() {
+    if (getPairContext()) return;
+
     try {
         if (progressBar && progressBar.isActive) {
             progressBar.stop();
@@ -170,48 +242,122 @@ function startProgressBar(totalSeconds, timeframe = '15m') {
 }
 
 /**
- * Verifies if a trade will leave sufficient balance
- * @param {number} balance - Current balance
- * @param {number} amount - Trade amount
- * @param {boolean} isBaseToken - Is base token balance (vs quote token)
+ * Executes the swap that closes an order book trade, or part of it when TRADE_MATCHING allows partial closes
+ * @param {Object} trade - Trade to close
  * @param {number} currentPrice - Current token price
- * @returns {boolean} - True if balance will be sufficient
+ * @param {string} label - Log prefix for the operation (e.g. CLOSING, STOP-LOSS)
+ * @param {number|null} availableBalance - Balance of the token spent on the close, if known
+ * @param {string} reason - Why the trade is being closed, from OrderBook.CLOSE_REASONS
+ * @returns {Object|null} - { swapResult, closedTradeId, closedBaseAmount }, skip result if the swap could not be confirmed, or null
  */
-async function minimumBalanceCheck(balance, amount, isBaseToken, currentPrice) {
+async function executeTradeClose(trade, currentPrice, label = 'CLOSING', availableBalance = null, reason = OrderBook.CLOSE_REASONS.PROFIT) {
     try {
-        if (typeof balance !== 'number' || isNaN(balance) ||
-            typeof amount !== 'number' || isNaN(amount) ||
-            typeof currentPrice !== 'number' || isNaN(currentPrice)) {
-            console.error(formatError('Invalid inputs for minimum balance check'));
-            return false;
-        }
-        
+        const { orderBook, wallet } = getPairState();
         const baseToken = getBaseToken();
         const quoteToken = getQuoteToken();
+        const isClosingBuy = trade.direction === 'sell';
+        const outputToken = isClosingBuy ? baseToken : quoteToken;
+
+        const closeFraction = orderBook.getCloseFraction(trade, currentPrice, availableBalance);
+        if (closeFraction === 0) {
+            console.log(formatWarning(`${icons.warning} ${label}: Not enough ${isClosingBuy ? quoteToken.NAME : baseToken.NAME} to close any of this trade`));
+            return null;
+        }
+
+        // A partial close acts on a scaled copy of the trade; the order book splits the record afterwards
+        const closingTrade = closeFraction < 1 ? {
+            ...trade,
+            baseTokenAmount: trade.baseTokenAmount * closeFraction,
+            quoteTokenValue: trade.quoteTokenValue * closeFraction
+        } : trade;
+        const exactOutAmount = Math.floor(orderBook.getCloseAmount(closingTrade, currentPrice) * Math.pow(10, outputToken.DECIMALS));
+
+        console.log(formatInfo(
+            `${icons.trade} ${label} TRADE DETAILS:`
+        ));
+        if (closeFraction < 1) {
+            console.log(`  ${styles.warning}Partial close: ${formatPercentage(closeFraction * 100)} of the trade${colours.reset}`);
+        }
+        console.log(`  ${isClosingBuy ? styles.positive + 'Direction: Buy' + colours.reset : styles.negative + 'Direction: Sell' + colours.reset}`);
+        console.log(`  ${formatBalance(closingTrade.baseTokenAmount, baseToken.NAME)} @ ${formatPrice(currentPrice)}`);
+        console.log(`  Quote value: ${formatBalance(closingTrade.quoteTokenValue, quoteToken.NAME)}`);
         
-        const balanceInUSD = isBaseToken ? balance * currentPrice : balance;
-        const amountInUSD = isBaseToken ? amount * currentPrice : amount;
-        const remainingBalanceUSD = balanceInUSD - amountInUSD;
+        // Calculate potential profit
+        const potentialProfit = isClosingBuy ? 
+            (closingTrade.price - currentPrice) * closingTrade.baseTokenAmount :
+            (currentPrice - closingTrade.price) * closingTrade.baseTokenAmount;
+            
+        if (potentialProfit > 0) {
+            console.log(`  ${styles.positive}Potential Profit: ${formatPrice(potentialProfit)}${colours.reset}`);
+            console.log(`  ${styles.info}10% Fee: ${formatPrice(potentialProfit * 0.1)}${colours.reset}`);
+        } else {
+            console.log(`  ${styles.negative}Realising Loss: ${formatPrice(potentialProfit)}${colours.reset}`);
+        }
         
-        if (remainingBalanceUSD < MIN_USD_VALUE) {
-            console.log(formatWarning(`${icons.warning} Trade blocked - Would leave ${isBaseToken ? baseToken.NAME : quoteToken.NAME} balance below $${MIN_USD_VALUE}`));
-            return false;
+        // Execute the swap to close the position - now passing trade and currentPrice
+        const swapResult = await executeExactOutSwap(
+            wallet,
+            isClosingBuy ? baseToken.ADDRESS : quoteToken.ADDRESS,
+            exactOutAmount,
+            isClosingBuy ? quoteToken.ADDRESS : baseToken.ADDRESS,
+            closingTrade,   // Pass the (possibly scaled) trade object
+            currentPrice,   // Pass the current price
+            reason
+        );
+
+        if (isSkipResult(swapResult)) {
+            console.log(formatWarning(`${icons.warning} ${label}: ${swapResult.message}`));
+            return swapResult;
+        }
+
+        if (swapResult) {
+            console.log(formatSuccess(`${icons.success} ${label}: Swap executed successfully`));
+            
+            // Log fee information if it was applied
+            if (swapResult.appliedFeeBps > 1) {
+                const profitFeeBps = swapResult.appliedFeeBps - 1; // Subtract the 1bps base fee
+                if (profitFeeBps > 0) {
+                    console.log(formatInfo(`${icons.profit} Applied profit fee: ${profitFeeBps} bps (10% of realized profit)`));
+                }
+            }
+            
+            return {
+                swapResult,
+                closedTradeId: trade.id,
+                closedBaseAmount: closeFraction < 1 ? closingTrade.baseTokenAmount : null
+            };
         }
-        return true;
+
+        console.log(formatError(`${icons.error} ${label}: Swap failed`));
     } catch (error) {
-        console.error(formatError(`Error in minimum balance check: ${error.message}`));
-        return false;
+        console.error(formatError(`${label}: Error executing swap: ${error.message}`));
     }
+    
+    return null;
 }
 
 /**
- * Checks for and closes a profitable opposite-direction trade
+ * Gets the balance spent when closing trades of a direction
+ * Closing sells buys base back with quote, closing buys sells base for quote
+ * @param {string} direction - Direction of the trades being closed
+ * @returns {number} Available balance of the input token
+ */
+function getClosingBalance(direction) {
+    const { position } = getPairState();
+    return direction === 'sell' ? position.quoteBalance : position.baseBalance;
+}
+
+/**
+ * Checks for and closes profitable opposite-direction trades, picked by the TRADE_MATCHING policy
  * @param {string} sentiment - Current market sentiment
  * @param {number} currentPrice - Current token price
- * @returns {Object|null} - Result of closing trade or null
+ * @returns {Object|null} - { closes: [{ swapResult, closedTradeId, closedBaseAmount }] }, skip result if a swap could not be confirmed
+ *   before any trade closed, or null
  */
 async function checkAndCloseOpposingTrade(sentiment, currentPrice) {
     try {
+        const pairState = getPairState();
+        const { orderBook } = pairState;
         const isFearSentiment = ["FEAR", "EXTREME_FEAR"].includes(sentiment);
         const isGreedSentiment = ["GREED", "EXTREME_GREED"].includes(sentiment);
         
@@ -220,85 +366,96 @@ async function checkAndCloseOpposingTrade(sentiment, currentPrice) {
             return null;
         }
 
-        // Find the oldest trade in the opposite direction
-        const oldestMatchingTrade = orderBook.findOldestMatchingTrade(
-            isFearSentiment ? "sell" : "buy",
-            currentPrice
-        );
+        // Find the trades in the opposite direction, in matching policy order
+        const direction = isFearSentiment ? "sell" : "buy";
+        const matchingTrades = orderBook.findMatchingTrades(direction, currentPrice);
         
-        if (!oldestMatchingTrade) {
+        if (matchingTrades.length === 0) {
             console.log(formatWarning(`${icons.info} CLOSING: No opposing trades found to close in ${formatSentiment(sentiment)} sentiment`));
             return null;
         }
         
-        const shortId = oldestMatchingTrade.id.substring(0, 8) + '...';
-        console.log(formatInfo(`${icons.trade} CLOSING: Found opposing trade to close: ID ${styles.important}${shortId}${colours.reset}`));
-        
-        try {
-            const baseToken = getBaseToken();
-            const quoteToken = getQuoteToken();
-            const isClosingBuy = oldestMatchingTrade.direction === 'sell';
-            
-            const exactOutAmount = isClosingBuy ? 
-                Math.floor(oldestMatchingTrade.baseTokenAmount * Math.pow(10, baseToken.DECIMALS)) :
-                Math.floor(oldestMatchingTrade.quoteTokenValue * Math.pow(10, quoteToken.DECIMALS));
-
-            console.log(formatInfo(
-                `${icons.trade} CLOSING TRADE DETAILS:`
-            ));
-            console.log(`  ${isClosingBuy ? styles.positive + 'Direction: Buy' + colours.reset : styles.negative + 'Direction: Sell' + colours.reset}`);
-            console.log(`  ${formatBalance(oldestMatchingTrade.baseTokenAmount, baseToken.NAME)} @ ${formatPrice(currentPrice)}`);
-            console.log(`  Quote value: ${formatBalance(oldestMatchingTrade.quoteTokenValue, quoteToken.NAME)}`);
+        const closes = [];
+        let availableBalance = getClosingBalance(direction);
+
+        for (const trade of matchingTrades) {
+            if (pairState.isCurrentExecutionCancelled) break;
+
+            const shortId = trade.id.substring(0, 8) + '...';
+            console.log(formatInfo(`${icons.trade} CLOSING: Found opposing trade to close: ID ${styles.important}${shortId}${colours.reset}`));
             
-            // Calculate potential profit
-            const potentialProfit = isClosingBuy ? 
-                (oldestMatchingTrade.price - currentPrice) * oldestMatchingTrade.baseTokenAmount :
-                (currentPrice - oldestMatchingTrade.price) * oldestMatchingTrade.baseTokenAmount;
-                
-            if (potentialProfit > 0) {
-                console.log(`  ${styles.positive}Potential Profit: ${formatPrice(potentialProfit)}${colours.reset}`);
-                console.log(`  ${styles.info}10% Fee: ${formatPrice(potentialProfit * 0.1)}${colours.reset}`);
+            const closeResult = await executeTradeClose(trade, currentPrice, 'CLOSING', availableBalance);
+            if (isSkipResult(closeResult)) {
+                // The balances are uncertain until the swap is resolved, so no further trades are closed
+                return closes.length > 0 ? { closes } : closeResult;
             }
-            
-            // Execute the swap to close the position - now passing trade and currentPrice
-            const swapResult = await executeExactOutSwap(
-                wallet,
-                isClosingBuy ? baseToken.ADDRESS : quoteToken.ADDRESS,
-                exactOutAmount,
-                isClosingBuy ? quoteToken.ADDRESS : baseToken.ADDRESS,
-                oldestMatchingTrade, // Pass the trade object
-                currentPrice          // Pass the current price
-            );
-
-            if (swapResult) {
-                console.log(formatSuccess(`${icons.success} CLOSING: Swap executed successfully`));
-                
-                // Log fee information if it was applied
-                if (swapResult.appliedFeeBps > 1) {
-                    const profitFeeBps = swapResult.appliedFeeBps - 1; // Subtract the 1bps base fee
-                    if (profitFeeBps > 0) {
-                        console.log(formatInfo(`${icons.profit} Applied profit fee: ${profitFeeBps} bps (10% of realized profit)`));
-                    }
-                }
-                
-                return {
-                    swapResult,
-                    closedTradeId: oldestMatchingTrade.id
-                };
-            } else {
-                console.log(formatError(`${icons.error} CLOSING: Swap failed`));
-            }
-        } catch (error) {
-            console.error(formatError(`CLOSING: Error executing swap: ${error.message}`));
+            if (!closeResult) continue;
+
+            closes.push(closeResult);
+            const { baseTokenChange, quoteTokenChange } = closeResult.swapResult;
+            availableBalance -= Math.abs(direction === 'sell' ? quoteTokenChange : baseTokenChange);
         }
         
-        return null;
+        return closes.length > 0 ? { closes } : null;
     } catch (error) {
         console.error(formatError(`CLOSING: Error in trade operation: ${error.message}`));
         return null;
     }
 }
 
+/**
+ * Closes open trades that have hit the stop-loss, expired or reached their trailing take-profit
+ * @param {string} sentiment - Current market sentiment
+ * @returns {Object|null} - { recentTrade, txId } for the last exit, or null if nothing closed
+ */
+async function executeAutomaticExits(sentiment) {
+    const pairState = getPairState();
+    const { orderBook } = pairState;
+    const baseToken = getBaseToken();
+    const riskExits = orderBook.findRiskExits(pairState.currentPrice);
+    const trailingExits = orderBook.findTrailingExits(pairState.currentPrice, sentiment)
+        .filter(exit => !riskExits.some(riskExit => riskExit.trade.id === exit.trade.id));
+    const exits = [...riskExits, ...trailingExits];
+    let lastExit = null;
+
+    if (exits.length === 0) {
+        return null;
+    }
+
+    console.log(formatHeading("=== AUTOMATIC EXITS ==="));
+
+    for (const { trade, reason, profitPercent } of exits) {
+        if (pairState.isCurrentExecutionCancelled) break;
+
+        const label = EXIT_LABELS[reason] || 'CLOSING';
+        const shortId = trade.id.substring(0, 8) + '...';
+        console.log(formatWarning(`${icons.warning} ${label}: Closing trade ID ${shortId} at ${formatPercentage(profitPercent)}`));
+
+        const closeResult = await executeTradeClose(trade, pairState.currentPrice, label, getClosingBalance(trade.direction), reason);
+        if (isSkipResult(closeResult)) {
+            console.log(formatWarning(`${icons.warning} ${label}: Trade ${shortId} left open until the swap is checked against the chain on the next start`));
+            break;
+        }
+        if (!closeResult) {
+            console.log(formatWarning(`${icons.warning} ${label}: Trade ${shortId} left open - will retry next cycle`));
+            continue;
+        }
+
+        const { swapResult, closedBaseAmount } = closeResult;
+        orderBook.closeTrade(trade.id, swapResult.price, reason, closedBaseAmount, swapResult.reconciliation, swapResult.txId);
+        clearInFlightSwap(swapResult.inFlightId);
+        const closedTrade = updatePositionFromSwap(pairState.position, swapResult, sentiment, pairState.currentPrice);
+        if (closedTrade) {
+            closedTrade.closeReason = reason;
+            addRecentTrade(closedTrade);
+            console.log(`   ${formatTimestamp(getTimestamp(), false)}: ${closedTrade.type} ${formatBalance(closedTrade.amount, baseToken.NAME)} at ${formatPrice(closedTrade.price)}`);
+        }
+        lastExit = { recentTrade: closedTrade || null, txId: swapResult.txId };
+    }
+
+    return lastExit;
+}
+
 /**
  * Checks if there are any opposing trades that could be closed
  * @param {string} sentiment - Current market sentiment
@@ -306,6 +463,7 @@ async function checkAndCloseOpposingTrade(sentiment, currentPrice) {
  */
 async function hasOpposingTrades(sentiment) {
     try {
+        const { orderBook, currentPrice } = getPairState();
         const isFearSentiment = ["FEAR", "EXTREME_FEAR"].includes(sentiment);
         const isGreedSentiment = ["GREED", "EXTREME_GREED"].includes(sentiment);
         
@@ -315,12 +473,13 @@ async function hasOpposingTrades(sentiment) {
         }
 
         // Look for opposing trades based on sentiment
-        const oldestMatchingTrade = orderBook.findOldestMatchingTrade(
+        const matchingTrades = orderBook.findMatchingTrades(
             isFearSentiment ? "sell" : "buy",
-            currentPrice
+            currentPrice,
+            1
         );
         
-        return oldestMatchingTrade !== null;
+        return matchingTrades.length > 0;
     } catch (error) {
         console.error(formatError(`Error checking for opposing trades: ${error.message}`));
         return false;
@@ -330,19 +489,21 @@ async function hasOpposingTrades(sentiment) {
 /**
  * Executes a trade to open a new position
  * @param {string} sentiment - Current market sentiment
- * @returns {Object|null} - Trade result or null
+ * @param {number} fearGreedIndex - Current Fear & Greed Index
+ * @returns {Object|null} - Trade result, skip result from the trade gate, or null
  */
-async function executeOpeningTrade(sentiment) {
+async function executeOpeningTrade(sentiment, fearGreedIndex) {
+    const pairState = getPairState();
     let attempt = 1;
     
-    while (attempt <= MAX_TRADE_ATTEMPTS && !isCurrentExecutionCancelled) {
+    while (attempt <= MAX_TRADE_ATTEMPTS && !pairState.isCurrentExecutionCancelled) {
         try {
             const baseToken = getBaseToken();
             const quoteToken = getQuoteToken();
             
             console.log(formatInfo(`${icons.open} OPENING: Attempt ${attempt}/${MAX_TRADE_ATTEMPTS}`));
             const isBuying = ["EXTREME_FEAR", "FEAR"].includes(sentiment);
-            const balance = isBuying ? wallet.quoteBalance : wallet.baseBalance;
+            const balance = isBuying ? pairState.wallet.quoteBalance : pairState.wallet.baseBalance;
             
             // Using the configured tokens for the calculation
             const inputToken = isBuying ? quoteToken : baseToken;
@@ -350,18 +511,18 @@ async function executeOpeningTrade(sentiment) {
             const tradeAmount = rawTradeAmount / Math.pow(10, inputToken.DECIMALS);
             
             // Check if trade would leave minimum balance
-            if (!await minimumBalanceCheck(balance, tradeAmount, !isBuying, currentPrice)) {
+            if (!await minimumBalanceCheck(balance, tradeAmount, !isBuying, pairState.currentPrice)) {
                 console.log(formatWarning(`${icons.warning} OPENING: Trade skipped - minimum balance protection`));
                 return null;
             }
     
             console.log(formatInfo(`${icons.trade} OPENING: Placing ${isBuying ? styles.positive + 'Buy' + colours.reset : styles.negative + 'Sell' + colours.reset} Trade...`));
             // Pass the actual token objects to executeSwap
-            const swapResult = await executeSwap(wallet, sentiment);
+            const swapResult = await executeSwap(pairState.wallet, sentiment, fearGreedIndex, pairState.currentPrice);
             
-            if (swapResult === 'cooldownfail' || swapResult === 'fgichangefail') {
+            if (isSkipResult(swapResult)) {
                 // Don't retry for these conditions
-                console.log(formatWarning(`${icons.warning} OPENING: Trade failed due to cooldown or FGI change - skipping retry`));
+                console.log(formatWarning(`${icons.warning} OPENING: Trade skipped - ${swapResult.message}`));
                 return swapResult;
             } else if (swapResult) {
                 return swapResult;
@@ -370,7 +531,7 @@ async function executeOpeningTrade(sentiment) {
             console.error(formatError(`OPENING: Error on attempt ${attempt}/${MAX_TRADE_ATTEMPTS}: ${error.message}`));
         }
         
-        if (attempt < MAX_TRADE_ATTEMPTS && !isCurrentExecutionCancelled) {
+        if (attempt < MAX_TRADE_ATTEMPTS && !pairState.isCurrentExecutionCancelled) {
             console.log(formatWarning(`${icons.wait} OPENING: Attempt ${attempt} failed - retrying in ${RETRY_DELAY/1000}s...`));
             await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
         }
@@ -384,12 +545,13 @@ async function executeOpeningTrade(sentiment) {
 /**
  * Executes a trade to close an existing position
  * @param {string} sentiment - Current market sentiment
- * @returns {Object|null} - Trade result or null
+ * @returns {Object|null} - Trade result, skip result if a swap could not be confirmed, or null
  */
 async function executeClosingTrade(sentiment) {
+    const pairState = getPairState();
     let attempt = 1;
     
-    while (attempt <= MAX_TRADE_ATTEMPTS && !isCurrentExecutionCancelled) {
+    while (attempt <= MAX_TRADE_ATTEMPTS && !pairState.isCurrentExecutionCancelled) {
         try {
             // Fetch the latest price before each attempt
             const latestPrice = await fetchPrice(BASE_PRICE_URL, getBaseToken().ADDRESS);
@@ -397,17 +559,20 @@ async function executeClosingTrade(sentiment) {
             
             // Use the fresh price for trade evaluation and execution
             const closingResult = await checkAndCloseOpposingTrade(sentiment, latestPrice);
-            
-            if (closingResult) {
+
+            if (isSkipResult(closingResult)) {
+                // Don't retry a swap that could still land
+                return closingResult;
+            } else if (closingResult) {
                 // Update global price state with the latest value
-                currentPrice = latestPrice;
+                pairState.currentPrice = latestPrice;
                 return closingResult;
             }
         } catch (error) {
             console.error(formatError(`CLOSING: Error on attempt ${attempt}/${MAX_TRADE_ATTEMPTS}: ${error.message}`));
         }
         
-        if (attempt < MAX_TRADE_ATTEMPTS && !isCurrentExecutionCancelled) {
+        if (attempt < MAX_TRADE_ATTEMPTS && !pairState.isCurrentExecutionCancelled) {
             console.log(formatWarning(`${icons.wait} CLOSING: Attempt ${attempt} failed - retrying in ${RETRY_DELAY/1000}s...`));
             await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
         }
@@ -473,6 +638,27 @@ function displayEnhancedStatistics(stats) {
         `Sell: ${stats.averagePrices.sell === '0.00' ? styles.detail + 'N/A' + colours.reset : formatPrice(stats.averagePrices.sell)}`
     );
     
+    // Risk-adjusted performance
+    if (stats.analytics) {
+        const { sharpeRatio, sortinoRatio, maxDrawdownPercent, maxDrawdownDurationMs, alphaPercent } = stats.analytics;
+        const formatRatio = ratio => ratio === null ? `${styles.detail}N/A${colours.reset}` : `${styles.info}${ratio.toFixed(2)}${colours.reset}`;
+        console.log(
+            `${icons.stats} Sharpe: ${formatRatio(sharpeRatio)} | Sortino: ${formatRatio(sortinoRatio)} | ` +
+            `Max Drawdown: ${formatPercentage(-maxDrawdownPercent)} over ${formatTime(maxDrawdownDurationMs)}` +
+            (alphaPercent !== null ? ` | Alpha vs Hold: ${formatPercentage(alphaPercent)}` : '')
+        );
+    }
+
+    // Execution costs of live swaps
+    if (stats.executionCosts && stats.executionCosts.swaps > 0) {
+        const { totalSol, priorityFeeSol, tipSol, averagePerSwapSol, totalQuote, percentOfVolume } = stats.executionCosts;
+        console.log(
+            `${icons.info} Execution Fees: ${styles.balance}${totalSol}${colours.reset} SOL` +
+            (totalQuote !== null ? ` (${formatPrice(totalQuote)})` : '') +
+            ` | Priority: ${priorityFeeSol} SOL | Tips: ${tipSol} SOL | Per Swap: ${averagePerSwapSol} SOL` +
+            (percentOfVolume !== null ? ` | ${percentOfVolume}% of volume` : '')
+        );
+    }
 }
 
 /**
@@ -483,9 +669,11 @@ function displayEnhancedStatistics(stats) {
  * @param {string} sentiment - Current market sentiment
  * @param {string} txId - Transaction ID (if any)
  * @param {Object} enhancedStats - Enhanced trading statistics
+ * @param {Object|null} skipReason - Why a trade was skipped this cycle (if it was)
  * @returns {Object} - Trading data object
  */
-function prepareTradingData(timestamp, currentPrice, fearGreedIndex, sentiment, txId, enhancedStats) {
+function prepareTradingData(timestamp, currentPrice, fearGreedIndex, sentiment, txId, enhancedStats, skipReason = null) {
+    const { position } = getPairState();
     const baseToken = getBaseToken();
     const quoteToken = getQuoteToken();
     
@@ -502,6 +690,9 @@ function prepareTradingData(timestamp, currentPrice, fearGreedIndex, sentiment,
         averageEntryPrice: parseFloat(enhancedStats.averagePrices.entry) || 0,
         averageSellPrice: parseFloat(enhancedStats.averagePrices.sell) || 0,
         txId,
+        skipReason,
+        analytics: enhancedStats.analytics,
+        executionCosts: enhancedStats.executionCosts,
         initialPrice: position.initialPrice,
         initialPortfolioValue: position.initialValue,
         initialBaseBalance: position.initialBaseBalance,
@@ -521,6 +712,9 @@ function prepareTradingData(timestamp, currentPrice, fearGreedIndex, sentiment,
  * @param {Object} tradingData - Trading data object
  */
 function savePositionState(tradingData) {
+    const pairState = getPairState();
+    const { position, orderBook } = pairState;
+    pairState.lastTradingData = tradingData;
     saveState({
         position: {
             quoteBalance: position.quoteBalance,
@@ -529,6 +723,7 @@ function savePositionState(tradingData) {
             initialBaseBalance: position.initialBaseBalance,
             initialPrice: position.initialPrice,
             initialValue: position.initialValue,
+            peakValue: position.peakValue,
             totalQuoteBought: position.totalQuoteBought,
             totalBaseSpent: position.totalBaseSpent,
             totalQuoteSold: position.totalQuoteSold,
@@ -538,6 +733,7 @@ function savePositionState(tradingData) {
             totalCycles: position.totalCycles,
             totalVolumeQuote: position.totalVolumeQuote,
             totalVolumeBase: position.totalVolumeBase,
+            executionFees: position.executionFees,
             trades: position.trades || []
         },
         tradingData,
@@ -546,10 +742,67 @@ function savePositionState(tradingData) {
     });
 }
 
+/**
+ * Gets the equity the current run has recorded in the history store, for the statistics analytics
+ * @returns {Array<Object>} Equity points in time order (empty if the store is unavailable)
+ */
+function getRecordedEquity() {
+    const mode = getPaperTradingMode() ? MODES.PAPER : MODES.LIVE;
+    const historyStore = getHistoryStore(mode);
+    if (!historyStore) return [];
+
+    try {
+        return historyStore.getEquitySeries({
+            pair: getPairLabel(),
+            timeframe: readSettings().FGI_TIMEFRAME || "15m",
+            mode,
+            from: getPairState().position.startTime
+        });
+    } catch (error) {
+        devLog(`Could not read recorded equity: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Records the cycle and the balances it ended with in the history store
+ * @param {Object} tradingData - Trading data object
+ * @param {string} decision - What the cycle did: hold, open, close, exit, skip or monitor (joined with '+')
+ */
+function recordCycleHistory(tradingData, decision) {
+    const mode = getPaperTradingMode() ? MODES.PAPER : MODES.LIVE;
+    const historyStore = getHistoryStore(mode);
+    if (!historyStore) return;
+
+    const tradeStats = getPairState().orderBook.getTradeStatistics();
+    const cycleId = historyStore.recordCycle({
+        mode,
+        fearGreedIndex: tradingData.fearGreedIndex,
+        price: tradingData.price,
+        sentiment: tradingData.sentiment,
+        decision,
+        skipReason: tradingData.skipReason?.reason,
+        txId: tradingData.txId
+    });
+    historyStore.recordBalanceSnapshot({
+        mode,
+        cycleId,
+        baseBalance: tradingData.baseBalance,
+        quoteBalance: tradingData.quoteBalance,
+        price: tradingData.price,
+        portfolioValue: tradingData.portfolioValue,
+        realizedPnl: tradeStats.totalRealizedPnl,
+        unrealizedPnl: tradeStats.totalUnrealizedPnl
+    });
+}
+
 /**
  * Schedule the next trading cycle
  */
 async function scheduleNextExecution() {
+    if (isShuttingDown()) return;
+    const pairState = getPairState();
+
     try {
         const settings = readSettings();
         const timeframe = settings.FGI_TIMEFRAME || "15m";
@@ -557,23 +810,23 @@ async function scheduleNextExecution() {
         const waitTime = getWaitTime();
         const nextExecutionTime = new Date(Date.now() + waitTime);
         
-        console.log(formatHeading("=== NEXT CYCLE ==="));
+        console.log(formatHeading(`=== NEXT CYCLE (${getPairLabel()}) ===`));
         console.log(formatInfo(`${icons.wait} Next trading update (${timeframe}) at ${nextExecutionTime.toLocaleTimeString()}`));
         console.log(formatInfo(`${icons.time} Time until next cycle: ${formatTime(waitTime)}`));
 
         const totalSeconds = Math.ceil(waitTime / 1000);
         
-        // Pass timeframe to progress bar
-        progressInterval = startProgressBar(totalSeconds, timeframe);
+        // Pass timeframe to progress bar (shown for the main pair only)
+        pairState.progressInterval = getPairContext() ? null : startProgressBar(totalSeconds, timeframe);
 
-        globalTimeoutId = setTimeout(async () => {
-            if (progressInterval) {
-                clearInterval(progressInterval);
-                progressInterval = null;
+        pairState.globalTimeoutId = setTimeout(async () => {
+            if (pairState.progressInterval) {
+                clearInterval(pairState.progressInterval);
+                pairState.progressInterval = null;
             }
             cleanupProgressBar();
 
-            if (!isCurrentExecutionCancelled) {
+            if (!pairState.isCurrentExecutionCancelled) {
                 await main();
             }
         }, waitTime);
@@ -587,7 +840,7 @@ async function scheduleNextExecution() {
         const waitTime = getWaitTime();
         console.log(formatWarning(`${icons.wait} Error occurred. Waiting until next expected cycle in ${formatTime(waitTime)}`));
         setTimeout(async () => {
-            if (!isCurrentExecutionCancelled) {
+            if (!pairState.isCurrentExecutionCancelled) {
                 await main();
             }
         }, waitTime);
@@ -599,15 +852,23 @@ async function scheduleNextExecution() {
  */
 async function main() {
     devLog("Entering PulseSurfer main function");
-    isCurrentExecutionCancelled = false;
+    if (isShuttingDown()) {
+        devLog("Shutting down. Not starting a new cycle.");
+        return;
+    }
+
+    const pairState = getPairState();
+    pairState.isCurrentExecutionCancelled = false;
+    // Shutdown waits for the cycle, so swaps it sends can reach the order book
+    const endOperation = beginOperation(`${getPairLabel()} trading cycle`);
 
     try {
         // Clean up any previous state
         cleanupProgressBar();
-        clearTimeout(globalTimeoutId);
+        clearTimeout(pairState.globalTimeoutId);
 
         // Increment cycle counter
-        position.incrementCycle();
+        pairState.position.incrementCycle();
 
         // Get the current FGI timeframe
         const settings = readSettings();
@@ -620,37 +881,38 @@ async function main() {
         // Fetch current market data
         const fearGreedIndex = await fetchFearGreedIndex();
         const sentiment = getSentiment(fearGreedIndex);
-        currentPrice = await fetchPrice(BASE_PRICE_URL, baseToken.ADDRESS);
+        pairState.currentPrice = await fetchPrice(BASE_PRICE_URL, baseToken.ADDRESS);
         const timestamp = getTimestamp();
 
         // Log trading data
-        await logTradingData(timestamp, currentPrice, fearGreedIndex);
-        devLog(`Data Logged: ${timestamp}, ${currentPrice}, ${fearGreedIndex}`);
+        await logTradingData(timestamp, pairState.currentPrice, fearGreedIndex);
+        devLog(`Data Logged: ${timestamp}, ${pairState.currentPrice}, ${fearGreedIndex}`);
 
         // Display current cycle info with timeframe
         console.log(horizontalLine());
-        console.log(formatHeading(`=== TRADING CYCLE (${timeframe}): ${timestamp} ===`));
+        console.log(formatHeading(`=== TRADING CYCLE ${getPairLabel()} (${timeframe}): ${timestamp} ===`));
         console.log(`${icons.sentiment} Sentiment: ${formatSentiment(sentiment)} | Fear & Greed Index: ${padLeft(fearGreedIndex, 2)}`);
-        console.log(`${icons.price} Current ${baseToken.NAME} Price: ${formatPrice(currentPrice)}`);
+        console.log(`${icons.price} Current ${baseToken.NAME} Price: ${formatPrice(pairState.currentPrice)}`);
 
         // Update portfolio balances
         devLog("Updating portfolio balances...");
-        wallet = getWallet();
+        pairState.wallet = getWallet();
         connection = getConnection();
         
-        if (!wallet || !connection) {
+        if (!pairState.wallet || !connection) {
             throw new Error("Wallet or connection is not initialised");
         }
         
-        const { baseBalance, quoteBalance } = await updatePortfolioBalances(wallet, connection);
+        const { baseBalance, quoteBalance } = await updatePortfolioBalances(pairState.wallet, connection);
         console.log(`${icons.balance} Balance: ${formatBalance(baseBalance, baseToken.NAME)} | ${formatBalance(quoteBalance, quoteToken.NAME)}`);
 
         // Update position and orderbook
-        position.updateBalances(baseBalance, quoteBalance);
-        orderBook.updateTradeUPNL(currentPrice);
+        pairState.position.updateBalances(baseBalance, quoteBalance);
+        pairState.orderBook.updateTradeUPNL(pairState.currentPrice);
+        pairState.orderBook.updateTrailingProfits(pairState.currentPrice, sentiment);
 
         // Check if execution was cancelled during data fetch
-        if (isCurrentExecutionCancelled) {
+        if (pairState.isCurrentExecutionCancelled) {
             devLog("Execution cancelled. Exiting main.");
             return;
         }
@@ -659,6 +921,20 @@ async function main() {
         let txId = null;
         let swapResult = null;
         let recentTrade = null;
+        let skipReason = null;
+        const decisions = [];
+
+        // Stop-loss, expiry and trailing take-profit exits run every cycle, whatever the sentiment
+        if (!MONITOR_MODE) {
+            const automaticExit = await executeAutomaticExits(sentiment);
+            if (automaticExit) {
+                decisions.push('exit');
+                recentTrade = automaticExit.recentTrade;
+                txId = automaticExit.txId;
+                const updatedBalances = await updatePortfolioBalances(pairState.wallet, connection);
+                pairState.position.updateBalances(updatedBalances.baseBalance, updatedBalances.quoteBalance);
+            }
+        }
 
         // Pulse trading logic - trade on any non-neutral sentiment
         if (!MONITOR_MODE && sentiment !== "NEUTRAL") {
@@ -678,13 +954,26 @@ async function main() {
                 tradeOperations.push(closingOperation);
             }
             
-            // Always add opening trade operation
-            console.log(formatInfo(`${icons.open} OPENING OPERATION: Starting new position operation`));
-            const openingOperation = executeOpeningTrade(sentiment)
-                .then(result => ({ type: 'open', result }));
-            tradeOperations.push(openingOperation);
+            // Add opening trade operation unless the drawdown limit has paused new positions
+            const drawdownSkip = checkDrawdownGate(pairState.position.getDrawdown(pairState.currentPrice));
+            if (drawdownSkip) {
+                decisions.push('skip');
+                skipReason = {
+                    reason: drawdownSkip.reason,
+                    direction: drawdownSkip.direction,
+                    message: drawdownSkip.message
+                };
+                console.log(formatWarning(`${icons.warning} OPENING OPERATION: Trade skipped - ${drawdownSkip.message}`));
+            } else {
+                console.log(formatInfo(`${icons.open} OPENING OPERATION: Starting new position operation`));
+                const openingOperation = executeOpeningTrade(sentiment, fearGreedIndex)
+                    .then(result => ({ type: 'open', result }));
+                tradeOperations.push(openingOperation);
+            }
             
-            console.log(formatInfo(`${icons.running} Both operations running in parallel - this may take a moment...`));
+            if (tradeOperations.length > 1) {
+                console.log(formatInfo(`${icons.running} Both operations running in parallel - this may take a moment...`));
+            }
             
             // Wait for all operations to complete and process results
             const results = await Promise.all(tradeOperations);
@@ -698,38 +987,55 @@ async function main() {
                     continue;
                 }
                 
-                if (type === 'close' && result.swapResult) {
-                    // Process closing trade
-                    swapResult = result.swapResult;
-                    orderBook.closeTrade(result.closedTradeId, swapResult.price);
-                    console.log(formatSuccess(`${icons.close} CLOSING OPERATION: Successfully closed trade ID: ${result.closedTradeId.substring(0, 12)}...`));
-                    
-                    // Update position from closing trade
-                    const closedTrade = updatePositionFromSwap(position, swapResult, sentiment, currentPrice);
-                    if (closedTrade) {
-                        addRecentTrade(closedTrade);
-                        console.log(`   ${formatTimestamp(getTimestamp(), false)}: ${closedTrade.type} ${formatBalance(closedTrade.amount, baseToken.NAME)} at ${formatPrice(closedTrade.price)}`);
-                        recentTrade = closedTrade;
+                if (type === 'close' && isSkipResult(result)) {
+                    decisions.push('skip');
+                    skipReason = {
+                        reason: result.reason,
+                        direction: result.direction,
+                        message: result.message
+                    };
+                    console.log(formatWarning(`${icons.warning} CLOSING OPERATION: Trade skipped - ${result.message}`));
+                }
+                else if (type === 'close' && result.closes) {
+                    if (result.closes.length > 0) decisions.push('close');
+
+                    // Process each closing trade
+                    for (const { swapResult: closeSwapResult, closedTradeId, closedBaseAmount } of result.closes) {
+                        swapResult = closeSwapResult;
+                        pairState.orderBook.closeTrade(closedTradeId, swapResult.price, OrderBook.CLOSE_REASONS.PROFIT, closedBaseAmount, swapResult.reconciliation, swapResult.txId);
+                        clearInFlightSwap(swapResult.inFlightId);
+                        console.log(formatSuccess(`${icons.close} CLOSING OPERATION: Successfully ${closedBaseAmount ? 'partially closed' : 'closed'} trade ID: ${closedTradeId.substring(0, 12)}...`));
+                        
+                        // Update position from closing trade
+                        const closedTrade = updatePositionFromSwap(pairState.position, swapResult, sentiment, pairState.currentPrice);
+                        if (closedTrade) {
+                            addRecentTrade(closedTrade);
+                            console.log(`   ${formatTimestamp(getTimestamp(), false)}: ${closedTrade.type} ${formatBalance(closedTrade.amount, baseToken.NAME)} at ${formatPrice(closedTrade.price)}`);
+                            recentTrade = closedTrade;
+                        }
+                        
+                        txId = swapResult.txId;
                     }
-                    
-                    txId = swapResult.txId;
                 }
                 else if (type === 'open') {
-                    if (result !== 'cooldownfail' && result !== 'fgichangefail') {
+                    if (!isSkipResult(result)) {
                         // Process opening trade
+                        decisions.push('open');
                         swapResult = result;
                         txId = result.txId; // Prioritize the opening trade ID
                         
                         // Add to orderbook
-                        orderBook.addTrade(
+                        pairState.orderBook.addTrade(
                             swapResult.price, 
                             swapResult.baseTokenChange, 
                             swapResult.quoteTokenChange, 
-                            swapResult.txId
+                            swapResult.txId,
+                            swapResult.reconciliation
                         );
+                        clearInFlightSwap(swapResult.inFlightId);
                         
                         // Update position
-                        const openedTrade = updatePositionFromSwap(position, swapResult, sentiment, currentPrice);
+                        const openedTrade = updatePositionFromSwap(pairState.position, swapResult, sentiment, pairState.currentPrice);
                         if (openedTrade) {
                             addRecentTrade(openedTrade);
                             console.log(formatSuccess(`${icons.open} OPENING OPERATION: Successfully opened new position`));
@@ -737,22 +1043,28 @@ async function main() {
                             recentTrade = openedTrade;
                         }
                     } 
-                    else if (result === 'cooldownfail' || result === 'fgichangefail') {
-                        console.log(formatWarning(`${icons.warning} OPENING OPERATION: Trade skipped due to cooldown or FGI change`));
+                    else {
+                        decisions.push('skip');
+                        skipReason = {
+                            reason: result.reason,
+                            direction: result.direction,
+                            message: result.message
+                        };
+                        console.log(formatWarning(`${icons.warning} OPENING OPERATION: Trade skipped - ${result.message}`));
                     }
                 }
             }
             
             // Update balances after all trading operations
             console.log(formatInfo(`\n${icons.balance} Updating portfolio balances after trades...`));
-            const updatedBalances = await updatePortfolioBalances(wallet, connection);
-            position.updateBalances(updatedBalances.baseBalance, updatedBalances.quoteBalance);
+            const updatedBalances = await updatePortfolioBalances(pairState.wallet, connection);
+            pairState.position.updateBalances(updatedBalances.baseBalance, updatedBalances.quoteBalance);
         } else if (MONITOR_MODE) {
             console.log(formatInfo(`${icons.info} Monitor Mode: Data collected without trading.`));
         }
 
         // Calculate and display enhanced statistics
-        const enhancedStats = position.getEnhancedStatistics(currentPrice);
+        const enhancedStats = pairState.position.getEnhancedStatistics(pairState.currentPrice, Date.now(), getRecordedEquity());
         displayEnhancedStatistics(enhancedStats);
 
         // Log transaction ID if available
@@ -762,7 +1074,7 @@ async function main() {
 
         // Prepare trading data for UI and state persistence
         const tradingData = prepareTradingData(
-            timestamp, currentPrice, fearGreedIndex, sentiment, txId, enhancedStats
+            timestamp, pairState.currentPrice, fearGreedIndex, sentiment, txId, enhancedStats, skipReason
         );
         
         // Emit trading data for UI
@@ -772,6 +1084,7 @@ async function main() {
 
         // Save state for persistence
         savePositionState(tradingData);
+        recordCycleHistory(tradingData, MONITOR_MODE ? 'monitor' : decisions.join('+') || 'hold');
 
     } catch (error) {
         console.error(formatError(`Error during main execution: ${error.message}`));
@@ -779,11 +1092,12 @@ async function main() {
         cleanupProgressBar();
     } finally {
         // Schedule next execution if not cancelled
-        if (!isCurrentExecutionCancelled) {
+        if (!pairState.isCurrentExecutionCancelled) {
             await scheduleNextExecution();
         } else {
             cleanupProgressBar();
         }
+        endOperation();
     }
 }
 
@@ -804,58 +1118,31 @@ async function initialize() {
         devLog(".env successfully applied");
 
         // Clear any pending timeouts
-        clearTimeout(globalTimeoutId);
+        clearTimeout(mainPairState.globalTimeoutId);
 
         // Start the web server
         console.log(formatInfo(`${icons.network} Starting web server...`));
         await startServer();
         console.log(formatSuccess(`${icons.success} Web server started successfully`));
 
-        // Load saved state if available
-        console.log(formatInfo(`${icons.settings} Checking for saved state...`));
-        const savedState = loadState();
-        devLog("SaveState:", savedState ? "Found" : "Not found");
-
-        if (savedState && savedState.position) {
-            console.log(formatSuccess(`${icons.success} Found saved state - resuming previous session`));
-            devLog("Initializing from saved state...");
-            
-            // Initialize position from saved state
-            position = new Position(
-                savedState.position.initialBaseBalance,
-                savedState.position.initialQuoteBalance,
-                savedState.position.initialPrice
-            );
-            
-            // Restore position properties
-            Object.assign(position, savedState.position);
-            
-            // Set initial data for UI
-            setInitialData(savedState.tradingData);
-            devLog("Position and initial data set from saved state");
-        } else {
-            console.log(formatInfo(`${icons.info} No saved state found - starting fresh`));
-            await resetPosition();
-            devLog("Position reset completed");
-        }
-
         // Set monitor mode from settings
         MONITOR_MODE = getMonitorMode();
         console.log(formatInfo(`${icons.settings} Monitor mode: ${MONITOR_MODE ? styles.warning + 'Enabled' + colours.reset : styles.success + 'Disabled' + colours.reset}`));
+        console.log(formatInfo(`${icons.settings} Paper trading: ${getPaperTradingMode() ? styles.warning + 'Enabled' + colours.reset : styles.success + 'Disabled' + colours.reset}`));
 
-        // Get base token for initial price fetch
-        const baseToken = getBaseToken();
-        const quoteToken = getQuoteToken();
-        console.log(formatInfo(`${icons.trade} Trading pair: ${styles.important}${baseToken.NAME}/${quoteToken.NAME}${colours.reset}`));
-        
-        // Fetch initial price data
-        console.log(formatInfo(`${icons.price} Fetching initial price data...`));
-        await fetchPrice(BASE_PRICE_URL, baseToken.ADDRESS);
-        
-        // Start first trading cycle
-        console.log(formatSuccess(`${icons.success} Initialisation complete - starting first trading cycle`));
-        console.log(horizontalLine());
-        await main();
+        // Additional pairs run alongside the main pair, each in its own pair context
+        const additionalPairs = getAdditionalPairs();
+        if (additionalPairs.length > 0) {
+            console.log(formatInfo(`${icons.trade} Additional pairs: ${styles.important}${additionalPairs.map(pair => pair.id).join(', ')}${colours.reset}`));
+        }
+
+        await Promise.all([
+            startTradingPair(),
+            ...additionalPairs.map(pair => runInPairContext(pair, () => startTradingPair().catch(error => {
+                console.error(formatError(`Failed to start pair ${pair.id}: ${error.message}`));
+                console.error(error);
+            })))
+        ]);
     } catch (error) {
         console.error(formatError(`Failed to initialise PulseSurfer: ${error.message}`));
         console.error(error);
@@ -863,6 +1150,75 @@ async function initialize() {
     }
 }
 
+/**
+ * Restores or resets the position for the pair of the current execution and starts its first trading cycle
+ */
+async function startTradingPair() {
+    // Additional pairs get their own order book and trading state
+    const pairContext = getPairContext();
+    if (pairContext) {
+        pairContext.orderBook = new OrderBook();
+        pairContext.state = createPairState(pairContext.orderBook);
+    }
+    const pairState = getPairState();
+
+    // Get base token for initial price fetch
+    const baseToken = getBaseToken();
+    const quoteToken = getQuoteToken();
+    console.log(formatInfo(`${icons.trade} Trading pair: ${styles.important}${baseToken.NAME}/${quoteToken.NAME}${colours.reset}`));
+
+    // Load saved state if available
+    console.log(formatInfo(`${icons.settings} Checking for saved state...`));
+    const savedState = loadState();
+    devLog("SaveState:", savedState ? "Found" : "Not found");
+
+    if (savedState && savedState.position) {
+        console.log(formatSuccess(`${icons.success} Found saved state - resuming previous session`));
+        devLog("Initializing from saved state...");
+        
+        // Initialize position from saved state
+        pairState.position = new Position(
+            savedState.position.initialBaseBalance,
+            savedState.position.initialQuoteBalance,
+            savedState.position.initialPrice
+        );
+        
+        // Restore position properties
+        Object.assign(pairState.position, savedState.position);
+        
+        // Set initial data for UI
+        setInitialData(savedState.tradingData);
+        pairState.lastTradingData = savedState.tradingData;
+        devLog("Position and initial data set from saved state");
+
+        // Swaps that were still in flight when the bot last stopped
+        await recoverInFlightSwaps();
+
+        // Swaps that landed without reaching the order book, and trades that never reached the chain
+        await reconcileWalletHistory();
+    } else {
+        console.log(formatInfo(`${icons.info} No saved state found - starting fresh`));
+        await resetPosition();
+        devLog("Position reset completed");
+
+        // A fresh position starts from the current balances, which already include anything that landed
+        const staleSwaps = getPairInFlightSwaps();
+        if (staleSwaps.length > 0) {
+            staleSwaps.forEach(entry => clearInFlightSwap(entry.id));
+            console.log(formatInfo(`${icons.info} Discarded ${staleSwaps.length} in-flight swap(s) from the previous session`));
+        }
+    }
+    
+    // Fetch initial price data
+    console.log(formatInfo(`${icons.price} Fetching initial price data...`));
+    await fetchPrice(BASE_PRICE_URL, baseToken.ADDRESS);
+    
+    // Start first trading cycle
+    console.log(formatSuccess(`${icons.success} Initialisation complete - starting first ${baseToken.NAME}/${quoteToken.NAME} trading cycle`));
+    console.log(horizontalLine());
+    await main();
+}
+
 /**
  * Resets the position and order book to start fresh
  */
@@ -871,22 +1227,33 @@ async function resetPosition() {
     devLog("Resetting position and orderBook...");
     
     try {
+        const pairState = getPairState();
+        const { orderBook } = pairState;
+
         // Get updated wallet and connection
-        wallet = getWallet();
+        const wallet = getWallet();
+        pairState.wallet = wallet;
         connection = getConnection();
         
         // Get token configurations
         const baseToken = getBaseToken();
         const quoteToken = getQuoteToken();
 
-        // Cancel any pending transactions
-        console.log(formatInfo(`${icons.warning} Cancelling any pending transactions...`));
-        cancelPendingBundle();
+        // Cancel any pending transactions (bundles are shared, so only the main pair cancels them)
+        if (!getPairContext()) {
+            console.log(formatInfo(`${icons.warning} Cancelling any pending transactions...`));
+            cancelPendingSubmission();
+        }
 
         if (!wallet || !connection) {
             throw new Error("Wallet or connection is not initialised in resetPosition");
         }
 
+        // Paper trading starts each fresh position from the configured simulated balances
+        if (getPaperTradingMode()) {
+            resetPaperWallet();
+        }
+
         // Get current balances and price
         console.log(formatInfo(`${icons.balance} Fetching current balances...`));
         const { baseBalance, quoteBalance } = await updatePortfolioBalances(wallet, connection);
@@ -895,7 +1262,8 @@ async function resetPosition() {
         
         // Create new position
         console.log(formatInfo(`${icons.settings} Creating new position...`));
-        position = new Position(baseBalance, quoteBalance, currentPrice);
+        const position = new Position(baseBalance, quoteBalance, currentPrice);
+        pairState.position = position;
         
         // Reset order book
         console.log(formatInfo(`${icons.settings} Resetting order book...`));
@@ -904,7 +1272,7 @@ async function resetPosition() {
 
         // Get current fear & greed index
         console.log(formatInfo(`${icons.sentiment} Fetching Fear & Greed Index...`));
-        const fearGreedIndex = await fetchFearGreedIndex();
+        const fearGreedIndex = await fetchFearGreedIndex({ peek: true });
         
         // Create initial data for UI
         const initialData = {
@@ -947,6 +1315,7 @@ async function resetPosition() {
                 initialQuoteBalance: position.initialQuoteBalance,
                 initialPrice: position.initialPrice,
                 initialValue: position.initialValue,
+                peakValue: position.peakValue,
                 totalBaseBought: position.totalBaseBought,
                 totalQuoteSpent: position.totalQuoteSpent,
                 totalBaseSold: position.totalBaseSold,
@@ -956,6 +1325,7 @@ async function resetPosition() {
                 totalCycles: position.totalCycles,
                 totalVolumeBase: position.totalVolumeBase,
                 totalVolumeQuote: position.totalVolumeQuote,
+                executionFees: position.executionFees,
                 trades: []
             },
             tradingData: initialData,
@@ -975,6 +1345,371 @@ async function resetPosition() {
     }
 }
 
+/**
+ * Builds a swap result for a journalled swap that landed, from the chain where possible
+ * @param {Object} wallet - Wallet with connection and publicKey
+ * @param {Object} entry - In-flight journal entry
+ * @returns {Promise<Object>} Swap result as returned by executeSwap
+ */
+async function buildRecoveredSwapResult(wallet, entry) {
+    const reconciliation = await reconcileSwap(wallet, entry.signature, {
+        ...entry.swap,
+        tipLamports: entry.tipLamports
+    });
+    const inputAmount = reconciliation ? reconciliation.inputAmount : entry.swap.expectedInputAmount;
+    const outputAmount = reconciliation ? reconciliation.outputAmount : entry.swap.expectedOutputAmount;
+    const isOutputBase = entry.swap.outputMint === getBaseToken().ADDRESS;
+    const baseTokenChange = isOutputBase ? outputAmount : -inputAmount;
+    const quoteTokenChange = isOutputBase ? -inputAmount : outputAmount;
+
+    return {
+        txId: entry.signature,
+        price: Math.abs(quoteTokenChange / baseTokenChange),
+        baseTokenChange,
+        quoteTokenChange,
+        reconciliation
+    };
+}
+
+/**
+ * Records a journalled swap that landed in the order book and position of the current pair
+ * Skips swaps the order book already has, in case the bot stopped between recording a swap and clearing its entry
+ * @param {Object} entry - In-flight journal entry
+ * @param {Object} swapResult - Swap result from buildRecoveredSwapResult
+ * @returns {boolean} True if the swap was recorded
+ */
+function recordRecoveredSwap(entry, swapResult) {
+    const pairState = getPairState();
+    const { orderBook, position } = pairState;
+
+    if (entry.action === 'open') {
+        if (orderBook.trades.some(trade => trade.id === entry.signature)) return false;
+        orderBook.addTrade(swapResult.price, swapResult.baseTokenChange, swapResult.quoteTokenChange, swapResult.txId, swapResult.reconciliation);
+    } else {
+        if (orderBook.trades.some(trade => trade.closeTxId === entry.signature || (trade.closeExecution && trade.closeExecution.signature === entry.signature))) return false;
+
+        const trade = orderBook.trades.find(t => t.id === entry.tradeId);
+        if (trade && trade.status === 'open') {
+            orderBook.closeTrade(entry.tradeId, swapResult.price, entry.closeReason || OrderBook.CLOSE_REASONS.PROFIT, entry.closedBaseAmount, swapResult.reconciliation, swapResult.txId);
+        } else {
+            console.log(formatWarning(`${icons.warning} Trade ${String(entry.tradeId).substring(0, 12)}... is no longer open - recording the closing swap in the position only`));
+        }
+    }
+
+    const recoveredTrade = updatePositionFromSwap(position, swapResult, entry.sentiment || 'NEUTRAL', swapResult.price);
+    if (recoveredTrade) {
+        addRecentTrade(recoveredTrade);
+    }
+    return true;
+}
+
+/**
+ * Checks swaps that were in flight when the bot last stopped and brings the ones that landed into the order book
+ * Swaps that failed or expired are dropped; swaps that could still land are left for the next start
+ */
+async function recoverInFlightSwaps() {
+    const entries = getPairInFlightSwaps();
+    if (entries.length === 0) return;
+
+    if (getPaperTradingMode()) {
+        console.log(formatWarning(`${icons.warning} ${entries.length} live swap(s) were in flight when PulseSurfer last stopped - turn off paper trading to reconcile them`));
+        return;
+    }
+
+    console.log(formatHeading(`=== IN-FLIGHT SWAPS (${getPairLabel()}) ===`));
+    console.log(formatInfo(`${icons.search} Checking ${entries.length} swap(s) that were in flight when PulseSurfer last stopped...`));
+    const wallet = getWallet();
+
+    for (const entry of entries) {
+        const shortSignature = entry.signature ? `${entry.signature.substring(0, 12)}...` : 'unsigned';
+
+        try {
+            const outcome = await resolveInFlightSwap(wallet.connection, entry);
+
+            if (outcome === OUTCOMES.UNKNOWN) {
+                console.log(formatWarning(`${icons.warning} Swap ${shortSignature} could still land - it will be checked again on the next start`));
+                continue;
+            }
+
+            if (outcome === OUTCOMES.LANDED) {
+                const swapResult = await buildRecoveredSwapResult(wallet, entry);
+                if (recordRecoveredSwap(entry, swapResult)) {
+                    console.log(formatSuccess(`${icons.success} Recorded ${entry.action === 'open' ? 'opening' : 'closing'} swap ${shortSignature} (${entry.bundleId ? `bundle ${entry.bundleId.substring(0, 12)}...` : 'RPC'}) that landed while PulseSurfer was stopped`));
+                } else {
+                    devLog(`Swap ${entry.signature} was already in the order book`);
+                }
+            } else {
+                console.log(formatInfo(`${icons.info} Swap ${shortSignature} did not land (${outcome.toLowerCase()}) - nothing to record`));
+            }
+
+            clearInFlightSwap(entry.id);
+        } catch (error) {
+            console.error(formatError(`Error checking in-flight swap ${shortSignature}: ${error.message}`));
+        }
+    }
+}
+
+// Startup questions are asked one at a time, since pairs start side by side
+let startupQuestions = Promise.resolve();
+
+/**
+ * Asks a question on the terminal, waiting for any question another pair is already asking
+ * @param {string} question - Question to ask
+ * @returns {Promise<string>} Answer
+ */
+function askStartupQuestion(question) {
+    const answer = startupQuestions.then(() => new Promise(resolve => {
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+        rl.question(question, (response) => {
+            rl.close();
+            resolve(response.trim());
+        });
+    }));
+    startupQuestions = answer.catch(() => {});
+    return answer;
+}
+
+/**
+ * Checks the order book of the current pair against the wallet's transactions since the session started
+ * @returns {Promise<Object>} Report from scanWalletHistory
+ */
+async function scanPairWalletHistory() {
+    const { orderBook, position } = getPairState();
+
+    // Swaps still in the in-flight journal are recovered on the next start, so they are not missing
+    const inFlightSignatures = getPairInFlightSwaps()
+        .map(entry => entry.signature)
+        .filter(Boolean);
+
+    return scanWalletHistory(getWallet(), orderBook.trades, {
+        since: position.startTime,
+        knownSignatures: inFlightSignatures
+    });
+}
+
+/**
+ * Records on-chain swaps that are missing from the order book as open trades, and in the position
+ * @param {Array<Object>} swaps - Missing swaps from a wallet reconciliation report
+ * @returns {Array<string>} Signatures of the swaps that were imported
+ */
+function importMissingSwaps(swaps) {
+    const pairState = getPairState();
+    const { orderBook, position } = pairState;
+    const imported = [];
+
+    for (const swap of swaps) {
+        const trade = orderBook.addTrade(swap.price, swap.baseTokenChange, swap.quoteTokenChange, swap.signature);
+        if (!trade) continue;
+
+        // Trade age counts from when the swap landed, not from when it was imported
+        trade.openedAt = swap.time;
+
+        const swapResult = {
+            txId: swap.signature,
+            price: swap.price,
+            baseTokenChange: swap.baseTokenChange,
+            quoteTokenChange: swap.quoteTokenChange
+        };
+        const importedTrade = updatePositionFromSwap(position, swapResult, 'NEUTRAL', pairState.currentPrice || swap.price);
+        if (importedTrade) {
+            addRecentTrade(importedTrade);
+        }
+
+        imported.push(swap.signature);
+        console.log(formatSuccess(`${icons.success} Imported ${swap.direction} swap ${swap.signature.substring(0, 12)}... as an open trade`));
+    }
+
+    orderBook.saveTrades();
+    if (imported.length > 0 && pairState.lastTradingData) {
+        savePositionState(pairState.lastTradingData);
+    }
+    return imported;
+}
+
+/**
+ * Voids order book trades whose opening transaction is not on chain
+ * Only the order book changes; the position's balances are refreshed from the wallet every cycle
+ * @param {Array<Object>} orphanedTrades - Orphaned or unverified trades from a wallet reconciliation report
+ * @returns {Array<string>} Opening signatures of the trades that were voided
+ */
+function voidOrphanedTrades(orphanedTrades) {
+    const { orderBook } = getPairState();
+    const voided = [];
+
+    for (const orphan of orphanedTrades) {
+        const voidedParts = orphan.tradeIds.filter(tradeId => orderBook.voidTrade(tradeId));
+        if (voidedParts.length === 0) continue;
+
+        voided.push(orphan.signature);
+        console.log(formatInfo(`${icons.info} Marked ${orphan.direction} trade ${orphan.signature.substring(0, 12)}... as void - its transaction is not on chain`));
+    }
+
+    return voided;
+}
+
+/**
+ * Logs what a wallet reconciliation found
+ * @param {Object} report - Report from scanWalletHistory
+ */
+function logWalletReconciliation(report) {
+    const baseToken = getBaseToken();
+
+    report.missingSwaps.forEach(swap => {
+        console.log(formatWarning(`${icons.warning} ${swap.direction.toUpperCase()} ${formatBalance(Math.abs(swap.baseTokenChange), baseToken.NAME)} at ${formatPrice(swap.price)} on ${new Date(swap.time).toLocaleString()} is not in the order book (${swap.signature.substring(0, 12)}...)`));
+    });
+    report.orphanedTrades.forEach(orphan => {
+        console.log(formatWarning(`${icons.warning} ${orphan.direction.toUpperCase()} trade of ${formatBalance(orphan.baseTokenAmount, baseToken.NAME)} at ${formatPrice(orphan.price)} failed on chain (${orphan.signature.substring(0, 12)}...)`));
+    });
+    report.unverifiedTrades.forEach(trade => {
+        console.log(formatInfo(`${icons.info} ${trade.direction.toUpperCase()} trade of ${formatBalance(trade.baseTokenAmount, baseToken.NAME)} at ${formatPrice(trade.price)} could not be verified - the RPC has no record of its transaction (${trade.signature.substring(0, 12)}...)`));
+    });
+
+    if (!report.complete) {
+        console.log(formatInfo(`${icons.info} Only the most recent wallet transactions were checked - older swaps from this session were not`));
+    }
+}
+
+/**
+ * Checks the order book of the current pair against the wallet history when a session resumes,
+ * and offers to import missing swaps and void trades that never reached the chain
+ * Without anyone to ask (auto-confirm or headless), the findings are left to review on the dashboard
+ */
+async function reconcileWalletHistory() {
+    if (getPaperTradingMode()) {
+        devLog("Paper trading - skipping wallet reconciliation");
+        return;
+    }
+
+    console.log(formatHeading(`=== WALLET RECONCILIATION (${getPairLabel()}) ===`));
+    console.log(formatInfo(`${icons.menu} Checking recent wallet transactions against the order book...`));
+
+    let report;
+    try {
+        report = await scanPairWalletHistory();
+    } catch (error) {
+        console.error(formatError(`Error checking wallet history: ${error.message}`));
+        return;
+    }
+
+    logWalletReconciliation(report);
+    const { missingSwaps, orphanedTrades, unverifiedTrades } = report;
+
+    // Unverified trades may just be older than the RPC's history, so they are never voided without review
+    if (missingSwaps.length === 0 && orphanedTrades.length === 0) {
+        console.log(unverifiedTrades.length === 0 ?
+            formatSuccess(`${icons.success} Order book matches the wallet history`) :
+            formatInfo(`${icons.info} Left unverified trades unchanged - review them from the dashboard orderbook`));
+        return;
+    }
+
+    if (isAutoConfirm()) {
+        console.log(formatInfo(`${icons.info} Left unchanged - review them from the dashboard orderbook`));
+        return;
+    }
+
+    const answer = await askStartupQuestion(formatInfo(`\n${icons.menu} ${getPairLabel()}: import ${missingSwaps.length} missing swap(s) and void ${orphanedTrades.length} trade(s) whose transaction failed? (y/N): `));
+    if (answer.toLowerCase() !== 'y') {
+        console.log(formatInfo(`${icons.info} Left unchanged - review them from the dashboard orderbook`));
+        return;
+    }
+
+    importMissingSwaps(missingSwaps);
+    voidOrphanedTrades(orphanedTrades);
+}
+
+/**
+ * Handles wallet reconciliation requests from the dashboard
+ * Every request scans the wallet again, so only current findings are imported or voided
+ * @param {Object} request - Request details
+ * @param {string} request.action - 'scan', 'import' or 'void'
+ * @param {string} [request.pair] - Pair ID, the main pair if not given
+ * @param {Array<string>} [request.signatures] - Signatures of the missing swaps to import or orphaned or unverified trades to void
+ * @param {Function} respond - Called with (error, result)
+ */
+function handleWalletReconciliation(request, respond) {
+    const pairId = request.pair || MAIN_PAIR_ID;
+    const pair = pairId === MAIN_PAIR_ID ? null : getAdditionalPairs().find(p => p.id === pairId);
+
+    const reconcile = async () => {
+        if (pairId !== MAIN_PAIR_ID && !pair) {
+            throw new Error(`Unknown pair: ${pairId}`);
+        }
+        if (getPaperTradingMode()) {
+            throw new Error('Wallet reconciliation is not available in paper trading mode');
+        }
+        if (isShuttingDown()) {
+            throw new Error('PulseSurfer is shutting down');
+        }
+        if (!getPairState().position) {
+            throw new Error(`Trading has not started for ${pairId} yet`);
+        }
+
+        const report = await scanPairWalletHistory();
+        const selected = new Set(request.signatures || []);
+        let imported = [];
+        let voided = [];
+
+        if (request.action === 'import') {
+            imported = importMissingSwaps(report.missingSwaps.filter(swap => selected.has(swap.signature)));
+        } else if (request.action === 'void') {
+            voided = voidOrphanedTrades([...report.orphanedTrades, ...report.unverifiedTrades]
+                .filter(orphan => selected.has(orphan.signature)));
+        } else if (request.action !== 'scan') {
+            throw new Error(`Unknown reconciliation action: ${request.action}`);
+        }
+
+        return {
+            pair: pairId,
+            imported,
+            voided,
+            report: {
+                ...report,
+                missingSwaps: report.missingSwaps.filter(swap => !imported.includes(swap.signature)),
+                orphanedTrades: report.orphanedTrades.filter(orphan => !voided.includes(orphan.signature)),
+                unverifiedTrades: report.unverifiedTrades.filter(trade => !voided.includes(trade.signature))
+            }
+        };
+    };
+
+    (pair ? runInPairContext(pair, reconcile) : reconcile())
+        .then(result => respond(null, result))
+        .catch(error => respond(error));
+}
+
+/**
+ * Stops every pair from scheduling or starting new cycles and clears the progress bar
+ */
+function stopTradingCycles() {
+    forEachStartedPair(pairState => {
+        pairState.isCurrentExecutionCancelled = true;
+        clearTimeout(pairState.globalTimeoutId);
+        clearInterval(pairState.progressInterval);
+        pairState.progressInterval = null;
+    });
+    cleanupProgressBar();
+}
+
+/**
+ * Saves the order book and savestate of every pair
+ */
+function flushTradingState() {
+    forEachStartedPair(pairState => {
+        pairState.orderBook.saveTrades();
+        if (pairState.lastTradingData) {
+            savePositionState(pairState.lastTradingData);
+        }
+    });
+    console.log(formatSuccess(`${icons.success} Order books and savestates saved`));
+}
+
+// Shutdown stops new cycles straight away, then saves state once running cycles have finished
+onShutdown(SHUTDOWN_PHASES.STOP, 'stop trading cycles', stopTradingCycles);
+onShutdown(SHUTDOWN_PHASES.FLUSH, 'save order books and savestates', flushTradingState);
+onShutdown(SHUTDOWN_PHASES.FLUSH, 'close history store', closeHistoryStores);
+
 /**
  * Handles parameter updates from the UI
  * @param {Object} newParams - Updated parameters
@@ -997,11 +1732,22 @@ function handleParameterUpdate(newParams) {
             console.log(formatInfo(`${icons.trade} Token pair changed: ${oldBaseToken}/${oldQuoteToken} → ${newBaseToken}/${newQuoteToken}`));
             
             // Update orderBook to use new token-specific file
-            orderBook.updateStoragePathForTokens();
+            mainOrderBook.updateStoragePathForTokens();
             console.log(formatSuccess(`${icons.success} OrderBook updated for new token pair`));
         }
     }
 
+    // Paper and live trades are kept in separate order books, so switching mode switches books
+    if (typeof newParams.PAPER_TRADING === 'boolean') {
+        forEachStartedPair(pairState => {
+            const { orderBook } = pairState;
+            if (orderBook.paperTrading !== newParams.PAPER_TRADING) {
+                orderBook.updateStoragePathForTokens();
+                console.log(formatInfo(`${icons.settings} ${getPairLabel()} switched to the ${orderBook.paperTrading ? 'paper' : 'live'} order book`));
+            }
+        });
+    }
+
     if (updatedSettings.SENTIMENT_BOUNDARIES) {
         SENTIMENT_BOUNDARIES = updatedSettings.SENTIMENT_BOUNDARIES;
         console.log(formatInfo(`${icons.sentiment} Sentiment boundaries updated`));
@@ -1021,23 +1767,24 @@ function handleParameterUpdate(newParams) {
 async function handleRestartTrading() {
     console.log(formatHeading("=== RESTARTING TRADING ==="));
     devLog("Restarting trading...");
+    const pairState = getPairState();
     
     try {
         // Get updated wallet and connection
-        wallet = getWallet();
+        pairState.wallet = getWallet();
         connection = getConnection();
 
         // Cancel any pending transactions
         console.log(formatInfo(`${icons.warning} Cancelling pending transactions...`));
-        cancelPendingBundle();
+        cancelPendingSubmission();
 
         // Signal the current execution to stop
         console.log(formatInfo(`${icons.warning} Stopping current execution...`));
-        isCurrentExecutionCancelled = true;
+        pairState.isCurrentExecutionCancelled = true;
 
         // Clear any existing scheduled runs
         console.log(formatInfo(`${icons.warning} Clearing scheduled cycles...`));
-        clearTimeout(globalTimeoutId);
+        clearTimeout(pairState.globalTimeoutId);
 
         // Stop the progress bar if it's running
         cleanupProgressBar();
@@ -1048,11 +1795,11 @@ async function handleRestartTrading() {
 
         // Reset position and get ready for new trading
         console.log(formatInfo(`${icons.settings} Resetting position...`));
-        await resetPosition(wallet, connection);
+        await resetPosition();
         console.log(formatSuccess(`${icons.success} Position reset complete`));
 
         // Reset the cancellation flag
-        isCurrentExecutionCancelled = false;
+        pairState.isCurrentExecutionCancelled = false;
 
         // Schedule the next trading cycle
         const waitTime = getWaitTime();
@@ -1062,13 +1809,13 @@ async function handleRestartTrading() {
 
         // Set up a progress bar for the wait time
         const totalSeconds = Math.ceil(waitTime / 1000);
-        progressInterval = startProgressBar(totalSeconds);
+        pairState.progressInterval = startProgressBar(totalSeconds);
 
         // Schedule the next trading cycle
-        globalTimeoutId = setTimeout(() => {
-            if (progressInterval) {
-                clearInterval(progressInterval);
-                progressInterval = null;
+        pairState.globalTimeoutId = setTimeout(() => {
+            if (pairState.progressInterval) {
+                clearInterval(pairState.progressInterval);
+                pairState.progressInterval = null;
             }
             cleanupProgressBar();
             
@@ -1094,9 +1841,12 @@ async function handleRestartTrading() {
 // Set up event listeners
 paramUpdateEmitter.on('paramsUpdated', handleParameterUpdate);
 paramUpdateEmitter.on('restartTrading', handleRestartTrading);
+paramUpdateEmitter.on('walletReconciliation', handleWalletReconciliation);
 
 // Self-executing initialization function
 (async function () {
+    installSignalHandlers();
+
     try {
         console.log(formatHeading("=== STARTING PULSESURFER ==="));
         console.log(formatInfo(`${icons.info} Version: ${styles.important}${getVersion()}${colours.reset}`));
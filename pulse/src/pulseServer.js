@@ -19,6 +19,7 @@ const session = require('express-session');
 const axios = require('axios');
 const readline = require('readline');
 const { 
+  USER_DIR,
   getVersion, 
   devLog, 
   getBaseToken, 
@@ -39,13 +40,21 @@ const {
   formatTimestamp,
   formatBalance,
   formatTokenChange,
+  parseTimestamp,
+  getSettingsPath,
+  isAutoConfirm,
+  hasEnvironment,
   icons,
   styles,
   colours
 } = require('./utils');
-const { getWallet, getConnection } = require('./globalState');
+const { getWallet, getConnection, getPairContext, applyPairSettings } = require('./globalState');
 const { PublicKey } = require('@solana/web3.js');
 const OrderBook = require('./orderBook');
+const { readJSON, writeJSON } = require('./storage');
+const { getHistoryStore, getPagination } = require('./historyStore');
+const { calculateEquityAnalytics, calculateTradeAnalytics } = require('./analytics');
+const { buildTaxReport, formatTaxReport, parseCostBasisMethod, getYearRange, EXPORT_FORMATS, TAX_MODES } = require('./taxExport');
 
 // ===========================
 // Constants and Configuration
@@ -59,24 +68,48 @@ const SETTINGS_ORDER = [
   "SENTIMENT_BOUNDARIES",
   "SENTIMENT_MULTIPLIERS",
   "MIN_PROFIT_PERCENT",
+  "TRAILING_TAKE_PROFIT_PERCENT",
+  "TRADE_MATCHING",
+  "TRADE_COOLDOWN_MINUTES",
+  "MIN_SENTIMENT_CHANGE",
+  "RISK_MANAGEMENT",
   "TRADE_SIZE_METHOD",
   "STRATEGIC_PERCENTAGE",
   "USER_MONTHLY_COST",
   "DEVELOPER_TIP_PERCENTAGE",
-  "MONITOR_MODE"
+  "MONITOR_MODE",
+  "PAIRS",
+  "SENTIMENT_PROVIDERS",
+  "LOCAL_FGI",
+  "TRANSACTION_SUBMISSION",
+  "QUOTE_SAFETY",
+  "ENDPOINTS",
+  "PAPER_TRADING",
+  "PAPER_TRADING_CONFIG"
 ];
 
 const NESTED_ORDERS = {
   "SENTIMENT_BOUNDARIES": ["EXTREME_FEAR", "FEAR", "GREED", "EXTREME_GREED"],
   "SENTIMENT_MULTIPLIERS": ["EXTREME_FEAR", "FEAR", "GREED", "EXTREME_GREED"],
-  "TRADING_PAIR": ["BASE_TOKEN", "QUOTE_TOKEN"]
+  "TRADING_PAIR": ["BASE_TOKEN", "QUOTE_TOKEN"],
+  "TRADE_MATCHING": ["POLICY", "MAX_CLOSES_PER_CYCLE", "PARTIAL_CLOSES", "MAX_CLOSE_VALUE"],
+  "RISK_MANAGEMENT": ["STOP_LOSS_PERCENT", "MAX_DRAWDOWN_PERCENT", "TRADE_EXPIRY_HOURS"],
+  "LOCAL_FGI": ["FALLBACK", "WEIGHTS", "RSI_PERIOD", "MOMENTUM_PERIOD", "VOLATILITY_PERIOD", "VOLATILITY_BASELINE_PERIOD", "VOLUME_PERIOD"],
+  "TRANSACTION_SUBMISSION": ["STRATEGY", "MAX_ATTEMPTS", "JITO_BLOCK_ENGINE_URL", "JITO_TIP_FLOOR_URL", "JITO_TIP_ACCOUNTS", "MAX_JITO_TIP_SOL", "MAX_PRIORITY_FEE_LAMPORTS", "MIN_FEE_PERCENTILE", "MAX_FEE_PERCENTILE", "URGENT_TRADE_VALUE", "DAILY_FEE_BUDGET_SOL", "MONTHLY_FEE_BUDGET_SOL"],
+  "QUOTE_SAFETY": ["MAX_PRICE_IMPACT_PCT", "MAX_ROUTE_HOPS", "MAX_PRICE_DEVIATION_PCT", "MAX_EFFECTIVE_DEVIATION_PCT"],
+  "ENDPOINTS": ["JUPITER_API_URL", "SURFSOLANA_API_URL"],
+  "PAPER_TRADING_CONFIG": ["INITIAL_BASE_BALANCE", "INITIAL_QUOTE_BALANCE", "SLIPPAGE_BPS", "FEE_BPS"]
+};
+
+// API endpoints, overridable in settings or the environment
+const DEFAULT_ENDPOINTS = {
+  JUPITER_API_URL: "https://quote-api.jup.ag/v6",
+  SURFSOLANA_API_URL: "https://api.surfsolana.com"
 };
 
 // File paths
-const USER_DIR = path.join(__dirname, '..', '..', 'user');
 const ORDERBOOKS_DIR = path.join(USER_DIR, 'orderbooks');
 const SAVESTATES_DIR = path.join(USER_DIR, 'savestates');
-const SETTINGS_PATH = path.join(USER_DIR, 'settings.json');
 const LEGACY_STATE_FILE_PATH = path.join(USER_DIR, 'saveState.json');
 const LEGACY_ORDERBOOK_PATH = path.join(USER_DIR, 'orderBookStorage.json');
 const ENV_PATH = path.join(USER_DIR, '.env');
@@ -124,8 +157,11 @@ function getSaveStatePath() {
     // Get current timeframe from settings
     const settings = readSettings();
     const timeframe = settings.FGI_TIMEFRAME || "15m";
+
+    // Paper positions are kept apart from the live savestate
+    const modeSuffix = settings.PAPER_TRADING === true ? '_paper' : '';
     
-    return path.join(SAVESTATES_DIR, `${baseTokenLower}_${quoteTokenLower}_${timeframe}_saveState.json`);
+    return path.join(SAVESTATES_DIR, `${baseTokenLower}_${quoteTokenLower}_${timeframe}${modeSuffix}_saveState.json`);
   } catch (error) {
     console.error(formatError(`${icons.error} Error getting save state path: ${error.message}`));
     // Fallback to legacy path if token information can't be retrieved
@@ -209,20 +245,9 @@ app.use(limiter);
  * @returns {Object|null} Settings object or null if error
  */
 function readSettings() {
-  try {
-    if (!fs.existsSync(SETTINGS_PATH)) {
-      return null;
-    }
-    
-    const settingsData = fs.readFileSync(SETTINGS_PATH, 'utf8');
-    return JSON.parse(settingsData);
-  } catch (error) {
-    // Only log if it's not a "file not found" error
-    if (error.code !== 'ENOENT') {
-      console.error(formatError(`${icons.error} Error reading settings.json: ${error.message}`));
-    }
-    return null;
-  }
+  // Settings are edited by hand, so only unreadable JSON is restored from a backup
+  const settings = readJSON(getSettingsPath(), { checksum: false });
+  return settings ? applyPairSettings(settings) : null;
 }
 
 /**
@@ -241,25 +266,52 @@ function getMonitorMode() {
   }
 }
 
+/**
+ * Get paper trading setting
+ * @returns {boolean} Paper trading enabled status
+ */
+function getPaperTradingMode() {
+  try {
+    const settings = readSettings();
+    // Return false as default if settings is null or PAPER_TRADING is not set
+    if (!settings) return false;
+    return settings.PAPER_TRADING === true;
+  } catch (error) {
+    // Silently fail and return default value
+    return false;
+  }
+}
+
+/**
+ * Get an API endpoint, from the environment if it is set there, otherwise from ENDPOINTS in settings
+ * The environment lets tests and local runs point the bot at stand-in servers without editing settings
+ * @param {string} name Endpoint name, e.g. JUPITER_API_URL
+ * @returns {string} Endpoint URL
+ */
+function getEndpoint(name) {
+  if (process.env[name]) return process.env[name];
+
+  try {
+    const settings = readSettings();
+    return settings?.ENDPOINTS?.[name] || DEFAULT_ENDPOINTS[name];
+  } catch (error) {
+    return DEFAULT_ENDPOINTS[name];
+  }
+}
+
 /**
  * Write settings to settings.json
  * @param {Object} settings Settings object to write
  * @returns {boolean} Success status
  */
 function writeSettings(settings) {
-  try {
-    // Ensure directory exists
-    ensureDirectories();
-    
-    // Order the settings before writing
-    const orderedSettings = orderSettings(settings);
-    fs.writeFileSync(SETTINGS_PATH, JSON.stringify(orderedSettings, null, 2));
-    devLog(formatSuccess(`${icons.success} Settings updated successfully.`));
-    return true;
-  } catch (error) {
-    console.error(formatError(`${icons.error} Error writing settings.json: ${error.message}`));
+  // Order the settings before writing
+  if (!writeJSON(getSettingsPath(), orderSettings(settings))) {
     return false;
   }
+
+  devLog(formatSuccess(`${icons.success} Settings updated successfully.`));
+  return true;
 }
 
 /**
@@ -336,6 +388,9 @@ function updateSettings(newSettings) {
   // ensure MONITOR_MODE is a boolean
   updatedSettings.MONITOR_MODE = updatedSettings.MONITOR_MODE === true;
 
+  // ensure PAPER_TRADING is a boolean
+  updatedSettings.PAPER_TRADING = updatedSettings.PAPER_TRADING === true;
+
   writeSettings(updatedSettings);
   return updatedSettings;
 }
@@ -437,6 +492,16 @@ function handleVersionUpgrade(settings, missingSettings, defaultSettings, curren
       console.log(formatInfo(`${icons.info} No settings are missing, but version has changed.`));
     }
     
+    // Without anyone to ask, keep the existing settings and insert the missing ones
+    if (isAutoConfirm()) {
+      const updatedSettings = deepMerge(settings, missingSettings);
+      updatedSettings.VERSION = currentVersion;
+      writeJSON(settingsPath, orderSettings(updatedSettings));
+      console.log(formatSuccess(`${icons.success} Updated settings file with missing values (auto-confirm).`));
+      resolve(true);
+      return;
+    }
+    
     console.log(formatSubheading("\nOptions:"));
     console.log(formatInfo(`${icons.settings} 1. Create new settings file (delete current settings)`));
     console.log(formatInfo(`${icons.settings} 2. Insert missing settings (keep existing settings)`));
@@ -456,7 +521,7 @@ function handleVersionUpgrade(settings, missingSettings, defaultSettings, curren
       if (answer === '1') {
         // User chose to replace settings
         const orderedDefaultSettings = orderSettings(defaultSettings);
-        fs.writeFileSync(settingsPath, JSON.stringify(orderedDefaultSettings, null, 2));
+        writeJSON(settingsPath, orderedDefaultSettings);
         console.log(formatSuccess(`${icons.success} Created new settings file with defaults.`));
         resolve(true);
       } else if (answer === '2') {
@@ -464,7 +529,7 @@ function handleVersionUpgrade(settings, missingSettings, defaultSettings, curren
         const updatedSettings = deepMerge(settings, missingSettings);
         updatedSettings.VERSION = currentVersion;
         const orderedUpdatedSettings = orderSettings(updatedSettings);
-        fs.writeFileSync(settingsPath, JSON.stringify(orderedUpdatedSettings, null, 2));
+        writeJSON(settingsPath, orderedUpdatedSettings);
         console.log(formatSuccess(`${icons.success} Updated settings file with missing values.`));
         resolve(true);
       } else {
@@ -478,13 +543,13 @@ function handleVersionUpgrade(settings, missingSettings, defaultSettings, curren
           rl2.close();
           if (answer2 === '1') {
             const orderedDefaultSettings = orderSettings(defaultSettings);
-            fs.writeFileSync(settingsPath, JSON.stringify(orderedDefaultSettings, null, 2));
+            writeJSON(settingsPath, orderedDefaultSettings);
             console.log(formatSuccess(`${icons.success} Created new settings file with defaults.`));
           } else {
             const updatedSettings = deepMerge(settings, missingSettings);
             updatedSettings.VERSION = currentVersion;
             const orderedUpdatedSettings = orderSettings(updatedSettings);
-            fs.writeFileSync(settingsPath, JSON.stringify(orderedUpdatedSettings, null, 2));
+            writeJSON(settingsPath, orderedUpdatedSettings);
             console.log(formatSuccess(`${icons.success} Updated settings file with missing values.`));
           }
           resolve(true);
@@ -503,12 +568,13 @@ function ensureRequiredFiles() {
     let filesCreated = false;
     let settingsCreated = false;
     let confirmDisplayed = false;
+    const settingsPath = getSettingsPath();
     
     // Make sure the user directory exists
     ensureDirectories();
 
-    // Check if .env file exists and create it if it doesn't
-    if (!fs.existsSync(ENV_PATH)) {
+    // Check if .env file exists and create it if it doesn't - unless the wallet and RPC come from the environment itself
+    if (!hasEnvironment()) {
       const defaultEnvContent = `
 PRIMARY_RPC=
 SECONDARY_RPC=        # Optional: Recommended for improved reliability
@@ -562,18 +628,79 @@ PORT=3000
         EXTREME_GREED: 0.04
       },
       MIN_PROFIT_PERCENT: 0.2,
+      TRAILING_TAKE_PROFIT_PERCENT: 0,
+      TRADE_MATCHING: {
+        POLICY: "FIFO",
+        MAX_CLOSES_PER_CYCLE: 1,
+        PARTIAL_CLOSES: false,
+        MAX_CLOSE_VALUE: 0
+      },
+      TRADE_COOLDOWN_MINUTES: 30,
+      MIN_SENTIMENT_CHANGE: 5,
+      RISK_MANAGEMENT: {
+        STOP_LOSS_PERCENT: 0,
+        MAX_DRAWDOWN_PERCENT: 0,
+        TRADE_EXPIRY_HOURS: 0
+      },
       TRADE_SIZE_METHOD: "STRATEGIC",
       STRATEGIC_PERCENTAGE: 2.5,
       USER_MONTHLY_COST: 0,
       DEVELOPER_TIP_PERCENTAGE: 0,
-      MONITOR_MODE: false
+      MONITOR_MODE: false,
+      PAIRS: [],
+      SENTIMENT_PROVIDERS: {
+        DEFAULT: { TYPE: "surfsolana" }
+      },
+      LOCAL_FGI: {
+        FALLBACK: true,
+        WEIGHTS: {
+          RSI: 0.35,
+          MOMENTUM: 0.30,
+          VOLATILITY: 0.20,
+          VOLUME: 0.15
+        },
+        RSI_PERIOD: 14,
+        MOMENTUM_PERIOD: 10,
+        VOLATILITY_PERIOD: 10,
+        VOLATILITY_BASELINE_PERIOD: 50,
+        VOLUME_PERIOD: 20
+      },
+      TRANSACTION_SUBMISSION: {
+        STRATEGY: "JITO",
+        MAX_ATTEMPTS: 2,
+        JITO_BLOCK_ENGINE_URL: "https://mainnet.block-engine.jito.wtf/api/v1/bundles",
+        JITO_TIP_FLOOR_URL: "https://bundles.jito.wtf/api/v1/bundles/tip_floor",
+        MAX_JITO_TIP_SOL: 0.0004,
+        MAX_PRIORITY_FEE_LAMPORTS: 1000000,
+        MIN_FEE_PERCENTILE: 25,
+        MAX_FEE_PERCENTILE: 95,
+        URGENT_TRADE_VALUE: 1000,
+        DAILY_FEE_BUDGET_SOL: 0,
+        MONTHLY_FEE_BUDGET_SOL: 0
+      },
+      QUOTE_SAFETY: {
+        MAX_PRICE_IMPACT_PCT: 1,
+        MAX_ROUTE_HOPS: 3,
+        MAX_PRICE_DEVIATION_PCT: 2,
+        MAX_EFFECTIVE_DEVIATION_PCT: 3
+      },
+      ENDPOINTS: { ...DEFAULT_ENDPOINTS },
+      PAPER_TRADING: false,
+      PAPER_TRADING_CONFIG: {
+        INITIAL_BASE_BALANCE: 0,
+        INITIAL_QUOTE_BALANCE: 1000,
+        SLIPPAGE_BPS: 10,
+        FEE_BPS: 25
+      }
     });
 
     // Check if settings.json file exists
-    if (!fs.existsSync(SETTINGS_PATH)) {
+    if (!fs.existsSync(settingsPath)) {
       // Create the settings file with default values
       try {
-        fs.writeFileSync(SETTINGS_PATH, JSON.stringify(DEFAULT_SETTINGS, null, 2));
+        if (!writeJSON(settingsPath, DEFAULT_SETTINGS)) {
+          throw new Error('write failed');
+        }
         console.log(formatSuccess(`${icons.success} settings.json file created with default values.`));
         settingsCreated = true;
         filesCreated = true;
@@ -584,14 +711,16 @@ PORT=3000
       }
       
       // If the .env file doesn't exist with valid values, we need to exit
-      if (filesCreated && !fs.existsSync(ENV_PATH)) {
+      if (filesCreated && !hasEnvironment()) {
         console.log(formatInfo(`${icons.info} New configuration files have been created. Please review and update them as necessary before running the application again.`));
         resolve(false);
         return;
       }
       
       // If only settings.json was created, ask the user if they want to continue
-      if (settingsCreated && !confirmDisplayed) {
+      if (settingsCreated && isAutoConfirm()) {
+        console.log(formatInfo(`${icons.info} settings.json did not exist - starting with default settings (auto-confirm)`));
+      } else if (settingsCreated && !confirmDisplayed) {
         confirmDisplayed = true;
         // Create readline interface for user input - NEW, not reusing
         const rl = readline.createInterface({
@@ -621,14 +750,17 @@ PORT=3000
     } else {
       // Settings file exists - check version and settings
       try {
-        const settings = JSON.parse(fs.readFileSync(SETTINGS_PATH, 'utf8'));
+        const settings = readJSON(getSettingsPath(), { checksum: false });
+        if (!settings) {
+          throw new Error('no readable settings or backup');
+        }
         
         // Always check for missing settings, regardless of version
         const missingSettings = checkMissingSettings(settings, DEFAULT_SETTINGS);
         
         if (Object.keys(missingSettings).length > 0 || settings.VERSION !== currentVersion) {
           // We found missing settings or version changed - ask user what to do
-          const upgradeResult = await handleVersionUpgrade(settings, missingSettings, DEFAULT_SETTINGS, currentVersion, SETTINGS_PATH);
+          const upgradeResult = await handleVersionUpgrade(settings, missingSettings, DEFAULT_SETTINGS, currentVersion, settingsPath);
           resolve(upgradeResult);
           return;
         }
@@ -636,12 +768,16 @@ PORT=3000
         console.error(formatError(`${icons.error} Error reading or parsing settings.json: ${error.message}`));
         console.log(formatInfo(`${icons.info} Creating new settings.json file with default values.`));
         try {
-          fs.writeFileSync(SETTINGS_PATH, JSON.stringify(DEFAULT_SETTINGS, null, 2));
+          if (!writeJSON(settingsPath, DEFAULT_SETTINGS)) {
+            throw new Error('write failed');
+          }
           filesCreated = true;
           settingsCreated = true;
           
           // Ask the user if they want to continue with the newly created settings
-          if (!confirmDisplayed) {
+          if (isAutoConfirm()) {
+            console.log(formatWarning(`${icons.warning} Settings.json was corrupted - starting with default settings (auto-confirm)`));
+          } else if (!confirmDisplayed) {
             confirmDisplayed = true;
             const rl = readline.createInterface({
               input: process.stdin,
@@ -750,7 +886,9 @@ function saveState(state) {
     // Get token-specific file path
     const saveStatePath = getSaveStatePath();
     
-    fs.writeFileSync(saveStatePath, JSON.stringify(stateWithTokenInfo, null, 2));
+    if (!writeJSON(saveStatePath, stateWithTokenInfo)) {
+      return false;
+    }
     devLog(formatSuccess(`${icons.success} State saved successfully to ${saveStatePath}`));
     return true;
   } catch (error) {
@@ -775,14 +913,13 @@ function loadState() {
     devLog(formatInfo(`${icons.search} Looking for save state at: ${saveStatePath}`));
     
     if (fs.existsSync(saveStatePath)) {
-      const data = fs.readFileSync(saveStatePath, 'utf8');
-      if (!data || data.trim() === '') {
-        devLog(formatWarning(`${icons.warning} State file exists but is empty`));
+      // Corrupt or truncated state is restored from the newest good backup
+      const state = readJSON(saveStatePath);
+      if (!state) {
+        devLog(formatWarning(`${icons.warning} State file exists but could not be loaded`));
         return null;
       }
       
-      const state = JSON.parse(data);
-      
       // Validate token pair in save state matches current token pair
       if (state.tokenInfo && 
           state.tokenInfo.baseToken && 
@@ -800,7 +937,7 @@ function loadState() {
       
       // Initialize orderBook with saved state if it exists
       if (state.orderBook) {
-        orderBook.loadState(state.orderBook);
+        getActiveOrderBook().loadState(state.orderBook);
         devLog(formatSuccess(`${icons.success} OrderBook state restored`));
       } else {
         devLog(formatWarning(`${icons.warning} No OrderBook state found in saved state`));
@@ -809,8 +946,8 @@ function loadState() {
       devLog(formatSuccess(`${icons.success} Successfully loaded save state for ${baseToken.NAME}/${quoteToken.NAME}`));
       return state;
     } else {
-      // Check for legacy save state file (without token pair in filename)
-      if (fs.existsSync(LEGACY_STATE_FILE_PATH)) {
+      // Check for legacy save state file (without token pair in filename), which only ever held live state
+      if (!getPaperTradingMode() && fs.existsSync(LEGACY_STATE_FILE_PATH)) {
         devLog(formatInfo(`${icons.search} Found legacy save state file, checking token compatibility...`));
         
         try {
@@ -832,7 +969,7 @@ function loadState() {
             
             // Initialize orderBook if needed
             if (legacyState.orderBook) {
-              orderBook.loadState(legacyState.orderBook);
+              getActiveOrderBook().loadState(legacyState.orderBook);
             }
             
             // Save to new format for future use
@@ -853,11 +990,22 @@ function loadState() {
   return null;
 }
 
+/**
+ * Gets the order book for the current trading pair
+ * @returns {OrderBook} Additional pair's order book, or the main pair's order book
+ */
+function getActiveOrderBook() {
+  return getPairContext()?.orderBook || orderBook;
+}
+
 /**
  * Add a trade to recent trades list
  * @param {Object} trade Trade object to add
  */
 function addRecentTrade(trade) {
+  // The dashboard only follows the main trading pair
+  if (getPairContext()) return;
+
   // Validate trade object
   if (!trade || typeof trade !== 'object') {
     devLog(formatWarning(`${icons.warning} Invalid trade object, not adding to recent trades`));
@@ -899,6 +1047,7 @@ function addRecentTrade(trade) {
  * Clear recent trades list
  */
 function clearRecentTrades() {
+  if (getPairContext()) return;
   recentTrades.length = 0; // This clears the array
   devLog(formatInfo(`${icons.info} Recent trades cleared`));
 }
@@ -1043,7 +1192,9 @@ function getLatestTradingData() {
       tokenMarketChange: parseFloat(((initialData.price - initialData.initialPrice) / initialData.initialPrice * 100).toFixed(2)),
       estimatedAPY: estimatedAPY,
       recentTrades: recentTrades,
+      analytics: initialData.analytics || null,
       monitorMode: getMonitorMode(),
+      paperTrading: getPaperTradingMode(),
       orderbook: {
         trades: orderBook.trades,
         stats: orderBookStats,
@@ -1053,7 +1204,12 @@ function getLatestTradingData() {
         closedTrades: orderBookStats.closedTrades,
         totalRealizedPnl: orderBookStats.totalRealizedPnl,
         totalUnrealizedPnl: orderBookStats.totalUnrealizedPnl,
-        totalVolume: orderBookStats.totalVolume
+        totalVolume: orderBookStats.totalVolume,
+        profitFactor: orderBookStats.profitFactor,
+        averageWin: orderBookStats.averageWin,
+        averageLoss: orderBookStats.averageLoss,
+        expectancy: orderBookStats.expectancy,
+        exposurePercent: orderBookStats.exposurePercent
       },
       tokenInfo: {
         baseToken: baseToken.NAME,
@@ -1097,6 +1253,9 @@ function getOrderBookStats() {
  * @param {Object} data Trading data to emit
  */
 function emitTradingData(data) {
+  // The dashboard only follows the main trading pair
+  if (getPairContext()) return;
+
   try {
     const baseToken = getBaseToken();
     const quoteToken = getQuoteToken();
@@ -1143,6 +1302,7 @@ function emitTradingData(data) {
     const emitData = {
       version: data.version,
       timestamp: data.timestamp,
+      time: Date.now(),
       price: {
         usd: parseFloat(price.toFixed(2))
       },
@@ -1166,7 +1326,9 @@ function emitTradingData(data) {
       },
       recentTrades: recentTrades,
       txId: data.txId || null,
-      txUrl: data.txId ? `https://solscan.io/tx/${data.txId}` : null,
+      txUrl: data.txId && !data.txId.startsWith('paper-') ? `https://solscan.io/tx/${data.txId}` : null,
+      skipReason: data.skipReason || null,
+      analytics: data.analytics || null,
       portfolioWeighting: {
         quoteToken: parseFloat(((data.quoteBalance / data.portfolioValue) * 100).toFixed(2)),
         baseToken: parseFloat(((data.baseBalance * data.price / data.portfolioValue) * 100).toFixed(2))
@@ -1176,6 +1338,7 @@ function emitTradingData(data) {
       tokenMarketChange: parseFloat(((data.price - data.initialPrice) / data.initialPrice * 100).toFixed(2)),
       estimatedAPY: estimatedAPY,
       monitorMode: getMonitorMode(),
+      paperTrading: getPaperTradingMode(),
       orderbook: {
         trades: orderBookTrades,
         winRate: orderBookStats.winRate,
@@ -1184,7 +1347,12 @@ function emitTradingData(data) {
         closedTrades: orderBookStats.closedTrades,
         totalRealizedPnl: orderBookStats.totalRealizedPnl,
         totalUnrealizedPnl: orderBookStats.totalUnrealizedPnl,
-        totalVolume: orderBookStats.totalVolume
+        totalVolume: orderBookStats.totalVolume,
+        profitFactor: orderBookStats.profitFactor,
+        averageWin: orderBookStats.averageWin,
+        averageLoss: orderBookStats.averageLoss,
+        expectancy: orderBookStats.expectancy,
+        exposurePercent: orderBookStats.exposurePercent
       },
       initialData: {
         price: {
@@ -1367,7 +1535,7 @@ app.get('/api/orderbook', authenticate, (req, res) => {
       realizedPnl: trade.status === 'closed' ? parseFloat(trade.realizedPnl.toFixed(2)) : null,
       closedAt: trade.closedAt || null,
       closePrice: trade.closePrice ? parseFloat(trade.closePrice.toFixed(2)) : null,
-      txUrl: trade.id ? `https://solscan.io/tx/${trade.id}` : null,
+      txUrl: trade.id && !trade.id.startsWith('paper-') ? `https://solscan.io/tx/${trade.id}` : null,
       tokenInfo: trade.tokenInfo || {
         baseToken: baseToken.NAME,
         quoteToken: quoteToken.NAME
@@ -1380,6 +1548,298 @@ app.get('/api/orderbook', authenticate, (req, res) => {
   }
 });
 
+// Wallet reconciliation routes
+
+/**
+ * Passes a wallet reconciliation request to the trading bot and sends back its result
+ * @param {Object} request - { action, pair, signatures }
+ * @param {Object} res - Express response
+ */
+function requestWalletReconciliation(request, res) {
+  if (paramUpdateEmitter.listenerCount('walletReconciliation') === 0) {
+    return res.status(503).json({ error: 'Wallet reconciliation is unavailable' });
+  }
+
+  paramUpdateEmitter.emit('walletReconciliation', request, (error, result) => {
+    if (error) {
+      console.error(formatError(`${icons.error} Error reconciling wallet: ${error.message}`));
+      return res.status(500).json({ error: error.message });
+    }
+    res.json(result);
+  });
+}
+
+/**
+ * Creates a route that imports or voids the wallet reconciliation findings listed in the request body
+ * @param {string} action - 'import' or 'void'
+ * @returns {Function} Express route handler
+ */
+function createReconciliationRoute(action) {
+  return (req, res) => {
+    const { pair, signatures } = req.body || {};
+    if (!Array.isArray(signatures) || signatures.length === 0 || !signatures.every(signature => typeof signature === 'string')) {
+      return res.status(400).json({ error: 'signatures must be a non-empty array of transaction signatures' });
+    }
+
+    requestWalletReconciliation({ action, pair, signatures }, res);
+  };
+}
+
+app.get('/api/reconciliation', authenticate, (req, res) => {
+  requestWalletReconciliation({ action: 'scan', pair: req.query.pair }, res);
+});
+
+app.post('/api/reconciliation/import', authenticate, createReconciliationRoute('import'));
+app.post('/api/reconciliation/void', authenticate, createReconciliationRoute('void'));
+
+// History routes
+
+// Interval units accepted by /api/history/equity, in milliseconds
+const HISTORY_INTERVAL_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Reads history query filters from a request
+ * @param {Object} query - Request query string
+ * @param {Array<string>} names - Filter names to pass through
+ * @returns {Object} Filters for the history store
+ * @throws {Error} If from or to is not a valid timestamp
+ */
+function getHistoryFilters(query, names) {
+  const filters = {
+    limit: query.limit,
+    offset: query.offset,
+    order: query.order === 'asc' ? 'asc' : 'desc'
+  };
+
+  names.forEach(name => {
+    if (query[name] !== undefined) filters[name] = String(query[name]);
+  });
+
+  ['from', 'to'].forEach(bound => {
+    if (query[bound] === undefined || query[bound] === '') return;
+    const time = parseTimestamp(query[bound]);
+    if (time === null) {
+      throw new Error(`Invalid '${bound}' timestamp: ${query[bound]}`);
+    }
+    filters[bound] = time;
+  });
+
+  return filters;
+}
+
+/**
+ * Parses an equity curve interval such as 15m, 4h, 1d or 1w
+ * @param {string} interval - Interval string
+ * @returns {number|null} Interval in milliseconds, 0 for every snapshot, or null if invalid
+ */
+function parseHistoryInterval(interval) {
+  if (interval === undefined || interval === '') return 0;
+  const match = String(interval).match(/^(\d+)(m|h|d|w)$/);
+  if (!match || parseInt(match[1]) === 0) return null;
+  return parseInt(match[1]) * HISTORY_INTERVAL_UNITS[match[2]];
+}
+
+/**
+ * Creates a paginated history route
+ * @param {string} key - Response key for the rows
+ * @param {string} table - History store table
+ * @param {Array<string>} filterNames - Filters the route accepts
+ * @param {Function} getRows - Gets the rows from the store (store, filters)
+ * @returns {Function} Express route handler
+ */
+function createHistoryRoute(key, table, filterNames, getRows) {
+  return (req, res) => {
+    let filters;
+    try {
+      filters = getHistoryFilters(req.query, filterNames);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Paper history is kept in its own database
+    const historyStore = getHistoryStore(filters.mode);
+    if (!historyStore) {
+      return res.status(503).json({ error: 'Trade history is unavailable' });
+    }
+
+    try {
+      const rows = getRows(historyStore, filters);
+      const total = historyStore.count(table, filters);
+      const { limit, offset } = getPagination(filters);
+      res.json({
+        [key]: rows,
+        pagination: { total, limit, offset, hasMore: offset + rows.length < total }
+      });
+    } catch (error) {
+      console.error(formatError(`${icons.error} Error getting ${key} history: ${error.message}`));
+      res.status(500).json({ error: `Failed to get ${key} history` });
+    }
+  };
+}
+
+app.get('/api/history/pairs', authenticate, (req, res) => {
+  const historyStore = getHistoryStore();
+  if (!historyStore) {
+    return res.status(503).json({ error: 'Trade history is unavailable' });
+  }
+
+  try {
+    res.json({ pairs: historyStore.getRecordedPairs() });
+  } catch (error) {
+    console.error(formatError(`${icons.error} Error getting history pairs: ${error.message}`));
+    res.status(500).json({ error: 'Failed to get history pairs' });
+  }
+});
+
+app.get('/api/history/cycles', authenticate, createHistoryRoute(
+  'cycles', 'cycles', ['pair', 'timeframe', 'mode', 'sentiment', 'decision'],
+  (historyStore, filters) => historyStore.getCycles(filters)
+));
+
+app.get('/api/history/trades', authenticate, createHistoryRoute(
+  'trades', 'trades', ['pair', 'timeframe', 'direction', 'status', 'closeReason'],
+  (historyStore, filters) => historyStore.getTrades(filters)
+));
+
+app.get('/api/history/fills', authenticate, createHistoryRoute(
+  'fills', 'fills', ['pair', 'mode', 'direction', 'status'],
+  (historyStore, filters) => historyStore.getFills(filters)
+));
+
+app.get('/api/history/analytics', authenticate, (req, res) => {
+  let filters;
+  try {
+    filters = getHistoryFilters(req.query, ['pair', 'timeframe', 'mode']);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Default to the running mode, so paper and live snapshots are never mixed
+  filters.mode = filters.mode || (getPaperTradingMode() ? 'paper' : 'live');
+  const historyStore = getHistoryStore(filters.mode);
+  if (!historyStore) {
+    return res.status(503).json({ error: 'Trade history is unavailable' });
+  }
+
+  try {
+    // Default to the running pair, since equity from different pairs can't be combined
+    filters.pair = filters.pair || `${getBaseToken().NAME}/${getQuoteToken().NAME}`;
+    filters.timeframe = filters.timeframe || readSettings().FGI_TIMEFRAME || '15m';
+
+    const series = historyStore.getEquitySeries(filters);
+    // Every trade in the range, since the statistics are wrong if any are left out; void trades never reached the chain
+    const trades = historyStore.getTradeHistory(filters)
+      .filter(trade => trade.status !== 'void');
+    const now = typeof filters.to === 'number' ? Math.min(filters.to, Date.now()) : Date.now();
+
+    res.json({
+      pair: filters.pair,
+      timeframe: filters.timeframe,
+      mode: filters.mode,
+      from: series.length > 0 ? series[0].time : null,
+      to: series.length > 0 ? series[series.length - 1].time : null,
+      equity: calculateEquityAnalytics(series),
+      trades: calculateTradeAnalytics(trades, { now, startTime: series.length > 0 ? series[0].time : undefined })
+    });
+  } catch (error) {
+    console.error(formatError(`${icons.error} Error getting analytics: ${error.message}`));
+    res.status(500).json({ error: 'Failed to get analytics' });
+  }
+});
+
+app.get('/api/history/equity', authenticate, (req, res) => {
+  const intervalMs = parseHistoryInterval(req.query.interval);
+  if (intervalMs === null) {
+    return res.status(400).json({ error: `Invalid interval: ${req.query.interval} (use e.g. 15m, 4h, 1d or 1w)` });
+  }
+
+  let filters;
+  try {
+    filters = getHistoryFilters(req.query, ['pair', 'timeframe', 'mode']);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Default to the running mode, so paper and live snapshots are never mixed
+  filters.mode = filters.mode || (getPaperTradingMode() ? 'paper' : 'live');
+  const historyStore = getHistoryStore(filters.mode);
+  if (!historyStore) {
+    return res.status(503).json({ error: 'Trade history is unavailable' });
+  }
+
+  try {
+    // Default to the running pair, since equity from different pairs can't be combined
+    filters.pair = filters.pair || `${getBaseToken().NAME}/${getQuoteToken().NAME}`;
+    filters.timeframe = filters.timeframe || readSettings().FGI_TIMEFRAME || '15m';
+
+    res.json({
+      pair: filters.pair,
+      timeframe: filters.timeframe,
+      mode: filters.mode,
+      interval: req.query.interval || null,
+      equity: historyStore.getEquityCurve(filters, intervalMs)
+    });
+  } catch (error) {
+    console.error(formatError(`${icons.error} Error getting equity history: ${error.message}`));
+    res.status(500).json({ error: 'Failed to get equity history' });
+  }
+});
+
+app.get('/api/history/tax', authenticate, (req, res) => {
+  let filters;
+  try {
+    filters = getHistoryFilters(req.query, ['pair', 'mode', 'method', 'format', 'year']);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const method = parseCostBasisMethod(filters.method);
+  if (!method) {
+    return res.status(400).json({ error: `Invalid method: ${filters.method} (use FIFO, LIFO, HIFO or AVERAGE)` });
+  }
+  const format = (filters.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Invalid format: ${filters.format} (use csv or json)` });
+  }
+  const mode = filters.mode || (getPaperTradingMode() ? 'paper' : 'live');
+  if (!TAX_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode: ${mode} (use ${TAX_MODES.join(', ')})` });
+  }
+  if (filters.year !== undefined) {
+    const year = parseInt(filters.year);
+    if (isNaN(year)) {
+      return res.status(400).json({ error: `Invalid year: ${filters.year}` });
+    }
+    filters = { ...getYearRange(year), ...filters };
+  }
+
+  const historyStore = getHistoryStore(mode);
+  if (!historyStore) {
+    return res.status(503).json({ error: 'Trade history is unavailable' });
+  }
+
+  try {
+    const pair = filters.pair || `${getBaseToken().NAME}/${getQuoteToken().NAME}`;
+    const report = buildTaxReport(historyStore, { pair, mode, method, from: filters.from, to: filters.to });
+
+    if (format === 'json') {
+      return res.type('application/json').send(formatTaxReport(report, 'json'));
+    }
+
+    const fileName = `${pair.replace('/', '_').toLowerCase()}_${mode}_${method.toLowerCase()}_tax${filters.year ? `_${filters.year}` : ''}.csv`;
+    res.attachment(fileName);
+    res.type('text/csv').send(formatTaxReport(report, 'csv'));
+  } catch (error) {
+    console.error(formatError(`${icons.error} Error building tax export: ${error.message}`));
+    res.status(500).json({ error: 'Failed to build tax export' });
+  }
+});
+
 // ===========================
 // Socket.io Handling
 // ===========================
@@ -1476,13 +1936,17 @@ module.exports = {
   paramUpdateEmitter,
   orderBook,
   setInitialData: (data) => {
+    if (getPairContext()) return;
     initialData = data;
   },
+  getActiveOrderBook,
   addRecentTrade,
   emitTradingData,
   getLatestTradingData,
   readSettings,
   getMonitorMode,
+  getPaperTradingMode,
+  getEndpoint,
   emitRestartTrading,
   clearRecentTrades,
   saveState,
@@ -0,0 +1,174 @@
+/**
+ * PulseSurfer Quote Guard
+ * Checks a Jupiter quote before its swap is signed, using the limits in QUOTE_SAFETY
+ *
+ * - MAX_PRICE_IMPACT_PCT: largest price impact Jupiter may report for the route
+ * - MAX_ROUTE_HOPS: most steps the route may take
+ * - MAX_PRICE_DEVIATION_PCT: how far the quoted price may sit from the price feed, either way
+ * - MAX_EFFECTIVE_DEVIATION_PCT: how much worse than the price feed the swap may fill at its slippage limit
+ *
+ * Price checks allow for the platform fee taken by the quote, and are skipped without a feed price. A limit of 0 turns its check off.
+ */
+
+// Core dependencies
+const { readSettings } = require('./pulseServer');
+const {
+    devLog,
+    getBaseToken,
+    getQuoteToken
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const DEFAULT_QUOTE_SAFETY = {
+    MAX_PRICE_IMPACT_PCT: 1,
+    MAX_ROUTE_HOPS: 3,
+    MAX_PRICE_DEVIATION_PCT: 2,
+    MAX_EFFECTIVE_DEVIATION_PCT: 3
+};
+
+// Why a quote was rejected
+const REJECTION_REASONS = {
+    PRICE_IMPACT: 'priceimpact',
+    ROUTE_HOPS: 'routehops',
+    PRICE_DEVIATION: 'pricedeviation',
+    EFFECTIVE_PRICE: 'effectiveprice'
+};
+
+// ===========================
+// Quote Prices
+// ===========================
+
+/**
+ * Gets the quote safety limits from settings, merged over the defaults
+ * @param {Object} settings - Settings to read QUOTE_SAFETY from
+ * @returns {Object} Quote safety limits
+ */
+function getQuoteSafetyConfig(settings = readSettings() || {}) {
+    return { ...DEFAULT_QUOTE_SAFETY, ...(settings.QUOTE_SAFETY || {}) };
+}
+
+/**
+ * Calculates the price of a swap in quote token per base token
+ * @param {number|string} inAmount - Input amount in base units
+ * @param {number|string} outAmount - Output amount in base units
+ * @param {boolean} isBuying - Whether the swap spends the quote token on the base token
+ * @returns {number} Price, or NaN if an amount is missing
+ */
+function getSwapPrice(inAmount, outAmount, isBuying) {
+    const baseToken = getBaseToken();
+    const quoteToken = getQuoteToken();
+    const baseAmount = Number(isBuying ? outAmount : inAmount) / (10 ** baseToken.DECIMALS);
+    const quoteAmount = Number(isBuying ? inAmount : outAmount) / (10 ** quoteToken.DECIMALS);
+    return quoteAmount / baseAmount;
+}
+
+/**
+ * Gets the quoted price of a swap and its price at the slippage limit
+ * otherAmountThreshold is the least output of an ExactIn swap and the most input of an ExactOut swap
+ * @param {Object} quote - Jupiter quote
+ * @param {boolean} isBuying - Whether the swap spends the quote token on the base token
+ * @returns {Object} { quotedPrice, worstPrice }
+ */
+function getQuotePrices(quote, isBuying) {
+    const isExactOut = quote.swapMode === 'ExactOut';
+    const worstIn = isExactOut ? quote.otherAmountThreshold : quote.inAmount;
+    const worstOut = isExactOut ? quote.outAmount : quote.otherAmountThreshold;
+
+    return {
+        quotedPrice: getSwapPrice(quote.inAmount, quote.outAmount, isBuying),
+        worstPrice: getSwapPrice(worstIn, worstOut, isBuying)
+    };
+}
+
+// ===========================
+// Quote Checks
+// ===========================
+
+/**
+ * Checks a quote against the QUOTE_SAFETY limits
+ * @param {Object} quote - Jupiter quote
+ * @param {Object} context - Swap context
+ * @param {boolean} context.isBuying - Whether the swap spends the quote token on the base token
+ * @param {number|null} context.referencePrice - Price from the price feed, in quote token per base token
+ * @param {Object} config - Quote safety limits from getQuoteSafetyConfig
+ * @returns {Object|null} Rejection { reason, message, ... } or null if the quote is safe to sign
+ */
+function checkQuoteSafety(quote, { isBuying, referencePrice }, config = getQuoteSafetyConfig()) {
+    const {
+        MAX_PRICE_IMPACT_PCT,
+        MAX_ROUTE_HOPS,
+        MAX_PRICE_DEVIATION_PCT,
+        MAX_EFFECTIVE_DEVIATION_PCT
+    } = config;
+
+    // Jupiter reports price impact as a fraction
+    const priceImpactPercent = Math.abs(parseFloat(quote.priceImpactPct) || 0) * 100;
+    if (MAX_PRICE_IMPACT_PCT > 0 && priceImpactPercent > MAX_PRICE_IMPACT_PCT) {
+        return {
+            reason: REJECTION_REASONS.PRICE_IMPACT,
+            message: `Price impact ${priceImpactPercent.toFixed(2)}% is above the ${MAX_PRICE_IMPACT_PCT}% limit`,
+            priceImpactPercent
+        };
+    }
+
+    const routeHops = (quote.routePlan || []).length;
+    if (MAX_ROUTE_HOPS > 0 && routeHops > MAX_ROUTE_HOPS) {
+        return {
+            reason: REJECTION_REASONS.ROUTE_HOPS,
+            message: `Route takes ${routeHops} hops, more than the ${MAX_ROUTE_HOPS} allowed`,
+            routeHops
+        };
+    }
+
+    if (!(referencePrice > 0)) {
+        devLog('No reference price for the quote, skipping price checks');
+        return null;
+    }
+
+    const { quotedPrice, worstPrice } = getQuotePrices(quote, isBuying);
+    const feePercent = (quote.platformFee?.feeBps || 0) / 100;
+
+    const deviationPercent = ((quotedPrice - referencePrice) / referencePrice) * 100;
+    if (MAX_PRICE_DEVIATION_PCT > 0 && !(Math.abs(deviationPercent) <= MAX_PRICE_DEVIATION_PCT + feePercent)) {
+        return {
+            reason: REJECTION_REASONS.PRICE_DEVIATION,
+            message: `Quoted price ${quotedPrice.toFixed(4)} is ${deviationPercent.toFixed(2)}% from the feed price ${referencePrice.toFixed(4)} ` +
+                `(limit ${MAX_PRICE_DEVIATION_PCT}%)`,
+            quotedPrice,
+            referencePrice,
+            deviationPercent
+        };
+    }
+
+    // Paying more when buying, or receiving less when selling, is the adverse direction
+    const adversePercent = ((isBuying ? worstPrice - referencePrice : referencePrice - worstPrice) / referencePrice) * 100;
+    if (MAX_EFFECTIVE_DEVIATION_PCT > 0 && !(adversePercent <= MAX_EFFECTIVE_DEVIATION_PCT + feePercent)) {
+        return {
+            reason: REJECTION_REASONS.EFFECTIVE_PRICE,
+            message: `Price at the slippage limit ${worstPrice.toFixed(4)} is ${adversePercent.toFixed(2)}% worse than the feed price ` +
+                `${referencePrice.toFixed(4)} (limit ${MAX_EFFECTIVE_DEVIATION_PCT}%)`,
+            worstPrice,
+            referencePrice,
+            adversePercent
+        };
+    }
+
+    devLog(`Quote passed safety checks: impact ${priceImpactPercent.toFixed(3)}%, ${routeHops} hops, ` +
+        `deviation ${deviationPercent.toFixed(2)}%, worst case ${adversePercent.toFixed(2)}%`);
+    return null;
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    checkQuoteSafety,
+    getQuoteSafetyConfig,
+    getQuotePrices,
+    DEFAULT_QUOTE_SAFETY,
+    REJECTION_REASONS
+};
@@ -0,0 +1,221 @@
+/**
+ * PulseSurfer Transaction Reconciliation
+ * Reads landed swap transactions back from the chain so trades are recorded with the amounts that
+ * actually moved, instead of the amounts the Jupiter quote promised
+ */
+
+// Core dependencies
+const {
+    LAMPORTS_PER_SOL,
+    devLog,
+    getBaseToken,
+    getQuoteToken,
+    // Import styling utilities
+    formatWarning,
+    icons
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const NATIVE_SOL_MINT = 'So11111111111111111111111111111111111111112';
+const MAX_FETCH_ATTEMPTS = 5;
+const FETCH_RETRY_DELAY = 2000; // The RPC can lag a few slots behind a landed bundle
+
+// ===========================
+// Transaction Fetching
+// ===========================
+
+/**
+ * Fetches a confirmed transaction, retrying while the RPC catches up
+ * @param {Object} connection - RPC connection
+ * @param {string} signature - Transaction signature
+ * @returns {Promise<Object|null>} Parsed transaction or null if it could not be fetched
+ */
+async function fetchConfirmedTransaction(connection, signature) {
+    for (let attempt = 1; attempt <= MAX_FETCH_ATTEMPTS; attempt++) {
+        try {
+            const transaction = await connection.getTransaction(signature, {
+                commitment: 'confirmed',
+                maxSupportedTransactionVersion: 0
+            });
+            if (transaction && transaction.meta) {
+                return transaction;
+            }
+            devLog(`Transaction ${signature} not available yet (attempt ${attempt}/${MAX_FETCH_ATTEMPTS})`);
+        } catch (error) {
+            devLog(`Error fetching transaction ${signature} (attempt ${attempt}/${MAX_FETCH_ATTEMPTS}): ${error.message}`);
+        }
+
+        if (attempt < MAX_FETCH_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, FETCH_RETRY_DELAY));
+        }
+    }
+
+    return null;
+}
+
+// ===========================
+// Balance Deltas
+// ===========================
+
+/**
+ * Sums the raw token balance held by an owner for a mint
+ * @param {Array<Object>} tokenBalances - preTokenBalances or postTokenBalances from the transaction meta
+ * @param {string} owner - Owner address
+ * @param {string} mint - Token mint address
+ * @returns {bigint} Raw token amount
+ */
+function sumTokenBalance(tokenBalances, owner, mint) {
+    return (tokenBalances || [])
+        .filter(balance => balance.owner === owner && balance.mint === mint)
+        .reduce((sum, balance) => sum + BigInt(balance.uiTokenAmount.amount), 0n);
+}
+
+/**
+ * Gets the wallet's lamport change from a transaction, excluding the network fee
+ * Jupiter wraps and unwraps SOL through a temporary account, so native SOL swaps show up here
+ * rather than in the token balances
+ * @param {Object} transaction - Transaction from getTransaction
+ * @param {string} owner - Wallet address
+ * @returns {number} Lamport change
+ */
+function getLamportChange(transaction, owner) {
+    const message = transaction.transaction.message;
+    const accountKeys = message.staticAccountKeys || message.accountKeys || [];
+    const index = accountKeys.findIndex(key => key.toString() === owner);
+    if (index === -1) return 0;
+
+    const { preBalances, postBalances, fee } = transaction.meta;
+    // The fee payer's balance already has the fee taken out; add it back so only the swap remains
+    const feeAdjustment = index === 0 ? fee : 0;
+    return postBalances[index] - preBalances[index] + feeAdjustment;
+}
+
+/**
+ * Gets the change in a token held by the wallet, in token units
+ * @param {Object} transaction - Transaction from getTransaction
+ * @param {string} owner - Wallet address
+ * @param {Object} token - Token configuration { ADDRESS, DECIMALS }
+ * @returns {number} Token change (negative when spent)
+ */
+function getTokenChange(transaction, owner, token) {
+    const { preTokenBalances, postTokenBalances } = transaction.meta;
+    const rawChange = sumTokenBalance(postTokenBalances, owner, token.ADDRESS) -
+        sumTokenBalance(preTokenBalances, owner, token.ADDRESS);
+    let change = Number(rawChange) / Math.pow(10, token.DECIMALS);
+
+    if (token.ADDRESS === NATIVE_SOL_MINT) {
+        change += getLamportChange(transaction, owner) / LAMPORTS_PER_SOL;
+    }
+
+    return change;
+}
+
+// ===========================
+// Reconciliation
+// ===========================
+
+/**
+ * Calculates realized slippage against the quote
+ * ExactIn swaps slip on the output received, ExactOut swaps slip on the input spent
+ * @param {string} swapMode - 'ExactIn' or 'ExactOut'
+ * @param {Object} expected - Quoted { inputAmount, outputAmount } in token units
+ * @param {Object} actual - Landed { inputAmount, outputAmount } in token units
+ * @returns {Object} { slippageBps, slippageAmount } where positive values are worse than quoted
+ */
+function calculateRealizedSlippage(swapMode, expected, actual) {
+    if (swapMode === 'ExactOut') {
+        const slippageAmount = actual.inputAmount - expected.inputAmount;
+        return {
+            slippageAmount,
+            slippageBps: expected.inputAmount > 0 ? (slippageAmount / expected.inputAmount) * 10000 : 0
+        };
+    }
+
+    const slippageAmount = expected.outputAmount - actual.outputAmount;
+    return {
+        slippageAmount,
+        slippageBps: expected.outputAmount > 0 ? (slippageAmount / expected.outputAmount) * 10000 : 0
+    };
+}
+
+/**
+ * Reconciles a landed swap against the chain
+ * @param {Object} wallet - Wallet with connection and publicKey
+ * @param {string} signature - Swap transaction signature
+ * @param {Object} swap - Swap details
+ * @param {string} swap.inputMint - Input token mint
+ * @param {string} swap.outputMint - Output token mint
+ * @param {string} swap.swapMode - 'ExactIn' or 'ExactOut'
+ * @param {number} swap.expectedInputAmount - Quoted input in token units
+ * @param {number} swap.expectedOutputAmount - Quoted output in token units
+ * @param {number} [swap.tipLamports] - Jito tip paid in the bundle's tip transaction
+ * @returns {Promise<Object|null>} Reconciliation or null if the transaction could not be read
+ */
+async function reconcileSwap(wallet, signature, swap) {
+    try {
+        const transaction = await fetchConfirmedTransaction(wallet.connection, signature);
+        if (!transaction) {
+            console.log(formatWarning(`${icons.warning} Could not fetch transaction ${signature} - recording quoted amounts`));
+            return null;
+        }
+
+        if (transaction.meta.err) {
+            console.log(formatWarning(`${icons.warning} Transaction ${signature} failed on chain: ${JSON.stringify(transaction.meta.err)}`));
+            return null;
+        }
+
+        const baseToken = getBaseToken();
+        const quoteToken = getQuoteToken();
+        const owner = wallet.publicKey.toString();
+        const inputToken = swap.inputMint === baseToken.ADDRESS ? baseToken : quoteToken;
+        const outputToken = swap.outputMint === baseToken.ADDRESS ? baseToken : quoteToken;
+
+        const inputAmount = -getTokenChange(transaction, owner, inputToken);
+        const outputAmount = getTokenChange(transaction, owner, outputToken);
+
+        if (!(inputAmount > 0) || !(outputAmount > 0)) {
+            console.log(formatWarning(`${icons.warning} Transaction ${signature} shows no swap for this wallet - recording quoted amounts`));
+            return null;
+        }
+
+        const expected = { inputAmount: swap.expectedInputAmount, outputAmount: swap.expectedOutputAmount };
+        const actual = { inputAmount, outputAmount };
+        const { slippageAmount, slippageBps } = calculateRealizedSlippage(swap.swapMode, expected, actual);
+
+        const reconciliation = {
+            signature,
+            swapMode: swap.swapMode,
+            expectedInputAmount: expected.inputAmount,
+            expectedOutputAmount: expected.outputAmount,
+            inputAmount,
+            outputAmount,
+            slippageAmount,
+            slippageBps,
+            slippageToken: swap.swapMode === 'ExactOut' ? inputToken.NAME : outputToken.NAME,
+            networkFeeSol: transaction.meta.fee / LAMPORTS_PER_SOL,
+            tipSol: (swap.tipLamports || 0) / LAMPORTS_PER_SOL,
+            slot: transaction.slot
+        };
+
+        devLog('Swap reconciled against chain:', reconciliation);
+        return reconciliation;
+    } catch (error) {
+        console.log(formatWarning(`${icons.warning} Error reconciling transaction ${signature}: ${error.message} - recording quoted amounts`));
+        return null;
+    }
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    reconcileSwap,
+    calculateRealizedSlippage,
+    fetchConfirmedTransaction,
+    getTokenChange,
+    NATIVE_SOL_MINT
+};
@@ -0,0 +1,412 @@
+/**
+ * PulseSurfer Sentiment Providers
+ * Pluggable sources for the Fear and Greed Index and token price, selectable per token in settings
+ */
+
+// Core dependencies
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { readSettings, getEndpoint } = require('./pulseServer');
+const { recordPriceSample, getLocalFearGreedIndex } = require('./localFGI');
+const {
+    USER_DIR,
+    devLog,
+    // Import styling utilities
+    formatInfo,
+    icons
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const DEFAULT_PROVIDER_CONFIG = { TYPE: "surfsolana" };
+const DEFAULT_FGI_VALUE = 50;
+const HTTP_TIMEOUT = 10000; // 10 seconds
+
+// Provider instances keyed by token and configuration so stateful providers keep their state between cycles
+const providerCache = new Map();
+
+// ===========================
+// Helpers
+// ===========================
+
+/**
+ * Converts a settings timeframe to the SurfSolana API format (15m → 15min)
+ * @param {string} timeframe - Timeframe from settings
+ * @returns {string} API timeframe
+ */
+function toApiTimeframe(timeframe) {
+    return timeframe === "15m" ? "15min" : timeframe;
+}
+
+/**
+ * Resolves a simple JSONPath expression against an object
+ * Supports dot and bracket notation, e.g. "$.data.fgi" or "$.results[0].price"
+ * @param {Object} data - Object to read from
+ * @param {string} expression - JSONPath expression
+ * @returns {*} Resolved value or undefined if the path does not exist
+ */
+function resolveJsonPath(data, expression) {
+    if (!expression) return undefined;
+
+    const segments = expression
+        .replace(/^\$\.?/, '')
+        .replace(/\[(?:'([^']*)'|"([^"]*)"|(\d+))\]/g, (match, single, double, index) => `.${single ?? double ?? index}`)
+        .split('.')
+        .filter(segment => segment !== '');
+
+    return segments.reduce((value, segment) => (value === undefined || value === null ? undefined : value[segment]), data);
+}
+
+/**
+ * Fills {token}, {address} and {timeframe} placeholders in a URL template
+ * @param {string} template - URL template
+ * @param {Object} token - Token configuration
+ * @param {string} timeframe - Timeframe from settings
+ * @returns {string} Resolved URL
+ */
+function fillUrlTemplate(template, token, timeframe) {
+    return template
+        .replace(/\{token\}/g, token.NAME)
+        .replace(/\{address\}/g, token.ADDRESS)
+        .replace(/\{timeframe\}/g, timeframe);
+}
+
+/**
+ * Parses a numeric reading and rejects anything that is not a finite number
+ * @param {*} value - Raw value
+ * @param {string} label - Name of the value for error messages
+ * @returns {number} Parsed value
+ */
+function toNumber(value, label) {
+    const numeric = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof numeric !== 'number' || !isFinite(numeric)) {
+        throw new Error(`Invalid ${label} value: ${value}`);
+    }
+    return numeric;
+}
+
+// ===========================
+// Provider Implementations
+// ===========================
+
+/**
+ * Base class for sentiment providers
+ * Providers return raw readings; validation and fallbacks are handled by api.js
+ */
+class SentimentProvider {
+    /**
+     * @param {Object} config - Provider configuration from settings
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.name = config.TYPE || 'unknown';
+    }
+
+    /**
+     * Fetches the current Fear and Greed Index
+     * @param {Object} token - Token configuration
+     * @param {string} timeframe - Timeframe from settings
+     * @param {Object} [options] - Reading options
+     * @param {boolean} [options.peek] - Read the current value without moving a replay on, e.g. while starting up
+     * @returns {Promise<number>} FGI value
+     */
+    async fetchFearGreedIndex(token, timeframe, options = {}) {
+        throw new Error(`${this.name} provider does not supply a Fear and Greed Index`);
+    }
+
+    /**
+     * Fetches the current token price
+     * @param {Object} token - Token configuration
+     * @param {string} timeframe - Timeframe from settings
+     * @returns {Promise<number>} Token price
+     */
+    async fetchPrice(token, timeframe) {
+        throw new Error(`${this.name} provider does not supply a price`);
+    }
+
+    /**
+     * Fetches the current trading volume, if the source provides it
+     * @param {Object} token - Token configuration
+     * @param {string} timeframe - Timeframe from settings
+     * @returns {Promise<number|null>} Volume or null if unavailable
+     */
+    async fetchVolume(token, timeframe) {
+        return null;
+    }
+}
+
+/**
+ * SurfSolana API provider (the original hardcoded source)
+ */
+class SurfSolanaProvider extends SentimentProvider {
+    /**
+     * Fetches the latest SurfSolana reading for a token
+     * @param {Object} token - Token configuration
+     * @param {string} timeframe - Timeframe from settings
+     * @returns {Promise<Object>} Raw API response data
+     */
+    async fetchLatest(token, timeframe) {
+        const baseUrl = this.config.URL || getEndpoint('SURFSOLANA_API_URL');
+        const apiUrl = `${baseUrl}/${token.NAME}/${toApiTimeframe(timeframe)}/latest.json`;
+        devLog(`${icons.info} Fetching SurfSolana data from: ${apiUrl}`);
+
+        const response = await axios.get(apiUrl, { timeout: HTTP_TIMEOUT });
+        return response.data;
+    }
+
+    async fetchFearGreedIndex(token, timeframe) {
+        const data = await this.fetchLatest(token, timeframe);
+        if (!data || typeof data.fgi !== 'number') {
+            throw new Error('Invalid API response format');
+        }
+        return data.fgi;
+    }
+
+    async fetchPrice(token, timeframe) {
+        const data = await this.fetchLatest(token, timeframe);
+        if (!data?.price || typeof data.price !== 'number') {
+            throw new Error('Invalid price data structure in API response');
+        }
+        return data.price;
+    }
+
+    async fetchVolume(token, timeframe) {
+        const data = await this.fetchLatest(token, timeframe);
+        return typeof data?.volume === 'number' ? data.volume : null;
+    }
+}
+
+/**
+ * Generic HTTP provider with JSONPath mappings
+ * Config: URL (supports {token}, {address}, {timeframe}), FGI_PATH, PRICE_PATH, VOLUME_PATH, PRICE_URL and HEADERS (optional)
+ */
+class HttpProvider extends SentimentProvider {
+    /**
+     * Fetches JSON from a templated URL
+     * @param {string} template - URL template
+     * @param {Object} token - Token configuration
+     * @param {string} timeframe - Timeframe from settings
+     * @returns {Promise<Object>} Response data
+     */
+    async fetchJson(template, token, timeframe) {
+        if (!template) {
+            throw new Error('http provider requires a URL');
+        }
+
+        const url = fillUrlTemplate(template, token, timeframe);
+        devLog(`${icons.info} Fetching sentiment data from: ${url}`);
+
+        const response = await axios.get(url, { timeout: HTTP_TIMEOUT, headers: this.config.HEADERS || {} });
+        return response.data;
+    }
+
+    async fetchFearGreedIndex(token, timeframe) {
+        if (!this.config.FGI_PATH) {
+            return super.fetchFearGreedIndex(token, timeframe);
+        }
+        const data = await this.fetchJson(this.config.URL, token, timeframe);
+        return toNumber(resolveJsonPath(data, this.config.FGI_PATH), 'FGI');
+    }
+
+    async fetchPrice(token, timeframe) {
+        if (!this.config.PRICE_PATH) {
+            return super.fetchPrice(token, timeframe);
+        }
+        const data = await this.fetchJson(this.config.PRICE_URL || this.config.URL, token, timeframe);
+        return toNumber(resolveJsonPath(data, this.config.PRICE_PATH), 'price');
+    }
+
+    async fetchVolume(token, timeframe) {
+        if (!this.config.VOLUME_PATH) return null;
+        const data = await this.fetchJson(this.config.PRICE_URL || this.config.URL, token, timeframe);
+        return toNumber(resolveJsonPath(data, this.config.VOLUME_PATH), 'volume');
+    }
+}
+
+/**
+ * Local file provider for recorded datasets
+ * Config: PATH (CSV or JSON, relative to the user folder), REPLAY (advance one row per FGI reading, starting from the first)
+ * JSON files may hold a single { fgi, price } reading or an array of them
+ */
+class FileProvider extends SentimentProvider {
+    constructor(config = {}) {
+        super(config);
+        this.cursor = -1;
+    }
+
+    /**
+     * Resolves the configured file path
+     * @returns {string} Absolute file path
+     */
+    getFilePath() {
+        if (!this.config.PATH) {
+            throw new Error('file provider requires a PATH');
+        }
+        return path.isAbsolute(this.config.PATH) ? this.config.PATH : path.join(USER_DIR, this.config.PATH);
+    }
+
+    /**
+     * Loads all readings from the file
+     * The file is re-read on every call so the latest values are always picked up
+     * @returns {Array<Object>} Readings { fgi, price }
+     */
+    loadReadings() {
+        const filePath = this.getFilePath();
+
+        if (path.extname(filePath).toLowerCase() === '.csv') {
+            // Lazy require to avoid a circular dependency through trading.js
+            const { loadHistoricalData } = require('./backtest');
+            return loadHistoricalData(filePath);
+        }
+
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Sentiment data file not found: ${filePath}`);
+        }
+
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return Array.isArray(data) ? data : [data];
+    }
+
+    /**
+     * Gets the current reading, advancing the replay cursor when requested
+     * Until the first advance the cursor sits before the first row, and readings show the first row
+     * @param {boolean} advance - Whether to move to the next row in replay mode
+     * @returns {Object} Current reading
+     */
+    getReading(advance) {
+        const readings = this.loadReadings();
+        if (readings.length === 0) {
+            throw new Error('Sentiment data file contains no readings');
+        }
+
+        if (!this.config.REPLAY) {
+            return readings[readings.length - 1];
+        }
+
+        if (advance) {
+            if (this.cursor + 1 >= readings.length) {
+                console.log(formatInfo(`${icons.info} Replay reached the end of ${path.basename(this.getFilePath())} - holding the last reading`));
+            } else {
+                this.cursor++;
+            }
+        }
+
+        return readings[Math.max(0, this.cursor)];
+    }
+
+    async fetchFearGreedIndex(token, timeframe, options = {}) {
+        return toNumber(this.getReading(!options.peek).fgi, 'FGI');
+    }
+
+    async fetchPrice(token, timeframe) {
+        return toNumber(this.getReading(false).price, 'price');
+    }
+
+    async fetchVolume(token, timeframe) {
+        const { volume } = this.getReading(false);
+        return volume === undefined || volume === null ? null : toNumber(volume, 'volume');
+    }
+}
+
+/**
+ * Locally computed indicator provider
+ * Records prices from another provider (PRICE_SOURCE) and derives the FGI with the local calculator (see localFGI.js)
+ */
+class LocalIndicatorProvider extends SentimentProvider {
+    constructor(config = {}) {
+        super(config);
+        this.priceSource = createProvider(config.PRICE_SOURCE || DEFAULT_PROVIDER_CONFIG);
+    }
+
+    async fetchPrice(token, timeframe) {
+        return this.priceSource.fetchPrice(token, timeframe);
+    }
+
+    async fetchVolume(token, timeframe) {
+        return this.priceSource.fetchVolume(token, timeframe);
+    }
+
+    async fetchFearGreedIndex(token, timeframe) {
+        const price = await this.fetchPrice(token, timeframe);
+        const volume = await this.fetchVolume(token, timeframe).catch(() => null);
+        recordPriceSample(token, timeframe, price, volume);
+
+        const fgi = getLocalFearGreedIndex(token, timeframe);
+        return fgi === null ? DEFAULT_FGI_VALUE : fgi;
+    }
+}
+
+// ===========================
+// Provider Registry
+// ===========================
+
+const PROVIDER_TYPES = {
+    surfsolana: SurfSolanaProvider,
+    http: HttpProvider,
+    file: FileProvider,
+    local: LocalIndicatorProvider
+};
+
+/**
+ * Registers an additional provider type
+ * @param {string} type - Provider type name used in settings
+ * @param {Function} ProviderClass - Class extending SentimentProvider
+ */
+function registerSentimentProvider(type, ProviderClass) {
+    PROVIDER_TYPES[type.toLowerCase()] = ProviderClass;
+}
+
+/**
+ * Creates a provider from its settings configuration
+ * @param {Object} config - Provider configuration with a TYPE
+ * @returns {SentimentProvider} Provider instance
+ */
+function createProvider(config) {
+    const type = (config?.TYPE || DEFAULT_PROVIDER_CONFIG.TYPE).toLowerCase();
+    const ProviderClass = PROVIDER_TYPES[type];
+
+    if (!ProviderClass) {
+        throw new Error(`Unknown sentiment provider type: ${config.TYPE}`);
+    }
+
+    return new ProviderClass({ ...config, TYPE: type });
+}
+
+/**
+ * Gets the provider configured for a token
+ * Looks up SENTIMENT_PROVIDERS[token name], then SENTIMENT_PROVIDERS.DEFAULT, then SurfSolana
+ * @param {Object} token - Token configuration
+ * @returns {SentimentProvider} Provider instance
+ */
+function getSentimentProvider(token) {
+    const settings = readSettings() || {};
+    const providers = settings.SENTIMENT_PROVIDERS || {};
+    const config = providers[token.NAME] || providers.DEFAULT || DEFAULT_PROVIDER_CONFIG;
+
+    const cacheKey = `${token.NAME}:${JSON.stringify(config)}`;
+    if (!providerCache.has(cacheKey)) {
+        providerCache.set(cacheKey, createProvider(config));
+        devLog(`Using ${config.TYPE || DEFAULT_PROVIDER_CONFIG.TYPE} sentiment provider for ${token.NAME}`);
+    }
+
+    return providerCache.get(cacheKey);
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    SentimentProvider,
+    SurfSolanaProvider,
+    HttpProvider,
+    FileProvider,
+    LocalIndicatorProvider,
+    registerSentimentProvider,
+    createProvider,
+    getSentimentProvider,
+    resolveJsonPath
+};
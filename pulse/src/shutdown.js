@@ -0,0 +1,217 @@
+/**
+ * PulseSurfer Shutdown Coordinator
+ * Stops the bot on SIGINT or SIGTERM without losing trades that are already on their way to the chain
+ *
+ * Shutdown runs in three steps:
+ * - stop: handlers registered for SHUTDOWN_PHASES.STOP run straight away, so no new cycles are scheduled
+ *   and no new swaps are sent
+ * - wait: trading cycles that are running get up to SHUTDOWN_TIMEOUT to finish, so a bundle in flight can land
+ *   and reach the order book. Swaps still in flight after that stay in the in-flight journal for the next start.
+ * - flush: handlers registered for SHUTDOWN_PHASES.FLUSH save the order books and savestates and close the history store
+ *
+ * A second signal skips the wait and flushes straight away.
+ */
+
+// Core dependencies
+const { getInFlightSwaps } = require('./inFlightSwaps');
+const {
+    devLog,
+    formatTime,
+    // Import styling utilities
+    formatHeading,
+    formatSuccess,
+    formatError,
+    formatWarning,
+    formatInfo,
+    icons
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const SHUTDOWN_TIMEOUT = 150000; // 2.5 minutes, longer than a bundle takes to land or fail
+const REPEAT_SIGNAL_WINDOW = 1000; // Ctrl+C reaches pulse both from the terminal and forwarded by start.js
+
+const SHUTDOWN_PHASES = {
+    STOP: 'stop',
+    FLUSH: 'flush'
+};
+
+// Shutdown handlers by phase, run in the order they were registered
+const shutdownHandlers = {
+    [SHUTDOWN_PHASES.STOP]: [],
+    [SHUTDOWN_PHASES.FLUSH]: []
+};
+
+// Operations shutdown waits for, keyed by a running ID
+const activeOperations = new Map();
+let nextOperationId = 1;
+let operationsSettled = null;
+
+// State tracking
+let shutdownRequestedAt = null;
+let isFlushed = false;
+
+// ===========================
+// Operations
+// ===========================
+
+/**
+ * Checks whether shutdown has been requested
+ * @returns {boolean} True once a shutdown signal has been received
+ */
+function isShuttingDown() {
+    return shutdownRequestedAt !== null;
+}
+
+/**
+ * Marks the start of an operation that shutdown should wait for, such as a trading cycle
+ * @param {string} name - Operation name for the log
+ * @returns {Function} Call when the operation has finished
+ */
+function beginOperation(name) {
+    const id = nextOperationId++;
+    activeOperations.set(id, name);
+
+    return () => {
+        activeOperations.delete(id);
+        if (activeOperations.size === 0 && operationsSettled) {
+            operationsSettled();
+        }
+    };
+}
+
+/**
+ * Waits for active operations to finish
+ * @param {number} timeout - Longest to wait in milliseconds
+ * @returns {Promise<boolean>} True if every operation finished in time
+ */
+function waitForOperations(timeout) {
+    if (activeOperations.size === 0) {
+        return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+        const timeoutId = setTimeout(() => resolve(false), timeout);
+        operationsSettled = () => {
+            clearTimeout(timeoutId);
+            resolve(true);
+        };
+    });
+}
+
+// ===========================
+// Shutdown Handlers
+// ===========================
+
+/**
+ * Registers a handler to run on shutdown
+ * @param {string} phase - SHUTDOWN_PHASES.STOP to run straight away, or SHUTDOWN_PHASES.FLUSH to run once operations have finished
+ * @param {string} name - Handler name for the log
+ * @param {Function} handler - Handler, may be async
+ */
+function onShutdown(phase, name, handler) {
+    if (!shutdownHandlers[phase]) {
+        throw new Error(`Unknown shutdown phase: ${phase}`);
+    }
+    shutdownHandlers[phase].push({ name, handler });
+}
+
+/**
+ * Runs the handlers of a phase, carrying on past any that fail
+ * @param {string} phase - Phase from SHUTDOWN_PHASES
+ */
+async function runHandlers(phase) {
+    for (const { name, handler } of shutdownHandlers[phase]) {
+        try {
+            devLog(`Running shutdown handler: ${name}`);
+            await handler();
+        } catch (error) {
+            console.error(formatError(`${icons.error} Shutdown step "${name}" failed: ${error.message}`));
+        }
+    }
+}
+
+/**
+ * Saves state and exits; only runs once however the shutdown ends
+ * @param {number} code - Exit code
+ */
+async function flushAndExit(code) {
+    if (isFlushed) return;
+    isFlushed = true;
+
+    await runHandlers(SHUTDOWN_PHASES.FLUSH);
+
+    const remaining = getInFlightSwaps();
+    if (remaining.length > 0) {
+        console.log(formatWarning(`${icons.warning} ${remaining.length} swap(s) still in flight - they will be checked against the chain on the next start`));
+    }
+
+    console.log(formatSuccess(`${icons.success} PulseSurfer stopped`));
+    process.exit(code);
+}
+
+// ===========================
+// Shutdown
+// ===========================
+
+/**
+ * Shuts the bot down: stops new work, waits for running cycles, then saves state and exits
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+    if (isShuttingDown()) {
+        if (Date.now() - shutdownRequestedAt < REPEAT_SIGNAL_WINDOW || isFlushed) return;
+
+        console.log(formatWarning(`${icons.warning} ${signal} received again - exiting without waiting for running cycles`));
+        await flushAndExit(1);
+        return;
+    }
+
+    shutdownRequestedAt = Date.now();
+    console.log(`\n${formatHeading("=== SHUTTING DOWN ===")}`);
+    console.log(formatInfo(`${icons.info} ${signal} received - no new cycles or swaps will be started`));
+
+    await runHandlers(SHUTDOWN_PHASES.STOP);
+
+    if (activeOperations.size > 0) {
+        const running = [...activeOperations.values()].join(', ');
+        console.log(formatInfo(`${icons.wait} Waiting up to ${formatTime(SHUTDOWN_TIMEOUT)} for running cycles to finish: ${running}`));
+        console.log(formatInfo(`${icons.info} Send ${signal} again to exit now`));
+
+        if (!await waitForOperations(SHUTDOWN_TIMEOUT)) {
+            console.log(formatWarning(`${icons.warning} Cycles still running after ${formatTime(SHUTDOWN_TIMEOUT)} - exiting anyway`));
+        }
+    }
+
+    await flushAndExit(0);
+}
+
+/**
+ * Installs the SIGINT and SIGTERM handlers
+ */
+function installSignalHandlers() {
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => {
+            shutdown(signal).catch(error => {
+                console.error(formatError(`${icons.error} Error during shutdown: ${error.message}`));
+                process.exit(1);
+            });
+        });
+    });
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    isShuttingDown,
+    beginOperation,
+    onShutdown,
+    shutdown,
+    installSignalHandlers,
+    SHUTDOWN_PHASES,
+    SHUTDOWN_TIMEOUT
+};
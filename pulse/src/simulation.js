@@ -0,0 +1,152 @@
+/**
+ * PulseSurfer Transaction Simulation
+ * Simulates swap transactions before they are signed and sent, and decodes failures into readable reasons
+ *
+ * Failures that would repeat on a new quote (missing funds or accounts) are marked deterministic,
+ * so the trade is not retried until the next cycle. Slippage and expired blockhashes can clear on a new quote.
+ */
+
+// Core dependencies
+const { VersionedTransaction } = require('@solana/web3.js');
+const {
+    devLog
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+// Readable failure reasons
+const FAILURE_REASONS = {
+    INSUFFICIENT_FUNDS: 'insufficientfunds',
+    SLIPPAGE: 'slippage',
+    ACCOUNT_MISSING: 'accountmissing',
+    BLOCKHASH: 'blockhash',
+    PROGRAM_ERROR: 'programerror'
+};
+
+const FAILURE_DESCRIPTIONS = {
+    [FAILURE_REASONS.INSUFFICIENT_FUNDS]: 'insufficient funds for the swap or its fees',
+    [FAILURE_REASONS.SLIPPAGE]: 'slippage exceeded - the price moved past the quote',
+    [FAILURE_REASONS.ACCOUNT_MISSING]: 'a required account is missing or not initialised',
+    [FAILURE_REASONS.BLOCKHASH]: 'blockhash expired',
+    [FAILURE_REASONS.PROGRAM_ERROR]: 'program error'
+};
+
+// Failures a new quote would run into again
+const DETERMINISTIC_REASONS = [
+    FAILURE_REASONS.INSUFFICIENT_FUNDS,
+    FAILURE_REASONS.ACCOUNT_MISSING
+];
+
+// Transaction errors reported as strings by the runtime
+const TRANSACTION_ERRORS = {
+    InsufficientFundsForFee: FAILURE_REASONS.INSUFFICIENT_FUNDS,
+    InsufficientFundsForRent: FAILURE_REASONS.INSUFFICIENT_FUNDS,
+    AccountNotFound: FAILURE_REASONS.ACCOUNT_MISSING,
+    ProgramAccountNotFound: FAILURE_REASONS.ACCOUNT_MISSING,
+    InvalidAccountForFee: FAILURE_REASONS.ACCOUNT_MISSING,
+    BlockhashNotFound: FAILURE_REASONS.BLOCKHASH,
+    InsufficientFunds: FAILURE_REASONS.INSUFFICIENT_FUNDS,
+    UninitializedAccount: FAILURE_REASONS.ACCOUNT_MISSING,
+    NotEnoughAccountKeys: FAILURE_REASONS.ACCOUNT_MISSING
+};
+
+// Program log patterns, checked in order; custom codes are Token InsufficientFunds (0x1),
+// Jupiter SlippageToleranceExceeded (0x1771) and Anchor AccountNotInitialized (0xbc4)
+const LOG_PATTERNS = [
+    [/insufficient (funds|lamports)|custom program error: 0x1$/i, FAILURE_REASONS.INSUFFICIENT_FUNDS],
+    [/SlippageToleranceExceeded|slippage tolerance exceeded|custom program error: 0x1771$/i, FAILURE_REASONS.SLIPPAGE],
+    [/AccountNotInitialized|account (not found|does not exist)|could not find account|custom program error: 0xbc4$/i, FAILURE_REASONS.ACCOUNT_MISSING]
+];
+
+// ===========================
+// Decoding
+// ===========================
+
+/**
+ * Decodes a simulation error and its program logs into a readable reason
+ * @param {Object|string} err - Transaction error from simulateTransaction
+ * @param {Array<string>} logs - Program logs from simulateTransaction
+ * @returns {Object} { reason, description, deterministic, detail }
+ */
+function decodeSimulationError(err, logs = []) {
+    let reason = null;
+    let detail = typeof err === 'string' ? err : JSON.stringify(err);
+
+    if (typeof err === 'string') {
+        reason = TRANSACTION_ERRORS[err] || null;
+    } else if (err?.InstructionError) {
+        const [index, instructionError] = err.InstructionError;
+        detail = `instruction ${index}: ${typeof instructionError === 'string' ? instructionError : JSON.stringify(instructionError)}`;
+        if (typeof instructionError === 'string') {
+            reason = TRANSACTION_ERRORS[instructionError] || null;
+        }
+    }
+
+    // Program logs say more than a custom error code does
+    if (!reason) {
+        for (const line of [...(logs || [])].reverse()) {
+            const match = LOG_PATTERNS.find(([pattern]) => pattern.test(line));
+            if (match) {
+                reason = match[1];
+                detail = line;
+                break;
+            }
+        }
+    }
+
+    reason = reason || FAILURE_REASONS.PROGRAM_ERROR;
+    return {
+        reason,
+        description: FAILURE_DESCRIPTIONS[reason],
+        deterministic: DETERMINISTIC_REASONS.includes(reason),
+        detail
+    };
+}
+
+// ===========================
+// Simulation
+// ===========================
+
+/**
+ * Simulates a swap transaction from Jupiter against the latest bank state
+ * The transaction is simulated unsigned with a current blockhash, so it can be checked before signing.
+ * A simulation that cannot be run (RPC error) does not block the swap.
+ * @param {Object} connection - RPC connection
+ * @param {string} swapTransaction - Base64 encoded swap transaction
+ * @returns {Promise<Object|null>} Failure { reason, description, deterministic, detail, logs } or null if the swap should land
+ */
+async function simulateSwapTransaction(connection, swapTransaction) {
+    let value;
+    try {
+        const transaction = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+        ({ value } = await connection.simulateTransaction(transaction, {
+            sigVerify: false,
+            replaceRecentBlockhash: true,
+            commitment: 'processed'
+        }));
+    } catch (error) {
+        devLog(`Could not simulate swap, sending without simulation: ${error.message}`);
+        return null;
+    }
+
+    if (!value.err) {
+        devLog(`Swap simulation passed (${value.unitsConsumed ?? 'unknown'} compute units)`);
+        return null;
+    }
+
+    const failure = decodeSimulationError(value.err, value.logs);
+    devLog('Swap simulation failed:', failure, value.logs);
+    return { ...failure, logs: value.logs || [] };
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    simulateSwapTransaction,
+    decodeSimulationError,
+    FAILURE_REASONS
+};
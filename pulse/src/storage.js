@@ -0,0 +1,236 @@
+/**
+ * PulseSurfer Storage
+ * Crash-safe JSON persistence for settings, orderbooks and savestates
+ *
+ * Every write goes to a temporary file that is flushed and renamed over the live file, so a crash
+ * leaves either the old or the new version, never half of one. Each write also keeps a rotating backup
+ * (file.1.bak is the latest write, file.2.bak the one before, ...) holding the content and its SHA-256.
+ * On load the live file is checked against the latest backup's checksum; a file that is corrupt, or
+ * altered when checksums are enforced, is moved aside to file.corrupt and restored from the newest good backup.
+ */
+
+// Core dependencies
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const BACKUP_COUNT = 3;
+
+// ===========================
+// Logging
+// ===========================
+
+/**
+ * Logs a storage warning
+ * utils.js persists settings through this module, so it is required lazily to avoid a circular import
+ * @param {string} message - Warning message
+ */
+function logWarning(message) {
+    const { formatWarning, icons } = require('./utils');
+    console.log(formatWarning(`${icons.warning} ${message}`));
+}
+
+/**
+ * Logs a storage error
+ * @param {string} message - Error message
+ */
+function logError(message) {
+    const { formatError, icons } = require('./utils');
+    console.error(formatError(`${icons.error} ${message}`));
+}
+
+// ===========================
+// File Helpers
+// ===========================
+
+/**
+ * Calculates the SHA-256 checksum of content
+ * @param {string} content - File content
+ * @returns {string} Hex checksum
+ */
+function checksumOf(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Gets the path of a numbered backup
+ * @param {string} filePath - Live file path
+ * @param {number} index - Backup number (1 is the newest)
+ * @returns {string} Backup path
+ */
+function getBackupPath(filePath, index) {
+    return `${filePath}.${index}.bak`;
+}
+
+/**
+ * Writes a file atomically: temp file, flush to disk, then rename over the target
+ * @param {string} filePath - Target path
+ * @param {string} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Shifts backups down one place, dropping the oldest
+ * @param {string} filePath - Live file path
+ * @param {number} count - Number of backups kept
+ */
+function rotateBackups(filePath, count) {
+    for (let index = count - 1; index >= 1; index--) {
+        const backupPath = getBackupPath(filePath, index);
+        if (fs.existsSync(backupPath)) {
+            fs.renameSync(backupPath, getBackupPath(filePath, index + 1));
+        }
+    }
+}
+
+/**
+ * Reads a backup and verifies its checksum
+ * @param {string} backupPath - Backup path
+ * @returns {Object|null} { content, checksum, savedAt } or null if missing or corrupt
+ */
+function readBackup(backupPath) {
+    try {
+        if (!fs.existsSync(backupPath)) return null;
+
+        const backup = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+        if (typeof backup.content !== 'string' || checksumOf(backup.content) !== backup.checksum) {
+            return null;
+        }
+        JSON.parse(backup.content);
+        return backup;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ===========================
+// JSON Persistence
+// ===========================
+
+/**
+ * Writes JSON crash-safely and records a checksummed backup
+ * @param {string} filePath - Target path
+ * @param {*} data - Data to serialise
+ * @param {Object} options - Write options
+ * @param {number} options.backups - Number of rotating backups to keep (0 disables them)
+ * @returns {boolean} Success status
+ */
+function writeJSON(filePath, data, { backups = BACKUP_COUNT } = {}) {
+    try {
+        const content = JSON.stringify(data, null, 2);
+
+        if (backups > 0) {
+            rotateBackups(filePath, backups);
+            writeFileAtomic(getBackupPath(filePath, 1), JSON.stringify({
+                checksum: checksumOf(content),
+                savedAt: new Date().toISOString(),
+                content
+            }));
+        }
+
+        writeFileAtomic(filePath, content);
+        return true;
+    } catch (error) {
+        logError(`Error writing ${path.basename(filePath)}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Restores a file from its newest good backup, keeping the damaged file as file.corrupt
+ * @param {string} filePath - Live file path
+ * @param {string} problem - What was wrong with the live file (for the log)
+ * @returns {*} Recovered data, or null if no backup could be used
+ */
+function recoverFromBackup(filePath, problem) {
+    const name = path.basename(filePath);
+
+    if (fs.existsSync(filePath)) {
+        fs.renameSync(filePath, `${filePath}.corrupt`);
+    }
+
+    for (let index = 1; index <= BACKUP_COUNT; index++) {
+        const backup = readBackup(getBackupPath(filePath, index));
+        if (!backup) continue;
+
+        writeFileAtomic(filePath, backup.content);
+        logWarning(`${name} ${problem} - restored the backup saved at ${backup.savedAt} (damaged file kept as ${name}.corrupt)`);
+        return JSON.parse(backup.content);
+    }
+
+    logError(`${name} ${problem} and no usable backup was found (damaged file kept as ${name}.corrupt)`);
+    return null;
+}
+
+/**
+ * Reads JSON, recovering from the newest good backup if the file is corrupt
+ * @param {string} filePath - File path
+ * @param {Object} options - Read options
+ * @param {boolean} options.checksum - Treat content that differs from the last write as corrupt.
+ *   Turn off for files users edit by hand, such as settings.json, so only unreadable JSON is recovered.
+ * @returns {*} Parsed data, or null if the file does not exist or could not be recovered
+ */
+function readJSON(filePath, { checksum = true } = {}) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        return recoverFromBackup(filePath, `could not be read (${error.message})`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        return recoverFromBackup(filePath, `is corrupt (${error.message})`);
+    }
+
+    if (checksum) {
+        const latestBackup = readBackup(getBackupPath(filePath, 1));
+        if (latestBackup && latestBackup.checksum !== checksumOf(content)) {
+            return recoverFromBackup(filePath, 'failed its checksum');
+        }
+    }
+
+    return data;
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    readJSON,
+    writeJSON,
+    writeFileAtomic,
+    BACKUP_COUNT
+};
@@ -0,0 +1,893 @@
+/**
+ * PulseSurfer Transaction Submission
+ * Strategies for getting a signed swap on chain, selected with TRANSACTION_SUBMISSION.STRATEGY in settings
+ *
+ * - JITO: the swap and a tip transaction are sent as a Jito bundle
+ * - RPC: the swap is sent with sendRawTransaction and a priority fee, and rebroadcast until it confirms or its blockhash expires
+ * - RACE: the same signed swap goes out both ways at once, so it lands even when Jito is unreachable or rate-limited.
+ *   Both paths carry one signature, so the swap can only land once, and the bundle (with its tip) fails if RPC wins.
+ *
+ * A new attempt re-signs the swap with a fresh blockhash, so it is only made once the previous attempt can no longer land.
+ * The priority fee is built into the swap by Jupiter and the Jito tip is passed in, both priced by feeEstimator.
+ * Each signed attempt is written to the in-flight journal, so a swap the bot stops waiting for can be picked up on the next start.
+ */
+
+// Core dependencies
+const {
+    PublicKey,
+    VersionedTransaction,
+    TransactionMessage,
+    SystemProgram,
+    SendTransactionError
+} = require('@solana/web3.js');
+const bs58 = require('bs58');
+const fetch = require('cross-fetch');
+const { readSettings } = require('./pulseServer');
+const { isShuttingDown } = require('./shutdown');
+const { SKIP_REASONS } = require('./tradeGate');
+const {
+    recordInFlightSwap,
+    updateInFlightSwap,
+    clearInFlightSwap,
+    getInFlightSwaps,
+    SWAP_STATUSES
+} = require('./inFlightSwaps');
+const {
+    LAMPORTS_PER_SOL,
+    DEFAULT_TIP,
+    devLog,
+    // Import styling utilities
+    formatError,
+    formatWarning,
+    formatInfo,
+    icons
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const MAX_BUNDLE_RETRIES = 5;
+const MAX_CONFIRMATION_CHECKS = 60; // 2 minutes with 2s intervals
+const STATUS_CHECK_INTERVAL = 2000; // 2 seconds
+const HTTP_TIMEOUT = 30000; // 30 seconds
+const PREFLIGHT_REJECTION_PATTERN = /simulation failed|signature verification failure|invalid transaction/i; // sendTransaction errors for the transaction itself
+
+const DEFAULT_SUBMISSION_CONFIG = {
+    STRATEGY: "JITO",
+    MAX_ATTEMPTS: 2,
+    JITO_BLOCK_ENGINE_URL: "https://mainnet.block-engine.jito.wtf/api/v1/bundles",
+    JITO_TIP_FLOOR_URL: "https://bundles.jito.wtf/api/v1/bundles/tip_floor",
+    JITO_TIP_ACCOUNTS: [
+        "96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5",
+        "HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe",
+        "Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY",
+        "ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49",
+        "DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh",
+        "ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt",
+        "DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL",
+        "3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT"
+    ],
+    MAX_JITO_TIP_SOL: 0.0004,
+    MAX_PRIORITY_FEE_LAMPORTS: 1000000,
+    MIN_FEE_PERCENTILE: 25,
+    MAX_FEE_PERCENTILE: 95,
+    URGENT_TRADE_VALUE: 1000,
+    DAILY_FEE_BUDGET_SOL: 0,
+    MONTHLY_FEE_BUDGET_SOL: 0
+};
+
+// How an attempt ended
+const OUTCOMES = {
+    LANDED: 'Landed',
+    FAILED: 'Failed',       // Rejected or failed on chain, retrying would fail the same way
+    DROPPED: 'Dropped',     // Did not land and can no longer land, safe to retry
+    UNKNOWN: 'Unknown'      // Could not tell whether it landed, retrying could swap twice
+};
+
+// Strategy instances keyed by configuration
+const strategyCache = new Map();
+
+// In-flight journal entry of each transaction being submitted
+const inFlightIds = new WeakMap();
+
+// State tracking
+let isSubmissionCancelled = false;
+
+// ===========================
+// Helpers
+// ===========================
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Gets the signature of a signed transaction
+ * @param {VersionedTransaction} transaction - Signed transaction
+ * @returns {string} Base58 signature
+ */
+function getSignature(transaction) {
+    return bs58.default.encode(transaction.signatures[0]);
+}
+
+/**
+ * Updates the in-flight journal entry of a transaction being submitted, if it has one
+ * @param {VersionedTransaction} transaction - Transaction being submitted
+ * @param {Object} changes - Fields to update
+ */
+function updateJournal(transaction, changes) {
+    const id = inFlightIds.get(transaction);
+    if (id) {
+        updateInFlightSwap(id, changes);
+    }
+}
+
+/**
+ * Re-signs a transaction with a fresh blockhash
+ * @param {Object} wallet - Wallet with connection and payer
+ * @param {VersionedTransaction} transaction - Transaction to sign, updated in place
+ * @returns {Promise<Object>} { blockhash, lastValidBlockHeight, signature }
+ */
+async function signWithFreshBlockhash(wallet, transaction) {
+    const { blockhash, lastValidBlockHeight } = await wallet.connection.getLatestBlockhash("confirmed");
+    devLog(`\nNew Blockhash: ${blockhash}`);
+
+    transaction.message.recentBlockhash = blockhash;
+    transaction.sign([wallet.payer]);
+    const signature = getSignature(transaction);
+
+    // Journalled before sending, so the swap is on record whenever the bot stops
+    updateJournal(transaction, { signature, lastValidBlockHeight, bundleId: null, status: SWAP_STATUSES.PENDING });
+    return { blockhash, lastValidBlockHeight, signature };
+}
+
+/**
+ * Gets the confirmation status of a signature
+ * @param {Object} connection - RPC connection
+ * @param {string} signature - Transaction signature
+ * @param {boolean} searchTransactionHistory - Look beyond the recent status cache, for swaps sent before a restart
+ * @returns {Promise<Object|null>} Signature status or null if the cluster has not seen it
+ */
+async function getSignatureStatus(connection, signature, searchTransactionHistory = false) {
+    const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory });
+    return value[0] || null;
+}
+
+/**
+ * Checks whether a signature status is confirmed
+ * @param {Object|null} status - Signature status
+ * @returns {boolean} True if confirmed or finalized without an error
+ */
+function isConfirmed(status) {
+    return Boolean(status && !status.err && ['confirmed', 'finalized'].includes(status.confirmationStatus));
+}
+
+/**
+ * Works out whether a transaction that was not seen to confirm can still land
+ * @param {Object} connection - RPC connection
+ * @param {string} signature - Transaction signature
+ * @param {number} lastValidBlockHeight - Last block height the transaction's blockhash is valid for
+ * @returns {Promise<string>} Outcome from OUTCOMES
+ */
+async function resolveUnconfirmed(connection, signature, lastValidBlockHeight) {
+    try {
+        const status = await getSignatureStatus(connection, signature);
+        if (isConfirmed(status)) return OUTCOMES.LANDED;
+        if (status?.err) return OUTCOMES.FAILED;
+
+        const blockHeight = await connection.getBlockHeight("confirmed");
+        return blockHeight > lastValidBlockHeight ? OUTCOMES.DROPPED : OUTCOMES.UNKNOWN;
+    } catch (error) {
+        devLog(`Could not resolve transaction ${signature}: ${error.message}`);
+        return OUTCOMES.UNKNOWN;
+    }
+}
+
+/**
+ * Waits for a transaction that may have been sent to land, fail or expire
+ * @param {Object} connection - RPC connection
+ * @param {string} signature - Transaction signature
+ * @param {number} lastValidBlockHeight - Last block height the transaction's blockhash is valid for
+ * @param {Function} [shouldStop] - Returns true once waiting should give up
+ * @param {boolean} [searchTransactionHistory] - Look beyond the recent status cache, for swaps sent before a restart
+ * @returns {Promise<string>} Outcome from OUTCOMES; UNKNOWN if it could still land when waiting stopped
+ */
+async function waitForSignature(connection, signature, lastValidBlockHeight, shouldStop = () => false, searchTransactionHistory = false) {
+    for (let check = 0; check < MAX_CONFIRMATION_CHECKS && !shouldStop(); check++) {
+        try {
+            const status = await getSignatureStatus(connection, signature, searchTransactionHistory);
+            if (isConfirmed(status)) return OUTCOMES.LANDED;
+            if (status?.err) return OUTCOMES.FAILED;
+
+            // A landed swap keeps its status, so one the cluster has not seen can only still land while its blockhash is valid
+            const blockHeight = await connection.getBlockHeight("confirmed");
+            if (!status && blockHeight > lastValidBlockHeight) return OUTCOMES.DROPPED;
+        } catch (error) {
+            devLog(`Could not check transaction ${signature}: ${error.message}`);
+        }
+        await sleep(STATUS_CHECK_INTERVAL);
+    }
+
+    return OUTCOMES.UNKNOWN;
+}
+
+/**
+ * Works out what became of a swap left in the in-flight journal when the bot last stopped,
+ * waiting while it can still land
+ * @param {Object} connection - RPC connection
+ * @param {Object} entry - Journal entry with signature and lastValidBlockHeight
+ * @returns {Promise<string>} Outcome from OUTCOMES; UNKNOWN if it could still land after waiting
+ */
+async function resolveInFlightSwap(connection, entry) {
+    if (!entry.signature) {
+        // Never signed, so never sent
+        return OUTCOMES.DROPPED;
+    }
+
+    return waitForSignature(connection, entry.signature, entry.lastValidBlockHeight, undefined, true);
+}
+
+/**
+ * Checks whether a sendRawTransaction error is the RPC node rejecting the transaction itself in preflight,
+ * rather than the request failing (network error, rate limit, unhealthy node) without saying what became of it
+ * @param {Error} error - Error from sendRawTransaction
+ * @returns {boolean} True if the transaction was rejected, so it was never broadcast
+ */
+function isPreflightRejection(error) {
+    return error instanceof SendTransactionError &&
+        (Array.isArray(error.transactionLogs) || PREFLIGHT_REJECTION_PATTERN.test(error.transactionMessage || ''));
+}
+
+/**
+ * Posts a JSON-RPC request with a timeout
+ * @param {string} url - Endpoint
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - Method parameters
+ * @returns {Promise<Response>} Fetch response
+ */
+async function postJsonRpc(url, method, params) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), HTTP_TIMEOUT);
+    try {
+        return await fetch(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+            signal: controller.signal
+        });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// ===========================
+// Submission Strategies
+// ===========================
+
+/**
+ * Base class for submission strategies
+ * Subclasses implement attempt(); submit() handles retries between attempts
+ */
+class SubmissionStrategy {
+    /**
+     * @param {Object} config - Submission configuration from settings, merged over DEFAULT_SUBMISSION_CONFIG
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.name = config.STRATEGY || 'unknown';
+    }
+
+    /**
+     * Whether swap transactions should be built with a priority fee for this strategy
+     * @returns {boolean} True if the swap goes through an RPC node
+     */
+    usesPriorityFee() {
+        return false;
+    }
+
+    /**
+     * Whether the swap is sent with a Jito tip for this strategy
+     * @returns {boolean} True if the swap goes out in a Jito bundle
+     */
+    usesJitoTip() {
+        return false;
+    }
+
+    /**
+     * Makes one attempt to land the swap
+     * @param {Object} wallet - Wallet with connection, publicKey and payer
+     * @param {VersionedTransaction} transaction - Swap transaction
+     * @param {Function} shouldStop - Returns true once the attempt should give up
+     * @param {Object} fees - Estimated fees, { tipLamports }
+     * @returns {Promise<Object>} { outcome, ... } with outcome from OUTCOMES
+     */
+    async attempt(wallet, transaction, shouldStop, fees) {
+        throw new Error(`${this.name} strategy does not implement attempt()`);
+    }
+
+    /**
+     * Submits a swap, retrying with a fresh blockhash while attempts are dropped
+     * @param {Object} wallet - Wallet with connection, publicKey and payer
+     * @param {VersionedTransaction} transaction - Swap transaction
+     * @param {Object} [fees] - Estimated fees, { tipLamports }
+     * @returns {Promise<Object|null>} Landed attempt, the attempt whose outcome is UNKNOWN because it could still land,
+     *   or null if the swap did not land
+     */
+    async submit(wallet, transaction, fees = {}) {
+        const maxAttempts = Math.max(1, parseInt(this.config.MAX_ATTEMPTS) || 1);
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            if (isSubmissionCancelled || isShuttingDown()) return null;
+
+            devLog(`Submitting swap via ${this.name} (attempt ${attempt}/${maxAttempts})`);
+            const result = await this.attempt(wallet, transaction, () => isSubmissionCancelled, fees);
+
+            if (result.outcome === OUTCOMES.LANDED) {
+                return { ...result, strategy: this.name, attempts: attempt };
+            }
+
+            const reason = result.reason ? `: ${result.reason}` : '';
+            if (result.outcome === OUTCOMES.FAILED) {
+                console.log(formatWarning(`${icons.warning} Swap failed via ${this.name}${reason}`));
+                return null;
+            }
+            if (result.outcome === OUTCOMES.UNKNOWN) {
+                updateJournal(transaction, { status: SWAP_STATUSES.UNKNOWN });
+                console.log(formatWarning(`${icons.warning} Could not confirm the swap via ${this.name}${reason} - not retrying in case it lands`));
+                return { ...result, strategy: this.name, attempts: attempt };
+            }
+            if (attempt < maxAttempts) {
+                console.log(formatInfo(`${icons.info} Swap did not land via ${this.name}${reason} - retrying with a fresh blockhash`));
+            } else {
+                console.log(formatWarning(`${icons.warning} Swap did not land via ${this.name} after ${maxAttempts} attempts${reason}`));
+            }
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Sends the swap and a tip transaction as a Jito bundle
+ */
+class JitoBundleStrategy extends SubmissionStrategy {
+    usesJitoTip() {
+        return true;
+    }
+
+    /**
+     * Gets the tip for a bundle: the estimated tip, or DEFAULT_TIP without an estimate, capped at MAX_JITO_TIP_SOL
+     * @param {Object} fees - Estimated fees, { tipLamports }
+     * @returns {number} Tip in lamports
+     */
+    getTipLamports(fees = {}) {
+        const maxTipLamports = Math.floor(this.config.MAX_JITO_TIP_SOL * LAMPORTS_PER_SOL);
+        const tipLamports = Math.min(fees.tipLamports > 0 ? fees.tipLamports : Math.floor(DEFAULT_TIP * LAMPORTS_PER_SOL), maxTipLamports);
+        devLog(`Jito Fee: ${tipLamports / LAMPORTS_PER_SOL} SOL`);
+        return tipLamports;
+    }
+
+    /**
+     * Builds and signs the tip transaction for a bundle
+     * @param {Object} wallet - Wallet with publicKey and payer
+     * @param {string} blockhash - Blockhash shared with the swap
+     * @param {number} tipLamports - Tip in lamports
+     * @returns {VersionedTransaction} Signed tip transaction
+     */
+    buildTipTransaction(wallet, blockhash, tipLamports) {
+        const tipAccounts = this.config.JITO_TIP_ACCOUNTS;
+        const tipAccount = new PublicKey(tipAccounts[Math.floor(Math.random() * tipAccounts.length)]);
+
+        const message = new TransactionMessage({
+            payerKey: wallet.publicKey,
+            recentBlockhash: blockhash,
+            instructions: [SystemProgram.transfer({
+                fromPubkey: wallet.publicKey,
+                toPubkey: tipAccount,
+                lamports: tipLamports
+            })]
+        }).compileToV0Message();
+
+        const tipTransaction = new VersionedTransaction(message);
+        tipTransaction.sign([wallet.payer]);
+        return tipTransaction;
+    }
+
+    /**
+     * Sends a bundle to the Jito Block Engine, backing off when rate limited
+     * @param {Array<VersionedTransaction>} transactions - Signed transactions
+     * @param {Function} shouldStop - Returns true once sending should give up
+     * @returns {Promise<string>} Bundle ID
+     */
+    async sendBundle(transactions, shouldStop) {
+        const encodedBundle = transactions.map(tx => bs58.default.encode(tx.serialize()));
+        devLog("Sending bundle to Jito Block Engine...");
+
+        let response;
+        for (let i = 0; i <= MAX_BUNDLE_RETRIES; i++) {
+            if (shouldStop()) {
+                throw new Error('Bundle cancelled');
+            }
+
+            try {
+                response = await postJsonRpc(this.config.JITO_BLOCK_ENGINE_URL, "sendBundle", [encodedBundle]);
+                if (response.ok) {
+                    break;
+                }
+
+                const responseText = await response.text();
+                devLog(`Response status: ${response.status}`);
+                devLog("Response body:", responseText);
+
+                if (response.status === 400) {
+                    throw new Error(`Bad Request: ${responseText}`);
+                }
+                if (response.status !== 429) {
+                    throw new Error(`Unexpected response status: ${response.status}`);
+                }
+
+                const waitTime = Math.min(500 * Math.pow(2, i), 5000);
+                const jitter = Math.random() * 0.3 * waitTime;
+                devLog(`Rate limited. Retrying in ${waitTime + jitter}ms...`);
+                await sleep(waitTime + jitter);
+            } catch (error) {
+                console.error(formatError(`Error sending Jito bundle on attempt ${i + 1}: ${error.message}`));
+                if (i === MAX_BUNDLE_RETRIES || error.message.startsWith('Bad Request')) {
+                    throw error;
+                }
+            }
+        }
+
+        if (!response || !response.ok) {
+            throw new Error(`Failed to send bundle after ${MAX_BUNDLE_RETRIES} attempts`);
+        }
+
+        const responseData = await response.json();
+        if (responseData.error) {
+            throw new Error(`Jito error: ${responseData.error.message}`);
+        }
+        if (!responseData.result) {
+            throw new Error("No result in Jito response");
+        }
+
+        devLog(`\nJito Bundle Result: https://explorer.jito.wtf/bundle/${responseData.result}`);
+        return responseData.result;
+    }
+
+    /**
+     * Gets the status of an in-flight bundle
+     * @param {string} bundleId - Bundle ID
+     * @returns {Promise<Object|null>} Bundle status or null if the block engine has not seen it
+     */
+    async getBundleStatus(bundleId) {
+        const response = await postJsonRpc(this.config.JITO_BLOCK_ENGINE_URL, "getInflightBundleStatuses", [[bundleId]]);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const responseData = await response.json();
+        if (responseData.error) {
+            throw new Error(`Jito API error: ${responseData.error.message}`);
+        }
+        return responseData.result.value[0] || null;
+    }
+
+    /**
+     * Waits for a bundle to land or fail
+     * @param {string} bundleId - Bundle ID
+     * @param {Function} shouldStop - Returns true once waiting should give up
+     * @returns {Promise<Object>} { outcome, reason }
+     */
+    async waitForBundle(bundleId, shouldStop) {
+        for (let check = 0; check < MAX_CONFIRMATION_CHECKS && !shouldStop(); check++) {
+            try {
+                const status = await this.getBundleStatus(bundleId);
+                if (status === null) {
+                    devLog("Bundle not found. Continuing to wait...");
+                } else {
+                    devLog(`Bundle status: ${status.status}`);
+                    if (status.status === "Landed") return { outcome: OUTCOMES.LANDED, ...status };
+                    if (status.status === "Failed") return { outcome: OUTCOMES.DROPPED, reason: 'bundle failed' };
+                }
+            } catch (error) {
+                console.error(formatError(`Error fetching bundle status: ${error.message}`));
+            }
+            await sleep(STATUS_CHECK_INTERVAL);
+        }
+
+        return { outcome: OUTCOMES.UNKNOWN, reason: shouldStop() ? 'cancelled' : 'bundle did not land or fail within expected time' };
+    }
+
+    /**
+     * Signs the swap, sends it in a bundle with a tip and waits for the bundle
+     * @param {Object} wallet - Wallet
+     * @param {VersionedTransaction} transaction - Swap transaction
+     * @param {Function} shouldStop - Returns true once the attempt should give up
+     * @param {Object} fees - Estimated fees, { tipLamports }
+     * @param {Object} [signed] - Blockhash and signature if the swap is already signed
+     * @returns {Promise<Object>} Attempt result
+     */
+    async attempt(wallet, transaction, shouldStop, fees, signed = null) {
+        const tipLamports = this.getTipLamports(fees);
+
+        const { blockhash, lastValidBlockHeight, signature } = signed || await signWithFreshBlockhash(wallet, transaction);
+        const tipTransaction = this.buildTipTransaction(wallet, blockhash, tipLamports);
+        const details = {
+            swapTxSignature: signature,
+            tipTxSignature: getSignature(tipTransaction),
+            finalBlockhash: blockhash,
+            landedVia: 'jito'
+        };
+
+        let bundleId;
+        try {
+            devLog(`Sending bundle with blockhash: ${blockhash}`);
+            bundleId = await this.sendBundle([transaction, tipTransaction], shouldStop);
+            updateJournal(transaction, { bundleId, tipLamports });
+        } catch (error) {
+            // The block engine may have taken the bundle before the request failed, so it only counts as dropped
+            // once the swap's blockhash has expired without it landing
+            console.log(formatWarning(`${icons.warning} Could not send the Jito bundle (${error.message}) - waiting to see whether the swap lands`));
+            const outcome = await waitForSignature(wallet.connection, signature, lastValidBlockHeight, shouldStop);
+            return {
+                outcome,
+                reason: error.message,
+                ...details,
+                bundleTipLamports: tipLamports,
+                tipLamports: outcome === OUTCOMES.LANDED ? tipLamports : 0
+            };
+        }
+
+        devLog(`\nWaiting for bundle confirmation...`);
+        const result = await this.waitForBundle(bundleId, shouldStop);
+        const outcome = result.outcome === OUTCOMES.UNKNOWN && !shouldStop() ?
+            await resolveUnconfirmed(wallet.connection, signature, lastValidBlockHeight) :
+            result.outcome;
+
+        return {
+            ...result,
+            ...details,
+            outcome,
+            jitoBundleResult: bundleId,
+            bundleTipLamports: tipLamports,
+            tipLamports: outcome === OUTCOMES.LANDED ? tipLamports : 0
+        };
+    }
+}
+
+/**
+ * Sends the swap straight to the RPC node with a priority fee
+ */
+class RpcStrategy extends SubmissionStrategy {
+    usesPriorityFee() {
+        return true;
+    }
+
+    /**
+     * Sends a signed transaction and rebroadcasts it until it confirms or its blockhash expires
+     * The first send is simulated so a swap that would fail is rejected straight away; any other send error leaves it to the rebroadcasts
+     * @param {Object} connection - RPC connection
+     * @param {VersionedTransaction} transaction - Signed transaction
+     * @param {string} signature - Transaction signature
+     * @param {number} lastValidBlockHeight - Last block height the blockhash is valid for
+     * @param {Function} shouldStop - Returns true once sending should give up
+     * @returns {Promise<Object>} { outcome, reason }
+     */
+    async sendAndConfirm(connection, transaction, signature, lastValidBlockHeight, shouldStop) {
+        const rawTransaction = transaction.serialize();
+
+        try {
+            await connection.sendRawTransaction(rawTransaction, { skipPreflight: false, maxRetries: 0 });
+            devLog(`Swap sent to RPC: ${signature}`);
+        } catch (error) {
+            if (isPreflightRejection(error)) {
+                return { outcome: OUTCOMES.FAILED, reason: `rejected by RPC: ${error.message}` };
+            }
+            // The request failed rather than the transaction, so it may have been broadcast anyway; it is rebroadcast
+            // below and only counts as dropped once its blockhash has expired
+            console.log(formatWarning(`${icons.warning} Could not send the swap to RPC (${error.message}) - rebroadcasting until it lands or expires`));
+        }
+
+        for (let check = 0; check < MAX_CONFIRMATION_CHECKS && !shouldStop(); check++) {
+            await sleep(STATUS_CHECK_INTERVAL);
+
+            try {
+                const status = await getSignatureStatus(connection, signature);
+                if (status?.err) {
+                    return { outcome: OUTCOMES.FAILED, reason: `failed on chain: ${JSON.stringify(status.err)}` };
+                }
+                if (isConfirmed(status)) {
+                    return { outcome: OUTCOMES.LANDED };
+                }
+
+                const blockHeight = await connection.getBlockHeight("confirmed");
+                if (blockHeight > lastValidBlockHeight) {
+                    return { outcome: OUTCOMES.DROPPED, reason: 'blockhash expired' };
+                }
+
+                await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 });
+            } catch (error) {
+                devLog(`Error checking RPC transaction: ${error.message}`);
+            }
+        }
+
+        return { outcome: OUTCOMES.UNKNOWN, reason: shouldStop() ? 'cancelled' : 'transaction did not confirm within expected time' };
+    }
+
+    async attempt(wallet, transaction, shouldStop) {
+        const { blockhash, lastValidBlockHeight, signature } = await signWithFreshBlockhash(wallet, transaction);
+        const result = await this.sendAndConfirm(wallet.connection, transaction, signature, lastValidBlockHeight, shouldStop);
+
+        return {
+            ...result,
+            swapTxSignature: signature,
+            tipTxSignature: null,
+            tipLamports: 0,
+            finalBlockhash: blockhash,
+            landedVia: 'rpc'
+        };
+    }
+}
+
+/**
+ * Sends the same signed swap as a Jito bundle and through the RPC node, and takes whichever lands
+ */
+class RaceStrategy extends SubmissionStrategy {
+    constructor(config = {}) {
+        super(config);
+        this.jito = new JitoBundleStrategy(config);
+        this.rpc = new RpcStrategy(config);
+    }
+
+    usesPriorityFee() {
+        return true;
+    }
+
+    usesJitoTip() {
+        return true;
+    }
+
+    async attempt(wallet, transaction, shouldStop, fees) {
+        const signed = await signWithFreshBlockhash(wallet, transaction);
+        let settled = false;
+        const stopPath = () => settled || shouldStop();
+
+        // Each path resolves with its result and only settles the race once it lands
+        const paths = [
+            this.jito.attempt(wallet, transaction, stopPath, fees, signed)
+                .catch(error => ({ outcome: OUTCOMES.DROPPED, reason: error.message, landedVia: 'jito' })),
+            this.rpc.sendAndConfirm(wallet.connection, transaction, signed.signature, signed.lastValidBlockHeight, stopPath)
+                .then(result => ({ ...result, landedVia: 'rpc' }))
+        ];
+
+        const [jitoResult, rpcResult] = await new Promise(resolve => {
+            const results = [];
+            let pending = paths.length;
+            paths.forEach((path, index) => path.then(result => {
+                results[index] = result;
+                if (result.outcome === OUTCOMES.LANDED) settled = true;
+                if (--pending === 0) resolve(results);
+            }));
+        });
+
+        const details = {
+            swapTxSignature: signed.signature,
+            tipTxSignature: jitoResult.tipTxSignature || null,
+            finalBlockhash: signed.blockhash,
+            jitoBundleResult: jitoResult.jitoBundleResult || null
+        };
+
+        if (jitoResult.outcome === OUTCOMES.LANDED || rpcResult.outcome === OUTCOMES.LANDED) {
+            // The tip was only paid if the bundle itself landed
+            const tipLanded = jitoResult.outcome === OUTCOMES.LANDED || (Boolean(details.jitoBundleResult) &&
+                isConfirmed(await getSignatureStatus(wallet.connection, details.tipTxSignature).catch(() => null)));
+            const tipLamports = tipLanded ? jitoResult.bundleTipLamports : 0;
+
+            devLog(`Race won via ${tipLanded ? 'jito' : 'rpc'}`);
+            return { outcome: OUTCOMES.LANDED, ...details, tipLamports, landedVia: tipLanded ? 'jito' : 'rpc' };
+        }
+
+        // A failure on chain is final; otherwise the swap is only safe to retry once neither path can land it
+        const outcome = rpcResult.outcome === OUTCOMES.FAILED ? OUTCOMES.FAILED :
+            rpcResult.outcome === OUTCOMES.DROPPED ? OUTCOMES.DROPPED :
+            await resolveUnconfirmed(wallet.connection, signed.signature, signed.lastValidBlockHeight);
+
+        return {
+            outcome,
+            reason: [jitoResult.reason && `Jito: ${jitoResult.reason}`, rpcResult.reason && `RPC: ${rpcResult.reason}`].filter(Boolean).join(', '),
+            ...details,
+            tipLamports: 0
+        };
+    }
+}
+
+// ===========================
+// Strategy Registry
+// ===========================
+
+const STRATEGY_TYPES = {
+    JITO: JitoBundleStrategy,
+    RPC: RpcStrategy,
+    RACE: RaceStrategy
+};
+
+/**
+ * Gets the submission configuration from settings, merged over the defaults
+ * JITO_BLOCK_ENGINE_URL and JITO_TIP_FLOOR_URL set in the environment take precedence, like the other endpoints
+ * @param {Object} settings - Settings to read TRANSACTION_SUBMISSION from
+ * @returns {Object} Submission configuration
+ */
+function getSubmissionConfig(settings = readSettings() || {}) {
+    const config = { ...DEFAULT_SUBMISSION_CONFIG, ...(settings.TRANSACTION_SUBMISSION || {}) };
+    return {
+        ...config,
+        JITO_BLOCK_ENGINE_URL: process.env.JITO_BLOCK_ENGINE_URL || config.JITO_BLOCK_ENGINE_URL,
+        JITO_TIP_FLOOR_URL: process.env.JITO_TIP_FLOOR_URL || config.JITO_TIP_FLOOR_URL
+    };
+}
+
+/**
+ * Creates a strategy from its configuration
+ * @param {Object} config - Submission configuration with a STRATEGY
+ * @returns {SubmissionStrategy} Strategy instance
+ */
+function createSubmissionStrategy(config) {
+    const type = String(config.STRATEGY || DEFAULT_SUBMISSION_CONFIG.STRATEGY).toUpperCase();
+    const StrategyClass = STRATEGY_TYPES[type];
+
+    if (!StrategyClass) {
+        throw new Error(`Unknown transaction submission strategy: ${config.STRATEGY}`);
+    }
+
+    return new StrategyClass({ ...config, STRATEGY: type });
+}
+
+/**
+ * Gets the strategy configured in settings
+ * @returns {SubmissionStrategy} Strategy instance
+ */
+function getSubmissionStrategy() {
+    const config = getSubmissionConfig();
+    const cacheKey = JSON.stringify(config);
+
+    if (!strategyCache.has(cacheKey)) {
+        strategyCache.set(cacheKey, createSubmissionStrategy(config));
+        devLog(`Using ${config.STRATEGY} transaction submission`);
+    }
+
+    return strategyCache.get(cacheKey);
+}
+
+// ===========================
+// Submission
+// ===========================
+
+/**
+ * Cancels any pending transaction submission
+ */
+function cancelPendingSubmission() {
+    isSubmissionCancelled = true;
+    devLog('Transaction submission cancelled by user');
+}
+
+/**
+ * Clears the journal entry of a swap that did not land, unless it could still land
+ * @param {string|null} inFlightId - Journal entry ID
+ * @returns {boolean} True if the entry was kept because the swap could still land
+ */
+function settleInFlightSwap(inFlightId) {
+    if (!inFlightId) return false;
+
+    const [entry] = getInFlightSwaps({ id: inFlightId });
+    if (entry && entry.signature && entry.status === SWAP_STATUSES.UNKNOWN) {
+        console.log(formatWarning(`${icons.warning} Swap ${entry.signature} kept in the in-flight journal - it will be checked against the chain on the next start`));
+        return true;
+    }
+    clearInFlightSwap(inFlightId);
+    return false;
+}
+
+/**
+ * Creates the result for a swap that was sent but could not be confirmed
+ * It may still land, so it must not be retried with a new swap; the in-flight journal keeps it for the next start
+ * @param {VersionedTransaction} transaction - Swap transaction
+ * @param {string} [reason] - Why it could not be confirmed
+ * @returns {Object} Skip result (see isSkipResult) with the swap's signature
+ */
+function createUnknownOutcomeResult(transaction, reason) {
+    const signature = getSignature(transaction);
+    return {
+        skipped: true,
+        reason: SKIP_REASONS.UNKNOWN_OUTCOME,
+        direction: null,
+        message: `Swap ${signature} could not be confirmed${reason ? ` (${reason})` : ''} - not retrying in case it lands`,
+        signature
+    };
+}
+
+/**
+ * Submits a swap transaction from Jupiter with the configured strategy
+ * @param {Object} wallet - Wallet with connection, publicKey and payer
+ * @param {string} swapTransaction - Base64 encoded swap transaction
+ * @param {Object} quote - Quote the transaction was built from
+ * @param {Object} [fees] - Estimated fees from feeEstimator, { tipLamports }
+ * @param {Object} [inFlight] - What the swap is for, recorded in the in-flight journal (see recordInFlightSwap)
+ * @returns {Promise<Object|null>} { swapTxSignature, tipTxSignature, tipLamports, finalQuote, strategy, landedVia, inFlightId, ... },
+ *   a skip result with reason UNKNOWN_OUTCOME if it was sent but could not be confirmed, or null if it did not land.
+ *   A landed swap stays in the journal until clearInFlightSwap(inFlightId) is called.
+ */
+async function submitSwapTransaction(wallet, swapTransaction, quote, fees = {}, inFlight = null) {
+    isSubmissionCancelled = false;
+
+    if (isShuttingDown()) {
+        console.log(formatInfo(`${icons.info} Shutting down - swap not sent`));
+        return null;
+    }
+
+    let transaction;
+    try {
+        transaction = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+    } catch (error) {
+        console.error(formatError(`Failed to deserialize transaction: ${error.message}`));
+        return null;
+    }
+
+    const inFlightId = inFlight ? recordInFlightSwap(inFlight) : null;
+    if (inFlightId) {
+        inFlightIds.set(transaction, inFlightId);
+    }
+
+    try {
+        const strategy = getSubmissionStrategy();
+        const result = await strategy.submit(wallet, transaction, fees);
+        if (!result) {
+            settleInFlightSwap(inFlightId);
+            return null;
+        }
+        if (result.outcome === OUTCOMES.UNKNOWN) {
+            settleInFlightSwap(inFlightId);
+            return createUnknownOutcomeResult(transaction, result.reason);
+        }
+
+        // Stays in the journal until the order book has recorded it
+        if (inFlightId) {
+            updateInFlightSwap(inFlightId, { status: SWAP_STATUSES.LANDED });
+        }
+        devLog(`Swap landed via ${result.landedVia} (${result.strategy}, attempt ${result.attempts})`);
+        return { ...result, status: OUTCOMES.LANDED, finalQuote: quote, inFlightId };
+    } catch (error) {
+        console.error(formatError(`Transaction submission failed: ${error.message}`));
+        if (inFlightId) {
+            updateInFlightSwap(inFlightId, { status: SWAP_STATUSES.UNKNOWN });
+            if (settleInFlightSwap(inFlightId)) {
+                return createUnknownOutcomeResult(transaction, error.message);
+            }
+        }
+        return null;
+    }
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    SubmissionStrategy,
+    JitoBundleStrategy,
+    RpcStrategy,
+    RaceStrategy,
+    createSubmissionStrategy,
+    getSubmissionConfig,
+    getSubmissionStrategy,
+    submitSwapTransaction,
+    cancelPendingSubmission,
+    resolveInFlightSwap,
+    DEFAULT_SUBMISSION_CONFIG,
+    OUTCOMES
+};
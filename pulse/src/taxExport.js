@@ -0,0 +1,563 @@
+/**
+ * PulseSurfer Tax Export
+ * Per-disposal ledger of the base token, built from the confirmed fills in the history store
+ *
+ * Buys become lots with a cost basis in the quote token and sells dispose of them by FIFO, LIFO, HIFO
+ * or average cost. Each ledger row is the part of a sell matched to one lot, with its share of the sell's fees.
+ * The platform fee is already taken out of the recorded swap amounts, so it is listed for reference only;
+ * Jito tips and network fees are paid in SOL and are added to the cost of buys and taken off the proceeds of sells.
+ * Tokens already held when recording began form an opening lot valued at the first recorded price.
+ */
+
+// Core dependencies
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const { writeFileAtomic } = require('./storage');
+const { HistoryStore, MODES, HISTORY_DB_PATH, PAPER_HISTORY_DB_PATH } = require('./historyStore');
+const {
+    USER_DIR,
+    getBaseToken,
+    getQuoteToken,
+    parseTimestamp,
+    formatSuccess,
+    formatError,
+    formatWarning,
+    formatInfo,
+    icons
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const EXPORTS_DIR = path.join(USER_DIR, 'exports');
+const LONG_TERM_MS = 365 * 24 * 60 * 60 * 1000;
+
+const COST_BASIS_METHODS = {
+    FIFO: 'FIFO',
+    LIFO: 'LIFO',
+    HIFO: 'HIFO',
+    AVERAGE: 'AVERAGE'
+};
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Fill statuses that mean the swap went through, per export mode
+const CONFIRMED_FILLS = {
+    [MODES.LIVE]: { modes: [MODES.LIVE, MODES.IMPORT], status: 'Success' },
+    [MODES.PAPER]: { modes: [MODES.PAPER], status: 'Paper' },
+    [MODES.BACKTEST]: { modes: [MODES.BACKTEST], status: 'Backtest' }
+};
+
+// Lot sources
+const LOT_SOURCES = {
+    FILL: 'fill',
+    OPENING_BALANCE: 'opening balance',
+    POOL: 'average cost pool',
+    UNMATCHED: 'unmatched'
+};
+
+const CSV_COLUMNS = [
+    ['disposedAt', 'Disposed At'],
+    ['acquiredAt', 'Acquired At'],
+    ['quantity', 'Quantity'],
+    ['proceeds', 'Proceeds'],
+    ['costBasis', 'Cost Basis'],
+    ['gain', 'Gain'],
+    ['term', 'Term'],
+    ['platformFeeBps', 'Platform Fee (bps)'],
+    ['platformFee', 'Platform Fee'],
+    ['jitoTipSol', 'Jito Tip (SOL)'],
+    ['networkFeeSol', 'Network Fee (SOL)'],
+    ['fees', 'Fees'],
+    ['acquisitionSource', 'Acquisition Source'],
+    ['method', 'Method'],
+    ['txId', 'Transaction'],
+    ['orderBookTradeIds', 'Orderbook Trades']
+];
+
+// ===========================
+// Helpers
+// ===========================
+
+/**
+ * Normalises a cost basis method name
+ * @param {string} method - Method name, e.g. "fifo" or "average"
+ * @returns {string|null} Method from COST_BASIS_METHODS or null if unknown
+ */
+function parseCostBasisMethod(method = COST_BASIS_METHODS.FIFO) {
+    const name = String(method).trim().toUpperCase();
+    if (name === 'AVG' || name === 'ACB') return COST_BASIS_METHODS.AVERAGE;
+    return COST_BASIS_METHODS[name] || null;
+}
+
+/**
+ * Gets the start and end of a calendar year in local time
+ * @param {number} year - Year, e.g. 2025
+ * @returns {Object} { from, to } in milliseconds, to being the last millisecond of the year
+ */
+function getYearRange(year) {
+    return {
+        from: new Date(year, 0, 1).getTime(),
+        to: new Date(year + 1, 0, 1).getTime() - 1
+    };
+}
+
+/**
+ * Rounds an amount for the ledger
+ * @param {number} value - Amount
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded amount
+ */
+function round(value, decimals = 9) {
+    return parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Works out the fees of a fill in the quote token
+ * SOL fees can only be converted when SOL is one side of the pair
+ * @param {Object} fill - Fill from the history store
+ * @param {string} baseName - Base token name
+ * @param {string} quoteName - Quote token name
+ * @returns {Object} { platformFeeBps, platformFee, jitoTipSol, networkFeeSol, solFees }
+ */
+function getFillFees(fill, baseName, quoteName) {
+    const jitoTipSol = fill.tipSol || 0;
+    const networkFeeSol = fill.networkFeeSol || 0;
+    const solPrice = baseName === 'SOL' ? fill.price : quoteName === 'SOL' ? 1 : 0;
+
+    // The fee is taken from the output before it reaches the wallet
+    const platformFeeBps = fill.feeBps || 0;
+    const grossOutput = platformFeeBps < 10000 ? fill.outputAmount / (1 - platformFeeBps / 10000) : fill.outputAmount;
+    const outputFee = grossOutput - fill.outputAmount;
+
+    return {
+        platformFeeBps,
+        platformFee: fill.direction === 'buy' ? outputFee * fill.price : outputFee,
+        jitoTipSol,
+        networkFeeSol,
+        solFees: (jitoTipSol + networkFeeSol) * (solPrice || 0)
+    };
+}
+
+/**
+ * Finds the order book trades a fill opened or closed
+ * @param {Array<Object>} trades - Order book trades from the history store
+ * @param {string} txId - Fill transaction ID
+ * @returns {Array<string>} Trade IDs
+ */
+function getLinkedTradeIds(trades, txId) {
+    if (!txId) return [];
+    return trades
+        .filter(trade => trade.id === txId || trade.closeTxId === txId || trade.closeExecution?.signature === txId)
+        .map(trade => trade.id);
+}
+
+/**
+ * Orders the open lots so the lot to dispose of first comes first
+ * @param {Array<Object>} lots - Open lots
+ * @param {string} method - FIFO, LIFO or HIFO
+ * @returns {Array<Object>} Lots in disposal order
+ */
+function orderLots(lots, method) {
+    switch (method) {
+        case COST_BASIS_METHODS.LIFO:
+            return [...lots].sort((a, b) => b.acquiredAt - a.acquiredAt);
+        case COST_BASIS_METHODS.HIFO:
+            return [...lots].sort((a, b) => (b.cost / b.quantity) - (a.cost / a.quantity) || a.acquiredAt - b.acquiredAt);
+        default:
+            return [...lots].sort((a, b) => a.acquiredAt - b.acquiredAt);
+    }
+}
+
+/**
+ * Takes a quantity out of the open lots
+ * With average cost all lots form one pool, so each disposal carries the pool's average cost and no single acquisition date
+ * @param {Array<Object>} lots - Open lots { acquiredAt, quantity, cost, source, txId }, updated in place
+ * @param {number} quantity - Quantity disposed of
+ * @param {string} method - Method from COST_BASIS_METHODS
+ * @returns {Array<Object>} Matched parts { acquiredAt, quantity, costBasis, source }; quantity beyond the lots is unmatched with no cost basis
+ */
+function takeFromLots(lots, quantity, method) {
+    const parts = [];
+    let remaining = quantity;
+
+    if (method === COST_BASIS_METHODS.AVERAGE) {
+        const poolQuantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+        const poolCost = lots.reduce((sum, lot) => sum + lot.cost, 0);
+        const matched = Math.min(remaining, poolQuantity);
+
+        if (matched > 0) {
+            const share = matched / poolQuantity;
+            lots.forEach(lot => {
+                lot.quantity -= lot.quantity * share;
+                lot.cost -= lot.cost * share;
+            });
+            parts.push({ acquiredAt: null, quantity: matched, costBasis: poolCost * share, source: LOT_SOURCES.POOL });
+            remaining -= matched;
+        }
+    } else {
+        for (const lot of orderLots(lots, method)) {
+            if (remaining <= 0) break;
+            if (lot.quantity <= 0) continue;
+
+            const matched = Math.min(remaining, lot.quantity);
+            const costBasis = lot.cost * (matched / lot.quantity);
+            lot.quantity -= matched;
+            lot.cost -= costBasis;
+            remaining -= matched;
+            parts.push({ acquiredAt: lot.acquiredAt, quantity: matched, costBasis, source: lot.source });
+        }
+    }
+
+    // Drop lots that are used up, allowing for floating point dust
+    for (let index = lots.length - 1; index >= 0; index--) {
+        if (lots[index].quantity <= 1e-12) lots.splice(index, 1);
+    }
+
+    if (remaining > 1e-12) {
+        parts.push({ acquiredAt: null, quantity: remaining, costBasis: 0, source: LOT_SOURCES.UNMATCHED });
+    }
+    return parts;
+}
+
+// ===========================
+// Ledger
+// ===========================
+
+/**
+ * Builds the disposal ledger from fills
+ * Every fill up to the end of the range updates the lots, but only sells inside the range appear in the ledger
+ * @param {Array<Object>} fills - Confirmed fills in time order
+ * @param {Object} options - Ledger options
+ * @param {string} options.pair - Pair key, e.g. "SOL/USDC"
+ * @param {string} [options.method] - Method from COST_BASIS_METHODS
+ * @param {Array<Object>} [options.trades] - Order book trades to link disposals to
+ * @param {Object} [options.openingLot] - Tokens held before the first fill { acquiredAt, quantity, cost }
+ * @param {number} [options.from] - Start of the range in milliseconds
+ * @param {number} [options.to] - End of the range in milliseconds
+ * @returns {Object} { disposals, openLots, summary }
+ */
+function buildTaxLedger(fills, { pair, method = COST_BASIS_METHODS.FIFO, trades = [], openingLot = null, from, to } = {}) {
+    const [baseName, quoteName] = pair.split('/');
+    const lots = [];
+    const disposals = [];
+
+    if (openingLot && openingLot.quantity > 0) {
+        lots.push({ ...openingLot, source: LOT_SOURCES.OPENING_BALANCE, txId: null });
+    }
+
+    fills.forEach(fill => {
+        if (typeof to === 'number' && fill.time > to) return;
+        if (!(fill.inputAmount > 0) || !(fill.outputAmount > 0)) return;
+
+        const fees = getFillFees(fill, baseName, quoteName);
+
+        if (fill.direction === 'buy') {
+            lots.push({
+                acquiredAt: fill.time,
+                quantity: fill.outputAmount,
+                cost: fill.inputAmount + fees.solFees,
+                source: LOT_SOURCES.FILL,
+                txId: fill.txId
+            });
+            return;
+        }
+
+        const parts = takeFromLots(lots, fill.inputAmount, method);
+        if (typeof from === 'number' && fill.time < from) return;
+
+        const orderBookTradeIds = getLinkedTradeIds(trades, fill.txId);
+        parts.forEach(part => {
+            const share = part.quantity / fill.inputAmount;
+            const proceeds = (fill.outputAmount - fees.solFees) * share;
+            const heldMs = part.acquiredAt !== null ? fill.time - part.acquiredAt : null;
+
+            disposals.push({
+                disposedAt: fill.time,
+                acquiredAt: part.acquiredAt,
+                quantity: part.quantity,
+                proceeds,
+                costBasis: part.costBasis,
+                gain: proceeds - part.costBasis,
+                term: heldMs === null ? null : heldMs > LONG_TERM_MS ? 'long' : 'short',
+                platformFeeBps: fees.platformFeeBps,
+                platformFee: fees.platformFee * share,
+                jitoTipSol: fees.jitoTipSol * share,
+                networkFeeSol: fees.networkFeeSol * share,
+                fees: fees.solFees * share,
+                acquisitionSource: part.source,
+                method,
+                txId: fill.txId,
+                fillId: fill.id,
+                orderBookTradeIds
+            });
+        });
+    });
+
+    const total = key => disposals.reduce((sum, disposal) => sum + disposal[key], 0);
+    const gainOf = term => disposals.filter(d => d.term === term).reduce((sum, disposal) => sum + disposal.gain, 0);
+
+    return {
+        disposals,
+        openLots: lots.map(({ acquiredAt, quantity, cost, source, txId }) => ({ acquiredAt, quantity, costBasis: cost, source, txId })),
+        summary: {
+            pair,
+            baseToken: baseName,
+            quoteToken: quoteName,
+            method,
+            disposals: disposals.length,
+            quantity: total('quantity'),
+            proceeds: total('proceeds'),
+            costBasis: total('costBasis'),
+            gain: total('gain'),
+            shortTermGain: gainOf('short'),
+            longTermGain: gainOf('long'),
+            platformFees: total('platformFee'),
+            jitoTipsSol: total('jitoTipSol'),
+            networkFeesSol: total('networkFeeSol'),
+            fees: total('fees'),
+            unmatchedQuantity: disposals
+                .filter(d => d.acquisitionSource === LOT_SOURCES.UNMATCHED)
+                .reduce((sum, disposal) => sum + disposal.quantity, 0),
+            openQuantity: lots.reduce((sum, lot) => sum + lot.quantity, 0),
+            openCostBasis: lots.reduce((sum, lot) => sum + lot.cost, 0)
+        }
+    };
+}
+
+/**
+ * Works out the tokens held before the first recorded fill from the earliest balance snapshot
+ * Fills before the snapshot are already in its balance, so they are taken back out
+ * @param {HistoryStore} store - History store
+ * @param {string} pair - Pair key
+ * @param {Array<string>} modes - Fill and snapshot modes to include
+ * @param {Array<Object>} fills - Confirmed fills in time order
+ * @returns {Object|null} Opening lot { acquiredAt, quantity, cost } or null if nothing was held
+ */
+function getOpeningLot(store, pair, modes, fills) {
+    const snapshot = modes
+        .map(mode => store.getBalanceSnapshots({ pair, mode, order: 'asc', limit: 1 })[0])
+        .filter(Boolean)
+        .sort((a, b) => a.time - b.time)[0];
+    if (!snapshot || typeof snapshot.baseBalance !== 'number' || !(snapshot.price > 0)) return null;
+
+    const quantity = fills
+        .filter(fill => fill.time <= snapshot.time)
+        .reduce((balance, fill) => balance + (fill.direction === 'buy' ? -fill.outputAmount : fill.inputAmount), snapshot.baseBalance);
+    if (quantity <= 1e-12) return null;
+
+    const firstTime = fills.length > 0 ? Math.min(fills[0].time, snapshot.time) : snapshot.time;
+    return { acquiredAt: firstTime, quantity, cost: quantity * snapshot.price };
+}
+
+/**
+ * Builds a tax report from the history store
+ * @param {HistoryStore} store - History store
+ * @param {Object} options - Report options
+ * @param {string} options.pair - Pair key, e.g. "SOL/USDC"
+ * @param {string} [options.mode] - live (including imported history), paper or backtest
+ * @param {string} [options.method] - Cost basis method
+ * @param {number} [options.from] - Start of the range in milliseconds
+ * @param {number} [options.to] - End of the range in milliseconds
+ * @returns {Object} { generatedAt, from, to, mode, summary, disposals, openLots }
+ */
+function buildTaxReport(store, { pair, mode = MODES.LIVE, method = COST_BASIS_METHODS.FIFO, from, to } = {}) {
+    const costBasisMethod = parseCostBasisMethod(method);
+    if (!costBasisMethod) {
+        throw new Error(`Unknown cost basis method "${method}" - use ${Object.keys(COST_BASIS_METHODS).join(', ')}`);
+    }
+    const confirmed = CONFIRMED_FILLS[mode];
+    if (!confirmed) {
+        throw new Error(`Unknown mode "${mode}" - use ${Object.keys(CONFIRMED_FILLS).join(', ')}`);
+    }
+
+    const fills = confirmed.modes
+        .flatMap(fillMode => store.getFillHistory({ pair, mode: fillMode, status: confirmed.status }))
+        .sort((a, b) => a.time - b.time || a.id - b.id);
+    const trades = store.getTradeHistory({ pair });
+
+    const ledger = buildTaxLedger(fills, {
+        pair,
+        method: costBasisMethod,
+        trades,
+        openingLot: getOpeningLot(store, pair, confirmed.modes, fills),
+        from,
+        to
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        from: typeof from === 'number' ? new Date(from).toISOString() : null,
+        to: typeof to === 'number' ? new Date(to).toISOString() : null,
+        mode,
+        ...ledger
+    };
+}
+
+// ===========================
+// Formatting
+// ===========================
+
+/**
+ * Formats a tax report as CSV, one row per disposal
+ * @param {Object} report - Report from buildTaxReport
+ * @returns {string} CSV content
+ */
+function formatTaxCSV(report) {
+    const rows = report.disposals.map(disposal => CSV_COLUMNS.map(([key]) => {
+        const value = disposal[key];
+        switch (key) {
+            case 'disposedAt':
+                return new Date(value).toISOString();
+            case 'acquiredAt':
+                if (value !== null) return new Date(value).toISOString();
+                return disposal.acquisitionSource === LOT_SOURCES.POOL ? 'VARIOUS' : '';
+            case 'term':
+                return value || '';
+            case 'orderBookTradeIds':
+                return value.join(';');
+            case 'platformFeeBps':
+            case 'acquisitionSource':
+            case 'method':
+            case 'txId':
+                return value ?? '';
+            default:
+                return round(value);
+        }
+    }));
+
+    return Papa.unparse({ fields: CSV_COLUMNS.map(([, label]) => label), data: rows });
+}
+
+/**
+ * Formats a tax report as JSON with ISO dates
+ * @param {Object} report - Report from buildTaxReport
+ * @returns {string} JSON content
+ */
+function formatTaxJSON(report) {
+    const toISO = time => time !== null ? new Date(time).toISOString() : null;
+    return JSON.stringify({
+        ...report,
+        disposals: report.disposals.map(disposal => ({
+            ...disposal,
+            disposedAt: toISO(disposal.disposedAt),
+            acquiredAt: toISO(disposal.acquiredAt)
+        })),
+        openLots: report.openLots.map(lot => ({ ...lot, acquiredAt: toISO(lot.acquiredAt) }))
+    }, null, 2);
+}
+
+/**
+ * Formats a tax report
+ * @param {Object} report - Report from buildTaxReport
+ * @param {string} format - csv or json
+ * @returns {string} File content
+ */
+function formatTaxReport(report, format = 'csv') {
+    return format === 'json' ? formatTaxJSON(report) : formatTaxCSV(report);
+}
+
+// ===========================
+// Command Line Interface
+// ===========================
+
+/**
+ * Parses tax export command line arguments
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Export options
+ */
+function parseArguments(args) {
+    const getArg = name => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const getTimeArg = name => {
+        const value = getArg(name);
+        if (value === undefined) return undefined;
+        const time = parseTimestamp(value);
+        if (time === null) throw new Error(`Invalid --${name} date "${value}"`);
+        return time;
+    };
+
+    const year = getArg('year') !== undefined ? parseInt(getArg('year')) : undefined;
+    if (year !== undefined && isNaN(year)) throw new Error(`Invalid --year "${getArg('year')}"`);
+    const range = year !== undefined ? getYearRange(year) : {};
+
+    const format = (getArg('format') || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown format "${format}" - use ${EXPORT_FORMATS.join(' or ')}`);
+
+    const mode = getArg('mode') || MODES.LIVE;
+
+    return {
+        pair: getArg('pair') || `${getBaseToken().NAME}/${getQuoteToken().NAME}`,
+        mode,
+        method: getArg('method') || COST_BASIS_METHODS.FIFO,
+        format,
+        from: getTimeArg('from') ?? range.from,
+        to: getTimeArg('to') ?? range.to,
+        year,
+        dbFile: path.resolve(getArg('db') || (mode === MODES.PAPER ? PAPER_HISTORY_DB_PATH : HISTORY_DB_PATH)),
+        outFile: getArg('out')
+    };
+}
+
+/**
+ * Gets the default export path in user/exports
+ * @param {Object} options - Export options from parseArguments
+ * @param {string} method - Cost basis method
+ * @returns {string} Export path
+ */
+function getExportPath({ pair, mode, year, format }, method) {
+    const period = year !== undefined ? year : new Date().toISOString().replace(/[:.]/g, '-');
+    const pairName = pair.replace('/', '_').toLowerCase();
+    return path.join(EXPORTS_DIR, `${pairName}_${mode}_${method.toLowerCase()}_tax_${period}.${format}`);
+}
+
+if (require.main === module) {
+    try {
+        if (process.argv.includes('--help')) {
+            console.log(formatInfo(`${icons.info} Usage: npm run tax-export -- [--method=FIFO|LIFO|HIFO|AVERAGE] [--format=csv|json] [--year=<yyyy>] [--from=<date>] [--to=<date>] [--pair=SOL/USDC] [--mode=live|paper|backtest] [--db=<history.db>] [--out=<file>]`));
+            process.exit(0);
+        }
+
+        const options = parseArguments(process.argv.slice(2));
+        if (!fs.existsSync(options.dbFile)) {
+            throw new Error(`No trade history found at ${options.dbFile}`);
+        }
+
+        const store = new HistoryStore(options.dbFile);
+        const report = buildTaxReport(store, options);
+        store.close();
+
+        const outPath = path.resolve(options.outFile || getExportPath(options, report.summary.method));
+        writeFileAtomic(outPath, formatTaxReport(report, options.format));
+
+        const { summary } = report;
+        console.log(formatInfo(`${icons.info} ${summary.disposals} disposals of ${round(summary.quantity, 6)} ${summary.baseToken} (${summary.method}) - ` +
+            `proceeds ${round(summary.proceeds, 2)} ${summary.quoteToken}, cost basis ${round(summary.costBasis, 2)}, gain ${round(summary.gain, 2)}`));
+        if (summary.unmatchedQuantity > 0) {
+            console.log(formatWarning(`${icons.warning} ${round(summary.unmatchedQuantity, 6)} ${summary.baseToken} sold without a recorded acquisition has a cost basis of 0`));
+        }
+        console.log(formatSuccess(`${icons.success} Tax export saved to ${outPath}`));
+        process.exit(0);
+    } catch (error) {
+        console.error(formatError(`${icons.error} Tax export failed: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    buildTaxLedger,
+    buildTaxReport,
+    formatTaxReport,
+    parseCostBasisMethod,
+    getYearRange,
+    COST_BASIS_METHODS,
+    EXPORT_FORMATS,
+    TAX_MODES: Object.keys(CONFIRMED_FILLS)
+};
@@ -3,13 +3,9 @@
  * Manages FGI timeframe selection and configuration
  */
 
-const fs = require('fs');
-const path = require('path');
 const readline = require('readline');
 const utils = require('./utils');
-
-// Path to the settings file
-const SETTINGS_PATH = path.join(__dirname, '..', '..', 'user', 'settings.json');
+const { readJSON, writeJSON } = require('./storage');
 
 // Available timeframes
 const AVAILABLE_TIMEFRAMES = [
@@ -23,16 +19,7 @@ const AVAILABLE_TIMEFRAMES = [
  * @returns {Object} Settings object
  */
 function readSettings() {
-    try {
-        if (!fs.existsSync(SETTINGS_PATH)) {
-            return {};
-        }
-        const data = fs.readFileSync(SETTINGS_PATH, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(utils.formatError(`${utils.icons.error} Error reading settings: ${error.message}`));
-        return {};
-    }
+    return readJSON(utils.getSettingsPath(), { checksum: false }) || {};
 }
 
 /**
@@ -41,19 +28,7 @@ function readSettings() {
  * @returns {boolean} Success status
  */
 function writeSettings(settings) {
-    try {
-        const settingsDir = path.dirname(SETTINGS_PATH);
-        
-        if (!fs.existsSync(settingsDir)) {
-            fs.mkdirSync(settingsDir, { recursive: true });
-        }
-        
-        fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
-        return true;
-    } catch (error) {
-        console.error(utils.formatError(`${utils.icons.error} Error writing settings: ${error.message}`));
-        return false;
-    }
+    return writeJSON(utils.getSettingsPath(), settings);
 }
 
 /**
@@ -81,9 +56,11 @@ function saveTimeframeSelection(timeframeId) {
         settings.FGI_TIMEFRAME = timeframe.id;
         
         // Write the settings to file
-        fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
+        if (!writeSettings(settings)) {
+            return false;
+        }
         
-        console.log(utils.formatSuccess(`${utils.icons.success} Timeframe configuration saved to ${utils.styles.detail}${SETTINGS_PATH}${utils.colours.reset}`));
+        console.log(utils.formatSuccess(`${utils.icons.success} Timeframe configuration saved to ${utils.styles.detail}${utils.getSettingsPath()}${utils.colours.reset}`));
         
         // Signal timeframe change
         if (oldTimeframe && oldTimeframe !== timeframe.id) {
@@ -7,6 +7,7 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const utils = require('./utils');
+const { readJSON, writeJSON, writeFileAtomic } = require('./storage');
 
 // Define the USDC token as a constant (quote token)
 const USDC_TOKEN = {
@@ -15,6 +16,16 @@ const USDC_TOKEN = {
   DECIMALS: 6
 };
 
+// Quote tokens PulseSurfer can trade against - sentiment prices are in USD, so only USD stablecoins
+const QUOTE_TOKENS = [
+  USDC_TOKEN,
+  {
+    NAME: "USDT",
+    ADDRESS: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB",
+    DECIMALS: 6
+  }
+];
+
 // Path to the tokens configuration file
 const TOKENS_FILE_PATH = path.join(__dirname, 'tokens.json');
 
@@ -121,13 +132,7 @@ function createDefaultTokensFile() {
   ]
   
   try {
-    // Ensure directory exists
-    const dirPath = path.dirname(TOKENS_FILE_PATH);
-    if (!fs.existsSync(dirPath)) {
-      fs.mkdirSync(dirPath, { recursive: true });
-    }
-    
-    fs.writeFileSync(TOKENS_FILE_PATH, JSON.stringify(defaultTokens, null, 2));
+    writeFileAtomic(TOKENS_FILE_PATH, JSON.stringify(defaultTokens, null, 2));
     console.log(utils.formatSuccess(`${utils.icons.success} Created default tokens file at: ${utils.styles.detail}${TOKENS_FILE_PATH}${utils.colours.reset}`));
     return defaultTokens;
   } catch (error) {
@@ -148,6 +153,15 @@ function getTokenById(tokenId) {
   return AVAILABLE_TOKENS.find(t => t.id === tokenId) || null;
 }
 
+/**
+ * Gets quote token by name
+ * @param {string} quoteTokenId - Quote token name, e.g. USDC
+ * @returns {Object|null} Quote token object or null if not supported
+ */
+function getQuoteTokenById(quoteTokenId) {
+  return QUOTE_TOKENS.find(t => t.NAME === String(quoteTokenId).toUpperCase()) || null;
+}
+
 /**
  * Displays an interactive token selection menu with arrow key navigation
  * @returns {Promise<string>} Selected token ID
@@ -250,7 +264,7 @@ async function promptTokenSelection() {
  * @returns {string} Path to settings.json
  */
 function getSettingsPath() {
-  return path.join(__dirname, '..', '..', 'user', 'settings.json');
+  return utils.getSettingsPath();
 }
 
 /**
@@ -258,17 +272,7 @@ function getSettingsPath() {
  * @returns {Object} Settings object
  */
 function readSettings() {
-  try {
-    const settingsPath = getSettingsPath();
-    if (!fs.existsSync(settingsPath)) {
-      return {};
-    }
-    const data = fs.readFileSync(settingsPath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error(utils.formatError(`${utils.icons.error} Error reading settings: ${error.message}`));
-    return {};
-  }
+  return readJSON(getSettingsPath(), { checksum: false }) || {};
 }
 
 /**
@@ -277,28 +281,16 @@ function readSettings() {
  * @returns {boolean} Success status
  */
 function writeSettings(settings) {
-  try {
-    const settingsPath = getSettingsPath();
-    const settingsDir = path.dirname(settingsPath);
-    
-    if (!fs.existsSync(settingsDir)) {
-      fs.mkdirSync(settingsDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
-    return true;
-  } catch (error) {
-    console.error(utils.formatError(`${utils.icons.error} Error writing settings: ${error.message}`));
-    return false;
-  }
+  return writeJSON(getSettingsPath(), settings);
 }
 
 /**
  * Saves token selection to settings
  * @param {string} tokenId - Token identifier
+ * @param {string} [quoteTokenId] - Quote token name (defaults to the current quote token, or USDC)
  * @returns {boolean} Success status
  */
-function saveTokenSelection(tokenId) {
+function saveTokenSelection(tokenId, quoteTokenId = null) {
   console.log(utils.formatInfo(`${utils.icons.settings} Saving token selection: ${utils.styles.important}${tokenId}${utils.colours.reset}`));
   
   // Find the token in AVAILABLE_TOKENS
@@ -311,6 +303,15 @@ function saveTokenSelection(tokenId) {
   try {
     const settings = readSettings();
     
+    // Keep the current quote token unless another one was asked for
+    const quoteToken = quoteTokenId ?
+      getQuoteTokenById(quoteTokenId) :
+      getQuoteTokenById(settings.TRADING_PAIR?.QUOTE_TOKEN?.NAME) || USDC_TOKEN;
+    if (!quoteToken) {
+      console.error(utils.formatError(`${utils.icons.error} Invalid quote token: ${quoteTokenId}. Valid options are: ${QUOTE_TOKENS.map(t => t.NAME).join(', ')}`));
+      return false;
+    }
+    
     // Store old token pair for comparison
     const oldBaseToken = settings.TRADING_PAIR?.BASE_TOKEN?.NAME;
     const oldQuoteToken = settings.TRADING_PAIR?.QUOTE_TOKEN?.NAME;
@@ -323,12 +324,14 @@ function saveTokenSelection(tokenId) {
         DECIMALS: token.DECIMALS,
         FULL_NAME: token.FULL_NAME || token.id
       },
-      QUOTE_TOKEN: USDC_TOKEN
+      QUOTE_TOKEN: quoteToken
     };
     
     // Write the settings to file
     const settingsPath = getSettingsPath();
-    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+    if (!writeSettings(settings)) {
+      return false;
+    }
     
     console.log(utils.formatSuccess(`${utils.icons.success} Token configuration saved to ${utils.styles.detail}${settingsPath}${utils.colours.reset}`));
     
@@ -364,7 +367,8 @@ async function handleTokenSelection(useArrowKeys = true, existingRl = null) {
   const settings = readSettings();
   if (settings.TRADING_PAIR && settings.TRADING_PAIR.BASE_TOKEN && settings.TRADING_PAIR.QUOTE_TOKEN) {
     const baseToken = settings.TRADING_PAIR.BASE_TOKEN;
-    console.log(utils.formatInfo(`\n${utils.icons.trade} Current token pair: ${utils.styles.important}${baseToken.NAME}${utils.colours.reset}/USDC`));
+    const quoteToken = settings.TRADING_PAIR.QUOTE_TOKEN;
+    console.log(utils.formatInfo(`\n${utils.icons.trade} Current token pair: ${utils.styles.important}${baseToken.NAME}${utils.colours.reset}/${quoteToken.NAME}`));
     
     // Create a new readline interface if one wasn't provided
     const rlToUse = existingRl || readline.createInterface({
@@ -406,7 +410,7 @@ async function handleTokenSelection(useArrowKeys = true, existingRl = null) {
           }
         } else {
           // Keep current token
-          console.log(utils.formatSuccess(`\n${utils.icons.success} Continuing with ${utils.styles.important}${baseToken.NAME}${utils.colours.reset}/USDC`));
+          console.log(utils.formatSuccess(`\n${utils.icons.success} Continuing with ${utils.styles.important}${baseToken.NAME}${utils.colours.reset}/${quoteToken.NAME}`));
           resolve(settings.TRADING_PAIR);
         }
       });
@@ -483,6 +487,7 @@ function isTokenConfigured() {
 module.exports = {
   AVAILABLE_TOKENS,
   USDC_TOKEN,
+  QUOTE_TOKENS,
   getSettingsPath,
   readSettings,
   writeSettings,
@@ -491,6 +496,7 @@ module.exports = {
   promptTokenSelection,
   handleTokenSelection,
   getTokenById,
+  getQuoteTokenById,
   getAvailableTokens,
   isTokenConfigured,
   loadTokensFromFile
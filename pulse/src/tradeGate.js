@@ -0,0 +1,243 @@
+/**
+ * PulseSurfer Trade Gate
+ * Enforces TRADE_COOLDOWN_MINUTES and MIN_SENTIMENT_CHANGE between opening trades,
+ * and pauses opening trades while the portfolio is beyond RISK_MANAGEMENT.MAX_DRAWDOWN_PERCENT
+ * Last trade time and FGI are tracked per pair and direction and persisted across restarts
+ */
+
+// Core dependencies
+const path = require('path');
+const { readJSON, writeJSON } = require('./storage');
+const { isFGIChangeSignificant } = require('./api');
+const { readSettings } = require('./pulseServer');
+const {
+    USER_DIR,
+    devLog,
+    formatTime,
+    getBaseToken,
+    getQuoteToken
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const SAVESTATES_DIR = path.join(USER_DIR, 'savestates');
+const SKIP_REASONS = {
+    COOLDOWN: 'cooldownfail',
+    FGI_CHANGE: 'fgichangefail',
+    DRAWDOWN: 'drawdownpause',
+    FEE_BUDGET: 'feebudgetpause',
+    QUOTE_SAFETY: 'quotesafetyfail',
+    SIMULATION: 'simulationfail',
+    UNKNOWN_OUTCOME: 'unknownoutcome'
+};
+
+// Gate state, keyed by gate file so each trading pair keeps its own
+const gateStates = {};
+
+// ===========================
+// Gate State
+// ===========================
+
+/**
+ * Creates an empty gate state
+ * @returns {Object} Gate state { buy, sell } with last trade time and FGI per direction
+ */
+function createGateState() {
+    return {
+        buy: { lastTradeTime: null, lastTradeFGI: null },
+        sell: { lastTradeTime: null, lastTradeFGI: null }
+    };
+}
+
+/**
+ * Gets the path to the gate file based on current token pair
+ * @returns {string} Path to gate file
+ */
+function getGateStatePath() {
+    const baseToken = getBaseToken();
+    const quoteToken = getQuoteToken();
+    return path.join(SAVESTATES_DIR, `${baseToken.NAME.toLowerCase()}_${quoteToken.NAME.toLowerCase()}_tradeGate.json`);
+}
+
+/**
+ * Loads the gate state for the current pair
+ * @returns {Object} Gate state
+ */
+function loadGateState() {
+    const gatePath = getGateStatePath();
+    if (gateStates[gatePath]) {
+        return gateStates[gatePath];
+    }
+
+    const state = createGateState();
+    const saved = readJSON(gatePath);
+    if (saved) {
+        ['buy', 'sell'].forEach(direction => {
+            if (saved[direction]) {
+                state[direction] = { ...state[direction], ...saved[direction] };
+            }
+        });
+        devLog(`Loaded trade gate state from ${gatePath}`);
+    }
+
+    gateStates[gatePath] = state;
+    return state;
+}
+
+/**
+ * Saves the gate state for the current pair
+ * @returns {boolean} Success status
+ */
+function saveGateState() {
+    const gatePath = getGateStatePath();
+    return writeJSON(gatePath, {
+        ...gateStates[gatePath],
+        lastUpdated: new Date().toISOString()
+    });
+}
+
+// ===========================
+// Gate Evaluation
+// ===========================
+
+/**
+ * Evaluates whether an opening trade may go ahead
+ * @param {Object} gateState - Gate state from createGateState
+ * @param {string} direction - 'buy' or 'sell'
+ * @param {number} fearGreedIndex - Current Fear and Greed Index value
+ * @param {Object} settings - Settings to read TRADE_COOLDOWN_MINUTES and MIN_SENTIMENT_CHANGE from
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} Skip result { skipped, reason, direction, message, ... } or null if the trade is allowed
+ */
+function evaluateTradeGate(gateState, direction, fearGreedIndex, settings, now = Date.now()) {
+    const { lastTradeTime, lastTradeFGI } = gateState[direction] || {};
+    if (!lastTradeTime) return null;
+
+    const cooldownMs = (settings.TRADE_COOLDOWN_MINUTES || 0) * 60 * 1000;
+    const elapsedMs = now - lastTradeTime;
+
+    if (cooldownMs > 0 && elapsedMs < cooldownMs) {
+        const remainingMs = cooldownMs - elapsedMs;
+        return {
+            skipped: true,
+            reason: SKIP_REASONS.COOLDOWN,
+            direction,
+            message: `Cooldown active - last ${direction} was ${formatTime(elapsedMs)} ago, ${formatTime(remainingMs)} remaining`,
+            lastTradeTime,
+            lastTradeFGI,
+            remainingMs
+        };
+    }
+
+    const minChange = settings.MIN_SENTIMENT_CHANGE || 0;
+    if (!isFGIChangeSignificant(fearGreedIndex, lastTradeFGI, minChange)) {
+        return {
+            skipped: true,
+            reason: SKIP_REASONS.FGI_CHANGE,
+            direction,
+            message: `FGI change too small - ${fearGreedIndex} vs ${lastTradeFGI} at the last ${direction} (needs ${minChange})`,
+            lastTradeTime,
+            lastTradeFGI,
+            fgiChange: Math.abs(fearGreedIndex - lastTradeFGI),
+            minChange
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Evaluates whether opening trades are paused by RISK_MANAGEMENT.MAX_DRAWDOWN_PERCENT
+ * Trading resumes on its own once the portfolio recovers within the limit
+ * @param {number} drawdownPercent - Current drawdown from the portfolio peak
+ * @param {Object} settings - Settings to read RISK_MANAGEMENT from
+ * @returns {Object|null} Skip result or null if opening trades are allowed
+ */
+function evaluateDrawdownGate(drawdownPercent, settings) {
+    const maxDrawdown = settings.RISK_MANAGEMENT?.MAX_DRAWDOWN_PERCENT || 0;
+    if (maxDrawdown <= 0 || drawdownPercent < maxDrawdown) return null;
+
+    return {
+        skipped: true,
+        reason: SKIP_REASONS.DRAWDOWN,
+        direction: null,
+        message: `Max drawdown reached - portfolio is ${drawdownPercent.toFixed(2)}% below its peak (limit ${maxDrawdown}%), opening trades paused`,
+        drawdownPercent,
+        maxDrawdown
+    };
+}
+
+/**
+ * Records an opening trade in a gate state
+ * @param {Object} gateState - Gate state from createGateState
+ * @param {string} direction - 'buy' or 'sell'
+ * @param {number} fearGreedIndex - Fear and Greed Index value at the trade
+ * @param {number} now - Trade time in milliseconds
+ */
+function recordTradeInGate(gateState, direction, fearGreedIndex, now = Date.now()) {
+    gateState[direction] = {
+        lastTradeTime: now,
+        lastTradeFGI: typeof fearGreedIndex === 'number' ? fearGreedIndex : null
+    };
+}
+
+/**
+ * Checks whether the current pair may open a trade in a direction
+ * @param {string} direction - 'buy' or 'sell'
+ * @param {number} fearGreedIndex - Current Fear and Greed Index value
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} Skip result or null if the trade is allowed
+ */
+function checkTradeGate(direction, fearGreedIndex, now = Date.now()) {
+    const settings = readSettings() || {};
+    return evaluateTradeGate(loadGateState(), direction, fearGreedIndex, settings, now);
+}
+
+/**
+ * Checks whether the current pair's drawdown pauses opening trades
+ * @param {number} drawdownPercent - Current drawdown from the portfolio peak
+ * @returns {Object|null} Skip result or null if opening trades are allowed
+ */
+function checkDrawdownGate(drawdownPercent) {
+    const settings = readSettings() || {};
+    return evaluateDrawdownGate(drawdownPercent, settings);
+}
+
+/**
+ * Records an opening trade for the current pair and persists it
+ * @param {string} direction - 'buy' or 'sell'
+ * @param {number} fearGreedIndex - Fear and Greed Index value at the trade
+ * @param {number} now - Trade time in milliseconds
+ * @returns {boolean} Success status
+ */
+function recordGatedTrade(direction, fearGreedIndex, now = Date.now()) {
+    recordTradeInGate(loadGateState(), direction, fearGreedIndex, now);
+    return saveGateState();
+}
+
+/**
+ * Checks whether a trade result is a skip result from the gate
+ * @param {*} result - Result from executeSwap or executeOpeningTrade
+ * @returns {boolean} True if the trade was skipped by the gate
+ */
+function isSkipResult(result) {
+    return Boolean(result && result.skipped === true);
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    createGateState,
+    evaluateTradeGate,
+    evaluateDrawdownGate,
+    recordTradeInGate,
+    checkTradeGate,
+    checkDrawdownGate,
+    recordGatedTrade,
+    isSkipResult,
+    SKIP_REASONS
+};
@@ -1,19 +1,28 @@
 /**
  * PulseSurfer Trading Module
- * Handles swap execution, bundle creation, and position management
+ * Handles swap execution and position management
  */
 
 // Core dependencies
 const { 
     getQuote, 
     getFeeAccountAndSwapTransaction, 
-    BASE_SWAP_URL, 
     fetchFearGreedIndex, 
-    isFGIChangeSignificant 
+    getPlatformFeeBps
 } = require('./api');
 const { getWallet, getConnection } = require('./globalState');
-const { readSettings } = require('./pulseServer');
+const { readSettings, getPaperTradingMode, getEndpoint } = require('./pulseServer');
+const { simulateSwap, getPaperBalances } = require('./paperTrading');
+const { getAllocatedQuoteBalance, recordQuoteChange, holdQuoteLedger, releaseQuoteLedger } = require('./pairManager');
+const { checkTradeGate, recordGatedTrade, isSkipResult, SKIP_REASONS } = require('./tradeGate');
+const { reconcileSwap } = require('./reconciliation');
+const { checkQuoteSafety } = require('./quoteGuard');
+const { simulateSwapTransaction } = require('./simulation');
+const { submitSwapTransaction, cancelPendingSubmission, getSubmissionStrategy } = require('./submission');
+const { estimateSwapFees, getExecutionFees, recordFeeSpend } = require('./feeEstimator');
+const { getHistoryStore, MODES } = require('./historyStore');
 const { 
+    USER_DIR,
     attemptRPCFailover, 
     devLog, 
     formatTime, 
@@ -46,15 +55,8 @@ const {
     styles,
     colours
 } = require('./utils');
-const { 
-    PublicKey, 
-    VersionedTransaction, 
-    TransactionMessage, 
-    SystemProgram, 
-    TransactionInstruction 
-} = require('@solana/web3.js');
+const { PublicKey } = require('@solana/web3.js');
 const { getAssociatedTokenAddress } = require("@solana/spl-token");
-const bs58 = require('bs58');
 const fetch = require('cross-fetch');
 const fs = require('fs');
 const path = require('path');
@@ -71,36 +73,14 @@ const QUOTE_TOKEN = getQuoteToken();
 
 // Transaction-related constants
 const TRANSACTION_TIMEOUT = 120000; // 2 minutes
-const MAX_BUNDLE_RETRIES = 5;
-const BUNDLE_RETRY_DELAY = 2000; // 2 seconds
-const MAX_BUNDLE_CONFIRMATION_RETRIES = 60; // 2 minutes with 2s intervals
-const STATUS_CHECK_INTERVAL = 2000; // 2 seconds
-const DEFAULT_TIP = 0.0004; // 0.0004 SOL
-
-// Jito MEV configuration
-const JitoBlockEngine = "https://mainnet.block-engine.jito.wtf/api/v1/bundles";
-const TIP_ACCOUNTS = [
-    "96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5",
-    "HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe",
-    "Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY",
-    "ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49",
-    "DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh",
-    "ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt",
-    "DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL",
-    "3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT"
-];
-const maxJitoTip = 0.0004; // Cap for Jito tip
-
-// State tracking
-const lastTradeTime = new Map();
-let isBundleCancelled = false;
+const MIN_USD_VALUE = 1; // Minimum USD value to keep in the wallet
 
 // ===========================
 // Trade Logging
 // ===========================
 
 /**
- * Logs trade execution to CSV file
+ * Logs trade execution to CSV file and records the fill in the history store
  * @param {Object} tradeData - Data about the executed trade
  */
 function logTradeToFile(tradeData) {
@@ -111,9 +91,30 @@ function logTradeToFile(tradeData) {
             outputToken = '',
             inputAmount = 0,
             outputAmount = 0,
-            jitoStatus = 'Unknown'
+            jitoStatus = 'Unknown',
+            feeInBps = null,
+            txId = null,
+            swapMode = null,
+            reconciliation = null
         } = tradeData || {};
 
+        const mode = jitoStatus === 'Paper' ? MODES.PAPER : MODES.LIVE;
+        const historyStore = getHistoryStore(mode);
+        if (historyStore) {
+            historyStore.recordFill({
+                mode,
+                inputToken,
+                outputToken,
+                inputAmount,
+                outputAmount,
+                status: jitoStatus,
+                txId,
+                swapMode,
+                feeBps: feeInBps,
+                reconciliation
+            });
+        }
+
         // Create timestamp
         const now = new Date();
         const timestamp = now.toISOString().replace('T', ' ').slice(0, 19);
@@ -121,8 +122,8 @@ function logTradeToFile(tradeData) {
         // Create CSV line with timestamp
         const csvLine = `${timestamp},${inputToken},${outputToken},${inputAmount},${outputAmount},${jitoStatus}\n`;
 
-        // Get user folder path (two levels up from src directory)
-        const userFolder = path.join(__dirname, '..', '..', 'user');
+        // Get user folder path
+        const userFolder = USER_DIR;
 
         // Create user folder if it doesn't exist
         if (!fs.existsSync(userFolder)) {
@@ -153,6 +154,53 @@ function logTradeToFile(tradeData) {
     }
 }
 
+/**
+ * Logs the realized slippage of a reconciled swap
+ * @param {Object|null} reconciliation - Reconciliation from reconcileSwap
+ */
+function logRealizedSlippage(reconciliation) {
+    if (!reconciliation) return;
+
+    const { slippageBps, slippageAmount, slippageToken, networkFeeSol, tipSol } = reconciliation;
+    const slippageStyle = slippageBps > 0 ? styles.negative : styles.positive;
+    console.log(formatInfo(
+        `${icons.info} Realized slippage: ${slippageStyle}${slippageBps.toFixed(1)} bps (${slippageAmount.toFixed(6)} ${slippageToken})${colours.reset} | ` +
+        `Fees: ${(networkFeeSol + tipSol).toFixed(6)} SOL`
+    ));
+}
+
+/**
+ * Estimates the priority fee and tip for a live swap with the configured submission strategy
+ * @param {Object} wallet - Wallet object
+ * @param {Object} quoteResponse - Jupiter quote for the swap
+ * @param {number} tradeValue - Trade value in the quote token
+ * @param {string|null} sentiment - Market sentiment behind the trade, null when closing
+ * @returns {Promise<Object>} Fee estimate from estimateSwapFees
+ */
+async function estimateFeesForSwap(wallet, quoteResponse, tradeValue, sentiment) {
+    const strategy = getSubmissionStrategy();
+    return estimateSwapFees(wallet.connection, {
+        quote: quoteResponse,
+        tradeValue,
+        sentiment,
+        usesPriorityFee: strategy.usesPriorityFee(),
+        usesJitoTip: strategy.usesJitoTip()
+    });
+}
+
+/**
+ * Works out and records against the fee budgets what a landed swap cost to execute
+ * @param {Object} feeEstimate - Fee estimate the swap was sent with
+ * @param {Object} submissionResult - Landed submission
+ * @param {Object|null} reconciliation - Reconciliation from reconcileSwap
+ * @returns {Object} Execution fees from getExecutionFees
+ */
+function recordSwapExecutionFees(feeEstimate, submissionResult, reconciliation) {
+    const executionFees = getExecutionFees(feeEstimate, submissionResult, reconciliation);
+    recordFeeSpend(executionFees.totalSol);
+    return executionFees;
+}
+
 /**
  * Logs position update details
  * @param {Object} position - Position object
@@ -186,9 +234,11 @@ function logPositionUpdate(position, currentPrice) {
  * @param {number} balance - Available balance
  * @param {string} sentiment - Market sentiment
  * @param {Object} tokenInfo - Token information
+ * @param {Object} settings - Settings to size the trade with (defaults to settings.json)
+ * @param {number} now - Current time in milliseconds, used for STRATEGIC periods
  * @returns {number} Trade amount in token decimal format
  */
-function calculateTradeAmount(balance, sentiment, tokenInfo) {
+function calculateTradeAmount(balance, sentiment, tokenInfo, settings = readSettings(), now = Date.now()) {
     try {
         if (!balance || balance <= 0) {
             console.error(formatError(`Invalid balance: ${balance}`));
@@ -205,7 +255,6 @@ function calculateTradeAmount(balance, sentiment, tokenInfo) {
             return 0;
         }
 
-        const settings = readSettings();
         if (!settings) {
             console.error(formatError('Failed to read settings'));
             return 0;
@@ -234,12 +283,13 @@ function calculateTradeAmount(balance, sentiment, tokenInfo) {
             return Math.floor(rawAmount * (10 ** tokenInfo.DECIMALS));
         } else { // Default to STRATEGIC
             const wallet = getWallet();
-            const { needsNewPeriod, currentBaseSizes } = checkTradingPeriod();
+            const { needsNewPeriod, currentBaseSizes } = checkTradingPeriod(now);
             if (needsNewPeriod) {
                 const baseSizes = setNewTradingPeriod(
                     wallet.baseBalance,
                     wallet.quoteBalance,
-                    STRATEGIC_PERCENTAGE
+                    STRATEGIC_PERCENTAGE,
+                    now
                 );
                 const isBaseToken = tokenInfo.NAME === getBaseToken().NAME;
                 const baseAmount = isBaseToken ? baseSizes.BASE : baseSizes.QUOTE;
@@ -256,378 +306,41 @@ function calculateTradeAmount(balance, sentiment, tokenInfo) {
     }
 }
 
-
-/**
- * Gets a random tip account from the tip accounts list
- * @returns {string} Random tip account public key
- */
-function getRandomTipAccount() {
-    return TIP_ACCOUNTS[Math.floor(Math.random() * TIP_ACCOUNTS.length)];
-}
-
-// ===========================
-// Jito Interactions
-// ===========================
-
-/**
- * Fetches the current Jito tip floor
- * @returns {Promise<number>} Current tip floor
- */
-async function jitoTipCheck() {
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 21000);
-        
-        const response = await fetch('https://bundles.jito.wtf/api/v1/bundles/tip_floor', {
-            signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const data = await response.json();
-
-        if (!Array.isArray(data) || !data[0] || data[0].ema_landed_tips_50th_percentile === null) {
-            throw new Error('Invalid tip floor data structure');
-        }
-
-        const emaPercentile50th = data[0].ema_landed_tips_50th_percentile;
-        devLog('Current Jito tip floor (50th EMA):', emaPercentile50th);
-        return emaPercentile50th;
-
-    } catch (error) {
-        console.error(formatError(`Error fetching Jito tip floor: ${error.message}`));
-        return DEFAULT_TIP; // Return default tip on error
-    }
-}
-
 /**
- * Cancels any pending Jito bundle
- */
-function cancelPendingBundle() {
-    isBundleCancelled = true;
-    devLog('Jito bundle cancelled by user');
-}
-
-/**
- * Sends a bundle to Jito Block Engine
- * @param {Array<VersionedTransaction>} bundletoSend - Array of transactions
- * @returns {Promise<string>} Bundle ID
+ * Verifies if a trade will leave sufficient balance
+ * @param {number} balance - Current balance
+ * @param {number} amount - Trade amount
+ * @param {boolean} isBaseToken - Is base token balance (vs quote token)
+ * @param {number} currentPrice - Current token price
+ * @returns {boolean} - True if balance will be sufficient
  */
-async function sendJitoBundle(bundletoSend) {
-    // Validate input
-    if (!Array.isArray(bundletoSend) || bundletoSend.length === 0) {
-        throw new Error('Invalid bundle input');
-    }
-    
-    let encodedBundle;
+async function minimumBalanceCheck(balance, amount, isBaseToken, currentPrice) {
     try {
-        encodedBundle = bundletoSend.map((tx, index) => {
-            if (!(tx instanceof VersionedTransaction)) {
-                throw new Error(`Transaction at index ${index} is not a VersionedTransaction`);
-            }
-            const serialized = tx.serialize();
-            const encoded = bs58.default.encode(serialized);
-            return encoded;
-        });
-    } catch (error) {
-        console.error(formatError(`Error encoding transactions: ${error.message}`));
-        throw error;
-    }
-
-    const data = {
-        jsonrpc: "2.0",
-        id: 1,
-        method: "sendBundle",
-        params: [encodedBundle]
-    };
-
-    devLog("Sending bundle to Jito Block Engine...");
-
-    let response;
-    for (let i = 0; i <= MAX_BUNDLE_RETRIES; i++) {
-        if (isBundleCancelled) {
-            throw new Error('Bundle cancelled by user');
+        if (typeof balance !== 'number' || isNaN(balance) ||
+            typeof amount !== 'number' || isNaN(amount) ||
+            typeof currentPrice !== 'number' || isNaN(currentPrice)) {
+            console.error(formatError('Invalid inputs for minimum balance check'));
+            return false;
         }
         
-        try {
-            // Add timeout to fetch
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000);
-            
-            response = await fetch(JitoBlockEngine, {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify(data),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-
-            if (response.ok) {
-                break;
-            }
-
-            const responseText = await response.text();
-            devLog(`Response status: ${response.status}`);
-            devLog("Response body:", responseText);
-
-            if (response.status === 400) {
-                console.error(formatError(`Bad Request Error: ${responseText}`));
-                throw new Error(`Bad Request: ${responseText}`);
-            }
-
-            if (response.status === 429) {
-                const waitTime = Math.min(500 * Math.pow(2, i), 5000);
-                const jitter = Math.random() * 0.3 * waitTime;
-                devLog(`Rate limited. Retrying in ${waitTime + jitter}ms...`);
-                await new Promise((resolve) => setTimeout(resolve, waitTime + jitter));
-            } else {
-                throw new Error(`Unexpected response status: ${response.status}`);
-            }
-        } catch (error) {
-            console.error(formatError(`Error on attempt ${i + 1}: ${error.message}`));
-            if (i === MAX_BUNDLE_RETRIES) {
-                console.error(formatError("Max retries exceeded"));
-                throw error;
-            }
-        }
-    }
-
-    if (!response || !response.ok) {
-        throw new Error(`Failed to send bundle after ${MAX_BUNDLE_RETRIES} attempts`);
-    }
-
-    const responseText = await response.text();
-
-    let responseData;
-    try {
-        responseData = JSON.parse(responseText);
-    } catch (error) {
-        console.error(formatError(`Error parsing Jito response: ${error.message}`));
-        throw new Error("Failed to parse Jito response");
-    }
-
-    if (responseData.error) {
-        console.error(formatError(`Jito Block Engine returned an error: ${responseData.error.message}`));
-        throw new Error(`Jito error: ${responseData.error.message}`);
-    }
-
-    const result = responseData.result;
-    if (!result) {
-        console.error(formatError("No result in Jito response"));
-        throw new Error("No result in Jito response");
-    }
-
-    const url = `https://explorer.jito.wtf/bundle/${result}`;
-    devLog(`\nJito Bundle Result: ${url}`);
-
-    return result;
-}
-
-/**
- * Gets the status of an in-flight bundle
- * @param {string} bundleId - Bundle ID
- * @returns {Promise<Object|null>} Bundle status
- */
-async function getInFlightBundleStatus(bundleId) {
-    if (!bundleId) {
-        throw new Error('Invalid bundle ID');
-    }
-    
-    const data = {
-        jsonrpc: "2.0",
-        id: 1,
-        method: "getInflightBundleStatuses",
-        params: [[bundleId]]
-    };
-
-    try {
-        // Add timeout to fetch
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
+        const baseToken = getBaseToken();
+        const quoteToken = getQuoteToken();
         
-        const response = await fetch(JitoBlockEngine, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify(data),
-            signal: controller.signal
-        });
+        const balanceInUSD = isBaseToken ? balance * currentPrice : balance;
+        const amountInUSD = isBaseToken ? amount * currentPrice : amount;
+        const remainingBalanceUSD = balanceInUSD - amountInUSD;
         
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        if (remainingBalanceUSD < MIN_USD_VALUE) {
+            console.log(formatWarning(`${icons.warning} Trade blocked - Would leave ${isBaseToken ? baseToken.NAME : quoteToken.NAME} balance below $${MIN_USD_VALUE}`));
+            return false;
         }
-
-        const responseData = await response.json();
-
-        if (responseData.error) {
-            throw new Error(`Jito API error: ${responseData.error.message}`);
-        }
-
-        const result = responseData.result.value[0];
-        return result || null;
+        return true;
     } catch (error) {
-        console.error(formatError(`Error fetching bundle status: ${error.message}`));
-        throw error;
-    }
-}
-
-/**
- * Waits for a bundle to confirm
- * @param {string} bundleId - Bundle ID
- * @returns {Promise<Object>} Bundle confirmation status
- */
-async function waitForBundleConfirmation(bundleId) {
-    const checkInterval = STATUS_CHECK_INTERVAL;
-    let retries = 0;
-    const maxRetries = MAX_BUNDLE_CONFIRMATION_RETRIES;
-
-    while (retries < maxRetries && !isBundleCancelled) {
-        try {
-            const status = await getInFlightBundleStatus(bundleId);
-
-            if (isBundleCancelled) {
-                devLog('Bundle confirmation cancelled by user');
-                return { status: "Failed", reason: "Bundle cancelled by user" };
-            }
-
-            if (status === null) {
-                devLog("Bundle not found. Continuing to wait...");
-            } else {
-                devLog(`Bundle status: ${status.status}`);
-
-                if (status.status === "Landed" || status.status === "Failed") {
-                    return status;
-                }
-            }
-        } catch (error) {
-            console.error(formatError(`Error fetching bundle status: ${error.message}`));
-        }
-
-        await new Promise(resolve => setTimeout(resolve, checkInterval));
-        retries++;
-    }
-
-    if (isBundleCancelled) {
-        return { status: "Failed", reason: "Bundle cancelled by user" };
+        console.error(formatError(`Error in minimum balance check: ${error.message}`));
+        return false;
     }
-
-    return { status: "Failed", reason: "Bundle did not land or fail within expected time" };
 }
 
-/**
- * Handles Jito bundle creation and submission
- * @param {Object} wallet - Wallet object
- * @param {string} initialSwapTransaction - Encoded swap transaction
- * @param {number} tradeAmount - Trade amount
- * @param {Object} initialQuote - Quote from Jupiter
- * @param {boolean} isBuying - Whether this is a buy trade
- * @returns {Promise<Object|null>} Bundle result or null on failure
- */
-async function handleJitoBundle(wallet, initialSwapTransaction, tradeAmount, initialQuote, isBuying) {
-    isBundleCancelled = false;
-    try {
-        devLog(`\nAttempting to send Jito bundle...`);
-
-        if (isBundleCancelled) {
-            devLog('Bundle cancelled, abandoning transaction...');
-            return null;
-        }
-
-        // Deserialize the transaction
-        let transaction;
-        try {
-            const swapTransactionBuf = Buffer.from(initialSwapTransaction, 'base64');
-            transaction = VersionedTransaction.deserialize(swapTransactionBuf);
-        } catch (error) {
-            console.error(formatError(`Failed to deserialize transaction: ${error.message}`));
-            return null;
-        }
-
-        // Get Jito tip amount
-        let tipValueInSol;
-        try {
-            tipValueInSol = await jitoTipCheck();
-        } catch (error) {
-            tipValueInSol = maxJitoTip; // Fallback to max tip if check fails
-        }
-
-        const limitedTipValueInLamports = Math.floor(
-            Math.min(tipValueInSol, maxJitoTip) * 1_000_000_000 * 1.1
-        );
-
-        devLog(`Jito Fee: ${limitedTipValueInLamports / Math.pow(10, 9)} SOL`);
-
-        if (isBundleCancelled) return null;
-
-        // Get fresh blockhash
-        const { blockhash } = await wallet.connection.getLatestBlockhash("confirmed");
-        devLog(`\nNew Blockhash: ${blockhash}`);
-
-        // Create tip transaction with new blockhash
-        const tipAccount = new PublicKey(getRandomTipAccount());
-        const tipIxn = SystemProgram.transfer({
-            fromPubkey: wallet.publicKey,
-            toPubkey: tipAccount,
-            lamports: limitedTipValueInLamports
-        });
-
-        const messageSub = new TransactionMessage({
-            payerKey: wallet.publicKey,
-            recentBlockhash: blockhash,
-            instructions: [tipIxn]
-        }).compileToV0Message();
-
-        const txSub = new VersionedTransaction(messageSub);
-        transaction.message.recentBlockhash = blockhash;
-
-        //incrementTx.sign([wallet.payer]);
-        txSub.sign([wallet.payer]);
-        transaction.sign([wallet.payer]);
-
-        //const bundleToSend = [transaction, txSub, incrementTx]; (Keep the old one spare)
-        const bundleToSend = [transaction, txSub];
-
-        devLog(`Sending bundle with blockhash: ${blockhash}`);
-        const jitoBundleResult = await sendJitoBundle(bundleToSend);
-
-        const swapTxSignature = bs58.default.encode(transaction.signatures[0]);
-        const tipTxSignature = bs58.default.encode(txSub.signatures[0]);
-
-        if (isBundleCancelled) return null;
-
-        devLog(`\nWaiting for bundle confirmation...`);
-        const confirmationResult = await waitForBundleConfirmation(jitoBundleResult);
-
-        if (confirmationResult.status === "Landed") {
-            devLog(`Bundle landed successfully`);
-            return {
-                jitoBundleResult,
-                swapTxSignature,
-                tipTxSignature,
-                finalQuote: initialQuote,
-                ...confirmationResult,
-                finalBlockhash: blockhash
-            };
-        }
-
-        devLog(`\nBundle failed. Blockhash: ${blockhash}`);
-        return null;
-
-    } catch (error) {
-        console.error(formatError(`Bundle execution failed: ${error.message}`));
-        return null;
-    }
-}
 
 // ===========================
 // Portfolio Management
@@ -684,19 +397,27 @@ async function updatePortfolioBalances(wallet, connection) {
     try {
         const baseToken = getBaseToken();
         const quoteToken = getQuoteToken();
+
+        // Paper trading reads balances from the simulated wallet
+        if (getPaperTradingMode()) {
+            const paperBalances = getPaperBalances();
+            wallet.baseBalance = paperBalances.baseBalance;
+            wallet.quoteBalance = paperBalances.quoteBalance;
+            return paperBalances;
+        }
         
         const baseBalance = await getTokenBalance(connection, wallet.publicKey.toString(), baseToken.ADDRESS);
-        const quoteBalance = await getTokenBalance(connection, wallet.publicKey.toString(), quoteToken.ADDRESS);
+        const walletQuoteBalance = await getTokenBalance(connection, wallet.publicKey.toString(), quoteToken.ADDRESS);
 
         // Check if balances are suspiciously zero - might indicate RPC issue
-        if (baseBalance === 0 && quoteBalance === 0) {
+        if (baseBalance === 0 && walletQuoteBalance === 0) {
             devLog(formatWarning("Warning: Both balances returned as 0, attempting RPC failover..."));
             const failoverSuccess = await attemptRPCFailover(wallet);
 
             if (failoverSuccess) {
                 // Retry with new connection
                 const newBaseBalance = await getTokenBalance(wallet.connection, wallet.publicKey.toString(), baseToken.ADDRESS);
-                const newQuoteBalance = await getTokenBalance(wallet.connection, wallet.publicKey.toString(), quoteToken.ADDRESS);
+                const newQuoteBalance = getAllocatedQuoteBalance(await getTokenBalance(wallet.connection, wallet.publicKey.toString(), quoteToken.ADDRESS));
 
                 // Update wallet properties
                 wallet.baseBalance = newBaseBalance;
@@ -709,6 +430,9 @@ async function updatePortfolioBalances(wallet, connection) {
             }
         }
 
+        // With multiple pairs the quote balance is shared, so each pair only sees its allocation
+        const quoteBalance = getAllocatedQuoteBalance(walletQuoteBalance);
+
         // Update wallet properties
         wallet.baseBalance = baseBalance;
         wallet.quoteBalance = quoteBalance;
@@ -766,6 +490,15 @@ function updatePositionFromSwap(position, swapResult, sentiment, currentPrice) {
         position.logTrade(sentiment, price, baseTokenChange, quoteTokenChange);
         logPositionUpdate(position, currentPrice);
 
+        // Paper wallets are already per pair, so only live swaps move the shared quote allocation;
+        // swaps executed by this session recorded theirs before releasing the ledger
+        if (!swapResult.paperTrade && !swapResult.quoteChangeRecorded) {
+            recordQuoteChange(quoteTokenChange);
+        }
+        if (swapResult.executionFees) {
+            position.recordExecutionFees(swapResult.executionFees);
+        }
+
         const tradeType = baseTokenChange > 0 ? "Bought" : "Sold";
         const tradeAmount = Math.abs(baseTokenChange);
 
@@ -774,7 +507,8 @@ function updatePositionFromSwap(position, swapResult, sentiment, currentPrice) {
             amount: tradeAmount,
             price: price,
             timestamp: new Date().toISOString(),
-            txUrl: `https://solscan.io/tx/${txId}`,
+            txUrl: swapResult.paperTrade ? null : `https://solscan.io/tx/${txId}`,
+            paperTrade: swapResult.paperTrade === true,
             tokenInfo: {
                 baseToken: baseToken.NAME,
                 quoteToken: quoteToken.NAME,
@@ -792,6 +526,52 @@ function updatePositionFromSwap(position, swapResult, sentiment, currentPrice) {
 // Swap Execution
 // ===========================
 
+/**
+ * Calculates the profit-based fee applied when closing a trade
+ * @param {Object} trade - Trade object being closed
+ * @param {number} currentPrice - Current token price
+ * @param {number} exactOutAmountDecimal - Exact output amount in token units
+ * @param {boolean} isOutputBase - Whether the output token is the base token
+ * @returns {number} Profit fee in basis points (10% of profit, capped at 1000)
+ */
+function calculateProfitFeeBps(trade, currentPrice, exactOutAmountDecimal, isOutputBase) {
+    if (!trade || !trade.price || currentPrice === null || currentPrice === undefined) {
+        return 0;
+    }
+
+    // Calculate profit based on trade direction
+    const profit = trade.direction === 'buy' ? 
+        (currentPrice - trade.price) * trade.baseTokenAmount :
+        (trade.price - currentPrice) * trade.baseTokenAmount;
+    
+    devLog(`Trade direction: ${trade.direction}, Entry price: ${trade.price}, Current price: ${currentPrice}`);
+    devLog(`Base token amount: ${trade.baseTokenAmount}, Calculated profit: ${profit}`);
+    
+    // Only apply profit fee if positive
+    if (profit <= 0) {
+        return 0;
+    }
+
+    // Calculate 10% of profit as the fee
+    const profitFee = profit * 0.1;
+    
+    // Calculate the total swap value in quote token
+    const swapValueInQuote = isOutputBase ? exactOutAmountDecimal * currentPrice : exactOutAmountDecimal;
+    
+    // Calculate fee as basis points of swap value
+    let profitFeeBps = Math.round((profitFee / swapValueInQuote) * 10000);
+    
+    devLog(`Profit: ${profit}, Fee: ${profitFee}, Swap Value in Quote: ${swapValueInQuote}, Fee BPS: ${profitFeeBps}`);
+    
+    // Ensure fee doesn't exceed a reasonable limit
+    if (profitFeeBps > 1000) {
+        devLog(`Profit fee BPS capped from ${profitFeeBps} to 1000`);
+        profitFeeBps = 1000;
+    }
+
+    return profitFeeBps;
+}
+
 /**
  * Executes a swap with exact output amount
  * @param {Object} wallet - Wallet object
@@ -800,9 +580,11 @@ function updatePositionFromSwap(position, swapResult, sentiment, currentPrice) {
  * @param {string} inputMint - Input token mint
  * @param {Object} trade - Trade object being closed (optional)
  * @param {number} currentPrice - Current token price (optional)
- * @returns {Promise<Object|null>} Swap result or null on failure
+ * @param {string} closeReason - Why the trade is being closed, recorded in case the bot stops before the order book has it (optional)
+ * @returns {Promise<Object|null>} Swap result, skip result if the swap was sent but could not be confirmed, or null on failure
  */
-async function executeExactOutSwap(wallet, outputMint, exactOutAmount, inputMint, trade = null, currentPrice = null) {
+async function executeExactOutSwap(wallet, outputMint, exactOutAmount, inputMint, trade = null, currentPrice = null, closeReason = null) {
+    let ledgerHeld = false;
     try {
         devLog("Initiating exact out swap");
         const baseToken = getBaseToken();
@@ -826,91 +608,123 @@ async function executeExactOutSwap(wallet, outputMint, exactOutAmount, inputMint
         });
 
         // Calculate profit-based fee if this is closing a trade
-        let profitFeeBps = 0;
-        if (trade && trade.price && currentPrice !== null) {
-            // Calculate profit based on trade direction
-            const profit = trade.direction === 'buy' ? 
-                (currentPrice - trade.price) * trade.baseTokenAmount :
-                (trade.price - currentPrice) * trade.baseTokenAmount;
-            
-            devLog(`Trade direction: ${trade.direction}, Entry price: ${trade.price}, Current price: ${currentPrice}`);
-            devLog(`Base token amount: ${trade.baseTokenAmount}, Calculated profit: ${profit}`);
-            
-            // Only apply profit fee if positive
-            if (profit > 0) {
-                // Calculate 10% of profit as the fee
-                const profitFee = profit * 0.1;
-                
-                // Calculate the total swap value in quote token
-                const isOutputBase = outputMint === baseToken.ADDRESS;
-                const exactOutAmountDecimal = exactOutAmount / (10 ** (isOutputBase ? baseToken.DECIMALS : quoteToken.DECIMALS));
-                const swapValueInQuote = isOutputBase ? exactOutAmountDecimal * currentPrice : exactOutAmountDecimal;
-                
-                // Calculate fee as basis points of swap value
-                profitFeeBps = Math.round((profitFee / swapValueInQuote) * 10000);
-                
-                devLog(`Profit: ${profit}, Fee: ${profitFee}, Swap Value in Quote: ${swapValueInQuote}, Fee BPS: ${profitFeeBps}`);
-                
-                // Ensure fee doesn't exceed a reasonable limit
-                if (profitFeeBps > 1000) {
-                    devLog(`Profit fee BPS capped from ${profitFeeBps} to 1000`);
-                    profitFeeBps = 1000;
-                }
-            }
-        }
+        const isOutputBase = outputMint === baseToken.ADDRESS;
+        const exactOutAmountDecimal = exactOutAmount / (10 ** (isOutputBase ? baseToken.DECIMALS : quoteToken.DECIMALS));
+        const profitFeeBps = calculateProfitFeeBps(trade, currentPrice, exactOutAmountDecimal, isOutputBase);
 
         // Combine fixed fee (1 bps) with profit-based fee
         const totalFeeBps = 1 + profitFeeBps; // 1 bps fixed fee + profit-based fee
         
-        // Build params for Jupiter API
-        const params = new URLSearchParams({
-            inputMint: inputMint,
-            outputMint: outputMint,
-            amount: exactOutAmountFloor.toString(),
-            slippageBps: '50',
-            platformFeeBps: totalFeeBps.toString(), // Updated fee structure
-            onlyDirectRoutes: 'false',
-            asLegacyTransaction: 'false',
-            swapMode: 'ExactOut'
-        });
+        const paperTrade = getPaperTradingMode();
+        let quoteResponse;
+        let submissionResult;
+        let feeEstimate = null;
+
+        if (paperTrade) {
+            // Simulate the fill against the paper wallet instead of sending a transaction
+            const fill = await simulateSwap(inputMint, outputMint, exactOutAmountFloor, 'ExactOut', totalFeeBps);
+            if (!fill) return null;
+
+            quoteResponse = { inAmount: fill.inAmount, outAmount: fill.outAmount };
+            submissionResult = { swapTxSignature: fill.txId, finalQuote: quoteResponse, paperTrade: true };
+        } else {
+            // Build params for Jupiter API
+            const params = new URLSearchParams({
+                inputMint: inputMint,
+                outputMint: outputMint,
+                amount: exactOutAmountFloor.toString(),
+                slippageBps: '50',
+                platformFeeBps: totalFeeBps.toString(), // Updated fee structure
+                onlyDirectRoutes: 'false',
+                asLegacyTransaction: 'false',
+                swapMode: 'ExactOut'
+            });
 
-        const quoteUrl = `${BASE_SWAP_URL}/quote?${params.toString()}`;
-        devLog(quoteUrl);
+            const quoteUrl = `${getEndpoint('JUPITER_API_URL')}/quote?${params.toString()}`;
+            devLog(quoteUrl);
         
-        // Add timeout to fetch
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), TRANSACTION_TIMEOUT);
+            // Add timeout to fetch
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), TRANSACTION_TIMEOUT);
         
-        const response = await fetch(quoteUrl, { signal: controller.signal });
-        clearTimeout(timeoutId);
+            const response = await fetch(quoteUrl, { signal: controller.signal });
+            clearTimeout(timeoutId);
         
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
         
-        const quoteResponse = await response.json();
-
-        // Get fee account and transaction
-        let swapTransaction = await getFeeAccountAndSwapTransaction(
-            new PublicKey("DGQRoyxV4Pi7yLnsVr1sT9YaRWN9WtwwcAiu3cKJsV9p"),
-            new PublicKey(inputMint),
-            quoteResponse,
-            wallet
-        );
-
-        if (!swapTransaction) {
-            devLog('Failed to create swap transaction');
-            return null;
-        }
+            quoteResponse = await response.json();
 
-        console.log(formatInfo(`${icons.wait} Awaiting Confirmation...`));
-        const jitoBundleResult = await handleJitoBundle(wallet, swapTransaction, quoteResponse.inAmount, quoteResponse, inputMint === baseToken.ADDRESS);
+            const rejection = checkQuoteSafety(quoteResponse, { isBuying: isOutputBase, referencePrice: currentPrice });
+            if (rejection) {
+                console.log(formatWarning(`${icons.warning} Quote rejected (${rejection.reason}) - ${rejection.message}`));
+                return null;
+            }
+
+            // Closes go ahead on minimum fees once the fee budget is spent, so positions can still be exited
+            const closeValue = isOutputBase ? quoteResponse.inAmount / (10 ** quoteToken.DECIMALS) : exactOutAmountDecimal;
+            feeEstimate = await estimateFeesForSwap(wallet, quoteResponse, closeValue, null);
+
+            // Get fee account and transaction
+            let swapTransaction = await getFeeAccountAndSwapTransaction(
+                new PublicKey("DGQRoyxV4Pi7yLnsVr1sT9YaRWN9WtwwcAiu3cKJsV9p"),
+                new PublicKey(inputMint),
+                quoteResponse,
+                wallet,
+                { prioritizationFeeLamports: feeEstimate.priorityFeeLamports || undefined }
+            );
+
+            if (!swapTransaction) {
+                devLog('Failed to create swap transaction');
+                return null;
+            }
+
+            const simulationFailure = await simulateSwapTransaction(wallet.connection, swapTransaction);
+            if (simulationFailure) {
+                console.log(formatWarning(`${icons.warning} Swap simulation failed - ${simulationFailure.description} (${simulationFailure.detail})`));
+                return null;
+            }
+
+            console.log(formatInfo(`${icons.wait} Awaiting Confirmation...`));
+            holdQuoteLedger();
+            ledgerHeld = true;
+            submissionResult = await submitSwapTransaction(wallet, swapTransaction, quoteResponse, feeEstimate, trade ? {
+                action: 'close',
+                tradeId: trade.id,
+                closedBaseAmount: trade.baseTokenAmount,
+                closeReason,
+                swap: {
+                    inputMint,
+                    outputMint,
+                    swapMode: 'ExactOut',
+                    expectedInputAmount: quoteResponse.inAmount / (10 ** (isOutputBase ? quoteToken.DECIMALS : baseToken.DECIMALS)),
+                    expectedOutputAmount: exactOutAmountDecimal
+                }
+            } : null);
 
-        if (!jitoBundleResult) return null;
+            // Sent but not confirmed - the in-flight journal resolves it on the next start, so the close is not retried
+            if (isSkipResult(submissionResult)) return { ...submissionResult, direction: isOutputBase ? 'buy' : 'sell' };
+            if (!submissionResult) return null;
+        }
 
         console.log(formatInfo(`${icons.info} Updating Trade Information...`));
-        const inputAmount = quoteResponse.inAmount / (10 ** (inputMint === baseToken.ADDRESS ? baseToken.DECIMALS : quoteToken.DECIMALS));
-        const outputAmount = exactOutAmount / (10 ** (outputMint === baseToken.ADDRESS ? baseToken.DECIMALS : quoteToken.DECIMALS));
+        const quotedInputAmount = quoteResponse.inAmount / (10 ** (inputMint === baseToken.ADDRESS ? baseToken.DECIMALS : quoteToken.DECIMALS));
+        const quotedOutputAmount = exactOutAmount / (10 ** (outputMint === baseToken.ADDRESS ? baseToken.DECIMALS : quoteToken.DECIMALS));
+
+        // Record what actually landed rather than what was quoted
+        const reconciliation = paperTrade ? null : await reconcileSwap(wallet, submissionResult.swapTxSignature, {
+            inputMint,
+            outputMint,
+            swapMode: 'ExactOut',
+            expectedInputAmount: quotedInputAmount,
+            expectedOutputAmount: quotedOutputAmount,
+            tipLamports: submissionResult.tipLamports
+        });
+        const inputAmount = reconciliation ? reconciliation.inputAmount : quotedInputAmount;
+        const outputAmount = reconciliation ? reconciliation.outputAmount : quotedOutputAmount;
+        const executionFees = paperTrade ? null : recordSwapExecutionFees(feeEstimate, submissionResult, reconciliation);
+        logRealizedSlippage(reconciliation);
 
         // Log the trade
         logTradeToFile({
@@ -918,32 +732,43 @@ async function executeExactOutSwap(wallet, outputMint, exactOutAmount, inputMint
             outputToken: outputMint === baseToken.ADDRESS ? baseToken.NAME : quoteToken.NAME,
             inputAmount: inputAmount.toFixed(6),
             outputAmount: outputAmount.toFixed(6),
-            jitoStatus: 'Success',
-            feeInBps: totalFeeBps // Log the fee rate applied
+            jitoStatus: paperTrade ? 'Paper' : 'Success',
+            feeInBps: totalFeeBps, // Log the fee rate applied
+            txId: submissionResult.swapTxSignature,
+            swapMode: 'ExactOut',
+            reconciliation
         });
 
         // Calculate changes in base and quote token amounts
         const baseTokenChange = outputMint === baseToken.ADDRESS ? outputAmount : -inputAmount;
         const quoteTokenChange = outputMint === quoteToken.ADDRESS ? outputAmount : -inputAmount;
         const price = Math.abs(quoteTokenChange / baseTokenChange);
+        if (!paperTrade) {
+            recordQuoteChange(quoteTokenChange);
+        }
 
-        console.log(formatSuccess(`${icons.success} Trade Successful!`));
+        console.log(formatSuccess(`${icons.success} ${paperTrade ? 'Paper Trade' : 'Trade'} Successful!`));
         if (profitFeeBps > 0) {
             console.log(formatInfo(`${icons.profit} Profit fee applied: ${profitFeeBps} bps (10% of profit)`));
         }
         
         return {
-            txId: jitoBundleResult.swapTxSignature,
+            txId: submissionResult.swapTxSignature,
             price,
             baseTokenChange,
             quoteTokenChange,
             appliedFeeBps: totalFeeBps,
-            ...jitoBundleResult
+            reconciliation,
+            executionFees,
+            quoteChangeRecorded: !paperTrade,
+            ...submissionResult
         };
 
     } catch (error) {
         console.error(formatError(`Error executing exact out swap: ${error.message}`));
         return null;
+    } finally {
+        if (ledgerHeld) releaseQuoteLedger();
     }
 }
 
@@ -951,9 +776,11 @@ async function executeExactOutSwap(wallet, outputMint, exactOutAmount, inputMint
  * Executes a swap based on sentiment
  * @param {Object} wallet - Wallet object
  * @param {string} sentiment - Market sentiment
- * @returns {Promise<Object|string|null>} Swap result, failure reason, or null
+ * @param {number} fearGreedIndex - Current Fear and Greed Index value, checked against MIN_SENTIMENT_CHANGE
+ * @param {number} currentPrice - Current token price, which the quote is checked against (optional)
+ * @returns {Promise<Object|null>} Swap result, skip result from the trade gate, quote checks, simulation or an unconfirmed submission, or null
  */
-async function executeSwap(wallet, sentiment) {
+async function executeSwap(wallet, sentiment, fearGreedIndex, currentPrice = null) {
     const settings = readSettings();
     if (!settings) {
         console.error(formatError('Failed to read settings'));
@@ -967,12 +794,22 @@ async function executeSwap(wallet, sentiment) {
     let isBuying;
     let inputMint;
     let outputMint;
+    let ledgerHeld = false;
 
     try {
         devLog("Initiating swap with sentiment:", sentiment);
 
         // Determine trade direction based on sentiment
         isBuying = ["EXTREME_FEAR", "FEAR"].includes(sentiment);
+        const direction = isBuying ? 'buy' : 'sell';
+
+        // Enforce cooldown and minimum sentiment change before doing any work
+        const skipResult = checkTradeGate(direction, fearGreedIndex);
+        if (skipResult) {
+            devLog(`Trade gate skipped ${direction}: ${skipResult.reason}`);
+            return skipResult;
+        }
+
         inputMint = isBuying ? quoteToken.ADDRESS : baseToken.ADDRESS;
         outputMint = isBuying ? baseToken.ADDRESS : quoteToken.ADDRESS;
         const balance = isBuying ? wallet.quoteBalance : wallet.baseBalance;
@@ -987,35 +824,118 @@ async function executeSwap(wallet, sentiment) {
 
         devLog(`Calculated trade amount: ${tradeAmount}`);
 
-        // Get initial quote
-        let quoteResponse = await getQuote(inputMint, outputMint, tradeAmount);
-        if (!quoteResponse) {
-            devLog('Failed to get quote');
-            return null;
-        }
+        const paperTrade = getPaperTradingMode();
+        let submissionResult;
+        let feeEstimate = null;
 
-        // Get transaction
-        let swapTransaction = await getFeeAccountAndSwapTransaction(
-            new PublicKey("DGQRoyxV4Pi7yLnsVr1sT9YaRWN9WtwwcAiu3cKJsV9p"),
-            new PublicKey(inputMint),
-            quoteResponse,
-            wallet
-        );
+        if (paperTrade) {
+            // Simulate the fill against the paper wallet instead of sending a transaction
+            const fill = await simulateSwap(inputMint, outputMint, tradeAmount, 'ExactIn', getPlatformFeeBps(settings));
+            if (!fill) return null;
 
-        if (!swapTransaction) {
-            devLog('Failed to create swap transaction');
-            return null;
-        }
+            submissionResult = { swapTxSignature: fill.txId, finalQuote: { outAmount: fill.outAmount }, paperTrade: true };
+        } else {
+            // Get initial quote
+            let quoteResponse = await getQuote(inputMint, outputMint, tradeAmount);
+            if (!quoteResponse) {
+                devLog('Failed to get quote');
+                return null;
+            }
 
-        console.log(formatInfo(`${icons.wait} Awaiting Confirmation...`));
-        const jitoBundleResult = await handleJitoBundle(wallet, swapTransaction, tradeAmount, quoteResponse, isBuying);
+            const rejection = checkQuoteSafety(quoteResponse, { isBuying, referencePrice: currentPrice });
+            if (rejection) {
+                return {
+                    skipped: true,
+                    reason: SKIP_REASONS.QUOTE_SAFETY,
+                    direction,
+                    message: `Quote rejected (${rejection.reason}) - ${rejection.message}`,
+                    quoteCheck: rejection
+                };
+            }
 
-        if (!jitoBundleResult) return null;
+            // Size the fees to the trade, and hold off opening trades once the fee budget is spent
+            const tradeValue = (isBuying ? tradeAmount : quoteResponse.outAmount) / (10 ** quoteToken.DECIMALS);
+            feeEstimate = await estimateFeesForSwap(wallet, quoteResponse, tradeValue, sentiment);
+            if (feeEstimate.exhausted) {
+                return {
+                    skipped: true,
+                    reason: SKIP_REASONS.FEE_BUDGET,
+                    direction,
+                    message: `Fee budget spent - ${feeEstimate.budget.dailySpentSol.toFixed(6)} SOL today, ` +
+                        `${feeEstimate.budget.monthlySpentSol.toFixed(6)} SOL this month, opening trades paused`,
+                    budget: feeEstimate.budget
+                };
+            }
+
+            // Get transaction
+            let swapTransaction = await getFeeAccountAndSwapTransaction(
+                new PublicKey("DGQRoyxV4Pi7yLnsVr1sT9YaRWN9WtwwcAiu3cKJsV9p"),
+                new PublicKey(inputMint),
+                quoteResponse,
+                wallet,
+                { prioritizationFeeLamports: feeEstimate.priorityFeeLamports || undefined }
+            );
+
+            if (!swapTransaction) {
+                devLog('Failed to create swap transaction');
+                return null;
+            }
+
+            // A swap that would fail again on a new quote is not retried this cycle
+            const simulationFailure = await simulateSwapTransaction(wallet.connection, swapTransaction);
+            if (simulationFailure) {
+                const message = `Swap simulation failed - ${simulationFailure.description} (${simulationFailure.detail})`;
+                if (!simulationFailure.deterministic) {
+                    console.log(formatWarning(`${icons.warning} ${message}`));
+                    return null;
+                }
+                return {
+                    skipped: true,
+                    reason: SKIP_REASONS.SIMULATION,
+                    direction,
+                    message: `${message}, not retrying`,
+                    simulation: simulationFailure
+                };
+            }
+
+            console.log(formatInfo(`${icons.wait} Awaiting Confirmation...`));
+            holdQuoteLedger();
+            ledgerHeld = true;
+            submissionResult = await submitSwapTransaction(wallet, swapTransaction, quoteResponse, feeEstimate, {
+                action: 'open',
+                sentiment,
+                swap: {
+                    inputMint,
+                    outputMint,
+                    swapMode: 'ExactIn',
+                    expectedInputAmount: tradeAmount / (10 ** (isBuying ? quoteToken.DECIMALS : baseToken.DECIMALS)),
+                    expectedOutputAmount: quoteResponse.outAmount / (10 ** (isBuying ? baseToken.DECIMALS : quoteToken.DECIMALS))
+                }
+            });
+
+            // Sent but not confirmed - the in-flight journal resolves it on the next start, so the trade is not retried
+            if (isSkipResult(submissionResult)) return { ...submissionResult, direction };
+            if (!submissionResult) return null;
+        }
 
         console.log(formatInfo(`${icons.info} Updating Trade Information...`));
         // Calculate final amounts for successful trade
-        const inputAmount = tradeAmount / (10 ** (isBuying ? quoteToken.DECIMALS : baseToken.DECIMALS));
-        const outputAmount = jitoBundleResult.finalQuote.outAmount / (10 ** (isBuying ? baseToken.DECIMALS : quoteToken.DECIMALS));
+        const quotedInputAmount = tradeAmount / (10 ** (isBuying ? quoteToken.DECIMALS : baseToken.DECIMALS));
+        const quotedOutputAmount = submissionResult.finalQuote.outAmount / (10 ** (isBuying ? baseToken.DECIMALS : quoteToken.DECIMALS));
+
+        // Record what actually landed rather than what was quoted
+        const reconciliation = paperTrade ? null : await reconcileSwap(wallet, submissionResult.swapTxSignature, {
+            inputMint,
+            outputMint,
+            swapMode: 'ExactIn',
+            expectedInputAmount: quotedInputAmount,
+            expectedOutputAmount: quotedOutputAmount,
+            tipLamports: submissionResult.tipLamports
+        });
+        const inputAmount = reconciliation ? reconciliation.inputAmount : quotedInputAmount;
+        const outputAmount = reconciliation ? reconciliation.outputAmount : quotedOutputAmount;
+        const executionFees = paperTrade ? null : recordSwapExecutionFees(feeEstimate, submissionResult, reconciliation);
+        logRealizedSlippage(reconciliation);
 
         // Log the trade
         logTradeToFile({
@@ -1023,22 +943,32 @@ async function executeSwap(wallet, sentiment) {
             outputToken: isBuying ? baseToken.NAME : quoteToken.NAME,
             inputAmount: inputAmount.toFixed(6),
             outputAmount: outputAmount.toFixed(6),
-            jitoStatus: 'Success'
+            jitoStatus: paperTrade ? 'Paper' : 'Success',
+            feeInBps: getPlatformFeeBps(settings),
+            txId: submissionResult.swapTxSignature,
+            swapMode: 'ExactIn',
+            reconciliation
         });
 
         // Calculate token changes using token-agnostic approach
-        const baseTokenChange = isBuying ? jitoBundleResult.finalQuote.outAmount / (10 ** baseToken.DECIMALS) : -tradeAmount / (10 ** baseToken.DECIMALS);
-        const quoteTokenChange = isBuying ? -tradeAmount / (10 ** quoteToken.DECIMALS) : jitoBundleResult.finalQuote.outAmount / (10 ** quoteToken.DECIMALS);
+        const baseTokenChange = isBuying ? outputAmount : -inputAmount;
+        const quoteTokenChange = isBuying ? -inputAmount : outputAmount;
         const price = Math.abs(quoteTokenChange / baseTokenChange);
+        if (!paperTrade) {
+            recordQuoteChange(quoteTokenChange);
+        }
 
-        console.log(formatSuccess(`${icons.success} Trade Successful!`));
-        lastTradeTime.set(wallet.publicKey.toString(), Date.now());
+        console.log(formatSuccess(`${icons.success} ${paperTrade ? 'Paper Trade' : 'Trade'} Successful!`));
+        recordGatedTrade(direction, fearGreedIndex);
         return {
-            txId: jitoBundleResult.swapTxSignature,
+            txId: submissionResult.swapTxSignature,
             price,
             baseTokenChange,
             quoteTokenChange,
-            ...jitoBundleResult
+            reconciliation,
+            executionFees,
+            quoteChangeRecorded: !paperTrade,
+            ...submissionResult
         };
 
     } catch (error) {
@@ -1053,10 +983,13 @@ async function executeSwap(wallet, sentiment) {
             outputToken: isBuying ? baseToken.NAME : quoteToken.NAME,
             inputAmount: tradeAmount ? (tradeAmount / (10 ** (isBuying ? quoteToken.DECIMALS : baseToken.DECIMALS))).toFixed(6) : '0',
             outputAmount: '0',
-            jitoStatus: 'Failed'
+            jitoStatus: 'Failed',
+            swapMode: 'ExactIn'
         });
 
         return null;
+    } finally {
+        if (ledgerHeld) releaseQuoteLedger();
     }
 }
 
@@ -1081,7 +1014,7 @@ async function resetPosition() {
         const quoteToken = getQuoteToken();
 
         // Cancel any pending transactions
-        cancelPendingBundle();
+        cancelPendingSubmission();
 
         if (!wallet || !connection) {
             throw new Error("Wallet or connection is not initialised in resetPosition");
@@ -1101,7 +1034,7 @@ async function resetPosition() {
         orderBook.saveTrades();
 
         // Get current fear & greed index
-        const fearGreedIndex = await fetchFearGreedIndex();
+        const fearGreedIndex = await fetchFearGreedIndex({ peek: true });
         const { getSentiment } = require('./api');
         const sentiment = getSentiment(fearGreedIndex);
         
@@ -1154,6 +1087,7 @@ async function resetPosition() {
                 totalCycles: 0,
                 totalVolumeBase: 0,
                 totalVolumeQuote: 0,
+                executionFees: position.executionFees,
                 trades: []
             },
             tradingData: initialData,
@@ -1179,13 +1113,13 @@ module.exports = {
     executeExactOutSwap,
     logTradeToFile,
     calculateTradeAmount,
+    calculateProfitFeeBps,
+    minimumBalanceCheck,
     updatePortfolioBalances,
     updatePositionFromSwap,
     logPositionUpdate,
     getTokenBalance,
     resetPosition,
-    handleJitoBundle,
-    cancelPendingBundle,
     // Token-agnostic exports
     BASE_TOKEN,
     QUOTE_TOKEN
@@ -12,17 +12,26 @@ const { Keypair, Connection } = require('@solana/web3.js');
 const { Wallet } = require('@project-serum/anchor');
 const bs58 = require('bs58');
 const csv = require('csv-writer').createObjectCsvWriter;
+const { getPairContext, applyPairSettings } = require('./globalState');
+const { readJSON, writeJSON } = require('./storage');
 
 // ===========================
 // Constants and Configuration
 // ===========================
 
-// File paths
-const USER_DIR = path.join(__dirname, '..', '..', 'user');
+// File paths - the USER_DATA_DIR environment variable moves the user data directory, e.g. to a temporary one for tests
+const USER_DIR = process.env.USER_DATA_DIR ? path.resolve(process.env.USER_DATA_DIR) : path.join(__dirname, '..', '..', 'user');
 const LOG_FILE_PATH = path.join(USER_DIR, 'fgi_log.csv');
-const SETTINGS_PATH = path.join(USER_DIR, 'settings.json');
+const DEFAULT_SETTINGS_PATH = path.join(USER_DIR, 'settings.json');
 const ENV_PATH = path.join(USER_DIR, '.env');
 
+// Solana amounts shared by fee estimation, submission and reconciliation
+const LAMPORTS_PER_SOL = 1_000_000_000;
+const DEFAULT_TIP = 0.0004; // SOL, the Jito tip used when none can be estimated
+
+// Month abbreviations used by getTimestamp and parseTimestamp
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
 // Default settings as fallback
 const DEFAULT_SETTINGS = {
   VERSION: 'Settings Fallback - Contact Support',
@@ -40,16 +49,78 @@ const DEFAULT_SETTINGS = {
     EXTREME_GREED: 0.04
   },
   MIN_PROFIT_PERCENT: 0.2,
+  TRAILING_TAKE_PROFIT_PERCENT: 0,
+  TRADE_MATCHING: {
+    POLICY: "FIFO",
+    MAX_CLOSES_PER_CYCLE: 1,
+    PARTIAL_CLOSES: false,
+    MAX_CLOSE_VALUE: 0
+  },
+  TRADE_COOLDOWN_MINUTES: 30,
+  MIN_SENTIMENT_CHANGE: 5,
+  RISK_MANAGEMENT: {
+    STOP_LOSS_PERCENT: 0,
+    MAX_DRAWDOWN_PERCENT: 0,
+    TRADE_EXPIRY_HOURS: 0
+  },
   TRADE_SIZE_METHOD: "STRATEGIC",
   STRATEGIC_PERCENTAGE: 2.5,
   USER_MONTHLY_COST: 0,
   DEVELOPER_TIP_PERCENTAGE: 0,
-  MONITOR_MODE: false
+  MONITOR_MODE: false,
+  PAIRS: [],
+  SENTIMENT_PROVIDERS: {
+    DEFAULT: { TYPE: "surfsolana" }
+  },
+  LOCAL_FGI: {
+    FALLBACK: true,
+    WEIGHTS: {
+      RSI: 0.35,
+      MOMENTUM: 0.30,
+      VOLATILITY: 0.20,
+      VOLUME: 0.15
+    },
+    RSI_PERIOD: 14,
+    MOMENTUM_PERIOD: 10,
+    VOLATILITY_PERIOD: 10,
+    VOLATILITY_BASELINE_PERIOD: 50,
+    VOLUME_PERIOD: 20
+  },
+  TRANSACTION_SUBMISSION: {
+    STRATEGY: "JITO",
+    MAX_ATTEMPTS: 2,
+    JITO_BLOCK_ENGINE_URL: "https://mainnet.block-engine.jito.wtf/api/v1/bundles",
+    JITO_TIP_FLOOR_URL: "https://bundles.jito.wtf/api/v1/bundles/tip_floor",
+    MAX_JITO_TIP_SOL: 0.0004,
+    MAX_PRIORITY_FEE_LAMPORTS: 1000000,
+    MIN_FEE_PERCENTILE: 25,
+    MAX_FEE_PERCENTILE: 95,
+    URGENT_TRADE_VALUE: 1000,
+    DAILY_FEE_BUDGET_SOL: 0,
+    MONTHLY_FEE_BUDGET_SOL: 0
+  },
+  QUOTE_SAFETY: {
+    MAX_PRICE_IMPACT_PCT: 1,
+    MAX_ROUTE_HOPS: 3,
+    MAX_PRICE_DEVIATION_PCT: 2,
+    MAX_EFFECTIVE_DEVIATION_PCT: 3
+  },
+  ENDPOINTS: {
+    JUPITER_API_URL: "https://quote-api.jup.ag/v6",
+    SURFSOLANA_API_URL: "https://api.surfsolana.com"
+  },
+  PAPER_TRADING: false,
+  PAPER_TRADING_CONFIG: {
+    INITIAL_BASE_BALANCE: 0,
+    INITIAL_QUOTE_BALANCE: 1000,
+    SLIPPAGE_BPS: 10,
+    FEE_BPS: 25
+  }
 };
 
 // Trading state
 let DEVELOPER_MODE = false;
-let tradingPeriodState = {
+let defaultTradingPeriodState = {
   startTime: null,
   baseTradeSizes: {
     BASE: null,
@@ -477,16 +548,15 @@ function formatTokenAmount(amount, token) {
 
 /**
  * Gets a formatted timestamp string
+ * @param {Date} now - Time to format, the current time by default
  * @returns {string} Formatted timestamp
  */
-function getTimestamp() {
-  const now = new Date();
+function getTimestamp(now = new Date()) {
   const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
 
   const weekday = days[now.getDay()];
   const day = String(now.getDate()).padStart(2, '0');
-  const month = months[now.getMonth()];
+  const month = MONTHS[now.getMonth()];
   const hours = String(now.getHours()).padStart(2, '0');
   const minutes = String(now.getMinutes()).padStart(2, '0');
   const seconds = String(now.getSeconds()).padStart(2, '0');
@@ -494,6 +564,55 @@ function getTimestamp() {
   return `${weekday}, ${day}/${month}, ${hours}:${minutes}:${seconds}`;
 }
 
+/**
+ * Parses a timestamp into milliseconds
+ * Supports ISO strings, epoch seconds/milliseconds and the getTimestamp format ("Mon, 05/JAN, 14:30:00")
+ * @param {string} value - Raw timestamp value
+ * @param {number} year - Year to use for timestamps that do not include one
+ * @returns {number|null} Timestamp in milliseconds or null if unparseable
+ */
+function parseTimestamp(value, year = new Date().getFullYear()) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+
+  // Epoch seconds or milliseconds
+  if (/^\d+(\.\d+)?$/.test(raw)) {
+    const numeric = parseFloat(raw);
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+
+  // getTimestamp format: "Mon, 05/JAN, 14:30:00"
+  const match = raw.match(/^\w{3},\s*(\d{1,2})\/([A-Z]{3}),\s*(\d{2}):(\d{2}):(\d{2})$/i);
+  if (match) {
+    const [, day, month, hours, minutes, seconds] = match;
+    const monthIndex = MONTHS.indexOf(month.toUpperCase());
+    if (monthIndex === -1) return null;
+    return new Date(year, monthIndex, parseInt(day), parseInt(hours), parseInt(minutes), parseInt(seconds)).getTime();
+  }
+
+  const parsed = Date.parse(raw);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Converts a timestamp in any of the formats the bot has written into milliseconds
+ * Timestamps without a year (getTimestamp) are placed in the last 12 months
+ * @param {number|string|Date|null} value - Timestamp
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Time in milliseconds or null if unparseable
+ */
+function resolveTimestamp(value, now = Date.now()) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+
+  const time = parseTimestamp(value, new Date(now).getFullYear());
+  if (time !== null && time > now + 24 * 60 * 60 * 1000) {
+    return parseTimestamp(value, new Date(now).getFullYear() - 1);
+  }
+  return time;
+}
+
 /**
  * Convert FGI timeframe to milliseconds for scheduling
  * @param {string} timeframe - Timeframe string (15m, 1h, 4h)
@@ -661,18 +780,29 @@ function getVersion() {
 // Settings Management Functions
 // ===========================
 
+/**
+ * Gets the path to the settings file
+ * The SETTINGS_FILE environment variable points every module at another file, e.g. one mounted into a container
+ * @returns {string} Path to settings.json
+ */
+function getSettingsPath() {
+  return process.env.SETTINGS_FILE ? path.resolve(process.env.SETTINGS_FILE) : DEFAULT_SETTINGS_PATH;
+}
+
 /**
  * Ensures settings file exists
  * @returns {boolean} Success status
  */
 function ensureSettingsFile() {
   try {
-    if (!fs.existsSync(USER_DIR)) {
-      fs.mkdirSync(USER_DIR, { recursive: true });
+    const settingsPath = getSettingsPath();
+    const settingsDir = path.dirname(settingsPath);
+    if (!fs.existsSync(settingsDir)) {
+      fs.mkdirSync(settingsDir, { recursive: true });
     }
     
-    if (!fs.existsSync(SETTINGS_PATH)) {
-      fs.writeFileSync(SETTINGS_PATH, JSON.stringify(DEFAULT_SETTINGS, null, 2));
+    if (!fs.existsSync(settingsPath)) {
+      if (!writeJSON(settingsPath, DEFAULT_SETTINGS)) return false;
       console.log(formatSuccess('Created default settings file.'));
     }
     return true;
@@ -688,17 +818,8 @@ function ensureSettingsFile() {
  */
 function readSettings() {
   ensureSettingsFile();
-  try {
-    if (!fs.existsSync(SETTINGS_PATH)) {
-      return DEFAULT_SETTINGS;
-    }
-    
-    const settingsData = fs.readFileSync(SETTINGS_PATH, 'utf8');
-    return JSON.parse(settingsData);
-  } catch (error) {
-    console.error(formatError(`Error reading settings.json: ${error.message}`));
-    return DEFAULT_SETTINGS;
-  }
+  const settings = readJSON(getSettingsPath(), { checksum: false });
+  return settings ? applyPairSettings(settings) : DEFAULT_SETTINGS;
 }
 
 /**
@@ -707,18 +828,12 @@ function readSettings() {
  * @returns {boolean} Success status
  */
 function writeSettings(settings) {
-  try {
-    if (!fs.existsSync(USER_DIR)) {
-      fs.mkdirSync(USER_DIR, { recursive: true });
-    }
-    
-    fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
-    console.log(formatSuccess('Settings updated successfully.'));
-    return true;
-  } catch (error) {
-    console.error(formatError(`Error writing settings.json: ${error.message}`));
+  if (!writeJSON(getSettingsPath(), settings)) {
     return false;
   }
+
+  console.log(formatSuccess('Settings updated successfully.'));
+  return true;
 }
 
 /**
@@ -733,6 +848,7 @@ function updateSettings(newParams) {
   // Validate values
   updatedSettings.DEVELOPER_TIP_PERCENTAGE = Math.max(0, updatedSettings.DEVELOPER_TIP_PERCENTAGE);
   updatedSettings.MONITOR_MODE = updatedSettings.MONITOR_MODE === true;
+  updatedSettings.PAPER_TRADING = updatedSettings.PAPER_TRADING === true;
 
   writeSettings(updatedSettings);
   return updatedSettings;
@@ -742,13 +858,36 @@ function updateSettings(newParams) {
 // Trading Period Management
 // ===========================
 
+/**
+ * Gets the trading period state for the current trading pair
+ * @returns {Object} Trading period state
+ */
+function getTradingPeriodState() {
+  const context = getPairContext();
+  return context ? context.tradingPeriodState : defaultTradingPeriodState;
+}
+
+/**
+ * Replaces the trading period state for the current trading pair
+ * @param {Object} state - New trading period state
+ */
+function setTradingPeriodState(state) {
+  const context = getPairContext();
+  if (context) {
+    context.tradingPeriodState = state;
+  } else {
+    defaultTradingPeriodState = state;
+  }
+}
+
 /**
  * Checks if a new trading period is needed
+ * @param {number} now - Current time in milliseconds (defaults to the system clock)
  * @returns {Object} Trading period status
  */
-function checkTradingPeriod() {
-  const now = Date.now();
-  
+function checkTradingPeriod(now = Date.now()) {
+  const tradingPeriodState = getTradingPeriodState();
+
   // Check if we need to start a new period
   if (!tradingPeriodState.startTime || 
       now - tradingPeriodState.startTime >= 24 * 60 * 60 * 1000) {
@@ -769,9 +908,10 @@ function checkTradingPeriod() {
  * @param {number} baseBalance - Current base balance
  * @param {number} quoteBalance - Current quote balance
  * @param {number} strategicPercentage - Strategic percentage for sizing
+ * @param {number} now - Period start time in milliseconds (defaults to the system clock)
  * @returns {Object} Base trade sizes
  */
-function setNewTradingPeriod(baseBalance, quoteBalance, strategicPercentage) {
+function setNewTradingPeriod(baseBalance, quoteBalance, strategicPercentage, now = Date.now()) {
   // Validate inputs
   if (typeof baseBalance !== 'number' || isNaN(baseBalance) || baseBalance < 0) {
     console.error(formatError(`Invalid base token balance: ${baseBalance}`));
@@ -791,13 +931,14 @@ function setNewTradingPeriod(baseBalance, quoteBalance, strategicPercentage) {
   const baseBase = baseBalance * (strategicPercentage / 100);
   const baseQUOTE = quoteBalance * (strategicPercentage / 100);
   
-  tradingPeriodState = {
-    startTime: Date.now(),
+  const tradingPeriodState = {
+    startTime: now,
     baseTradeSizes: {
       BASE: baseBase,
       QUOTE: baseQUOTE
     }
   };
+  setTradingPeriodState(tradingPeriodState);
   
   const baseToken = getBaseToken();
   const quoteToken = getQuoteToken();
@@ -810,9 +951,11 @@ function setNewTradingPeriod(baseBalance, quoteBalance, strategicPercentage) {
 
 /**
  * Gets information about the current trading period
+ * @param {number} now - Current time in milliseconds (defaults to the system clock)
  * @returns {Object} Trading period info
  */
-function getCurrentPeriodInfo() {
+function getCurrentPeriodInfo(now = Date.now()) {
+  const tradingPeriodState = getTradingPeriodState();
   if (!tradingPeriodState.startTime) {
     return {
       active: false,
@@ -820,7 +963,6 @@ function getCurrentPeriodInfo() {
     };
   }
 
-  const now = Date.now();
   const elapsedHours = (now - tradingPeriodState.startTime) / (1000 * 60 * 60);
   const remainingHours = 24 - elapsedHours;
 
@@ -837,13 +979,13 @@ function getCurrentPeriodInfo() {
  * Resets the current trading period
  */
 function resetTradingPeriod() {
-  tradingPeriodState = {
+  setTradingPeriodState({
     startTime: null,
     baseTradeSizes: {
       BASE: null,
       QUOTE: null
     }
-  };
+  });
   console.log(formatInfo(`${icons.settings} Trading period has been reset`));
 }
 
@@ -851,12 +993,47 @@ function resetTradingPeriod() {
 // Environment and Connection Management
 // ===========================
 
+/**
+ * Checks whether an environment variable is set to true, 1 or yes
+ * @param {string} name - Environment variable name
+ * @returns {boolean} Whether the variable is enabled
+ */
+function isEnvEnabled(name) {
+  return ['true', '1', 'yes'].includes(String(process.env[name] || '').trim().toLowerCase());
+}
+
+/**
+ * Checks whether PulseSurfer runs without a terminal to answer prompts (HEADLESS=true or no TTY, e.g. systemd or Docker)
+ * @returns {boolean} Headless status
+ */
+function isHeadless() {
+  return isEnvEnabled('HEADLESS') || !process.stdin.isTTY;
+}
+
+/**
+ * Checks whether confirmation prompts should be answered automatically (AUTO_CONFIRM=true or headless)
+ * Startup confirmations are accepted, settings upgrades keep the existing settings, inserting any missing ones,
+ * and wallet reconciliation findings are left for the dashboard
+ * @returns {boolean} Auto-confirm status
+ */
+function isAutoConfirm() {
+  return isEnvEnabled('AUTO_CONFIRM') || isHeadless();
+}
+
+/**
+ * Checks whether the wallet and RPC are configured, either in the .env file or in the environment itself
+ * @returns {boolean} Whether the environment is configured
+ */
+function hasEnvironment() {
+  return fs.existsSync(ENV_PATH) || !!(process.env.PRIMARY_RPC && process.env.PRIVATE_KEY);
+}
+
 /**
  * Creates environment file if it doesn't exist
  */
 function setupEnvFile() {
   try {
-    if (!fs.existsSync(ENV_PATH)) {
+    if (!hasEnvironment()) {
       console.log(formatInfo(`${icons.settings} .env file not found. Creating a new one...`));
 
       const envContent = `PRIMARY_RPC=
@@ -1037,6 +1214,8 @@ module.exports = {
 
   // Time management
   getTimestamp,
+  parseTimestamp,
+  resolveTimestamp,
   timeframeToMilliseconds,
   formatTime,
   getNextIntervalTime,
@@ -1046,10 +1225,18 @@ module.exports = {
   getLocalIpAddress,
   getVersion,
   
+  // File paths
+  USER_DIR,
+
+  // Solana amounts
+  LAMPORTS_PER_SOL,
+  DEFAULT_TIP,
+
   // Settings management
   updateSettings,
   readSettings,
   writeSettings,
+  getSettingsPath,
   
   // Trading period management
   checkTradingPeriod,
@@ -1063,6 +1250,10 @@ module.exports = {
   setDeveloperMode,
   
   // Environment and connection
+  isEnvEnabled,
+  isHeadless,
+  isAutoConfirm,
+  hasEnvironment,
   setupEnvFile,
   loadEnvironment,
   attemptRPCFailover,
@@ -0,0 +1,261 @@
+/**
+ * PulseSurfer Wallet Reconciliation
+ * Checks the order book of a pair against the wallet's transaction history
+ *
+ * The order book can fall out of step with the wallet in two ways:
+ * - a swap of the pair landed but was never recorded, because the bot crashed before recording it
+ *   or the pair was traded by hand from the same wallet
+ * - a trade was recorded but its opening transaction never reached the chain
+ * The scan reports both; importing the missing swaps and voiding the trades is left to the caller.
+ * Trades whose transaction the RPC has no record of at all are reported as unverified rather than
+ * orphaned, since most RPC nodes only keep recent history.
+ */
+
+// Core dependencies
+const { fetchConfirmedTransaction, getTokenChange } = require('./reconciliation');
+const {
+    devLog,
+    getBaseToken,
+    getQuoteToken
+} = require('./utils');
+
+// ===========================
+// Constants and Configuration
+// ===========================
+
+const WALLET_SCAN_LIMIT = 100; // Recent wallet signatures checked for swaps of the pair
+const SIGNATURE_STATUS_BATCH = 256; // Most signatures getSignatureStatuses accepts in one request
+const SIGNATURE_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{64,88}$/; // Base58 transaction signature, which paper trade IDs are not
+
+// ===========================
+// Order Book Signatures
+// ===========================
+
+/**
+ * Checks whether a trade ID is a transaction signature
+ * @param {string} id - Trade ID
+ * @returns {boolean} True for live trades, false for paper trades and split parts
+ */
+function isTransactionSignature(id) {
+    return typeof id === 'string' && SIGNATURE_PATTERN.test(id);
+}
+
+/**
+ * Gets the signature of the swap that opened a trade; split parts share their parent's
+ * @param {Object} trade - Order book trade
+ * @returns {string} Opening signature
+ */
+function getOpeningSignature(trade) {
+    return trade.parentId || trade.id;
+}
+
+/**
+ * Collects every swap signature the order book already accounts for
+ * @param {Array<Object>} trades - Order book trades
+ * @returns {Set<string>} Opening and closing signatures
+ */
+function getKnownSignatures(trades) {
+    const signatures = new Set();
+
+    trades.forEach(trade => {
+        [getOpeningSignature(trade), trade.openExecution?.signature, trade.closeExecution?.signature, trade.closeTxId]
+            .filter(Boolean)
+            .forEach(signature => signatures.add(signature));
+    });
+
+    return signatures;
+}
+
+// ===========================
+// Wallet History
+// ===========================
+
+/**
+ * Reads a transaction as a swap of the current pair
+ * @param {Object} transaction - Transaction from getTransaction
+ * @param {string} owner - Wallet address
+ * @returns {Object|null} { direction, price, baseTokenChange, quoteTokenChange } or null if it is not a swap of the pair
+ */
+function readPairSwap(transaction, owner) {
+    const baseTokenChange = getTokenChange(transaction, owner, getBaseToken());
+    const quoteTokenChange = getTokenChange(transaction, owner, getQuoteToken());
+
+    // A swap of the pair spends one token and receives the other; transfers and tips only move one
+    if (baseTokenChange === 0 || quoteTokenChange === 0 || Math.sign(baseTokenChange) === Math.sign(quoteTokenChange)) {
+        return null;
+    }
+
+    return {
+        direction: baseTokenChange > 0 ? 'buy' : 'sell',
+        price: Math.abs(quoteTokenChange / baseTokenChange),
+        baseTokenChange,
+        quoteTokenChange
+    };
+}
+
+/**
+ * Finds swaps of the pair in the wallet's recent transactions that the order book does not have
+ * @param {Object} wallet - Wallet with connection and publicKey
+ * @param {Set<string>} knownSignatures - Signatures the order book already accounts for
+ * @param {number} since - Only check transactions from this time on (ms)
+ * @param {number} limit - Most recent signatures to check
+ * @returns {Promise<Object>} { missingSwaps, complete } where complete is false if the limit cut the scan short of since
+ */
+async function findMissingSwaps(wallet, knownSignatures, since, limit) {
+    const owner = wallet.publicKey.toString();
+    const signatures = await wallet.connection.getSignaturesForAddress(wallet.publicKey, { limit });
+    const missingSwaps = [];
+
+    const candidates = signatures.filter(info =>
+        !info.err &&
+        typeof info.blockTime === 'number' &&
+        info.blockTime * 1000 >= since &&
+        !knownSignatures.has(info.signature));
+
+    for (const info of candidates) {
+        const transaction = await fetchConfirmedTransaction(wallet.connection, info.signature);
+        if (!transaction || transaction.meta.err) {
+            devLog(`Skipping wallet transaction ${info.signature}: not available or failed`);
+            continue;
+        }
+
+        const swap = readPairSwap(transaction, owner);
+        if (swap) {
+            missingSwaps.push({ signature: info.signature, time: info.blockTime * 1000, ...swap });
+        }
+    }
+
+    const oldest = signatures[signatures.length - 1];
+    const complete = signatures.length < limit || !oldest || (oldest.blockTime || 0) * 1000 < since;
+
+    // Oldest first, the order they would have been recorded in
+    return { missingSwaps: missingSwaps.sort((a, b) => a.time - b.time), complete };
+}
+
+/**
+ * Looks up a transaction that getSignatureStatuses has no status for
+ * The status cache only covers recent slots on many RPC nodes, so getTransaction is asked before giving up
+ * @param {Object} connection - RPC connection
+ * @param {string} signature - Transaction signature
+ * @returns {Promise<boolean|null>} True if it landed, false if it failed, null if the RPC has no record of it
+ */
+async function lookUpTransaction(connection, signature) {
+    try {
+        const transaction = await connection.getTransaction(signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+        });
+        if (!transaction || !transaction.meta) return null;
+        return !transaction.meta.err;
+    } catch (error) {
+        devLog(`Error fetching transaction ${signature}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Describes the order book trades opened by one swap
+ * @param {string} signature - Opening signature
+ * @param {Array<Object>} liveTrades - Order book trades opened by live swaps
+ * @returns {Object} { signature, tradeIds, direction, price, baseTokenAmount, quoteTokenValue, timestamp }
+ */
+function describeOpeningSwap(signature, liveTrades) {
+    const parts = liveTrades.filter(trade => getOpeningSignature(trade) === signature);
+    const opening = parts.find(trade => trade.id === signature) || parts[0];
+
+    return {
+        signature,
+        tradeIds: parts.map(trade => trade.id),
+        direction: opening.direction,
+        price: opening.price,
+        baseTokenAmount: parts.reduce((sum, trade) => sum + trade.baseTokenAmount, 0),
+        quoteTokenValue: parts.reduce((sum, trade) => sum + trade.quoteTokenValue, 0),
+        timestamp: opening.timestamp
+    };
+}
+
+/**
+ * Finds order book trades whose opening transaction failed or cannot be found on chain
+ * @param {Object} connection - RPC connection
+ * @param {Array<Object>} trades - Order book trades
+ * @returns {Promise<Object>} { orphanedTrades, unverifiedTrades }: trades whose transaction failed, and trades whose
+ *   transaction the RPC has no record of, with one entry per opening swap as from describeOpeningSwap
+ */
+async function findOrphanedTrades(connection, trades) {
+    const liveTrades = trades.filter(trade => trade.status !== 'void' && isTransactionSignature(getOpeningSignature(trade)));
+    const signatures = [...new Set(liveTrades.map(getOpeningSignature))];
+    const failed = [];
+    const unknown = [];
+
+    for (let index = 0; index < signatures.length; index += SIGNATURE_STATUS_BATCH) {
+        const batch = signatures.slice(index, index + SIGNATURE_STATUS_BATCH);
+        const { value } = await connection.getSignatureStatuses(batch, { searchTransactionHistory: true });
+
+        batch.forEach((signature, batchIndex) => {
+            const status = value[batchIndex];
+            if (!status) {
+                unknown.push(signature);
+            } else if (status.err) {
+                failed.push(signature);
+            }
+        });
+    }
+
+    const unverified = [];
+    for (const signature of unknown) {
+        const landed = await lookUpTransaction(connection, signature);
+        if (landed === false) {
+            failed.push(signature);
+        } else if (landed === null) {
+            unverified.push(signature);
+        }
+    }
+
+    return {
+        orphanedTrades: failed.map(signature => describeOpeningSwap(signature, liveTrades)),
+        unverifiedTrades: unverified.map(signature => describeOpeningSwap(signature, liveTrades))
+    };
+}
+
+/**
+ * Checks the order book of the current pair against the wallet's transaction history
+ * @param {Object} wallet - Wallet with connection and publicKey
+ * @param {Array<Object>} trades - Order book trades
+ * @param {Object} [options] - Scan options
+ * @param {number} [options.since] - Only look for missing swaps from this time on (ms), normally the session start
+ * @param {number} [options.limit] - Most recent wallet signatures to check
+ * @param {Array<string>} [options.knownSignatures] - Further signatures to treat as recorded, e.g. swaps still in flight
+ * @returns {Promise<Object>} Report { pair, since, complete, missingSwaps, orphanedTrades, unverifiedTrades, scannedAt }
+ */
+async function scanWalletHistory(wallet, trades, options = {}) {
+    const { since = 0, limit = WALLET_SCAN_LIMIT, knownSignatures = [] } = options;
+
+    const known = getKnownSignatures(trades);
+    knownSignatures.forEach(signature => known.add(signature));
+
+    const { missingSwaps, complete } = await findMissingSwaps(wallet, known, since, limit);
+    const { orphanedTrades, unverifiedTrades } = await findOrphanedTrades(wallet.connection, trades);
+
+    const report = {
+        pair: `${getBaseToken().NAME}/${getQuoteToken().NAME}`,
+        since,
+        complete,
+        missingSwaps,
+        orphanedTrades,
+        unverifiedTrades,
+        scannedAt: Date.now()
+    };
+
+    devLog('Wallet reconciliation:', report);
+    return report;
+}
+
+// ===========================
+// Module Exports
+// ===========================
+
+module.exports = {
+    scanWalletHistory,
+    isTransactionSignature,
+    WALLET_SCAN_LIMIT
+};
@@ -0,0 +1,262 @@
+/**
+ * PulseSurfer Test Fixtures
+ * Shared token configurations, pair contexts, clocks and random generators for the test suite
+ *
+ * Every test runs inside a pair context, so token and trading settings come from the fixture
+ * rather than the settings file, and the strategic trading period is kept per test.
+ * Order books built here keep their trades in memory. Modules that open files as they load write them
+ * to the temporary user data directory from test/setup.js, never to user/, and the history store is disabled.
+ */
+
+const OrderBook = require('../pulse/src/orderBook');
+const { runInPairContext, setWallet } = require('../pulse/src/globalState');
+const { getTimestamp } = require('../pulse/src/utils');
+const { configureHistoryStore } = require('../pulse/src/historyStore');
+
+// Nothing the tests do is recorded in the history store
+configureHistoryStore({ enabled: false });
+
+// ===========================
+// Token Fixtures
+// ===========================
+
+// Tokens with the decimal places seen in practice
+const TOKENS = {
+    SOL: { NAME: 'SOL', ADDRESS: 'So11111111111111111111111111111111111111112', DECIMALS: 9, FULL_NAME: 'solana' },
+    USDC: { NAME: 'USDC', ADDRESS: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', DECIMALS: 6 },
+    WBTC: { NAME: 'WBTC', ADDRESS: '3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh', DECIMALS: 8, FULL_NAME: 'wrapped-bitcoin' },
+    BONK: { NAME: 'BONK', ADDRESS: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', DECIMALS: 5, FULL_NAME: 'bonk' }
+};
+
+// Trading pairs covering 9, 8 and 5 base token decimals against USDC
+const PAIRS = [
+    { BASE_TOKEN: TOKENS.SOL, QUOTE_TOKEN: TOKENS.USDC, PRICE: 150 },
+    { BASE_TOKEN: TOKENS.WBTC, QUOTE_TOKEN: TOKENS.USDC, PRICE: 65000 },
+    { BASE_TOKEN: TOKENS.BONK, QUOTE_TOKEN: TOKENS.USDC, PRICE: 0.00002 }
+];
+
+// Settings the fixtures trade with, before per-test overrides
+const BASE_SETTINGS = {
+    FGI_TIMEFRAME: '15m',
+    MIN_PROFIT_PERCENT: 0.2,
+    TRADE_SIZE_METHOD: 'STRATEGIC',
+    STRATEGIC_PERCENTAGE: 2.5,
+    SENTIMENT_MULTIPLIERS: {
+        EXTREME_FEAR: 0.04,
+        FEAR: 0.02,
+        GREED: 0.02,
+        EXTREME_GREED: 0.04
+    },
+    TRAILING_TAKE_PROFIT_PERCENT: 0,
+    TRADE_MATCHING: {
+        POLICY: 'FIFO',
+        MAX_CLOSES_PER_CYCLE: 1,
+        PARTIAL_CLOSES: false,
+        MAX_CLOSE_VALUE: 0
+    },
+    RISK_MANAGEMENT: {
+        STOP_LOSS_PERCENT: 0,
+        MAX_DRAWDOWN_PERCENT: 0,
+        TRADE_EXPIRY_HOURS: 0
+    }
+};
+
+// ===========================
+// Pair Contexts
+// ===========================
+
+/**
+ * Creates a pair context for a trading pair, shaped like the ones pairManager creates
+ * @param {Object} options - Context options
+ * @param {Object} options.pair - Pair fixture from PAIRS (defaults to SOL/USDC)
+ * @param {Object} options.settings - Settings overrides for the pair
+ * @returns {Object} Pair context
+ */
+function createPairContext({ pair = PAIRS[0], settings = {} } = {}) {
+    return {
+        id: `test_${pair.BASE_TOKEN.NAME}_${pair.QUOTE_TOKEN.NAME}`,
+        allocation: 0,
+        settings: {
+            ...BASE_SETTINGS,
+            ...settings,
+            TRADING_PAIR: {
+                BASE_TOKEN: pair.BASE_TOKEN,
+                QUOTE_TOKEN: pair.QUOTE_TOKEN
+            }
+        },
+        tradingPeriodState: {
+            startTime: null,
+            baseTradeSizes: {
+                BASE: null,
+                QUOTE: null
+            }
+        },
+        orderBook: null,
+        state: null,
+        wallet: null
+    };
+}
+
+/**
+ * Runs a function for a trading pair with the fixture settings
+ * @param {Object} options - Options for createPairContext
+ * @param {Function} fn - Function to run, called with the pair context
+ * @returns {*} Result of fn
+ */
+function withPair(options, fn) {
+    const context = createPairContext(options);
+    return runInPairContext(context, () => fn(context));
+}
+
+/**
+ * Sets the wallet balances calculateTradeAmount sizes strategic trades from
+ * @param {number} baseBalance - Base token balance
+ * @param {number} quoteBalance - Quote token balance
+ * @returns {Object} Wallet
+ */
+function useWallet(baseBalance, quoteBalance) {
+    const wallet = { baseBalance, quoteBalance };
+    setWallet(wallet);
+    return wallet;
+}
+
+// ===========================
+// Clock and Randomness
+// ===========================
+
+/**
+ * Creates a clock that only moves when told to
+ * timestamp() uses the year-less getTimestamp format the bot stamps trades with
+ * @param {number} start - Start time in milliseconds
+ * @returns {Object} Clock with now(), advance(ms) and timestamp()
+ */
+function createClock(start = Date.UTC(2025, 0, 1)) {
+    let current = start;
+    return {
+        now: () => current,
+        advance: (ms) => {
+            current += ms;
+            return current;
+        },
+        timestamp: () => getTimestamp(new Date(current))
+    };
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32), so property checks can be replayed from their seed
+ * @param {number} seed - 32-bit seed
+ * @returns {Object} Generator with next(), between(min, max), integer(min, max) and pick(items)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        next,
+        between: (min, max) => min + next() * (max - min),
+        integer: (min, max) => Math.floor(min + next() * (max - min + 1)),
+        pick: (items) => items[Math.floor(next() * items.length)]
+    };
+}
+
+/**
+ * Rounds a token amount down to the token's decimal places, as amounts arrive from the chain
+ * @param {number} amount - Amount in token units
+ * @param {Object} token - Token fixture
+ * @returns {number} Rounded amount
+ */
+function roundToDecimals(amount, token) {
+    return Math.floor(amount * (10 ** token.DECIMALS)) / (10 ** token.DECIMALS);
+}
+
+// ===========================
+// Order Book
+// ===========================
+
+/**
+ * In-memory OrderBook that reads the pair context's settings and stamps trades from a test clock
+ * Trade logic is inherited unchanged; only persistence, settings and timestamps differ.
+ * Must be created inside a pair context.
+ */
+class MemoryOrderBook extends OrderBook {
+    /**
+     * Create an in-memory order book
+     * @param {Object} clock - Clock from createClock
+     */
+    constructor(clock = createClock()) {
+        super();
+        this.clock = clock;
+        this.saveCount = 0;
+    }
+
+    /**
+     * Tests never write to disk
+     * @returns {string} Placeholder storage path
+     */
+    getOrderBookStoragePath() {
+        return ':memory:';
+    }
+
+    /**
+     * Returns the pair context's settings
+     * @returns {Object} Settings
+     */
+    readSettings() {
+        return this.pairContext.settings;
+    }
+
+    /**
+     * Starts every test with an empty order book
+     */
+    loadTrades() {
+        this.trades = [];
+    }
+
+    /**
+     * Counts saves instead of writing them
+     * @returns {boolean} Success status
+     */
+    saveTrades() {
+        this.saveCount += 1;
+        return true;
+    }
+
+    /**
+     * Stamps new and closed trades with the test clock
+     * @returns {string} Timestamp
+     */
+    getCurrentTimestamp() {
+        return this.clock ? this.clock.timestamp() : super.getCurrentTimestamp();
+    }
+
+    /**
+     * Adds a trade opened at the test clock's time
+     * @param {...*} args - Arguments for OrderBook.addTrade
+     * @returns {Object} Added trade object
+     */
+    addTrade(...args) {
+        const trade = super.addTrade(...args);
+        if (trade) {
+            trade.openedAt = this.clock.now();
+        }
+        return trade;
+    }
+}
+
+module.exports = {
+    TOKENS,
+    PAIRS,
+    BASE_SETTINGS,
+    createPairContext,
+    withPair,
+    useWallet,
+    createClock,
+    createRandom,
+    roundToDecimals,
+    MemoryOrderBook
+};
@@ -0,0 +1,437 @@
+const fs = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OrderBook = require('../pulse/src/orderBook');
+const { PAIRS, withPair, createClock, MemoryOrderBook } = require('./fixtures');
+
+const HOUR = 60 * 60 * 1000;
+const { MATCHING_POLICIES, CLOSE_REASONS } = OrderBook;
+
+/**
+ * Opens trades an hour apart on a fresh order book
+ * @param {MemoryOrderBook} orderBook - Order book
+ * @param {Array<Array>} trades - [price, baseTokenChange] per trade
+ * @returns {Array<Object>} Opened trades
+ */
+function openTrades(orderBook, trades) {
+    return trades.map(([price, baseTokenChange], index) => {
+        orderBook.clock.advance(HOUR);
+        return orderBook.addTrade(price, baseTokenChange, -baseTokenChange * price, `tx-${index + 1}`);
+    });
+}
+
+describe('OrderBook.addTrade', () => {
+    it('records direction and absolute amounts from the signed changes', () => withPair({}, () => {
+        const orderBook = new MemoryOrderBook();
+        const buy = orderBook.addTrade(150, 2, -300, 'tx-buy');
+        const sell = orderBook.addTrade(160, -1.5, 240, 'tx-sell');
+
+        assert.equal(buy.direction, 'buy');
+        assert.equal(buy.baseTokenAmount, 2);
+        assert.equal(buy.quoteTokenValue, 300);
+        assert.equal(sell.direction, 'sell');
+        assert.equal(sell.baseTokenAmount, 1.5);
+        assert.equal(sell.quoteTokenValue, 240);
+        assert.equal(orderBook.getOpenTrades().length, 2);
+    }));
+
+    it('stamps trades with the token decimals of the pair', () => {
+        for (const pair of PAIRS) {
+            withPair({ pair }, () => {
+                const orderBook = new MemoryOrderBook();
+                const trade = orderBook.addTrade(pair.PRICE, 10, -10 * pair.PRICE, 'tx-decimals');
+
+                assert.deepEqual(trade.tokenInfo, {
+                    baseToken: pair.BASE_TOKEN.NAME,
+                    quoteToken: pair.QUOTE_TOKEN.NAME,
+                    baseTokenDecimals: pair.BASE_TOKEN.DECIMALS,
+                    quoteTokenDecimals: pair.QUOTE_TOKEN.DECIMALS
+                });
+            });
+        }
+    });
+
+    it('returns the existing trade for a repeated transaction ID', () => withPair({}, () => {
+        const orderBook = new MemoryOrderBook();
+        const first = orderBook.addTrade(150, 1, -150, 'tx-1');
+        const repeat = orderBook.addTrade(155, 1, -155, 'tx-1');
+
+        assert.equal(repeat, first);
+        assert.equal(orderBook.trades.length, 1);
+    }));
+
+    it('rejects invalid prices, amounts and transaction IDs', (t) => withPair({}, () => {
+        const errors = t.mock.method(console, 'error', () => {});
+        const orderBook = new MemoryOrderBook();
+
+        assert.equal(orderBook.addTrade(0, 1, -150, 'tx-1'), null);
+        assert.equal(orderBook.addTrade(NaN, 1, -150, 'tx-2'), null);
+        assert.equal(orderBook.addTrade(150, 0, -150, 'tx-3'), null);
+        assert.equal(orderBook.addTrade(150, 1, -150, ''), null);
+        assert.equal(orderBook.trades.length, 0);
+        assert.equal(errors.mock.callCount(), 4);
+    }));
+});
+
+describe('OrderBook.findMatchingTrades', () => {
+    // Replaces findOldestMatchingTrade; the FIFO policy returns the oldest profitable trade first
+    it('returns the oldest profitable trade under FIFO', () => withPair({}, () => {
+        const orderBook = new MemoryOrderBook();
+        const [first, second] = openTrades(orderBook, [[100, 1], [95, 1], [110, 1]]);
+
+        assert.deepEqual(orderBook.findMatchingTrades('buy', 105).map(trade => trade.id), [first.id]);
+        assert.deepEqual(orderBook.findMatchingTrades('buy', 105, 5).map(trade => trade.id), [first.id, second.id]);
+    }));
+
+    it('orders matches by the configured policy', () => {
+        const cases = [
+            [MATCHING_POLICIES.FIFO, ['tx-1', 'tx-2', 'tx-3']],
+            [MATCHING_POLICIES.LIFO, ['tx-3', 'tx-2', 'tx-1']],
+            [MATCHING_POLICIES.MOST_PROFITABLE, ['tx-2', 'tx-3', 'tx-1']]
+        ];
+
+        for (const [POLICY, expected] of cases) {
+            withPair({ settings: { TRADE_MATCHING: { POLICY, MAX_CLOSES_PER_CYCLE: 3 } } }, () => {
+                const orderBook = new MemoryOrderBook();
+                openTrades(orderBook, [[100, 1], [90, 1], [95, 1]]);
+
+                const matches = orderBook.findMatchingTrades('buy', 110);
+                assert.deepEqual(matches.map(trade => trade.id), expected, POLICY);
+            });
+        }
+    });
+
+    it('keeps FIFO and LIFO order across the new year', () => {
+        for (const [POLICY, expected] of [[MATCHING_POLICIES.FIFO, ['tx-1', 'tx-2']], [MATCHING_POLICIES.LIFO, ['tx-2', 'tx-1']]]) {
+            withPair({ settings: { TRADE_MATCHING: { POLICY, MAX_CLOSES_PER_CYCLE: 2 } } }, () => {
+                // Dec 31 and Jan 1 trades, stamped without a year
+                const orderBook = new MemoryOrderBook(createClock(new Date(2024, 11, 31, 22).getTime()));
+                openTrades(orderBook, [[100, 1], [100, 1]]);
+
+                const matches = orderBook.findMatchingTrades('buy', 110);
+                assert.deepEqual(matches.map(trade => trade.id), expected, POLICY);
+            });
+        }
+    });
+
+    it('only matches trades at or above MIN_PROFIT_PERCENT in the requested direction', () => {
+        withPair({ settings: { MIN_PROFIT_PERCENT: 5 } }, () => {
+            const orderBook = new MemoryOrderBook();
+            openTrades(orderBook, [[100, 1], [100, -1]]);
+
+            assert.deepEqual(orderBook.findMatchingTrades('buy', 104.9), []);
+            assert.equal(orderBook.findMatchingTrades('buy', 105)[0].id, 'tx-1');
+            // Sells profit when the price falls
+            assert.deepEqual(orderBook.findMatchingTrades('sell', 105), []);
+            assert.equal(orderBook.findMatchingTrades('sell', 95)[0].id, 'tx-2');
+        });
+    });
+
+    it('skips closed trades', () => withPair({}, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1], [101, 1]]);
+        orderBook.closeTrade('tx-1', 110);
+
+        assert.equal(orderBook.findMatchingTrades('buy', 110)[0].id, 'tx-2');
+    }));
+
+    it('leaves profitable trades to the trailing take-profit when it is enabled', () => {
+        withPair({ settings: { TRAILING_TAKE_PROFIT_PERCENT: 1 } }, () => {
+            const orderBook = new MemoryOrderBook();
+            openTrades(orderBook, [[100, 1]]);
+
+            assert.deepEqual(orderBook.findMatchingTrades('buy', 150), []);
+        });
+    });
+
+    it('returns nothing for an invalid direction or price', (t) => withPair({}, () => {
+        const errors = t.mock.method(console, 'error', () => {});
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1]]);
+
+        assert.deepEqual(orderBook.findMatchingTrades('hold', 150), []);
+        assert.deepEqual(orderBook.findMatchingTrades('buy', 0), []);
+        assert.deepEqual(orderBook.findMatchingTrades('buy', NaN), []);
+        assert.equal(errors.mock.callCount(), 3);
+    }));
+});
+
+describe('OrderBook.closeTrade', () => {
+    it('realizes PnL on buys when the price rises and on sells when it falls', () => withPair({}, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 2], [100, -3]]);
+
+        assert.equal(orderBook.closeTrade('tx-1', 110), true);
+        assert.equal(orderBook.closeTrade('tx-2', 90), true);
+
+        const [buy, sell] = orderBook.trades;
+        assert.equal(buy.realizedPnl, 20);
+        assert.equal(sell.realizedPnl, 30);
+        assert.equal(buy.status, 'closed');
+        assert.equal(buy.closePrice, 110);
+        assert.equal(buy.closeReason, CLOSE_REASONS.PROFIT);
+        assert.equal(buy.upnl, 0);
+    }));
+
+    it('stamps the close with the clock and keeps the given reason', () => withPair({}, () => {
+        const clock = createClock(Date.UTC(2025, 5, 1));
+        const orderBook = new MemoryOrderBook(clock);
+        openTrades(orderBook, [[100, 1]]);
+        clock.advance(3 * HOUR);
+
+        orderBook.closeTrade('tx-1', 97, CLOSE_REASONS.STOP_LOSS);
+
+        const [trade] = orderBook.trades;
+        assert.equal(trade.closedAt, clock.timestamp());
+        assert.equal(trade.closeReason, CLOSE_REASONS.STOP_LOSS);
+        assert.equal(trade.realizedPnl, -3);
+    }));
+
+    it('refuses to close a trade twice, an unknown trade or at an invalid price', (t) => withPair({}, () => {
+        const errors = t.mock.method(console, 'error', () => {});
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1]]);
+
+        assert.equal(orderBook.closeTrade('tx-1', 0), false);
+        assert.equal(orderBook.closeTrade('tx-missing', 110), false);
+        assert.equal(orderBook.closeTrade('tx-1', 110), true);
+        assert.equal(orderBook.closeTrade('tx-1', 120), false);
+        assert.equal(orderBook.trades[0].realizedPnl, 10);
+        assert.equal(errors.mock.callCount(), 3);
+    }));
+
+    it('splits a partial close into a closed part and the open remainder', () => withPair({}, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 4]]);
+
+        assert.equal(orderBook.closeTrade('tx-1', 120, CLOSE_REASONS.PROFIT, 1), true);
+        assert.equal(orderBook.closeTrade('tx-1', 130, CLOSE_REASONS.PROFIT, 1), true);
+
+        const [remainder, firstPart, secondPart] = orderBook.trades;
+        assert.equal(remainder.status, 'open');
+        assert.equal(remainder.baseTokenAmount, 2);
+        assert.equal(remainder.quoteTokenValue, 200);
+        assert.equal(firstPart.id, 'tx-1-1');
+        assert.equal(secondPart.id, 'tx-1-2');
+        assert.equal(firstPart.parentId, 'tx-1');
+        assert.equal(firstPart.quoteTokenValue, 100);
+        assert.equal(firstPart.realizedPnl, 20);
+        assert.equal(secondPart.realizedPnl, 30);
+    }));
+
+    it('closes the whole trade when the amount is within rounding of it', () => withPair({}, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1]]);
+
+        orderBook.closeTrade('tx-1', 110, CLOSE_REASONS.PROFIT, 0.99995);
+
+        assert.equal(orderBook.trades.length, 1);
+        assert.equal(orderBook.trades[0].status, 'closed');
+        assert.equal(orderBook.trades[0].realizedPnl, 10);
+    }));
+});
+
+describe('OrderBook.updateTradeUPNL', () => {
+    it('marks open buys and sells to the current price', () => withPair({}, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 2], [100, -3]]);
+
+        orderBook.updateTradeUPNL(95);
+
+        const [buy, sell] = orderBook.trades;
+        assert.equal(buy.upnl, -10);
+        assert.equal(sell.upnl, 15);
+    }));
+
+    it('leaves closed trades at zero', () => withPair({}, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1], [100, 1]]);
+        orderBook.closeTrade('tx-1', 105);
+
+        orderBook.updateTradeUPNL(120);
+
+        assert.equal(orderBook.trades[0].upnl, 0);
+        assert.equal(orderBook.trades[1].upnl, 20);
+    }));
+
+    it('only saves when a value changes', () => withPair({}, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1]]);
+
+        orderBook.updateTradeUPNL(110);
+        const saves = orderBook.saveCount;
+        orderBook.updateTradeUPNL(110);
+        assert.equal(orderBook.saveCount, saves);
+
+        orderBook.updateTradeUPNL(111);
+        assert.equal(orderBook.saveCount, saves + 1);
+    }));
+
+    it('ignores invalid prices', (t) => withPair({}, () => {
+        const errors = t.mock.method(console, 'error', () => {});
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1]]);
+        orderBook.updateTradeUPNL(110);
+
+        orderBook.updateTradeUPNL(-1);
+        orderBook.updateTradeUPNL(NaN);
+
+        assert.equal(orderBook.trades[0].upnl, 10);
+        assert.equal(errors.mock.callCount(), 2);
+    }));
+});
+
+describe('OrderBook trailing take-profit', () => {
+    const settings = { MIN_PROFIT_PERCENT: 5, TRAILING_TAKE_PROFIT_PERCENT: 10 };
+
+    it('closes a trade whose profit retraces from the peak into a loss', () => withPair({ settings }, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1]]);
+
+        orderBook.updateTrailingProfits(108, 'NEUTRAL');
+        assert.equal(orderBook.trades[0].trailingPeakProfit, 8);
+
+        // The price gaps from the peak straight to a loss
+        orderBook.updateTrailingProfits(97, 'NEUTRAL');
+        const exits = orderBook.findTrailingExits(97, 'NEUTRAL');
+
+        assert.equal(exits.length, 1);
+        assert.equal(exits[0].reason, CLOSE_REASONS.TRAILING_STOP);
+        assert.ok(exits[0].profitPercent < 0);
+    }));
+
+    it('hands a trade that falls below MIN_PROFIT_PERCENT back to normal matching', () => withPair({ settings }, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1]]);
+
+        orderBook.updateTrailingProfits(108, 'GREED');
+        assert.equal(orderBook.trades[0].trailingArmed, true);
+        assert.deepEqual(orderBook.findMatchingTrades('buy', 108), []);
+
+        orderBook.updateTrailingProfits(102, 'NEUTRAL');
+        assert.equal(orderBook.trades[0].trailingPeakProfit, null);
+        assert.equal(orderBook.trades[0].trailingArmed, false);
+        assert.deepEqual(orderBook.findTrailingExits(102, 'FEAR'), []);
+    }));
+
+    it('closes an armed trade when sentiment flips, not when its closing sentiment ends', () => withPair({ settings }, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1], [100, -1]]);
+
+        orderBook.updateTrailingProfits(110, 'GREED');
+        assert.equal(orderBook.trades[0].trailingArmed, true);
+
+        orderBook.updateTrailingProfits(110, 'NEUTRAL');
+        assert.deepEqual(orderBook.findTrailingExits(110, 'NEUTRAL'), []);
+
+        orderBook.updateTrailingProfits(110, 'FEAR');
+        const exits = orderBook.findTrailingExits(110, 'FEAR');
+
+        assert.deepEqual(exits.map(exit => exit.trade.id), ['tx-1']);
+        assert.equal(exits[0].reason, CLOSE_REASONS.PROFIT);
+    }));
+});
+
+describe('OrderBook.findRiskExits', () => {
+    const settings = { RISK_MANAGEMENT: { STOP_LOSS_PERCENT: 0, TRADE_EXPIRY_HOURS: 48 } };
+
+    it('expires trades once they are older than TRADE_EXPIRY_HOURS', () => withPair({ settings }, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1]]);
+
+        assert.deepEqual(orderBook.findRiskExits(100, orderBook.clock.now() + 47 * HOUR), []);
+        const exits = orderBook.findRiskExits(100, orderBook.clock.now() + 49 * HOUR);
+        assert.deepEqual(exits.map(exit => exit.reason), [CLOSE_REASONS.EXPIRED]);
+    }));
+
+    it('ages trades saved without openedAt from their timestamp, across the new year', () => withPair({ settings }, () => {
+        const orderBook = new MemoryOrderBook(createClock(new Date(2024, 11, 31, 22).getTime()));
+        const [trade] = openTrades(orderBook, [[100, 1]]);
+        delete trade.openedAt;
+
+        // Opened Dec 31 at 23:00, checked Jan 1 at 00:00
+        const now = orderBook.clock.advance(HOUR);
+        assert.equal(orderBook.getTradeAge(trade, now), HOUR);
+        assert.deepEqual(orderBook.findRiskExits(100, now), []);
+    }));
+});
+
+describe('OrderBook.voidTrade', () => {
+    it('leaves void trades out of matching, the open position and the statistics', () => withPair({}, () => {
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1], [100, 2]]);
+
+        assert.equal(orderBook.voidTrade('tx-1'), true);
+
+        assert.equal(orderBook.trades[0].status, 'void');
+        assert.deepEqual(orderBook.getOpenTrades().map(trade => trade.id), ['tx-2']);
+        assert.equal(orderBook.getOpenPosition().baseTokenAmount, 2);
+        assert.deepEqual(orderBook.findMatchingTrades('buy', 120, 5).map(trade => trade.id), ['tx-2']);
+
+        const stats = orderBook.getTradeStatistics();
+        assert.equal(stats.totalTrades, 1);
+        assert.equal(stats.totalVolume, 200);
+    }));
+
+    it('refuses to void a trade twice or an unknown trade', (t) => withPair({}, () => {
+        const errors = t.mock.method(console, 'error', () => {});
+        const orderBook = new MemoryOrderBook();
+        openTrades(orderBook, [[100, 1]]);
+
+        assert.equal(orderBook.voidTrade('tx-1'), true);
+        assert.equal(orderBook.voidTrade('tx-1'), false);
+        assert.equal(orderBook.voidTrade('tx-missing'), false);
+        assert.equal(errors.mock.callCount(), 1);
+    }));
+});
+
+describe('OrderBook storage', () => {
+    /**
+     * Order book that reads the pair context's settings but saves to and loads from its storage file,
+     * which the test setup keeps in a temporary user data directory
+     */
+    class StoredOrderBook extends OrderBook {
+        readSettings() {
+            return this.pairContext.settings;
+        }
+    }
+
+    /**
+     * Removes the storage files an order book test created
+     * @param {Array<OrderBook>} orderBooks - Order books to clean up after
+     */
+    function removeStorage(orderBooks) {
+        orderBooks.forEach(orderBook => fs.rmSync(orderBook.storageFile, { force: true }));
+    }
+
+    it('keeps paper trades out of the live book', (t) => withPair({ pair: PAIRS[2], settings: { PAPER_TRADING: true } }, (context) => {
+        const paperBook = new StoredOrderBook();
+        paperBook.addTrade(0.00002, 1000000, -20, 'paper-1');
+
+        context.settings.PAPER_TRADING = false;
+        const liveBook = new StoredOrderBook();
+        t.after(() => removeStorage([paperBook, liveBook]));
+
+        assert.notEqual(liveBook.storageFile, paperBook.storageFile);
+        assert.deepEqual(liveBook.trades, []);
+
+        context.settings.PAPER_TRADING = true;
+        assert.deepEqual(new StoredOrderBook().trades.map(trade => trade.id), ['paper-1']);
+    }));
+
+    it('keeps saving a paper book to the paper file after paper trading is turned off', (t) => withPair({ pair: PAIRS[2], settings: { PAPER_TRADING: true } }, (context) => {
+        const paperBook = new StoredOrderBook();
+        context.settings.PAPER_TRADING = false;
+        const liveBook = new StoredOrderBook();
+        t.after(() => removeStorage([paperBook, liveBook]));
+
+        paperBook.addTrade(0.00002, 1000000, -20, 'paper-1');
+
+        assert.deepEqual(new StoredOrderBook().trades, []);
+
+        paperBook.updateStoragePathForTokens();
+        assert.equal(paperBook.storageFile, liveBook.storageFile);
+        assert.deepEqual(paperBook.trades, []);
+    }));
+});
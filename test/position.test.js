@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Position = require('../pulse/src/Position');
+const { PAIRS, withPair } = require('./fixtures');
+
+describe('Position.getAverageEntryPrice', () => {
+    it('is zero before any buys', () => withPair({}, () => {
+        const position = new Position(10, 1000, 150);
+        assert.equal(position.getAverageEntryPrice(), 0);
+
+        position.logTrade('GREED', 160, -1, 160);
+        assert.equal(position.getAverageEntryPrice(), 0);
+    }));
+
+    it('weights buys by the base amount bought', () => withPair({}, () => {
+        const position = new Position(10, 1000, 150);
+        position.logTrade('FEAR', 100, 1, -100);
+        position.logTrade('EXTREME_FEAR', 130, 3, -390);
+
+        assert.equal(position.getAverageEntryPrice(), 122.5);
+    }));
+
+    it('is not moved by sells', () => withPair({}, () => {
+        const position = new Position(10, 1000, 150);
+        position.logTrade('FEAR', 100, 2, -200);
+        position.logTrade('GREED', 180, -1, 180);
+
+        assert.equal(position.getAverageEntryPrice(), 100);
+        assert.equal(position.getAverageSellPrice(), 180);
+    }));
+
+    it('is recalculated after each trade rather than served from the cache', () => withPair({}, () => {
+        const position = new Position(10, 1000, 150);
+        position.logTrade('FEAR', 100, 1, -100);
+        assert.equal(position.getAverageEntryPrice(), 100);
+
+        position.logTrade('FEAR', 200, 1, -200);
+        assert.equal(position.getAverageEntryPrice(), 150);
+    }));
+});
+
+describe('Position.getNetChange', () => {
+    it('is zero without trades at any price', () => withPair({}, () => {
+        const position = new Position(10, 1000, 150);
+
+        assert.equal(position.getNetChange(150), 0);
+        assert.equal(position.getNetChange(300), 0);
+    }));
+
+    it('marks traded base at the current price', () => withPair({}, () => {
+        const position = new Position(10, 1000, 150);
+        position.logTrade('FEAR', 100, 2, -200);
+
+        assert.equal(position.getNetChange(100), 0);
+        assert.equal(position.getNetChange(110), 20);
+        assert.equal(position.getNetChange(90), -20);
+    }));
+
+    it('is independent of price once the traded base is back to zero', () => withPair({}, () => {
+        const position = new Position(10, 1000, 150);
+        position.logTrade('FEAR', 100, 2, -200);
+        position.logTrade('GREED', 125, -2, 250);
+
+        assert.equal(position.netBaseTraded, 0);
+        assert.equal(position.getNetChange(1), 50);
+        assert.equal(position.getNetChange(1000), 50);
+    }));
+
+    it('counts sells first as a short that gains when the price falls', () => withPair({}, () => {
+        const position = new Position(10, 1000, 150);
+        position.logTrade('GREED', 150, -1, 150);
+
+        assert.equal(position.getNetChange(120), 30);
+    }));
+
+    it('falls back to the initial price for an invalid price', (t) => withPair({}, () => {
+        t.mock.method(console, 'error', () => {});
+        const position = new Position(10, 1000, 150);
+        position.logTrade('FEAR', 100, 1, -100);
+
+        assert.equal(position.getNetChange(NaN), 50);
+    }));
+});
+
+describe('Position.logTrade', () => {
+    it('ignores invalid trades', (t) => withPair({}, () => {
+        const errors = t.mock.method(console, 'error', () => {});
+        const position = new Position(10, 1000, 150);
+
+        assert.equal(position.logTrade('FEAR', 0, 1, -100), null);
+        assert.equal(position.logTrade('FEAR', 100, 0, -100), null);
+        assert.equal(position.logTrade('FEAR', 100, 1, NaN), null);
+        assert.equal(position.trades.length, 0);
+        assert.equal(position.getNetChange(200), 0);
+        assert.equal(errors.mock.callCount(), 3);
+    }));
+
+    it('records the token decimals of the pair', () => {
+        for (const pair of PAIRS) {
+            withPair({ pair }, () => {
+                const position = new Position(10, 1000, pair.PRICE);
+                const trade = position.logTrade('FEAR', pair.PRICE, 5, -5 * pair.PRICE);
+
+                assert.equal(trade.tokenInfo.baseToken, pair.BASE_TOKEN.NAME);
+                assert.equal(trade.tokenInfo.baseTokenDecimals, pair.BASE_TOKEN.DECIMALS);
+                assert.equal(trade.tokenInfo.quoteTokenDecimals, pair.QUOTE_TOKEN.DECIMALS);
+            });
+        }
+    });
+});
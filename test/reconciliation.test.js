@@ -0,0 +1,184 @@
+/**
+ * Property checks that the OrderBook and Position agree on the same random trading histories
+ * Each history is generated from a seed, which is included in failure messages so it can be replayed.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Position = require('../pulse/src/Position');
+const { CLOSE_REASONS } = require('../pulse/src/orderBook');
+const {
+    PAIRS,
+    withPair,
+    createClock,
+    createRandom,
+    roundToDecimals,
+    MemoryOrderBook
+} = require('./fixtures');
+
+const SEEDS = Array.from({ length: 25 }, (_, index) => 1000 + index);
+const STEPS = 60;
+const TRADE_VALUE = 1000; // Rough quote value of each opened trade
+const SENTIMENTS = ['EXTREME_FEAR', 'FEAR', 'GREED', 'EXTREME_GREED'];
+
+/**
+ * Asserts two amounts agree to within floating point error
+ * @param {number} actual - Actual amount
+ * @param {number} expected - Expected amount
+ * @param {number} scale - Largest amount that went into either side, which bounds the rounding error
+ * @param {string} message - Failure message
+ */
+function assertClose(actual, expected, scale, message) {
+    const tolerance = 1e-9 * Math.max(Math.abs(expected), scale);
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} != ${expected}`);
+}
+
+/**
+ * Swaps a base amount at the market price, rounding the quote side to its decimals as the chain does
+ * The trade price is taken from the rounded amounts, as it is for live swaps
+ * @param {number} baseAmount - Base amount swapped
+ * @param {number} marketPrice - Market price
+ * @param {Object} pair - Pair fixture
+ * @returns {Object} { quoteAmount, price }
+ */
+function swapAt(baseAmount, marketPrice, pair) {
+    const quoteAmount = roundToDecimals(baseAmount * marketPrice, pair.QUOTE_TOKEN);
+    return { quoteAmount, price: quoteAmount / baseAmount };
+}
+
+/**
+ * Plays a random trading history through an OrderBook and a Position, as pulse does for each swap
+ * Opening trades go into both; closes settle the order book trade and log the opposite swap on the position.
+ * @param {number} seed - Seed for the history
+ * @param {Object} pair - Pair fixture
+ * @param {Function} check - Called after every step with { orderBook, position, marketPrice, label }
+ * @returns {Object} { orderBook, position, marketPrice, openedAmounts }
+ */
+function playHistory(seed, pair, check) {
+    const random = createRandom(seed);
+    const clock = createClock();
+    const orderBook = new MemoryOrderBook(clock);
+    const position = new Position(0, 0, pair.PRICE);
+    const openedAmounts = new Map();
+    let marketPrice = pair.PRICE;
+
+    for (let step = 0; step < STEPS; step++) {
+        clock.advance(15 * 60 * 1000);
+        marketPrice *= Math.exp(random.between(-0.05, 0.05));
+        const sentiment = random.pick(SENTIMENTS);
+        const openTrades = orderBook.getOpenTrades();
+
+        if (openTrades.length === 0 || random.next() < 0.5) {
+            const direction = random.pick(['buy', 'sell']);
+            const baseAmount = roundToDecimals(random.between(0.1, 2) * TRADE_VALUE / marketPrice, pair.BASE_TOKEN);
+            const { quoteAmount, price } = swapAt(baseAmount, marketPrice, pair);
+            const sign = direction === 'buy' ? 1 : -1;
+            const id = `tx-${seed}-${step}`;
+
+            orderBook.addTrade(price, sign * baseAmount, -sign * quoteAmount, id);
+            position.logTrade(sentiment, price, sign * baseAmount, -sign * quoteAmount);
+            openedAmounts.set(id, baseAmount);
+        } else {
+            const trade = random.pick(openTrades);
+            const partial = random.next() < 0.3;
+            const baseAmount = partial ?
+                roundToDecimals(trade.baseTokenAmount * random.between(0.1, 0.9), pair.BASE_TOKEN) :
+                trade.baseTokenAmount;
+            const { quoteAmount, price } = swapAt(baseAmount, marketPrice, pair);
+            // Closing a buy sells the base back, closing a sell buys it back
+            const sign = trade.direction === 'buy' ? -1 : 1;
+
+            assert.ok(orderBook.closeTrade(trade.id, price, CLOSE_REASONS.PROFIT, partial ? baseAmount : null));
+            position.logTrade(sentiment, price, sign * baseAmount, -sign * quoteAmount);
+        }
+
+        orderBook.updateTradeUPNL(marketPrice);
+        check({ orderBook, position, marketPrice, label: `seed ${seed}, ${pair.BASE_TOKEN.NAME}, step ${step}` });
+    }
+
+    return { orderBook, position, marketPrice, openedAmounts };
+}
+
+/**
+ * Closes every open trade at the market price, logging the closing swaps on the position
+ * @param {MemoryOrderBook} orderBook - Order book
+ * @param {Position} position - Position
+ * @param {number} marketPrice - Market price
+ * @param {Object} pair - Pair fixture
+ */
+function closeAll(orderBook, position, marketPrice, pair) {
+    for (const trade of orderBook.getOpenTrades()) {
+        const { quoteAmount, price } = swapAt(trade.baseTokenAmount, marketPrice, pair);
+        const sign = trade.direction === 'buy' ? -1 : 1;
+        const baseAmount = trade.baseTokenAmount;
+
+        orderBook.closeTrade(trade.id, price);
+        position.logTrade('NEUTRAL', price, sign * baseAmount, -sign * quoteAmount);
+    }
+}
+
+describe('OrderBook and Position reconciliation', () => {
+    beforeEach((t) => {
+        t.mock.method(console, 'log', () => {});
+    });
+
+    it('net base of open trades matches the base traded by the position', () => {
+        for (const pair of PAIRS) {
+            for (const seed of SEEDS) {
+                withPair({ pair }, () => playHistory(seed, pair, ({ orderBook, position, label }) => {
+                    assertClose(orderBook.getOpenPosition().baseTokenAmount, position.netBaseTraded, position.totalVolumeBase, label);
+                }));
+            }
+        }
+    });
+
+    it('realized plus unrealized PnL matches the position net change at the market price', () => {
+        for (const pair of PAIRS) {
+            for (const seed of SEEDS) {
+                withPair({ pair }, () => playHistory(seed, pair, ({ orderBook, position, marketPrice, label }) => {
+                    const { totalRealizedPnl, totalUnrealizedPnl } = orderBook.getTradeStatistics();
+                    assertClose(totalRealizedPnl + totalUnrealizedPnl, position.getNetChange(marketPrice), position.totalVolumeQuote, label);
+                }));
+            }
+        }
+    });
+
+    it('realized PnL over closed trades matches the position quote totals once everything is closed', () => {
+        for (const pair of PAIRS) {
+            for (const seed of SEEDS) {
+                withPair({ pair }, () => {
+                    const { orderBook, position, marketPrice } = playHistory(seed, pair, () => {});
+                    closeAll(orderBook, position, marketPrice, pair);
+
+                    const label = `seed ${seed}, ${pair.BASE_TOKEN.NAME}`;
+                    const realizedPnl = orderBook.trades
+                        .filter(trade => trade.status === 'closed')
+                        .reduce((sum, trade) => sum + trade.realizedPnl, 0);
+
+                    assert.equal(orderBook.getOpenTrades().length, 0, label);
+                    assertClose(position.netBaseTraded, 0, position.totalVolumeBase, label);
+                    assertClose(realizedPnl, position.totalQuoteReceived - position.totalQuoteSpent, position.totalVolumeQuote, label);
+                    // With no base left, the net change no longer depends on the price
+                    assertClose(position.getNetChange(marketPrice * 3), realizedPnl, position.totalVolumeQuote, label);
+                });
+            }
+        }
+    });
+
+    it('partial closes conserve the base amount of the trade they split', () => {
+        for (const pair of PAIRS) {
+            for (const seed of SEEDS) {
+                withPair({ pair }, () => {
+                    const { orderBook, openedAmounts } = playHistory(seed, pair, () => {});
+
+                    for (const [id, openedAmount] of openedAmounts) {
+                        const parts = orderBook.trades.filter(trade => trade.id === id || trade.parentId === id);
+                        const total = parts.reduce((sum, trade) => sum + trade.baseTokenAmount, 0);
+                        assertClose(total, openedAmount, openedAmount, `seed ${seed}, ${pair.BASE_TOKEN.NAME}, trade ${id}`);
+                    }
+                });
+            }
+        }
+    });
+});
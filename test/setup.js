@@ -0,0 +1,18 @@
+/**
+ * PulseSurfer Test Setup
+ * Loaded before every test file by the test script in package.json
+ *
+ * Requiring the bot's modules opens an order book, savestates and the history store as they load,
+ * so the user data directory is pointed at a temporary directory before anything else is required.
+ * Test files run in child processes that inherit the directory; the runner removes it when they have finished.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+if (!process.env.USER_DATA_DIR) {
+    const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pulsesurfer-test-'));
+    process.env.USER_DATA_DIR = userDataDir;
+    process.on('exit', () => fs.rmSync(userDataDir, { recursive: true, force: true }));
+}
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateTradeAmount } = require('../pulse/src/trading');
+const { PAIRS, withPair, useWallet, createClock } = require('./fixtures');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('calculateTradeAmount with VARIABLE sizing', () => {
+    it('sizes by the sentiment multiplier in the token base units', () => {
+        for (const pair of PAIRS) {
+            withPair({ pair, settings: { TRADE_SIZE_METHOD: 'VARIABLE' } }, (context) => {
+                const { BASE_TOKEN, QUOTE_TOKEN } = pair;
+
+                assert.equal(
+                    calculateTradeAmount(10, 'GREED', BASE_TOKEN, context.settings),
+                    Math.floor(10 * 0.02 * (10 ** BASE_TOKEN.DECIMALS))
+                );
+                assert.equal(
+                    calculateTradeAmount(1000, 'EXTREME_FEAR', QUOTE_TOKEN, context.settings),
+                    Math.floor(1000 * 0.04 * (10 ** QUOTE_TOKEN.DECIMALS))
+                );
+            });
+        }
+    });
+
+    it('always returns whole base units', () => withPair({ settings: { TRADE_SIZE_METHOD: 'VARIABLE' } }, (context) => {
+        const amount = calculateTradeAmount(0.123456789123, 'FEAR', PAIRS[0].BASE_TOKEN, context.settings);
+
+        assert.ok(Number.isInteger(amount));
+        assert.equal(amount, 2469135);
+    }));
+});
+
+describe('calculateTradeAmount with STRATEGIC sizing', () => {
+    it('sizes every trade in a period from the balances at its start', (t) => withPair({}, (context) => {
+        t.mock.method(console, 'log', () => {});
+        const clock = createClock();
+        const { BASE_TOKEN, QUOTE_TOKEN } = PAIRS[0];
+        const wallet = useWallet(40, 2000);
+
+        // 2.5% of the balances, whatever the sentiment or balance passed in
+        assert.equal(calculateTradeAmount(40, 'EXTREME_GREED', BASE_TOKEN, context.settings, clock.now()), 1 * 1e9);
+        assert.equal(calculateTradeAmount(2000, 'FEAR', QUOTE_TOKEN, context.settings, clock.now()), 50 * 1e6);
+
+        wallet.baseBalance = 10;
+        wallet.quoteBalance = 500;
+        clock.advance(DAY - 1);
+        assert.equal(calculateTradeAmount(10, 'GREED', BASE_TOKEN, context.settings, clock.now()), 1 * 1e9);
+        assert.equal(calculateTradeAmount(500, 'FEAR', QUOTE_TOKEN, context.settings, clock.now()), 50 * 1e6);
+    }));
+
+    it('resizes from the current balances once the 24 hour period ends', (t) => withPair({}, (context) => {
+        t.mock.method(console, 'log', () => {});
+        const clock = createClock();
+        const { BASE_TOKEN, QUOTE_TOKEN } = PAIRS[0];
+        const wallet = useWallet(40, 2000);
+
+        calculateTradeAmount(40, 'GREED', BASE_TOKEN, context.settings, clock.now());
+        wallet.baseBalance = 80;
+        wallet.quoteBalance = 1000;
+        clock.advance(DAY);
+
+        assert.equal(calculateTradeAmount(80, 'GREED', BASE_TOKEN, context.settings, clock.now()), 2 * 1e9);
+        assert.equal(calculateTradeAmount(1000, 'FEAR', QUOTE_TOKEN, context.settings, clock.now()), 25 * 1e6);
+        assert.equal(context.tradingPeriodState.startTime, clock.now());
+    }));
+
+    it('uses STRATEGIC_PERCENTAGE and the token decimals of the pair', (t) => {
+        t.mock.method(console, 'log', () => {});
+        for (const pair of PAIRS) {
+            withPair({ pair, settings: { STRATEGIC_PERCENTAGE: 10 } }, (context) => {
+                useWallet(1000, 5000);
+
+                assert.equal(
+                    calculateTradeAmount(1000, 'FEAR', pair.BASE_TOKEN, context.settings),
+                    Math.floor(100 * (10 ** pair.BASE_TOKEN.DECIMALS))
+                );
+                assert.equal(
+                    calculateTradeAmount(5000, 'GREED', pair.QUOTE_TOKEN, context.settings),
+                    Math.floor(500 * (10 ** pair.QUOTE_TOKEN.DECIMALS))
+                );
+            });
+        }
+    });
+});
+
+describe('calculateTradeAmount input checks', () => {
+    it('returns 0 for invalid balances, sentiments and tokens', (t) => withPair({}, (context) => {
+        const errors = t.mock.method(console, 'error', () => {});
+        const { BASE_TOKEN } = PAIRS[0];
+
+        assert.equal(calculateTradeAmount(0, 'FEAR', BASE_TOKEN, context.settings), 0);
+        assert.equal(calculateTradeAmount(-5, 'FEAR', BASE_TOKEN, context.settings), 0);
+        assert.equal(calculateTradeAmount(10, 'NEUTRAL', BASE_TOKEN, context.settings), 0);
+        assert.equal(calculateTradeAmount(10, null, BASE_TOKEN, context.settings), 0);
+        assert.equal(calculateTradeAmount(10, 'FEAR', {}, context.settings), 0);
+        assert.equal(errors.mock.callCount(), 5);
+    }));
+});
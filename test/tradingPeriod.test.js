@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    checkTradingPeriod,
+    setNewTradingPeriod,
+    getCurrentPeriodInfo,
+    resetTradingPeriod
+} = require('../pulse/src/utils');
+const { PAIRS, withPair, createClock } = require('./fixtures');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('STRATEGIC trading period', () => {
+    beforeEach((t) => {
+        t.mock.method(console, 'log', () => {});
+    });
+
+    it('needs a new period before one has started', () => withPair({}, () => {
+        assert.deepEqual(checkTradingPeriod(createClock().now()), {
+            needsNewPeriod: true,
+            currentBaseSizes: null
+        });
+    }));
+
+    it('sizes the period from STRATEGIC_PERCENTAGE of the balances', () => withPair({}, (context) => {
+        const clock = createClock();
+        const sizes = setNewTradingPeriod(40, 2000, 2.5, clock.now());
+
+        assert.deepEqual(sizes, { BASE: 1, QUOTE: 50 });
+        assert.equal(context.tradingPeriodState.startTime, clock.now());
+    }));
+
+    it('keeps the period for exactly 24 hours', () => withPair({}, () => {
+        const clock = createClock();
+        setNewTradingPeriod(40, 2000, 2.5, clock.now());
+
+        clock.advance(DAY - 1);
+        assert.deepEqual(checkTradingPeriod(clock.now()), {
+            needsNewPeriod: false,
+            currentBaseSizes: { BASE: 1, QUOTE: 50 }
+        });
+
+        clock.advance(1);
+        assert.equal(checkTradingPeriod(clock.now()).needsNewPeriod, true);
+    }));
+
+    it('reports elapsed and remaining hours from the clock', () => withPair({}, () => {
+        const clock = createClock();
+        setNewTradingPeriod(40, 2000, 2.5, clock.now());
+
+        clock.advance(6 * HOUR);
+        const info = getCurrentPeriodInfo(clock.now());
+        assert.equal(info.active, true);
+        assert.equal(info.startTime, new Date(clock.now() - 6 * HOUR).toISOString());
+        assert.equal(info.elapsedHours, '6.00');
+        assert.equal(info.remainingHours, '18.00');
+
+        clock.advance(DAY);
+        assert.equal(getCurrentPeriodInfo(clock.now()).remainingHours, '0.00');
+    }));
+
+    it('starts over after a reset', () => withPair({}, () => {
+        const clock = createClock();
+        setNewTradingPeriod(40, 2000, 2.5, clock.now());
+
+        resetTradingPeriod();
+
+        assert.equal(checkTradingPeriod(clock.now()).needsNewPeriod, true);
+        assert.equal(getCurrentPeriodInfo(clock.now()).active, false);
+    }));
+
+    it('falls back to safe values for invalid inputs', (t) => withPair({}, () => {
+        const errors = t.mock.method(console, 'error', () => {});
+
+        assert.deepEqual(setNewTradingPeriod(-1, NaN, 0, createClock().now()), { BASE: 0, QUOTE: 0 });
+        assert.deepEqual(setNewTradingPeriod(100, 1000, 'high', createClock().now()), { BASE: 2.5, QUOTE: 25 });
+        assert.equal(errors.mock.callCount(), 4);
+    }));
+
+    it('keeps a separate period for each trading pair', () => {
+        const clock = createClock();
+        withPair({ pair: PAIRS[0] }, () => setNewTradingPeriod(40, 2000, 2.5, clock.now()));
+
+        withPair({ pair: PAIRS[1] }, () => {
+            assert.equal(checkTradingPeriod(clock.now()).needsNewPeriod, true);
+        });
+    });
+});
@@ -5,12 +5,6 @@ const path = require('path');
 const readline = require('readline');
 const utils = require('../pulse/src/utils');
 
-// Create readline interface
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
-
 // Define paths relative to the root directory
 const ROOT_DIR = path.join(__dirname, '..');
 const PULSE_DIR = path.join(ROOT_DIR, 'pulse/src');
@@ -20,6 +14,9 @@ const PULSE_PATH = path.join(PULSE_DIR, 'pulse.js');
 const tokenController = require('../pulse/src/tokenController');
 const timeframeController = require('../pulse/src/timeframeController');
 
+// The running PulseSurfer process, once started
+let pulseProcess = null;
+
 // Verify bot files exist
 function verifyBotFiles() {
     if (!fs.existsSync(PULSE_PATH)) {
@@ -36,6 +33,7 @@ function startTrading() {
             stdio: 'inherit',  // This will pipe stdin/stdout/stderr between parent and child
             env: process.env   // Pass along environment variables
         });
+        pulseProcess = pulse;
         
         // Listen for the process exit
         pulse.on('close', (code) => {
@@ -83,9 +81,9 @@ function simplePrompt(question) {
     });
 }
 
-function promptForStart(tokenName, timeframeDesc) {
+function promptForStart(pairName, timeframeDesc) {
     // Use the simpler prompt approach
-    simplePrompt(utils.formatInfo(`${utils.icons.menu} Confirm Starting PulseSurfer with ${utils.styles.important}${tokenName}/USDC${utils.colours.reset} on ${utils.styles.important}${timeframeDesc}${utils.colours.reset}? (Y/n): `))
+    simplePrompt(utils.formatInfo(`${utils.icons.menu} Confirm Starting PulseSurfer with ${utils.styles.important}${pairName}${utils.colours.reset} on ${utils.styles.important}${timeframeDesc}${utils.colours.reset}? (Y/n): `))
         .then(answer => {
             if (answer.toLowerCase() === 'n') {
                 console.log(utils.formatInfo(`\n${utils.icons.info} Startup cancelled.`));
@@ -98,9 +96,95 @@ function promptForStart(tokenName, timeframeDesc) {
         });
 }
 
+// Read startup options from command line flags, falling back to environment variables
+// Flags: --token=<id> --quote=<USDC|USDT> --timeframe=<15m|1h|4h> --settings=<file> --monitor/--no-monitor --paper/--no-paper --yes --headless
+// Environment: BASE_TOKEN, QUOTE_TOKEN, FGI_TIMEFRAME, SETTINGS_FILE, MONITOR_MODE, PAPER_TRADING, AUTO_CONFIRM, HEADLESS
+function parseArguments(args) {
+    const getArg = name => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const getSwitch = (name, envName) => {
+        if (args.includes(`--${name}`)) return true;
+        if (args.includes(`--no-${name}`)) return false;
+        return process.env[envName] !== undefined ? utils.isEnvEnabled(envName) : undefined;
+    };
+
+    return {
+        token: getArg('token') || process.env.BASE_TOKEN,
+        quote: getArg('quote') || process.env.QUOTE_TOKEN,
+        timeframe: getArg('timeframe') || process.env.FGI_TIMEFRAME,
+        settingsFile: getArg('settings') || process.env.SETTINGS_FILE,
+        monitor: getSwitch('monitor', 'MONITOR_MODE'),
+        paper: getSwitch('paper', 'PAPER_TRADING'),
+        autoConfirm: args.includes('--yes') || args.includes('-y') || utils.isEnvEnabled('AUTO_CONFIRM'),
+        headless: args.includes('--headless') || utils.isHeadless()
+    };
+}
+
+// Pass the settings file and prompt handling on through the environment, so PulseSurfer sees them too
+function applyEnvironment(options) {
+    if (options.settingsFile) {
+        process.env.SETTINGS_FILE = path.resolve(options.settingsFile);
+    }
+    if (options.headless) {
+        process.env.HEADLESS = 'true';
+    }
+    if (options.autoConfirm) {
+        process.env.AUTO_CONFIRM = 'true';
+    }
+}
+
+// Save the token, timeframe and mode options to settings, returning false if any of them is invalid
+function applyOptions(options) {
+    if (options.token || options.quote) {
+        const tokenId = options.token || tokenController.readSettings().TRADING_PAIR?.BASE_TOKEN?.NAME;
+        if (!tokenId) {
+            console.error(utils.formatError(`${utils.icons.error} A quote token needs a base token - use --token=<id> or BASE_TOKEN. Run with --list-tokens to see them.`));
+            return false;
+        }
+        console.log(utils.formatInfo(`\n${utils.icons.settings} Setting token pair via command line.`));
+        if (!tokenController.saveTokenSelection(tokenId, options.quote)) {
+            return false;
+        }
+    }
+
+    if (options.timeframe) {
+        const validTimeframes = timeframeController.AVAILABLE_TIMEFRAMES.map(t => t.id);
+        if (!validTimeframes.includes(options.timeframe)) {
+            console.error(utils.formatError(`${utils.icons.error} Invalid timeframe: ${options.timeframe}. Valid options are: ${validTimeframes.join(', ')}`));
+            return false;
+        }
+        console.log(utils.formatInfo(`\n${utils.icons.settings} Setting timeframe to ${utils.styles.important}${options.timeframe}${utils.colours.reset} via command line.`));
+        if (!timeframeController.saveTimeframeSelection(options.timeframe)) {
+            return false;
+        }
+    }
+
+    if (options.monitor !== undefined || options.paper !== undefined) {
+        const settings = tokenController.readSettings();
+        if (options.monitor !== undefined) settings.MONITOR_MODE = options.monitor;
+        if (options.paper !== undefined) settings.PAPER_TRADING = options.paper;
+        if (!tokenController.writeSettings(settings)) {
+            console.error(utils.formatError(`${utils.icons.error} Failed to save monitor and paper trading modes`));
+            return false;
+        }
+        console.log(utils.formatInfo(`${utils.icons.settings} Monitor mode: ${settings.MONITOR_MODE === true ? 'on' : 'off'}, paper trading: ${settings.PAPER_TRADING === true ? 'on' : 'off'}`));
+    }
+
+    return true;
+}
+
 // Check if this is a token or timeframe management command
 function checkForCommands() {
     const args = process.argv.slice(2);
+
+    if (args.includes('--help')) {
+        console.log(utils.formatInfo(`${utils.icons.info} Usage: npm start -- [--token=<id>] [--quote=${tokenController.QUOTE_TOKENS.map(t => t.NAME).join('|')}] [--timeframe=${timeframeController.AVAILABLE_TIMEFRAMES.map(t => t.id).join('|')}] ` +
+            `[--settings=<file>] [--monitor|--no-monitor] [--paper|--no-paper] [--yes] [--headless] [--list-tokens] [--list-timeframes]`));
+        process.exit(0);
+        return true;
+    }
     
     if (args.includes('--list-tokens')) {
         // List all available tokens
@@ -123,23 +207,23 @@ function checkForCommands() {
         return true;
     }
     
-    // For simplicity, allow direct timeframe setting
-    const timeframeArg = args.find(arg => arg.startsWith('--timeframe='));
-    if (timeframeArg) {
-        const timeframeId = timeframeArg.split('=')[1];
-        const validTimeframes = timeframeController.AVAILABLE_TIMEFRAMES.map(t => t.id);
-        
-        if (validTimeframes.includes(timeframeId)) {
-            console.log(utils.formatInfo(`\n${utils.icons.settings} Setting timeframe to ${utils.styles.important}${timeframeId}${utils.colours.reset} via command line.`));
-            timeframeController.saveTimeframeSelection(timeframeId);
-        } else {
-            console.error(utils.formatError(`${utils.icons.error} Invalid timeframe: ${timeframeId}. Valid options are: ${validTimeframes.join(', ')}`));
-        }
-    }
-    
     return false;
 }
 
+// Get the configured token pair and timeframe without prompting
+function getConfiguredSelection() {
+    if (!tokenController.isTokenConfigured()) {
+        console.error(utils.formatError(`${utils.icons.error} No token configured - use --token=<id> or set BASE_TOKEN when running headless. Run with --list-tokens to see them.`));
+        return null;
+    }
+
+    const settings = tokenController.readSettings();
+    return {
+        tokenPair: settings.TRADING_PAIR,
+        timeframeId: settings.FGI_TIMEFRAME || timeframeController.AVAILABLE_TIMEFRAMES[0].id
+    };
+}
+
 // Main execution
 async function initialize() {
     console.log(utils.formatHeading('\n=== PulseSurfer Trading System ===\n'));
@@ -149,19 +233,47 @@ async function initialize() {
         return; // Exit if a command was executed
     }
 
+    const options = parseArguments(process.argv.slice(2));
+    applyEnvironment(options);
+
     // Verify bot files exist before proceeding
     verifyBotFiles();
+
+    if (!applyOptions(options)) {
+        process.exit(1);
+    }
+
+    // Headless: no prompts, run with the configured pair and timeframe
+    if (options.headless) {
+        const selection = getConfiguredSelection();
+        if (!selection) {
+            process.exit(1);
+        }
+        const { tokenPair, timeframeId } = selection;
+        console.log(utils.formatSuccess(`${utils.icons.success} Starting PulseSurfer headless with ${utils.styles.important}${tokenPair.BASE_TOKEN.NAME}/${tokenPair.QUOTE_TOKEN.NAME}${utils.colours.reset} on ` +
+            `${utils.styles.important}${timeframeController.getTimeframeDescription(timeframeId)} (${timeframeId})${utils.colours.reset}`));
+        startTrading();
+        return;
+    }
     
     try {
-        // Handle token selection first
-        const tokenPair = await tokenController.handleTokenSelection(true, rl);
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+
+        // Handle token selection first, unless it was given on the command line
+        const tokenPair = options.token || options.quote ?
+            tokenController.readSettings().TRADING_PAIR :
+            await tokenController.handleTokenSelection(true, rl);
         
         if (!tokenPair || !tokenPair.BASE_TOKEN || !tokenPair.QUOTE_TOKEN) {
             console.error(utils.formatError(`${utils.icons.error} Token selection failed - invalid token pair configuration`));
             process.exit(1);
         }
-        
-        console.log(utils.formatSuccess(`\n${utils.icons.success} Token configuration complete. Trading will use ${utils.styles.important}${tokenPair.BASE_TOKEN.NAME}/USDC${utils.colours.reset}.`));        
+
+        const pairName = `${tokenPair.BASE_TOKEN.NAME}/${tokenPair.QUOTE_TOKEN.NAME}`;
+        console.log(utils.formatSuccess(`\n${utils.icons.success} Token configuration complete. Trading will use ${utils.styles.important}${pairName}${utils.colours.reset}.`));        
         
         // Force reset terminal state before timeframe selection
         resetTerminalMode();
@@ -172,8 +284,8 @@ async function initialize() {
             output: process.stdout
         });
         
-        // Handle timeframe selection next with the new readline interface
-        const timeframeId = await timeframeController.handleTimeframeSelection(true, timeframeRl);
+        // Handle timeframe selection next with the new readline interface, unless it was given on the command line
+        const timeframeId = options.timeframe || await timeframeController.handleTimeframeSelection(true, timeframeRl);
         
         if (!timeframeId) {
             console.error(utils.formatError(`${utils.icons.error} Timeframe selection failed`));
@@ -201,7 +313,13 @@ async function initialize() {
         console.log(utils.horizontalLine());
         
         // Then proceed with normal startup confirmation, including token and timeframe
-        promptForStart(tokenPair.BASE_TOKEN.NAME, timeframeDesc);
+        if (options.autoConfirm) {
+            console.log(utils.formatSuccess(`${utils.icons.success} Starting PulseSurfer with ${utils.styles.important}${pairName}${utils.colours.reset} on ${utils.styles.important}${timeframeDesc}${utils.colours.reset}...`));
+            process.stdout.write('\x1b[0m'); // Reset terminal colors back to white
+            startTrading();
+        } else {
+            promptForStart(pairName, timeframeDesc);
+        }
     } catch (error) {
         console.error(utils.formatError(`${utils.icons.error} Error during configuration: ${error.message}`));
         // Ensure terminal is back to normal mode in case of error
@@ -216,10 +334,19 @@ process.on('uncaughtException', (error) => {
     process.exit(1);
 });
 
-process.on('SIGINT', () => {
+// PulseSurfer finishes in-flight trades before it exits, so signals are passed on and start.js exits with it
+function handleSignal(signal) {
+    if (pulseProcess && pulseProcess.exitCode === null && pulseProcess.signalCode === null) {
+        pulseProcess.kill(signal);
+        return;
+    }
+
     console.log(utils.formatInfo(`\n${utils.icons.info} Shutting down...`));
     process.exit(0);
-});
+}
+
+process.on('SIGINT', () => handleSignal('SIGINT'));
+process.on('SIGTERM', () => handleSignal('SIGTERM'));
 
 // Start the application
 initialize();
\ No newline at end of file